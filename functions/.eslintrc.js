@@ -19,7 +19,7 @@ module.exports = {
     {
       files: ["**/*.spec.*"],
       env: {
-        mocha: true,
+        jest: true,
       },
       rules: {},
     },
@@ -0,0 +1,121 @@
+// functions/achievements.js
+// Achievement engine. Firestore triggers turn activity into achievement
+// events (see shared/achievements.js); each batch of events is applied in one
+// transaction that updates the user's stats, XP, level and badges. Applied
+// batches are recorded at `users/{userId}/xpEvents/{eventId}`, so a retried
+// trigger never awards XP twice.
+
+const {FieldValue} = require("firebase-admin/firestore");
+const {
+  ACHIEVEMENT_EVENTS,
+  LEDGER_REASONS,
+  applyAchievementEvents,
+  getAchievementDefinitions,
+  getLevelProgress,
+  getSettledEntryEvents,
+} = require("./shared");
+
+/**
+ * Applies a batch of achievement events to a user, once per `eventId`.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId User ID.
+ * @param {string} params.eventId Unique ID of what caused the events.
+ * @param {Array<Object>} params.events Events as `{type, ...payload}`.
+ * @return {Promise<Object|null>} `{xp, level, earned}` with the XP awarded
+ *     and the IDs of new achievements, or null when nothing was applied.
+ */
+async function recordAchievementEvents(db, {appId, userId, eventId, events}) {
+  if (events.length === 0) return null;
+
+  const userPath = `artifacts/${appId}/users/${userId}`;
+  const profileRef = db.doc(`${userPath}/profile/data`);
+  const statsRef = db.doc(`${userPath}/achievements/stats`);
+  const xpEventRef = db.doc(`${userPath}/xpEvents/${eventId}`);
+  const configSnap = await db.collection(`artifacts/${appId}/config`)
+      .doc("achievements").get();
+  const definitions = getAchievementDefinitions(configSnap.data() || null);
+
+  return db.runTransaction(async (transaction) => {
+    const [xpEventSnap, profileSnap, statsSnap] = await Promise.all([
+      transaction.get(xpEventRef),
+      transaction.get(profileRef),
+      transaction.get(statsRef),
+    ]);
+    if (xpEventSnap.exists || !profileSnap.exists) return null;
+
+    const profile = profileSnap.data();
+    const badges = profile.badges || [];
+    const result = applyAchievementEvents(statsSnap.data() || {}, events,
+        definitions, badges.map((badge) => badge.id));
+    const xp = (profile.xp || 0) + result.xp;
+    const {level} = getLevelProgress(xp);
+    const earnedAt = new Date().toISOString();
+
+    transaction.set(statsRef, result.stats);
+    transaction.update(profileRef, {
+      xp,
+      level,
+      // Badges keep their definition, so renaming one later doesn't change
+      // what earlier winners see.
+      badges: [...badges, ...result.earned.map((definition) => ({
+        id: definition.id,
+        name: definition.name,
+        description: definition.description,
+        icon: definition.icon || null,
+        earnedAt,
+      }))],
+    });
+    transaction.create(xpEventRef, {
+      events: events.map((event) => event.type),
+      xp: result.xp,
+      earned: result.earned.map((definition) => definition.id),
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    return {
+      xp: result.xp,
+      level,
+      earned: result.earned.map((definition) => definition.id),
+    };
+  });
+}
+
+/**
+ * The events of a settled entry, using the week's games for kickoff order.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.weekId Week of the entry.
+ * @param {Object} params.entry Settled entry data.
+ * @return {Promise<Array<Object>>} The events.
+ */
+async function getEntryEvents(db, {appId, weekId, entry}) {
+  const weekSnap = await db.collection(`artifacts/${appId}/nflWeeks`)
+      .doc(weekId).get();
+  return getSettledEntryEvents(entry, (weekSnap.data() || {}).games || []);
+}
+
+/**
+ * The events of a new ledger document: daily bonus claims and lottery wins.
+ * @param {Object} ledgerEntry Ledger document data.
+ * @return {Array<Object>} The events, empty for other reasons.
+ */
+function getLedgerEvents(ledgerEntry) {
+  if (ledgerEntry.reason === LEDGER_REASONS.DAILY_BONUS) {
+    return [{
+      type: ACHIEVEMENT_EVENTS.DAILY_BONUS_CLAIMED,
+      streak: (ledgerEntry.reference || {}).streak || 1,
+    }];
+  }
+  if (ledgerEntry.reason === LEDGER_REASONS.LOTTERY_WIN) {
+    return [{type: ACHIEVEMENT_EVENTS.LOTTERY_WON}];
+  }
+  return [];
+}
+
+module.exports = {
+  recordAchievementEvents,
+  getEntryEvents,
+  getLedgerEvents,
+};
@@ -0,0 +1,425 @@
+// functions/admin.js
+// Admin console actions: editing a week's games, overriding scores, voiding
+// games, moving the tie-breaker, adjusting balances and granting the admin
+// role. Each one is recorded in the audit log, in the same write as the
+// change where it can be. Game changes are made to the week document in a
+// transaction and picked up by the next settlement pass; forcing that pass is
+// done by the callable itself, since it shares the scheduled sync's code.
+
+const {HttpsError} = require("firebase-functions/v2/https");
+const {FieldValue} = require("firebase-admin/firestore");
+const {getUserLedgerRefs, postLedgerEntries} = require("./ledger");
+const {findUserByUsername} = require("./usernames");
+const {
+  ADMIN_ACTIONS,
+  LEDGER_REASONS,
+  getGameStatus,
+  isGameLocked,
+  isGameVoid,
+  roundCurrency,
+  validateBalanceAdjustment,
+  validateScoreOverride,
+  validateVoidStatus,
+} = require("./shared");
+
+/**
+ * The admin audit log of an app.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @return {FirebaseFirestore.CollectionReference} The collection.
+ */
+function getAuditLogRef(db, appId) {
+  return db.collection(`artifacts/${appId}/adminAuditLog`);
+}
+
+/**
+ * The audit log document of an admin action.
+ * @param {Object} params Parameters.
+ * @param {string} params.action One of ADMIN_ACTIONS.
+ * @param {string} params.adminId The admin's user ID.
+ * @param {Object} params.target What the action was applied to.
+ * @param {Object} params.details What changed.
+ * @return {Object} The document data.
+ */
+function buildAuditEntry({action, adminId, target, details}) {
+  return {
+    action,
+    adminId,
+    target,
+    details,
+    createdAt: FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Records an admin action made outside a transaction.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params `{appId, action, adminId, target, details}`.
+ * @return {Promise<string>} The audit log document ID.
+ */
+async function recordAdminAction(db, {appId, ...entry}) {
+  const logRef = await getAuditLogRef(db, appId).add(buildAuditEntry(entry));
+  return logRef.id;
+}
+
+/**
+ * Changes one game of a week in a transaction, together with its audit entry.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.adminId The admin's user ID.
+ * @param {string} params.action One of ADMIN_ACTIONS.
+ * @param {string} params.weekId The week.
+ * @param {string} params.gameId The game.
+ * @param {function(Object, Object): Object} params.change Given the game and
+ *     the week, returns `{game, weekUpdates, details}`: the changed game,
+ *     other week fields to update and what to record in the audit log.
+ * @return {Promise<Object>} The changed game.
+ */
+async function updateWeekGame(db, {
+  appId, adminId, action, weekId, gameId, change,
+}) {
+  const weekRef = db.collection(`artifacts/${appId}/nflWeeks`).doc(weekId);
+  const logRef = getAuditLogRef(db, appId).doc();
+
+  return db.runTransaction(async (transaction) => {
+    const weekSnap = await transaction.get(weekRef);
+    if (!weekSnap.exists) {
+      throw new HttpsError("not-found", `Week ${weekId} not found.`);
+    }
+    const week = weekSnap.data();
+    const games = week.games || [];
+    const index = games.findIndex((g) => g.id === gameId);
+    if (index === -1) {
+      throw new HttpsError("not-found", `Game ${gameId} is not in ${weekId}.`);
+    }
+
+    const {game, weekUpdates = {}, details} = change(games[index], week);
+    const updatedGames = [...games];
+    updatedGames[index] = game;
+    transaction.update(weekRef, {
+      ...weekUpdates,
+      games: updatedGames,
+      lastUpdated: FieldValue.serverTimestamp(),
+    });
+    transaction.set(logRef, buildAuditEntry({
+      action, adminId, target: {weekId, gameId}, details,
+    }));
+    return game;
+  });
+}
+
+/**
+ * Moves a game's kickoff. The game is marked `kickoffOverride` so the sync
+ * keeps the new kickoff. A game that has kicked off can't be moved to a later
+ * kickoff: that would reopen it for picks.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.adminId The admin's user ID.
+ * @param {string} params.weekId The week.
+ * @param {string} params.gameId The game.
+ * @param {string} params.commenceTime New kickoff as an ISO string.
+ * @param {Date} [params.now] Current time.
+ * @return {Promise<Object>} The changed game.
+ */
+async function updateGameSchedule(db, {
+  appId, adminId, weekId, gameId, commenceTime, now = new Date(),
+}) {
+  if (typeof commenceTime !== "string" ||
+      Number.isNaN(Date.parse(commenceTime))) {
+    throw new HttpsError("invalid-argument", "Enter a valid kickoff time.");
+  }
+  const kickoff = new Date(commenceTime).toISOString();
+
+  return updateWeekGame(db, {
+    appId, adminId, action: ADMIN_ACTIONS.UPDATE_GAME, weekId, gameId,
+    change: (game) => {
+      if (game.completed || isGameVoid(game)) {
+        throw new HttpsError("failed-precondition",
+            "Finished and voided games can't be rescheduled.");
+      }
+      if (isGameLocked(game, now) && Date.parse(kickoff) > now.getTime()) {
+        throw new HttpsError("failed-precondition",
+            "A game that has kicked off can't be moved to a later kickoff.");
+      }
+      const updated = {
+        ...game,
+        commenceTime: kickoff,
+        kickoffOverride: {adminId, at: now.toISOString()},
+      };
+      updated.status = getGameStatus(updated, now);
+      return {
+        game: updated,
+        details: {from: {commenceTime: game.commenceTime},
+          to: {commenceTime: kickoff}},
+      };
+    },
+  });
+}
+
+/**
+ * Sets a game's final score by hand. The game is marked `scoreOverride` so
+ * the sync stops taking its score from the provider; a changed final score is
+ * recorded as a score correction, so settlement re-grades its picks.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.adminId The admin's user ID.
+ * @param {string} params.weekId The week.
+ * @param {string} params.gameId The game.
+ * @param {Object} params.score `{home, away}`.
+ * @param {Date} [params.now] Current time.
+ * @return {Promise<Object>} The changed game.
+ */
+async function overrideGameScore(db, {
+  appId, adminId, weekId, gameId, score, now = new Date(),
+}) {
+  const {home, away} = score || {};
+  const validationError = validateScoreOverride({home, away});
+  if (validationError) {
+    throw new HttpsError("invalid-argument", validationError);
+  }
+
+  return updateWeekGame(db, {
+    appId, adminId, action: ADMIN_ACTIONS.OVERRIDE_SCORE, weekId, gameId,
+    change: (game, week) => {
+      if (isGameVoid(game)) {
+        throw new HttpsError("failed-precondition",
+            "A voided game has no score to override.");
+      }
+      const updated = {
+        ...game,
+        score: {home, away},
+        completed: true,
+        scoreOverride: {home, away, adminId, at: now.toISOString()},
+      };
+      const corrected = game.completed && game.score &&
+        (game.score.home !== home || game.score.away !== away);
+      if (corrected) {
+        updated.scoreCorrections = [...(game.scoreCorrections || []), {
+          from: game.score, to: {home, away}, correctedAt: now.toISOString(),
+        }];
+      }
+      updated.status = getGameStatus(updated, now);
+      const weekUpdates = corrected ?
+        {pendingScoreCorrections: FieldValue.arrayUnion(gameId)} : {};
+      if (week.tieBreakerGameId === gameId) {
+        weekUpdates.actualTieBreakerTotalPoints = home + away;
+      }
+      return {
+        game: updated,
+        weekUpdates,
+        details: {from: {score: game.score || null,
+          completed: Boolean(game.completed)}, to: {score: {home, away}}},
+      };
+    },
+  });
+}
+
+/**
+ * Voids a game as postponed or cancelled. Its picks are refunded by the next
+ * settlement pass; a game that had already finished is re-graded like a
+ * score correction. The tie-breaker moves on the next sync if it was this
+ * game.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.adminId The admin's user ID.
+ * @param {string} params.weekId The week.
+ * @param {string} params.gameId The game.
+ * @param {string} params.status GAME_STATUSES.POSTPONED or CANCELLED.
+ * @param {string} [params.reason] Why, for the audit log.
+ * @return {Promise<Object>} The changed game.
+ */
+async function voidGame(db, {
+  appId, adminId, weekId, gameId, status, reason,
+}) {
+  const validationError = validateVoidStatus(status);
+  if (validationError) {
+    throw new HttpsError("invalid-argument", validationError);
+  }
+
+  return updateWeekGame(db, {
+    appId, adminId, action: ADMIN_ACTIONS.VOID_GAME, weekId, gameId,
+    change: (game) => {
+      if (isGameVoid(game)) {
+        throw new HttpsError("failed-precondition",
+            `This game is already ${game.status}.`);
+      }
+      return {
+        game: {...game, status},
+        weekUpdates: game.completed ?
+          {pendingScoreCorrections: FieldValue.arrayUnion(gameId)} : {},
+        details: {from: {status: game.status || null}, to: {status},
+          reason: reason || null},
+      };
+    },
+  });
+}
+
+/**
+ * Makes another game of the week the tie-breaker. Entries keep their guess;
+ * it is now compared with this game's total.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.adminId The admin's user ID.
+ * @param {string} params.weekId The week.
+ * @param {string} params.gameId The new tie-breaker game.
+ * @return {Promise<Object>} The tie-breaker game.
+ */
+async function setTieBreakerGame(db, {appId, adminId, weekId, gameId}) {
+  return updateWeekGame(db, {
+    appId, adminId, action: ADMIN_ACTIONS.SET_TIE_BREAKER, weekId, gameId,
+    change: (game, week) => {
+      if (isGameVoid(game)) {
+        throw new HttpsError("failed-precondition",
+            "A voided game can't be the tie-breaker.");
+      }
+      if (week.tieBreakerGameId === gameId) {
+        throw new HttpsError("failed-precondition",
+            "This game is already the tie-breaker.");
+      }
+      return {
+        game,
+        weekUpdates: {
+          tieBreakerGameId: gameId,
+          tieBreakerReassignedFrom: FieldValue.delete(),
+          actualTieBreakerTotalPoints: game.completed && game.score ?
+            game.score.home + game.score.away : null,
+        },
+        details: {from: {tieBreakerGameId: week.tieBreakerGameId || null},
+          to: {tieBreakerGameId: gameId}},
+      };
+    },
+  });
+}
+
+/**
+ * Finds the user an admin action is for, by ID or by username.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @param {Object} target `{userId}` or `{username}`.
+ * @return {Promise<Object>} `{userId, username}`.
+ */
+async function findTargetUser(db, appId, {userId, username}) {
+  if (typeof userId === "string" && userId.trim()) {
+    const profileSnap = await getUserLedgerRefs(db, appId, userId.trim())
+        .profileRef.get();
+    if (!profileSnap.exists) {
+      throw new HttpsError("not-found", `No player has the ID ${userId}.`);
+    }
+    return {userId: userId.trim(), username: profileSnap.data().username};
+  }
+  const name = typeof username === "string" ? username.trim() : "";
+  if (!name) {
+    throw new HttpsError("invalid-argument", "Enter a username or user ID.");
+  }
+  return findUserByUsername(db, appId, name);
+}
+
+/**
+ * Credits or debits a user's balance with a reason. The ledger entry and the
+ * audit entry are written in one transaction; a debit can't take the balance
+ * below zero.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.adminId The admin's user ID.
+ * @param {Object} params.target `{userId}` or `{username}`.
+ * @param {string} params.currency One of CURRENCIES.
+ * @param {number} params.amount Amount; negative for a debit.
+ * @param {string} params.reason Why, shown in the user's transactions.
+ * @return {Promise<Object>} `{userId, username, balance}`.
+ */
+async function adjustUserBalance(db, {
+  appId, adminId, target, currency, amount, reason,
+}) {
+  const validationError = validateBalanceAdjustment({currency, amount, reason});
+  if (validationError) {
+    throw new HttpsError("invalid-argument", validationError);
+  }
+  const user = await findTargetUser(db, appId, target || {});
+  const {profileRef, ledgerRef} = getUserLedgerRefs(db, appId, user.userId);
+  const logRef = getAuditLogRef(db, appId).doc();
+  const roundedAmount = roundCurrency(amount);
+
+  return db.runTransaction(async (transaction) => {
+    const profileSnap = await transaction.get(profileRef);
+    const profile = profileSnap.data() || {};
+    if (roundCurrency((profile[currency] || 0) + roundedAmount) < 0) {
+      throw new HttpsError("failed-precondition",
+          `The balance is only ${profile[currency] || 0}.`);
+    }
+    transaction.set(logRef, buildAuditEntry({
+      action: ADMIN_ACTIONS.ADJUST_BALANCE,
+      adminId,
+      target: {userId: user.userId, username: user.username || null},
+      details: {currency, amount: roundedAmount, reason: reason.trim()},
+    }));
+    const balances = postLedgerEntries(transaction, {
+      profileRef,
+      ledgerRef,
+      profile,
+      entries: [{
+        id: `${LEDGER_REASONS.ADMIN_ADJUSTMENT}-${logRef.id}`,
+        currency,
+        amount: roundedAmount,
+        reason: LEDGER_REASONS.ADMIN_ADJUSTMENT,
+        reference: {auditLogId: logRef.id, note: reason.trim()},
+      }],
+    });
+    return {...user, balance: balances[currency]};
+  });
+}
+
+/**
+ * Grants or revokes the admin role. It is a custom claim, so it takes effect
+ * when the user's ID token is next refreshed.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} auth Firebase Admin Auth instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.adminId The admin's user ID.
+ * @param {Object} params.target `{userId}` or `{username}`.
+ * @param {boolean} params.isAdmin Whether the user should be an admin.
+ * @return {Promise<Object>} `{userId, username, isAdmin}`.
+ */
+async function setAdminRole(db, auth, {appId, adminId, target, isAdmin}) {
+  if (typeof isAdmin !== "boolean") {
+    throw new HttpsError("invalid-argument", "isAdmin must be true or false.");
+  }
+  const user = await findTargetUser(db, appId, target || {});
+  if (user.userId === adminId && !isAdmin) {
+    throw new HttpsError("failed-precondition",
+        "You can't remove your own admin role.");
+  }
+
+  const authUser = await auth.getUser(user.userId);
+  const claims = {...(authUser.customClaims || {})};
+  if (isAdmin) {
+    claims.admin = true;
+  } else {
+    delete claims.admin;
+  }
+  await auth.setCustomUserClaims(user.userId, claims);
+  await recordAdminAction(db, {
+    appId,
+    action: ADMIN_ACTIONS.SET_ADMIN_ROLE,
+    adminId,
+    target: {userId: user.userId, username: user.username || null},
+    details: {isAdmin},
+  });
+  return {...user, isAdmin};
+}
+
+module.exports = {
+  recordAdminAction,
+  updateGameSchedule,
+  overrideGameScore,
+  voidGame,
+  setTieBreakerGame,
+  adjustUserBalance,
+  setAdminRole,
+};
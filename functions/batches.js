@@ -0,0 +1,32 @@
+// functions/batches.js
+// Writes more documents than fit in one Firestore batch (500 writes), in
+// chunks. Used for per-row collections such as standings and leaderboard rows,
+// which are rewritten as a whole when a week settles.
+
+const BATCH_SIZE = 400; // Firestore allows at most 500 writes per batch
+
+/**
+ * Commits writes in chunked batches. The chunks are not atomic together, so
+ * callers record that the whole set was written (e.g. on a summary document)
+ * only after this resolves.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Array<Object>} writes `{ref, data}` to set a document or
+ *     `{ref, remove: true}` to delete one.
+ * @return {Promise<number>} Number of writes committed.
+ */
+async function commitInBatches(db, writes) {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_SIZE).forEach((write) => {
+      if (write.remove) {
+        batch.delete(write.ref);
+      } else {
+        batch.set(write.ref, write.data);
+      }
+    });
+    await batch.commit();
+  }
+  return writes.length;
+}
+
+module.exports = {commitInBatches};
@@ -0,0 +1,192 @@
+// functions/compliance.js
+// Sweepstakes eligibility records, Official Rules acceptance and free entries
+// (the Alternative Method of Entry). The eligibility record is private, so it
+// lives at `users/{userId}/compliance/eligibility` instead of on the public
+// profile; settlement and redemption read it before Winner Bucks change hands.
+
+const {HttpsError} = require("firebase-functions/v2/https");
+const {FieldValue} = require("firebase-admin/firestore");
+const {getUserLedgerRefs, postLedgerEntries} = require("./ledger");
+const {
+  CURRENCIES,
+  FREE_ENTRY_POINTS,
+  LEDGER_REASONS,
+  OFFICIAL_RULES_VERSION,
+  getEligibilityIssue,
+  getNextFreeEntryAt,
+  validateEligibilityInput,
+  validateFreeEntryRequest,
+} = require("./shared");
+
+/**
+ * A user's eligibility record.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @param {string} userId User ID.
+ * @return {FirebaseFirestore.DocumentReference} The document.
+ */
+function getEligibilityRef(db, appId, userId) {
+  return db.doc(`artifacts/${appId}/users/${userId}/compliance/eligibility`);
+}
+
+/**
+ * Throws unless the eligibility record allows winning and redeeming.
+ * @param {FirebaseFirestore.DocumentSnapshot} eligibilitySnap The record.
+ */
+function assertEligible(eligibilitySnap) {
+  const issue = getEligibilityIssue(
+      eligibilitySnap.exists ? eligibilitySnap.data() : null);
+  if (issue) throw new HttpsError("failed-precondition", issue);
+}
+
+/**
+ * Reads why a user isn't eligible, for server jobs such as settlement.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId User ID.
+ * @return {Promise<string|null>} The reason, or null when eligible.
+ */
+async function getUserEligibilityIssue(db, {appId, userId}) {
+  const eligibilitySnap = await getEligibilityRef(db, appId, userId).get();
+  return getEligibilityIssue(
+      eligibilitySnap.exists ? eligibilitySnap.data() : null);
+}
+
+/**
+ * Records the user's age attestation and state of residence.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {boolean} params.ageAttested Whether the user confirmed their age.
+ * @param {string} params.state Two-letter state of residence.
+ * @param {Date} [params.now] Update time.
+ * @return {Promise<Object>} `{eligibilityIssue}`, null when eligible.
+ */
+async function updateEligibility(db, {
+  appId, userId, ageAttested, state, now = new Date(),
+}) {
+  const inputError = validateEligibilityInput({ageAttested, state});
+  if (inputError) throw new HttpsError("invalid-argument", inputError);
+
+  const eligibilityRef = getEligibilityRef(db, appId, userId);
+  await eligibilityRef.set({
+    ageAttested: true,
+    ageAttestedAt: now.toISOString(),
+    state,
+    updatedAt: now.toISOString(),
+  }, {merge: true});
+  return {
+    eligibilityIssue: getEligibilityIssue((await eligibilityRef.get()).data()),
+  };
+}
+
+/**
+ * Records that the user accepted a version of the Official Rules. Every
+ * acceptance is kept, so it's known which rules applied at any time.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.version Version the user was shown.
+ * @param {Date} [params.now] Acceptance time.
+ * @return {Promise<Object>} `{eligibilityIssue}`, null when eligible.
+ */
+async function acceptOfficialRules(db, {
+  appId, userId, version, now = new Date(),
+}) {
+  if (version !== OFFICIAL_RULES_VERSION) {
+    throw new HttpsError("failed-precondition",
+        "The Official Rules have changed. Reload and review them again.");
+  }
+
+  const acceptance = {version, acceptedAt: now.toISOString()};
+  const eligibilityRef = getEligibilityRef(db, appId, userId);
+  await eligibilityRef.set({
+    officialRules: acceptance,
+    rulesAcceptances: FieldValue.arrayUnion(acceptance),
+    updatedAt: now.toISOString(),
+  }, {merge: true});
+  return {
+    eligibilityIssue: getEligibilityIssue((await eligibilityRef.get()).data()),
+  };
+}
+
+/**
+ * Grants a free entry's worth of Predictor Points, at most once per cooldown.
+ * The request is kept at `freeEntries/{freeEntryId}`.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.fullName Name of the entrant.
+ * @param {string} params.mailingAddress Mailing address of the entrant.
+ * @param {Date} [params.now] Request time.
+ * @return {Promise<Object>} `{freeEntryId, predictorPoints, nextFreeEntryAt}`.
+ */
+async function requestFreeEntry(db, {
+  appId, userId, fullName, mailingAddress, now = new Date(),
+}) {
+  const requestError = validateFreeEntryRequest({fullName, mailingAddress});
+  if (requestError) throw new HttpsError("invalid-argument", requestError);
+
+  const eligibilityRef = getEligibilityRef(db, appId, userId);
+  const {profileRef, ledgerRef} = getUserLedgerRefs(db, appId, userId);
+  const freeEntryRef = db.collection(`artifacts/${appId}/freeEntries`).doc();
+
+  return db.runTransaction(async (transaction) => {
+    const [eligibilitySnap, profileSnap] = await Promise.all([
+      transaction.get(eligibilityRef),
+      transaction.get(profileRef),
+    ]);
+    assertEligible(eligibilitySnap);
+    if (!profileSnap.exists) {
+      throw new HttpsError("failed-precondition", "User profile not found.");
+    }
+
+    const nextFreeEntryAt = getNextFreeEntryAt(
+        eligibilitySnap.data().lastFreeEntryAt || null);
+    if (nextFreeEntryAt && now < nextFreeEntryAt) {
+      throw new HttpsError("resource-exhausted",
+          "You can request your next free entry at " +
+          `${nextFreeEntryAt.toISOString()}.`);
+    }
+
+    transaction.create(freeEntryRef, {
+      userId,
+      fullName: fullName.trim(),
+      mailingAddress: mailingAddress.trim(),
+      points: FREE_ENTRY_POINTS,
+      rulesVersion: OFFICIAL_RULES_VERSION,
+      requestedAt: now.toISOString(),
+    });
+    transaction.update(eligibilityRef, {lastFreeEntryAt: now.toISOString()});
+    const balances = postLedgerEntries(transaction, {
+      profileRef,
+      ledgerRef,
+      profile: profileSnap.data(),
+      entries: [{
+        id: `${LEDGER_REASONS.FREE_ENTRY}-${freeEntryRef.id}`,
+        currency: CURRENCIES.PREDICTOR_POINTS,
+        amount: FREE_ENTRY_POINTS,
+        reason: LEDGER_REASONS.FREE_ENTRY,
+        reference: {type: "freeEntry", id: freeEntryRef.id},
+      }],
+    });
+    return {
+      freeEntryId: freeEntryRef.id,
+      predictorPoints: balances[CURRENCIES.PREDICTOR_POINTS],
+      nextFreeEntryAt: getNextFreeEntryAt(now.toISOString()).toISOString(),
+    };
+  });
+}
+
+module.exports = {
+  getEligibilityRef,
+  assertEligible,
+  getUserEligibilityIssue,
+  updateEligibility,
+  acceptOfficialRules,
+  requestFreeEntry,
+};
@@ -0,0 +1,71 @@
+// functions/dailyBonus.js
+// Server side of the daily bonus. The claim check, the streak update and the
+// Predictor Points credit happen in one transaction, so double-clicks and
+// concurrent claims can't pay out twice.
+
+const {HttpsError} = require("firebase-functions/v2/https");
+const {getUserLedgerRefs, postLedgerEntries} = require("./ledger");
+const {
+  CURRENCIES,
+  LEDGER_REASONS,
+  buildDailyBonusClaim,
+} = require("./shared");
+
+/**
+ * Claims today's daily bonus for a user.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Claim parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.timeZone The user's IANA time zone.
+ * @param {Date} [params.now] Claim time, defaults to the current time.
+ * @return {Promise<Object>} `{reward, streak, nextClaimAt, predictorPoints}`.
+ */
+async function claimDailyBonus(db, {
+  appId, userId, timeZone, now = new Date(),
+}) {
+  const {profileRef, ledgerRef} = getUserLedgerRefs(db, appId, userId);
+
+  return db.runTransaction(async (transaction) => {
+    const profileSnap = await transaction.get(profileRef);
+    if (!profileSnap.exists) {
+      throw new HttpsError("failed-precondition", "User profile not found.");
+    }
+    const profile = profileSnap.data();
+
+    const claim = buildDailyBonusClaim(profile.dailyBonus || null,
+        {timeZone, now});
+    if (claim.error) {
+      throw new HttpsError("failed-precondition", claim.error);
+    }
+
+    const balances = postLedgerEntries(transaction, {
+      profileRef,
+      ledgerRef,
+      profile,
+      entries: [{
+        currency: CURRENCIES.PREDICTOR_POINTS,
+        amount: claim.reward,
+        reason: LEDGER_REASONS.DAILY_BONUS,
+        reference: {
+          type: "dailyBonus",
+          id: claim.dailyBonus.lastClaimDate,
+          streak: claim.dailyBonus.streak,
+        },
+      }],
+      profileUpdates: {
+        dailyBonus: claim.dailyBonus,
+        lastDailyBonusClaim: claim.dailyBonus.lastClaimAt,
+      },
+    });
+
+    return {
+      reward: claim.reward,
+      streak: claim.dailyBonus.streak,
+      nextClaimAt: claim.dailyBonus.nextClaimAt,
+      predictorPoints: balances[CURRENCIES.PREDICTOR_POINTS],
+    };
+  });
+}
+
+module.exports = {claimDailyBonus};
@@ -0,0 +1,200 @@
+// functions/entries.js
+// Server-authoritative entry submission. The fee debit and the entry write
+// happen in one Firestore transaction, so an entry is never paid for without
+// being stored (or stored without being paid for). The debit is posted to the
+// user's ledger in the same transaction. Games lock one by one at kickoff, so
+// an entry can be amended for free until each of its games starts.
+
+const {HttpsError} = require("firebase-functions/v2/https");
+const {postLedgerEntries} = require("./ledger");
+const {
+  CURRENCIES,
+  LEDGER_REASONS,
+  MAX_ENTRIES_PER_WEEK,
+  buildEntryId,
+  calculatePickPayout,
+  findPickOption,
+  isGameLocked,
+  isGameVoid,
+  isSameSelection,
+  validateEntry,
+} = require("./shared");
+
+/**
+ * Builds the stored picks of an entry. Games that already kicked off, were
+ * postponed or were cancelled keep the pick stored on the entry (or stay
+ * unpicked), and so does an open game whose selection is unchanged; a new or
+ * changed pick takes the line and price currently on the week document. The
+ * payout is fixed from that price here, so later line moves never change it.
+ * @param {Array<Object>} games The week's games.
+ * @param {Object} picks Newly submitted `{market, pick}` keyed by game ID.
+ * @param {Object} storedPicks Picks already stored on the entry.
+ * @param {number} tier Entry fee tier.
+ * @param {Date} now Submission time.
+ * @return {Object} Stored pick objects keyed by game ID.
+ */
+function buildStoredPicks(games, picks, storedPicks, tier, now) {
+  const result = {};
+  games.forEach((game) => {
+    if (isGameLocked(game, now) || isGameVoid(game)) {
+      if (storedPicks[game.id]) result[game.id] = storedPicks[game.id];
+      return;
+    }
+    if (isSameSelection(picks[game.id], storedPicks[game.id])) {
+      result[game.id] = storedPicks[game.id];
+      return;
+    }
+    const option = findPickOption(game, picks[game.id]);
+    result[game.id] = {
+      market: option.market,
+      pick: option.pick,
+      line: option.line,
+      price: option.price,
+      potentialWinnings: calculatePickPayout(tier, option.price),
+      tier: tier,
+      gameId: game.id,
+      outcome: "pending",
+      winnings: 0,
+    };
+  });
+  return result;
+}
+
+/**
+ * Submits a new weekly entry for a user, or amends one of their entries when
+ * `entryId` is given. Amending is free and only touches unlocked games.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Submission parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.weekId Week the entry is for.
+ * @param {Object} params.picks Selection `{market, pick}` keyed by game ID.
+ * @param {number} params.tier Entry fee tier.
+ * @param {number} params.tieBreakerPoints Tie-breaker total guess.
+ * @param {string} [params.entryId] Entry to amend instead of creating one.
+ * @param {Date} [params.now] Submission time, defaults to the current time.
+ * @return {Promise<Object>} The entry's ID, number and point balance.
+ */
+async function submitEntry(db, {
+  appId, userId, weekId, picks, tier, tieBreakerPoints, entryId = null,
+  now = new Date(),
+}) {
+  const basePath = `artifacts/${appId}`;
+  const weekRef = db.collection(`${basePath}/nflWeeks`).doc(weekId);
+  const profileRef = db.collection(`${basePath}/users/${userId}/profile`)
+      .doc("data");
+  const entriesRef = db.collection(
+      `${basePath}/users/${userId}/predictions/${weekId}/entries`);
+  const ledgerRef = db.collection(`${basePath}/users/${userId}/ledger`);
+
+  return db.runTransaction(async (transaction) => {
+    const [weekSnap, profileSnap, entriesSnap] = await Promise.all([
+      transaction.get(weekRef),
+      transaction.get(profileRef),
+      transaction.get(entriesRef),
+    ]);
+
+    if (!weekSnap.exists) {
+      throw new HttpsError("not-found", `No games found for week ${weekId}.`);
+    }
+    const week = weekSnap.data();
+
+    // The window closes when the last game kicks off; each game's own lock
+    // is checked by validateEntry.
+    const submittedAt = now.getTime();
+    if (submittedAt < Date.parse(week.bettingWindowStart) ||
+        submittedAt > Date.parse(week.bettingWindowEnd)) {
+      throw new HttpsError("failed-precondition",
+          "Betting is currently closed. Please check the betting window.");
+    }
+
+    if (entryId) {
+      const entryDoc = entriesSnap.docs.find((doc) => doc.id === entryId);
+      if (!entryDoc) {
+        throw new HttpsError("not-found", `Entry ${entryId} not found.`);
+      }
+      const entry = entryDoc.data();
+      const amendError = validateEntry(week,
+          {picks, tier: entry.tier, tieBreakerPoints},
+          {now, existingEntry: entry});
+      if (amendError) {
+        throw new HttpsError("invalid-argument", amendError);
+      }
+
+      transaction.update(entryDoc.ref, {
+        picks: buildStoredPicks(week.games, picks, entry.picks || {},
+            entry.tier, now),
+        tieBreakerPoints: Number(tieBreakerPoints),
+        updatedAt: now.toISOString(),
+      });
+      return {
+        entryId,
+        entryNumber: entry.entryNumber,
+        predictorPoints: (profileSnap.data() || {}).predictorPoints || 0,
+      };
+    }
+
+    const validationError = validateEntry(week,
+        {picks, tier, tieBreakerPoints}, {now});
+    if (validationError) {
+      throw new HttpsError("invalid-argument", validationError);
+    }
+
+    if (entriesSnap.size >= MAX_ENTRIES_PER_WEEK) {
+      throw new HttpsError("resource-exhausted",
+          `You have reached the maximum of ${MAX_ENTRIES_PER_WEEK} ` +
+          "entries for this week.");
+    }
+
+    if (!profileSnap.exists) {
+      throw new HttpsError("failed-precondition", "User profile not found.");
+    }
+    const profile = profileSnap.data();
+    const balance = profile.predictorPoints || 0;
+    if (balance < tier) {
+      throw new HttpsError("failed-precondition",
+          `Not enough Predictor Points! You need ${tier} to submit this ` +
+          "entry.");
+    }
+
+    const entryNumber = entriesSnap.docs.reduce(
+        (max, entryDoc) => Math.max(max, entryDoc.data().entryNumber || 0),
+        0) + 1;
+    const newEntryId = buildEntryId(entryNumber);
+
+    const balances = postLedgerEntries(transaction, {
+      profileRef,
+      ledgerRef,
+      profile,
+      entries: [{
+        currency: CURRENCIES.PREDICTOR_POINTS,
+        amount: -tier,
+        reason: LEDGER_REASONS.ENTRY_FEE,
+        reference: {type: "entry", id: newEntryId, weekId},
+      }],
+      profileUpdates: {[`weeklyEntries.${weekId}`]: entriesSnap.size + 1},
+    });
+    transaction.create(entriesRef.doc(newEntryId), {
+      userId: userId,
+      weekId: weekId,
+      entryId: newEntryId,
+      entryNumber: entryNumber,
+      picks: buildStoredPicks(week.games, picks, {}, tier, now),
+      tieBreakerPoints: Number(tieBreakerPoints),
+      submittedAt: now.toISOString(),
+      updatedAt: now.toISOString(), // Read by the provisional leaderboard
+      tier: tier,
+      isSettled: false,
+      totalCorrectPicks: 0,
+      totalWinnerBucksWon: 0,
+    });
+
+    return {
+      entryId: newEntryId,
+      entryNumber,
+      predictorPoints: balances[CURRENCIES.PREDICTOR_POINTS],
+    };
+  });
+}
+
+module.exports = {submitEntry};
@@ -0,0 +1,139 @@
+// functions/friends.js
+// Friend requests by username. A request creates a pending friendship that
+// the other user accepts; removing deletes it, which also declines or cancels
+// a pending request. Each friendship stores both usernames so friends lists
+// render without reading every friend's profile.
+
+const {HttpsError} = require("firebase-functions/v2/https");
+const {findUserByUsername} = require("./usernames");
+const {
+  FRIENDSHIP_STATUSES,
+  getFriendshipId,
+} = require("./shared");
+
+/**
+ * The friendships collection of an app.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @return {FirebaseFirestore.CollectionReference} The collection.
+ */
+function getFriendshipsRef(db, appId) {
+  return db.collection(`artifacts/${appId}/friendships`);
+}
+
+/**
+ * Sends a friend request. If the other user already sent one to the caller,
+ * this accepts it instead.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.username Username of the user to befriend.
+ * @param {Date} [params.now] Request time.
+ * @return {Promise<Object>} `{friendshipId, status}`.
+ */
+async function sendFriendRequest(db, {
+  appId, userId, username, now = new Date(),
+}) {
+  const name = typeof username === "string" ? username.trim() : "";
+  if (!name) throw new HttpsError("invalid-argument", "Enter a username.");
+
+  const friend = await findUserByUsername(db, appId, name);
+  if (friend.userId === userId) {
+    throw new HttpsError("invalid-argument",
+        "You can't send a friend request to yourself.");
+  }
+  const ownProfileSnap = await db
+      .doc(`artifacts/${appId}/users/${userId}/profile/data`).get();
+  const ownUsername = (ownProfileSnap.data() || {}).username ||
+    `User_${userId.substring(0, 4)}`;
+
+  const friendshipId = getFriendshipId(userId, friend.userId);
+  const friendshipRef = getFriendshipsRef(db, appId).doc(friendshipId);
+
+  return db.runTransaction(async (transaction) => {
+    const friendshipSnap = await transaction.get(friendshipRef);
+    const existing = friendshipSnap.exists ? friendshipSnap.data() : null;
+
+    if (existing && existing.status === FRIENDSHIP_STATUSES.ACCEPTED) {
+      throw new HttpsError("already-exists",
+          `You're already friends with ${friend.username}.`);
+    }
+    if (existing && existing.requesterId === userId) {
+      throw new HttpsError("already-exists",
+          `You already sent ${friend.username} a friend request.`);
+    }
+    if (existing) {
+      transaction.update(friendshipRef, {
+        status: FRIENDSHIP_STATUSES.ACCEPTED,
+        acceptedAt: now.toISOString(),
+      });
+      return {friendshipId, status: FRIENDSHIP_STATUSES.ACCEPTED};
+    }
+
+    transaction.create(friendshipRef, {
+      userIds: [userId, friend.userId],
+      usernames: {[userId]: ownUsername, [friend.userId]: friend.username},
+      requesterId: userId,
+      addresseeId: friend.userId,
+      status: FRIENDSHIP_STATUSES.PENDING,
+      requestedAt: now.toISOString(),
+    });
+    return {friendshipId, status: FRIENDSHIP_STATUSES.PENDING};
+  });
+}
+
+/**
+ * Accepts a pending friend request sent to the caller.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.friendshipId Request to accept.
+ * @param {Date} [params.now] Acceptance time.
+ * @return {Promise<void>}
+ */
+async function acceptFriendRequest(db, {
+  appId, userId, friendshipId, now = new Date(),
+}) {
+  const friendshipRef = getFriendshipsRef(db, appId).doc(friendshipId);
+  await db.runTransaction(async (transaction) => {
+    const friendshipSnap = await transaction.get(friendshipRef);
+    const friendship = friendshipSnap.exists ? friendshipSnap.data() : null;
+    if (!friendship || friendship.addresseeId !== userId ||
+        friendship.status !== FRIENDSHIP_STATUSES.PENDING) {
+      throw new HttpsError("not-found", "Friend request not found.");
+    }
+    transaction.update(friendshipRef, {
+      status: FRIENDSHIP_STATUSES.ACCEPTED,
+      acceptedAt: now.toISOString(),
+    });
+  });
+}
+
+/**
+ * Removes a friend, or declines or cancels a pending request.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.friendshipId Friendship to remove.
+ * @return {Promise<void>}
+ */
+async function removeFriend(db, {appId, userId, friendshipId}) {
+  const friendshipRef = getFriendshipsRef(db, appId).doc(friendshipId);
+  await db.runTransaction(async (transaction) => {
+    const friendshipSnap = await transaction.get(friendshipRef);
+    if (!friendshipSnap.exists ||
+        !friendshipSnap.data().userIds.includes(userId)) {
+      throw new HttpsError("not-found", "Friendship not found.");
+    }
+    transaction.delete(friendshipRef);
+  });
+}
+
+module.exports = {
+  sendFriendRequest,
+  acceptFriendRequest,
+  removeFriend,
+};
@@ -1,61 +1,87 @@
 // functions/index.js
-const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onCall, onRequest, HttpsError } = require('firebase-functions/v2/https');
 const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onDocumentCreated, onDocumentUpdated, onDocumentWritten } = require('firebase-functions/v2/firestore');
 const { setGlobalOptions } = require('firebase-functions/v2');
 const logger = require('firebase-functions/logger');
 const admin = require('firebase-admin');
-const axios = require('axios');
+const {
+    getCurrentWeek, getWeekSlate, buildWeekInfo, ACHIEVEMENT_EVENTS,
+    GAME_STATUSES, getGameStatus, isGameVoid, isGameDecided, isGameLocked, QUOTA_LEVELS, getSyncPlan, SCORES_DAYS_FROM,
+    isWeekSyncOpen, isGamePastScoresFeed, getWeekById,
+    ADMIN_ACTIONS
+} = require('./shared');
+const { getOddsProvider, getConsensusOdds, getBookmakerOdds } = require('./providers');
+const { recordLineMovement } = require('./lineHistory');
+const { recordOpeningBalances, backfillOpeningBalances, reconcileUserLedger } = require('./ledger');
+const { submitEntry } = require('./entries');
+const { claimDailyBonus } = require('./dailyBonus');
+const { buyTickets, runDueDraws } = require('./lottery');
+const { requestRedemption, reviewRedemption, recoverStuckRedemptions } = require('./redemptions');
+const { createPointsOrder, applyPaymentEvent } = require('./store');
+const { recordWeekInStandings } = require('./standings');
+const { sendFriendRequest, acceptFriendRequest, removeFriend } = require('./friends');
+const { reserveUsername, reserveDefaultUsername } = require('./usernames');
+const {
+    createLeague, joinLeague, leaveLeague, updateLeagueSettings, queueWeekForLeagues, recordWeekInLeaguePage
+} = require('./leagues');
+const { updateEligibility, acceptOfficialRules, requestFreeEntry } = require('./compliance');
+const { isEmulated, getPaymentProvider } = require('./payments');
+const { recordAchievementEvents, getEntryEvents, getLedgerEvents } = require('./achievements');
+const { getSettlementId, getScoreCorrections, settleWeekEntries } = require('./settlement');
+const { updateWeekLeaderboard, updateProvisionalLeaderboard } = require('./leaderboards');
+const {
+    recordAdminAction, updateGameSchedule, overrideGameScore, voidGame, setTieBreakerGame, adjustUserBalance, setAdminRole
+} = require('./admin');
+const { getSyncState, recordSyncRun, recordProviderQuota, recordSyncError } = require('./syncStatus');
 
 setGlobalOptions({ region: 'us-central1' }); // Set default region for all functions
 
 admin.initializeApp(); // Initialize Firebase Admin SDK
 const db = admin.firestore(); // Get Firestore instance
 
-// --- Configuration for The Odds API ---
-// IMPORTANT: Set this secret using the Firebase CLI:
+// --- Odds/Scores Provider ---
+// The provider (The Odds API or an offline fixture recording) is chosen via ODDS_PROVIDER.
+// For The Odds API, set the key using the Firebase CLI:
 // firebase functions:secrets:set THE_ODDS_API_KEY="YOUR_ACTUAL_ODDS_API_KEY"
-const ODDS_API_KEY = process.env.THE_ODDS_API_KEY;
-
-const ODDS_API_BASE_URL = 'https://api.the-odds-api.com/v4';
-const NFL_SPORT_KEY = 'americanfootball_nfl';
-const REGIONS = 'us'; // Only 'us' as per your requirement
-const MARKETS = 'h2h'; // Head-to-head (Moneyline) only
-
-// --- Helper Function: Get Current NFL Week Info ---
-// This function consistently determines the current "week" and associated deadlines.
-function getCurrentNFLWeekInfo() {
-    const now = new Date();
-    const currentDay = now.getDay(); // 0 for Sunday, 1 for Monday, ..., 6 for Saturday
-
-    // Calculate the date of the upcoming Tuesday (for start of betting week)
-    let tuesday = new Date(now);
-    // Adjust to the next Tuesday 12:01 AM
-    tuesday.setDate(now.getDate() + (2 + 7 - currentDay) % 7);
-    tuesday.setHours(0, 1, 0, 0); // 12:01 AM
-
-    // Define betting window end: Thursday 5:00 PM of the same week
-    const thursday5PM = new Date(tuesday);
-    thursday5PM.setDate(thursday5PM.getDate() + 2); // Thursday
-    thursday5PM.setHours(17, 0, 0, 0); // 5:00 PM
-
-    // Define picks reveal time: Friday 12:00 PM of the same week
-    const fridayNoon = new Date(thursday5PM);
-    fridayNoon.setDate(fridayNoon.getDate() + 1); // Friday
-    fridayNoon.setHours(12, 0, 0, 0); // 12:00 PM
-
-    // A simple week ID based on the Tuesday's date.
-    // In a real production app, you might use an official NFL week number from a season schedule.
-    const weekId = `week-${tuesday.getFullYear()}-${tuesday.getMonth() + 1}-${tuesday.getDate()}`;
+// See functions/providers/index.js for all options.
 
+// --- Helper Function: Build a week game from a provider odds event ---
+// `odds` is the consensus (median) across all bookmakers and is the official price picks are made at.
+// `openingOdds` is the first consensus seen for the game and never changes afterwards.
+function buildGameFromOddsEvent(event) {
+    const odds = getConsensusOdds(event);
     return {
-        weekId: weekId,
-        bettingWindowStart: tuesday.toISOString(),
-        bettingWindowEnd: thursday5PM.toISOString(),
-        picksRevealTime: fridayNoon.toISOString(),
-        tieBreakerGameId: null // This will be populated after fetching actual games
+        id: event.id,
+        homeTeam: event.homeTeam,
+        awayTeam: event.awayTeam,
+        commenceTime: event.commenceTime,
+        odds: odds,
+        openingOdds: odds,
+        bookmakers: getBookmakerOdds(event),
+        score: { home: null, away: null },
+        completed: false,
+        status: GAME_STATUSES.SCHEDULED
     };
 }
 
+// --- Helper Function: Require an admin caller ---
+// Admins carry the `admin: true` custom claim (set with the Admin SDK's setCustomUserClaims).
+function assertAdmin(request) {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in.');
+    }
+    if (request.auth.token.admin !== true) {
+        throw new HttpsError('permission-denied', 'Only admins can do this.');
+    }
+}
+
+// --- Helper Function: ISO string to Firestore Timestamp ---
+// Security rules can only compare `request.time` against Timestamps, not ISO strings.
+function toTimestamp(isoString) {
+    return admin.firestore.Timestamp.fromDate(new Date(isoString));
+}
+
 // --- HTTPS Callable Function: getNFLOdds ---
 // This function is called by the frontend to initiate fetching current NFL odds.
 // It also updates the 'nflWeeks' collection in Firestore.
@@ -64,78 +90,908 @@ exports.getNFLOdds = onCall({
     timeoutSeconds: 30,
     memory: '256MiB', // Or higher if needed
     minInstances: 1 // <--- Consider adding this if frontend feels slow
-}, async (data) => {
-    // ... function body ...exports.getNFLOdds = onCall(async (data) => { // `context` is available on the `data` object if needed: `data.auth`, etc.
-    // Ensure API key is available
-    if (!ODDS_API_KEY) {
-        logger.error("Odds API Key not configured.");
-        throw new HttpsError('internal', 'API key missing.');
-    }
-
+}, async (request) => {
+    // v2 callables receive a request object: the client's payload is `request.data`, auth is `request.auth`.
     // IMPORTANT: Replace "default-app-id" with your actual Firebase project ID
-    const appId = data.appId || "idas-72b3f"; // <-- CHANGE THIS TO YOUR PROJECT ID
+    const appId = request.data?.appId || "idas-72b3f"; // <-- CHANGE THIS TO YOUR PROJECT ID
 
-    const weekInfo = getCurrentNFLWeekInfo();
-    const weekDocRef = db.collection(`artifacts/${appId}/nflWeeks`).doc(weekInfo.weekId);
+    const week = getCurrentWeek();
+    const weekDocRef = db.collection(`artifacts/${appId}/nflWeeks`).doc(week.weekId);
 
     try {
-        // Fetch upcoming NFL odds
-        const oddsResponse = await axios.get(
-            `${ODDS_API_BASE_URL}/sports/${NFL_SPORT_KEY}/odds`, {
-                params: {
-                    apiKey: ODDS_API_KEY,
-                    regions: REGIONS,
-                    markets: MARKETS,
-                    oddsFormat: 'american'
-                }
-            }
-        );
-
-        const games = oddsResponse.data.map(event => {
-            const moneylineOdds = {};
-            if (event.bookmakers && event.bookmakers.length > 0) {
-                const firstBookmaker = event.bookmakers[0];
-                const h2hMarket = firstBookmaker.markets.find(m => m.key === 'h2h');
-                if (h2hMarket) {
-                    h2hMarket.outcomes.forEach(outcome => {
-                        moneylineOdds[outcome.name] = outcome.price;
-                    });
-                }
+        // Fetch upcoming NFL odds from the configured provider
+        const provider = getOddsProvider();
+        const oddsEvents = await provider.fetchOdds();
+        await recordProviderQuota(db, { appId, provider });
+        const existingWeekSnap = await weekDocRef.get();
+        const existingWeek = existingWeekSnap.exists ? existingWeekSnap.data() : {};
+        const existingGames = existingWeek.games || [];
+        const games = oddsEvents.map(oddsEvent => {
+            const game = buildGameFromOddsEvent(oddsEvent);
+            // Refetching must not reset the opening line of a game that is already on the slate,
+            // nor its result or anything an admin changed (kickoff, score, void status).
+            const existingGame = existingGames.find(g => g.id === game.id);
+            if (existingGame?.openingOdds) game.openingOdds = existingGame.openingOdds;
+            if (existingGame) {
+                ['score', 'completed', 'status', 'scoreCorrections', 'scoreOverride', 'postponedTo', 'kickoffOverride']
+                    .filter(field => existingGame[field] !== undefined)
+                    .forEach(field => { game[field] = existingGame[field]; });
+                if (existingGame.kickoffOverride) game.commenceTime = existingGame.commenceTime;
             }
-
-            return {
-                id: event.id,
-                homeTeam: event.home_team,
-                awayTeam: event.away_team,
-                commenceTime: event.commence_time,
-                odds: { moneyline: moneylineOdds },
-                score: { home: null, away: null },
-                completed: false
-            };
+            return game;
         });
 
-        const sortedGames = [...games].sort((a, b) => new Date(a.commenceTime) - new Date(b.commenceTime));
-        // FIX: Ensure sortedGames is not empty before accessing its last element
-        weekInfo.tieBreakerGameId = sortedGames.length > 0 ? sortedGames[sortedGames.length - 1].id : null;
+        // The API lists every upcoming game; keep only this week's slate.
+        // The window, reveal time and tie-breaker are derived from that slate; a tie-breaker already
+        // chosen (or set by an admin) is kept.
+        const slate = getWeekSlate(week, games);
+        const weekInfo = buildWeekInfo(week, slate);
+        if (slate.some(g => g.id === existingWeek.tieBreakerGameId)) {
+            weekInfo.tieBreakerGameId = existingWeek.tieBreakerGameId;
+        }
 
         await weekDocRef.set({
             ...weekInfo,
-            games: games,
-            actualTieBreakerTotalPoints: null,
+            picksRevealAt: toTimestamp(weekInfo.picksRevealTime),
+            games: slate,
+            actualTieBreakerTotalPoints: existingWeek.actualTieBreakerTotalPoints !== undefined ? existingWeek.actualTieBreakerTotalPoints : null,
             lastUpdated: admin.firestore.FieldValue.serverTimestamp()
         }, { merge: true });
+        await recordLineMovement(db, weekDocRef, existingGames, slate);
 
         logger.info(`Successfully fetched and updated NFL odds for ${weekInfo.weekId}.`);
-        return { success: true, message: `NFL Week ${weekInfo.weekId} games updated.`, games: games };
+        return { success: true, message: `NFL ${weekInfo.label} games updated.`, games: slate };
 
     } catch (error) {
-        logger.error("Error in getNFLOdds Cloud Function:", error.message, error.response?.data);
+        logger.error("Error in getNFLOdds Cloud Function:", error.message);
         throw new HttpsError('internal', 'Failed to fetch odds.', error.message);
     }
 });
 
+// --- HTTPS Callable Function: submitPicks ---
+// The only way to enter a weekly contest. Validates the picks against the week's games, checks the
+// betting window and entry cap, debits the entry fee and writes the entry in a single transaction.
+// Passing an `entryId` amends that entry instead: picks for games that haven't kicked off can change for free.
+exports.submitPicks = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to submit picks.');
+    }
+
+    const { appId = "idas-72b3f", weekId, entryId, picks, tier, tieBreakerPoints } = request.data || {};
+    if (!weekId) {
+        throw new HttpsError('invalid-argument', 'weekId is required.');
+    }
+
+    try {
+        const result = await submitEntry(db, {
+            appId,
+            userId: request.auth.uid,
+            weekId,
+            picks,
+            tier: Number(tier),
+            tieBreakerPoints,
+            entryId: entryId || null
+        });
+        logger.info(`User ${request.auth.uid} ${entryId ? 'amended' : 'submitted'} ${result.entryId} for ${weekId}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in submitPicks Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to submit picks.');
+    }
+});
+
+// --- HTTPS Callable Function: claimDailyBonus ---
+// One claim per calendar day in the user's time zone (sent by the client). Consecutive days grow the reward.
+exports.claimDailyBonus = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to claim the daily bonus.');
+    }
+
+    const { appId = "idas-72b3f", timeZone } = request.data || {};
+
+    try {
+        const result = await claimDailyBonus(db, { appId, userId: request.auth.uid, timeZone });
+        logger.info(`User ${request.auth.uid} claimed the daily bonus: ${result.reward} Points (day ${result.streak}).`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in claimDailyBonus Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to claim the daily bonus.');
+    }
+});
+
+// --- HTTPS Callable Function: buyLotteryTickets ---
+// Debits Predictor Points and issues consecutively numbered tickets in the current daily draw.
+exports.buyLotteryTickets = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to buy lottery tickets.');
+    }
+
+    const { appId = "idas-72b3f", quantity } = request.data || {};
+
+    try {
+        const result = await buyTickets(db, { appId, userId: request.auth.uid, quantity: Number(quantity) });
+        logger.info(`User ${request.auth.uid} bought tickets ${result.firstTicket}-${result.lastTicket} in ${result.drawId}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in buyLotteryTickets Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to buy lottery tickets.');
+    }
+});
+
+// --- HTTPS Callable Function: requestRedemption ---
+// Puts the requested Winner Bucks on hold and queues the redemption for admin review.
+exports.requestRedemption = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to redeem Winner Bucks.');
+    }
+
+    const { appId = "idas-72b3f", amount, payoutMethod } = request.data || {};
+
+    try {
+        const result = await requestRedemption(db, { appId, userId: request.auth.uid, amount: Number(amount), payoutMethod });
+        logger.info(`User ${request.auth.uid} requested redemption ${result.redemptionId} of ${amount} Winner Bucks.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in requestRedemption Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to request the redemption.');
+    }
+});
+
+// --- HTTPS Callable Function: reviewRedemption (admin only) ---
+// Approving sends the payout through the configured payout provider; rejecting returns the held funds.
+exports.reviewRedemption = onCall(async (request) => {
+    assertAdmin(request);
+
+    const { appId = "idas-72b3f", redemptionId, decision, reason } = request.data || {};
+    if (!redemptionId) {
+        throw new HttpsError('invalid-argument', 'redemptionId is required.');
+    }
+
+    try {
+        const result = await reviewRedemption(db, { appId, redemptionId, decision, reviewerId: request.auth.uid, reason: reason || null });
+        logger.info(`Admin ${request.auth.uid} reviewed redemption ${redemptionId}: ${result.status}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in reviewRedemption Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to review the redemption.');
+    }
+});
+
+// --- HTTPS Callable Function: adminUpdateGame (admin only) ---
+// Moves a game's kickoff; every admin action is recorded in the admin audit log.
+exports.adminUpdateGame = onCall(async (request) => {
+    assertAdmin(request);
+
+    const { appId = "idas-72b3f", weekId, gameId, commenceTime } = request.data || {};
+    if (!weekId || !gameId) {
+        throw new HttpsError('invalid-argument', 'weekId and gameId are required.');
+    }
+
+    try {
+        const game = await updateGameSchedule(db, { appId, adminId: request.auth.uid, weekId, gameId, commenceTime });
+        logger.info(`Admin ${request.auth.uid} moved game ${gameId} of ${weekId} to ${game.commenceTime}.`);
+        return { success: true, game };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in adminUpdateGame Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to update the game.');
+    }
+});
+
+// --- HTTPS Callable Function: adminOverrideScore (admin only) ---
+// Sets a game's final score by hand; the sync stops overwriting it and settlement re-grades its picks.
+exports.adminOverrideScore = onCall(async (request) => {
+    assertAdmin(request);
+
+    const { appId = "idas-72b3f", weekId, gameId, home, away } = request.data || {};
+    if (!weekId || !gameId) {
+        throw new HttpsError('invalid-argument', 'weekId and gameId are required.');
+    }
+
+    try {
+        const game = await overrideGameScore(db, { appId, adminId: request.auth.uid, weekId, gameId, score: { home, away } });
+        logger.info(`Admin ${request.auth.uid} set the score of game ${gameId} of ${weekId} to ${home}-${away}.`);
+        return { success: true, game };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in adminOverrideScore Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to override the score.');
+    }
+});
+
+// --- HTTPS Callable Function: adminVoidGame (admin only) ---
+// Marks a game postponed or cancelled; its picks are refunded by the next settlement pass.
+exports.adminVoidGame = onCall(async (request) => {
+    assertAdmin(request);
+
+    const { appId = "idas-72b3f", weekId, gameId, status, reason } = request.data || {};
+    if (!weekId || !gameId) {
+        throw new HttpsError('invalid-argument', 'weekId and gameId are required.');
+    }
+
+    try {
+        const game = await voidGame(db, { appId, adminId: request.auth.uid, weekId, gameId, status, reason: reason || null });
+        logger.info(`Admin ${request.auth.uid} voided game ${gameId} of ${weekId} as ${status}.`);
+        return { success: true, game };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in adminVoidGame Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to void the game.');
+    }
+});
+
+// --- HTTPS Callable Function: adminSetTieBreaker (admin only) ---
+// Makes another game of the week the tie-breaker.
+exports.adminSetTieBreaker = onCall(async (request) => {
+    assertAdmin(request);
+
+    const { appId = "idas-72b3f", weekId, gameId } = request.data || {};
+    if (!weekId || !gameId) {
+        throw new HttpsError('invalid-argument', 'weekId and gameId are required.');
+    }
+
+    try {
+        const game = await setTieBreakerGame(db, { appId, adminId: request.auth.uid, weekId, gameId });
+        logger.info(`Admin ${request.auth.uid} made game ${gameId} the tie-breaker of ${weekId}.`);
+        return { success: true, game };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in adminSetTieBreaker Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to change the tie-breaker.');
+    }
+});
+
+// --- HTTPS Callable Function: adminForceSettlement (admin only) ---
+// Runs a settlement pass for a week now, even if no score changed since the last one (e.g. after the
+// tie-breaker moved, or to retry a failed pass). Entries already settled are only re-graded for corrections.
+exports.adminForceSettlement = onCall({ timeoutSeconds: 300 }, async (request) => {
+    assertAdmin(request);
+
+    const { appId = "idas-72b3f", weekId } = request.data || {};
+    if (!weekId) {
+        throw new HttpsError('invalid-argument', 'weekId is required.');
+    }
+
+    try {
+        const weekDocRef = db.collection(`artifacts/${appId}/nflWeeks`).doc(weekId);
+        const weekSnap = await weekDocRef.get();
+        if (!weekSnap.exists) {
+            throw new HttpsError('not-found', `Week ${weekId} not found.`);
+        }
+        const week = weekSnap.data();
+        const settlementId = getSettlementId(weekId, week.games || []);
+        if (!settlementId) {
+            throw new HttpsError('failed-precondition', 'No game of this week is decided yet.');
+        }
+        const correctedGameIds = week.pendingScoreCorrections || [];
+        const settlement = await runWeekSettlement(appId, weekDocRef, { settlementId, correctedGameIds });
+        const { withheld, ...counts } = settlement;
+        await recordAdminAction(db, {
+            appId,
+            action: ADMIN_ACTIONS.FORCE_SETTLEMENT,
+            adminId: request.auth.uid,
+            target: { weekId },
+            details: { settlementId, correctedGameIds, ...counts, withheld: withheld.length }
+        });
+        logger.info(`Admin ${request.auth.uid} forced settlement ${settlementId} of ${weekId}.`);
+        return { success: true, settlementId, ...counts };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in adminForceSettlement Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to settle the week.');
+    }
+});
+
+// --- HTTPS Callable Function: adminAdjustBalance (admin only) ---
+// Credits or debits a user's balance with a reason; the ledger entry is labelled "Balance adjustment".
+exports.adminAdjustBalance = onCall(async (request) => {
+    assertAdmin(request);
+
+    const { appId = "idas-72b3f", userId, username, currency, amount, reason } = request.data || {};
+
+    try {
+        const result = await adjustUserBalance(db, {
+            appId,
+            adminId: request.auth.uid,
+            target: { userId, username },
+            currency,
+            amount: Number(amount),
+            reason
+        });
+        logger.info(`Admin ${request.auth.uid} adjusted the ${currency} balance of user ${result.userId} by ${amount}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in adminAdjustBalance Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to adjust the balance.');
+    }
+});
+
+// --- HTTPS Callable Function: setAdminRole (admin only) ---
+// Grants or revokes the `admin` custom claim. The first admin has to be set with the Admin SDK
+// (`admin.auth().setCustomUserClaims(uid, { admin: true })`); after that admins manage each other here.
+exports.setAdminRole = onCall(async (request) => {
+    assertAdmin(request);
+
+    const { appId = "idas-72b3f", userId, username, isAdmin } = request.data || {};
+
+    try {
+        const result = await setAdminRole(db, admin.auth(), { appId, adminId: request.auth.uid, target: { userId, username }, isAdmin });
+        logger.info(`Admin ${request.auth.uid} ${isAdmin ? 'granted' : 'revoked'} the admin role of user ${result.userId}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in setAdminRole Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to change the admin role.');
+    }
+});
+
+// --- HTTPS Callable Function: updateEligibility ---
+// Stores the user's age attestation and state of residence in their private eligibility record.
+exports.updateEligibility = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to update your eligibility.');
+    }
+
+    const { appId = "idas-72b3f", ageAttested, state } = request.data || {};
+
+    try {
+        const result = await updateEligibility(db, { appId, userId: request.auth.uid, ageAttested, state });
+        logger.info(`User ${request.auth.uid} updated their eligibility (state ${state}).`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in updateEligibility Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to update your eligibility.');
+    }
+});
+
+// --- HTTPS Callable Function: acceptOfficialRules ---
+// Records the user's acceptance of the Official Rules version they were shown.
+exports.acceptOfficialRules = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to accept the Official Rules.');
+    }
+
+    const { appId = "idas-72b3f", version } = request.data || {};
+
+    try {
+        const result = await acceptOfficialRules(db, { appId, userId: request.auth.uid, version });
+        logger.info(`User ${request.auth.uid} accepted Official Rules ${version}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in acceptOfficialRules Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to record your acceptance.');
+    }
+});
+
+// --- HTTPS Callable Function: requestFreeEntry ---
+// The sweepstakes' Alternative Method of Entry: credits a free entry's worth of Predictor Points,
+// rate limited per user. No purchase is necessary to play for Winner Bucks.
+exports.requestFreeEntry = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to request a free entry.');
+    }
+
+    const { appId = "idas-72b3f", fullName, mailingAddress } = request.data || {};
+
+    try {
+        const result = await requestFreeEntry(db, { appId, userId: request.auth.uid, fullName, mailingAddress });
+        logger.info(`User ${request.auth.uid} received free entry ${result.freeEntryId}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in requestFreeEntry Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to request a free entry.');
+    }
+});
+
+// --- HTTPS Callable Function: reserveUsername ---
+// Changes the caller's username. Usernames are unique whatever their case, and this is the only way to
+// change one: the security rules lock `username` on the profile.
+exports.reserveUsername = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to change your username.');
+    }
+
+    const { appId = "idas-72b3f", username } = request.data || {};
+
+    try {
+        const result = await reserveUsername(db, { appId, userId: request.auth.uid, username });
+        logger.info(`User ${request.auth.uid} is now called ${result.username}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in reserveUsername Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to change your username.');
+    }
+});
+
+// --- HTTPS Callable Function: sendFriendRequest ---
+// Sends a friend request by username (or accepts the other user's pending request to the caller).
+exports.sendFriendRequest = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to add friends.');
+    }
+
+    const { appId = "idas-72b3f", username } = request.data || {};
+
+    try {
+        const result = await sendFriendRequest(db, { appId, userId: request.auth.uid, username });
+        logger.info(`User ${request.auth.uid} friendship ${result.friendshipId} is ${result.status}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in sendFriendRequest Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to send the friend request.');
+    }
+});
+
+// --- HTTPS Callable Function: acceptFriendRequest ---
+exports.acceptFriendRequest = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to accept friend requests.');
+    }
+
+    const { appId = "idas-72b3f", friendshipId } = request.data || {};
+
+    try {
+        await acceptFriendRequest(db, { appId, userId: request.auth.uid, friendshipId });
+        logger.info(`User ${request.auth.uid} accepted friend request ${friendshipId}.`);
+        return { success: true };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in acceptFriendRequest Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to accept the friend request.');
+    }
+});
+
+// --- HTTPS Callable Function: removeFriend ---
+// Removes a friend; also declines or cancels a pending request.
+exports.removeFriend = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to remove friends.');
+    }
+
+    const { appId = "idas-72b3f", friendshipId } = request.data || {};
+
+    try {
+        await removeFriend(db, { appId, userId: request.auth.uid, friendshipId });
+        logger.info(`User ${request.auth.uid} removed friendship ${friendshipId}.`);
+        return { success: true };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in removeFriend Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to remove the friend.');
+    }
+});
+
+// --- HTTPS Callable Function: createLeague ---
+// Creates a private league with the caller as commissioner and returns its invite code.
+exports.createLeague = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to create a league.');
+    }
+
+    const { appId = "idas-72b3f", name, entryTier = null, entryCap } = request.data || {};
+
+    try {
+        const result = await createLeague(db, {
+            appId, userId: request.auth.uid, name, entryTier: entryTier === null ? null : Number(entryTier), entryCap: Number(entryCap)
+        });
+        logger.info(`User ${request.auth.uid} created league ${result.leagueId}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in createLeague Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to create the league.');
+    }
+});
+
+// --- HTTPS Callable Function: joinLeague ---
+exports.joinLeague = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to join a league.');
+    }
+
+    const { appId = "idas-72b3f", inviteCode } = request.data || {};
+
+    try {
+        const result = await joinLeague(db, { appId, userId: request.auth.uid, inviteCode });
+        logger.info(`User ${request.auth.uid} joined league ${result.leagueId}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in joinLeague Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to join the league.');
+    }
+});
+
+// --- HTTPS Callable Function: leaveLeague ---
+exports.leaveLeague = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to leave a league.');
+    }
+
+    const { appId = "idas-72b3f", leagueId } = request.data || {};
+
+    try {
+        const result = await leaveLeague(db, { appId, userId: request.auth.uid, leagueId });
+        logger.info(`User ${request.auth.uid} left league ${leagueId}${result.deleted ? ' (league deleted)' : ''}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in leaveLeague Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to leave the league.');
+    }
+});
+
+// --- HTTPS Callable Function: updateLeagueSettings (commissioner only) ---
+exports.updateLeagueSettings = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to change league settings.');
+    }
+
+    const { appId = "idas-72b3f", leagueId, name, entryTier = null, entryCap } = request.data || {};
+
+    try {
+        await updateLeagueSettings(db, {
+            appId, userId: request.auth.uid, leagueId, name,
+            entryTier: entryTier === null ? null : Number(entryTier), entryCap: Number(entryCap)
+        });
+        logger.info(`Commissioner ${request.auth.uid} updated league ${leagueId}.`);
+        return { success: true };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in updateLeagueSettings Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to update the league.');
+    }
+});
+
+// --- HTTPS Callable Function: createPointsOrder ---
+// Creates a pending order for a Predictor Points package and returns the provider's checkout URL.
+// Nothing is credited here; the payment webhook credits the order once the payment succeeds.
+exports.createPointsOrder = onCall(async (request) => {
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'You must be signed in to buy Predictor Points.');
+    }
+
+    const { appId = "idas-72b3f", packageId } = request.data || {};
+
+    try {
+        const result = await createPointsOrder(db, { appId, userId: request.auth.uid, packageId });
+        logger.info(`User ${request.auth.uid} started order ${result.orderId} for package ${packageId}.`);
+        return { success: true, ...result };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in createPointsOrder Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to start checkout.');
+    }
+});
+
+// --- Helper Function: Apply a verified payment webhook event ---
+// Replayed events are reported as `duplicate` and change nothing, so a failed delivery can always be retried.
+async function applyVerifiedPaymentEvent(provider, event) {
+    const appId = event.metadata.appId || "idas-72b3f";
+    const outcome = await applyPaymentEvent(db, { appId, providerName: provider.name, event });
+    logger.info(`Payment event ${event.eventId} for order ${event.orderId}: ${outcome}.`);
+    return outcome;
+}
+
+// --- HTTPS Function: paymentWebhook ---
+// Endpoint the payment provider posts payment results to. Only a request whose signature or body doesn't
+// verify gets a 400, which providers treat as final. Anything else (a Firestore or transaction failure, a
+// missing provider configuration) gets a 500 so the provider retries the event.
+exports.paymentWebhook = onRequest(async (req, res) => {
+    if (req.method !== 'POST') {
+        res.status(405).send('Method not allowed');
+        return;
+    }
+
+    try {
+        const provider = getPaymentProvider();
+        let event;
+        try {
+            event = provider.parseWebhook({ rawBody: req.rawBody, headers: req.headers });
+        } catch (error) {
+            logger.warn("Rejected paymentWebhook request:", error.message);
+            res.status(400).send('Invalid webhook');
+            return;
+        }
+        const outcome = await applyVerifiedPaymentEvent(provider, event);
+        res.status(200).json({ received: true, outcome });
+    } catch (error) {
+        logger.error("Error in paymentWebhook:", error.message);
+        res.status(500).send('Webhook processing failed');
+    }
+});
+
+// --- HTTPS Function: fakeCheckout (emulators only) ---
+// Stand-in for a hosted payment page when PAYMENT_PROVIDER is `fake`. GET shows Pay/Decline buttons;
+// POST signs a webhook event like a real provider would and runs it through the same webhook path.
+// Only exported on the functions emulator, so it is never deployed: anyone could pay with it.
+if (isEmulated()) {
+    exports.fakeCheckout = onRequest(async (req, res) => {
+        const provider = getPaymentProvider();
+        if (provider.name !== 'fake') {
+            res.status(404).send('Not found');
+            return;
+        }
+
+        const params = { ...req.query, ...(req.body || {}) };
+        const { sessionId, orderId, amountCents, appId } = params;
+        if (!sessionId || !orderId || !amountCents) {
+            res.status(400).send('Missing checkout parameters');
+            return;
+        }
+        const escape = (value) => String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+        if (req.method === 'GET') {
+            const hidden = Object.entries({ sessionId, orderId, amountCents, appId: appId || '' })
+                .map(([name, value]) => `<input type="hidden" name="${name}" value="${escape(value)}">`).join('');
+            res.status(200).send(`<html><body style="font-family:sans-serif">
+                <h2>Fake checkout</h2><p>Order ${escape(orderId)}: $${(Number(amountCents) / 100).toFixed(2)}</p>
+                <form method="POST">${hidden}<button name="result" value="paid">Pay</button>
+                <button name="result" value="declined">Decline</button></form></body></html>`);
+            return;
+        }
+
+        try {
+            const { body, headers } = provider.buildWebhookEvent({
+                sessionId, orderId, amountCents, succeeded: params.result === 'paid',
+                metadata: appId ? { appId } : {}
+            });
+            const event = provider.parseWebhook({ rawBody: Buffer.from(body), headers });
+            const outcome = await applyVerifiedPaymentEvent(provider, event);
+            res.status(200).send(`<html><body style="font-family:sans-serif"><h2>Payment ${escape(outcome)}</h2>
+                <p>You can close this tab and return to PredictPro.</p></body></html>`);
+        } catch (error) {
+            logger.error("Error in fakeCheckout:", error.message);
+            res.status(500).send('Fake checkout failed');
+        }
+    });
+}
+
+// --- Helper Function: Run a settlement pass for a week ---
+// Grades the week's entries against its stored games; once every game is decided it also writes the final
+// leaderboard and standings and queues the league boards. The pass is recorded on the week last. Used by the scheduled
+// sync and by admins forcing a pass.
+async function runWeekSettlement(appId, weekDocRef, { settlementId, correctedGameIds }) {
+    const week = (await weekDocRef.get()).data();
+    const settlement = await settleWeekEntries(db, {
+        appId,
+        weekId: week.weekId,
+        games: week.games,
+        settlementId,
+        correctedGameIds
+    });
+    settlement.withheld.forEach(({ userId, entryId, amount, reason }) => {
+        logger.warn(`Withheld ${amount} Winner Bucks from entry ${entryId} of user ${userId}: ${reason}`);
+    });
+    logger.info(`Settlement ${settlementId} for ${week.weekId}: ${settlement.graded} entries graded, ${settlement.settled} settled, ${settlement.regraded} re-graded after score corrections, ${settlement.skipped} skipped.`);
+
+    const allGamesInWeekCompleted = week.games.every(isGameDecided);
+    if (allGamesInWeekCompleted && week.actualTieBreakerTotalPoints !== null) {
+        const leaderboardEntries = await updateWeekLeaderboard(db, {
+            appId,
+            week,
+            actualTieBreakerTotalPoints: week.actualTieBreakerTotalPoints
+        });
+        logger.info(`Leaderboard for ${week.weekId} updated with ${leaderboardEntries.length} entries and tie-breaker applied.`);
+
+        // Season and all-time standings keep each week's contribution per user; recording the week again
+        // after a score correction or an admin void replaces it.
+        const updatedStandings = await recordWeekInStandings(db, {
+            appId,
+            week,
+            leaderboardEntries,
+            actualTieBreakerTotalPoints: week.actualTieBreakerTotalPoints
+        });
+        if (updatedStandings.length > 0) {
+            logger.info(`${week.weekId} recorded in standings: ${updatedStandings.join(', ')}.`);
+        }
+        // League boards and standings grow with the number of leagues, so they are written by the
+        // recordWeekInLeagues trigger rather than in this pass.
+        await queueWeekForLeagues(db, {
+            appId,
+            week,
+            settlementId,
+            actualTieBreakerTotalPoints: week.actualTieBreakerTotalPoints
+        });
+        logger.info(`League boards for ${week.weekId} queued.`);
+    }
+
+    await weekDocRef.update({
+        settlementId: settlementId,
+        settledAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(correctedGameIds.length > 0 && {
+            pendingScoreCorrections: admin.firestore.FieldValue.arrayRemove(...correctedGameIds)
+        })
+    });
+    return settlement;
+}
+
+// --- Helper Function: Merge the provider data into a week's games ---
+// Returns the updated games, the week info (window, reveal time, tie-breaker) and the tie-breaker total.
+// Fields set by an admin (score override, kickoff override, void status, tie-breaker) are kept.
+function mergeProviderDataIntoWeek(week, weekData, { oddsEvents, scoreEvents, now }) {
+    const storedWeekGames = weekData.games || [];
+    const storedTieBreakerGameId = weekData.tieBreakerGameId;
+
+    const updatedWeekGames = storedWeekGames.map(storedGame => {
+        const game = { ...storedGame }; // Keep storedWeekGames intact: the sync compares them to detect changes
+        // Postponed and cancelled games are final states: their picks are already void.
+        // A score set by an admin is final too: the provider's score no longer applies.
+        if (isGameVoid(storedGame) || storedGame.scoreOverride) return game;
+        const liveScoreData = scoreEvents.find(s => s.id === game.id);
+        const liveOddsData = oddsEvents.find(o => o.id === game.id);
+
+        // A kickoff that moves before the game starts is a reschedule: within the week the game simply
+        // moves, out of the week it is postponed.
+        // A kickoff set by an admin is kept.
+        if (liveOddsData && liveOddsData.commenceTime !== game.commenceTime && !isGameLocked(game, now) &&
+            !game.kickoffOverride) {
+            if (getWeekSlate(week, [liveOddsData]).length > 0) {
+                game.commenceTime = liveOddsData.commenceTime;
+            } else {
+                game.status = GAME_STATUSES.POSTPONED;
+                game.postponedTo = liveOddsData.commenceTime;
+                return game;
+            }
+        }
+
+        if (liveScoreData && liveScoreData.completed) {
+            const homeScore = liveScoreData.scores?.home || 0;
+            const awayScore = liveScoreData.scores?.away || 0;
+            // A final score that changes is a correction: keep what it was corrected from.
+            if (storedGame.completed && storedGame.score &&
+                (storedGame.score.home !== homeScore || storedGame.score.away !== awayScore)) {
+                game.scoreCorrections = [
+                    ...(storedGame.scoreCorrections || []),
+                    { from: storedGame.score, to: { home: homeScore, away: awayScore }, correctedAt: new Date().toISOString() }
+                ];
+            }
+            game.score = { home: homeScore, away: awayScore };
+            game.completed = true;
+        } else if (liveScoreData && liveScoreData.scores) {
+            game.score = { home: liveScoreData.scores.home || 0, away: liveScoreData.scores.away || 0 };
+            game.completed = false;
+        }
+
+        // Only the current consensus is kept on the game; picks already carry the line they were made at,
+        // and the movement is kept in the week's lineHistory subcollection.
+        if (liveOddsData) {
+            const liveOdds = getConsensusOdds(liveOddsData);
+            game.odds = {
+                moneyline: Object.keys(liveOdds.moneyline).length > 0 ? liveOdds.moneyline : game.odds?.moneyline || {},
+                spread: liveOdds.spread || game.odds?.spread || null,
+                total: liveOdds.total || game.odds?.total || null
+            };
+            game.openingOdds = game.openingOdds || game.odds;
+            game.bookmakers = getBookmakerOdds(liveOddsData);
+        }
+        // Scheduled, live, final or tied; a game still not final a day after kickoff is delayed until its
+        // score arrives or an admin sets the score or voids it.
+        game.status = getGameStatus(game, now);
+        return game;
+    });
+
+    // Games added to the slate after the first fetch (flexed or newly scheduled) are picked up here.
+    getWeekSlate(week, oddsEvents).forEach(oddsEvent => {
+        if (!updatedWeekGames.some(g => g.id === oddsEvent.id)) {
+            updatedWeekGames.push(buildGameFromOddsEvent(oddsEvent));
+        }
+    });
+
+    // Keep the tie-breaker chosen when the week was created: entries were submitted against it.
+    // If that game is postponed or cancelled, the guesses count towards the last game still on.
+    const weekInfo = buildWeekInfo(week, updatedWeekGames);
+    const storedTieBreakerGame = updatedWeekGames.find(g => g.id === storedTieBreakerGameId);
+    if (storedTieBreakerGame && !isGameVoid(storedTieBreakerGame)) {
+        weekInfo.tieBreakerGameId = storedTieBreakerGameId;
+    } else if (storedTieBreakerGame) {
+        weekInfo.tieBreakerReassignedFrom = storedTieBreakerGameId;
+    }
+    const tieBreakerGame = updatedWeekGames.find(g => g.id === weekInfo.tieBreakerGameId);
+    const actualTieBreakerTotalPoints = tieBreakerGame && tieBreakerGame.completed
+        ? tieBreakerGame.score.home + tieBreakerGame.score.away
+        : null;
+
+    return { updatedWeekGames, weekInfo, actualTieBreakerTotalPoints };
+}
+
+// --- Helper Function: Sync one week with the provider data ---
+// Merges the fetched odds and scores into a week's games, records score corrections and line movement,
+// rebuilds the provisional leaderboard and runs a settlement pass when a game was decided or corrected.
+async function syncWeek(appId, weekDocRef, { week, oddsEvents, scoreEvents, providerName, now }) {
+    // The provider calls take a while, and an admin may have rescheduled, scored or voided a game or moved
+    // the tie-breaker in the meantime: the provider data is merged into the week as it is now, in a
+    // transaction, so nothing an admin set is overwritten.
+    // Corrected games stay pending on the week until a settlement pass has re-graded their entries.
+    const { weekData, updatedWeekGames, weekInfo, actualTieBreakerTotalPoints, scoreCorrections } =
+        await db.runTransaction(async transaction => {
+            const weekSnap = await transaction.get(weekDocRef);
+            if (!weekSnap.exists) {
+                throw new Error(`Week ${weekDocRef.id} not found.`);
+            }
+            const weekData = weekSnap.data();
+            const merged = mergeProviderDataIntoWeek(week, weekData, { oddsEvents, scoreEvents, now });
+            const scoreCorrections = getScoreCorrections(weekData.games || [], merged.updatedWeekGames);
+            transaction.update(weekDocRef, {
+                ...merged.weekInfo,
+                picksRevealAt: toTimestamp(merged.weekInfo.picksRevealTime),
+                games: merged.updatedWeekGames,
+                actualTieBreakerTotalPoints: merged.actualTieBreakerTotalPoints,
+                syncOpen: isWeekSyncOpen(merged.updatedWeekGames, now),
+                ...(scoreCorrections.length > 0 && {
+                    pendingScoreCorrections: admin.firestore.FieldValue.arrayUnion(...scoreCorrections.map(c => c.gameId))
+                }),
+                lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { weekData, ...merged, scoreCorrections };
+        });
+    const storedWeekGames = weekData.games || [];
+    scoreCorrections.forEach(({ gameId, from, to }) => {
+        logger.warn(`Score correction for game ${gameId}: ${from.home}-${from.away} is now ${to.home}-${to.away}.`);
+    });
+    if (weekInfo.tieBreakerReassignedFrom && weekInfo.tieBreakerReassignedFrom === weekData.tieBreakerGameId) {
+        const storedTieBreakerGame = updatedWeekGames.find(g => g.id === weekData.tieBreakerGameId);
+        logger.warn(`Tie-breaker game ${weekData.tieBreakerGameId} is ${storedTieBreakerGame.status}; moved to ${weekInfo.tieBreakerGameId}.`);
+    }
+    // A game still undecided once the scores feed drops it keeps its week open until an admin sets its
+    // score or voids it (see shared/gameStatuses.js).
+    updatedWeekGames.filter(game => isGamePastScoresFeed(game, now)).forEach(game => {
+        logger.warn(`Game ${game.id} of ${week.weekId} has no final score and is no longer in the scores feed; set its score (adminOverrideScore) or void it (adminVoidGame).`);
+    });
+    await recordLineMovement(db, weekDocRef, storedWeekGames, updatedWeekGames);
+    logger.info(`NFL Week data for ${weekInfo.weekId} updated from provider "${providerName}".`);
+
+    // From the first kickoff the leaderboard is provisional: rebuilt whenever a score or game status changes,
+    // until settlement writes the final board. Each rebuild only reads the entries submitted or amended since
+    // the last one and only writes the rows that changed. Picks stay hidden until the reveal time.
+    const gamesChanged = updatedWeekGames.some(game => {
+        const storedGame = storedWeekGames.find(g => g.id === game.id);
+        return !storedGame || storedGame.status !== game.status ||
+            JSON.stringify(storedGame.score || null) !== JSON.stringify(game.score || null);
+    });
+    if (gamesChanged && weekInfo.firstKickoff && now >= new Date(weekInfo.firstKickoff) && !updatedWeekGames.every(isGameDecided)) {
+        const provisionalEntries = await updateProvisionalLeaderboard(db, {
+            appId,
+            week: { ...weekInfo, games: updatedWeekGames },
+            actualTieBreakerTotalPoints,
+            now
+        });
+        logger.info(`Provisional leaderboard for ${weekInfo.weekId} updated with ${provisionalEntries.length} entries.`);
+    }
+
+    // Settlement only runs when a game went final or a final score changed since the last pass.
+    // A corrected score re-grades every entry with a pick on that game, settled or not.
+    // The settlement ID is recorded on the week once the pass (and the leaderboard) is done, so a
+    // pass that fails part way is simply run again next minute; entries it already graded skip it.
+    const settlementId = getSettlementId(weekInfo.weekId, updatedWeekGames);
+    if (!settlementId || settlementId === weekData.settlementId) {
+        return;
+    }
+
+    const correctedGameIds = [...new Set([
+        ...(weekData.pendingScoreCorrections || []),
+        ...scoreCorrections.map(c => c.gameId)
+    ])];
+    await runWeekSettlement(appId, weekDocRef, { settlementId, correctedGameIds });
+}
+
 // --- Scheduled Function: syncNflDataAndSettle ---
 // Using onSchedule for v2 scheduled functions.
+// Fires every minute, but only calls the provider when the sync plan says a call is due; every run that
+// does is recorded in the syncStatus document the app shows "last updated" from.
+// Earlier weeks keep being synced after the weekly rollover while a game is undecided or a final score
+// can still be corrected (`syncOpen` on the week), so late scores and corrections are still graded.
 exports.syncNflDataAndSettle = onSchedule({
   schedule: 'every 1 minute',
   timeoutSeconds: 300,
@@ -149,210 +1005,286 @@ exports.syncNflDataAndSettle = onSchedule({
     // IMPORTANT: Replace "default-app-id" with your actual Firebase project ID
     const appId = "idas-72b3f"; // <-- CHANGE THIS TO YOUR PROJECT ID
 
-    if (!ODDS_API_KEY) {
-        logger.error("Odds API Key not configured for scheduled function.");
-        return null; // Essential for scheduled functions to indicate completion/failure
-    }
-
-    const weekInfo = getCurrentNFLWeekInfo();
-    const weekDocRef = db.collection(`artifacts/${appId}/nflWeeks`).doc(weekInfo.weekId);
+    const week = getCurrentWeek();
+    const weeksRef = db.collection(`artifacts/${appId}/nflWeeks`);
 
     try {
-        const weekDocSnap = await weekDocRef.get(); // <-- FIXED
+        const [weekDocSnap, openWeeksSnap] = await Promise.all([
+            weeksRef.doc(week.weekId).get(),
+            weeksRef.where('syncOpen', '==', true).get()
+        ]);
         if (!weekDocSnap.exists) {
-            logger.info(`No week data found for ${weekInfo.weekId}. Skipping sync/settle for now. Frontend should call getNFLOdds first.`);
+            logger.info(`No week data found for ${week.weekId}. Frontend should call getNFLOdds first.`);
+        }
+        const weekSnaps = [weekDocSnap, ...openWeeksSnap.docs.filter(doc => doc.id !== week.weekId)]
+            .filter(snap => snap.exists);
+        if (weekSnaps.length === 0) {
             return null;
         }
-        let currentWeekFirestoreData = weekDocSnap.data();
-        let currentWeekGames = currentWeekFirestoreData.games || [];
-        let actualTieBreakerTotalPoints = currentWeekFirestoreData.actualTieBreakerTotalPoints || null;
-        let currentWeekTieBreakerGameId = currentWeekFirestoreData.tieBreakerGameId;
-
-        const [oddsResponse, scoresResponse] = await Promise.all([
-            axios.get(`${ODDS_API_BASE_URL}/sports/${NFL_SPORT_KEY}/odds`, {
-                params: { apiKey: ODDS_API_KEY, regions: REGIONS, markets: MARKETS, oddsFormat: 'american' }
-            }),
-            axios.get(`${ODDS_API_BASE_URL}/sports/${NFL_SPORT_KEY}/scores`, {
-                params: { apiKey: ODDS_API_KEY, daysFrom: 3 }
-            })
-        ]);
 
-        const apiOddsData = oddsResponse.data;
-        const apiScoresData = scoresResponse.data;
-
-        const updatedWeekGames = currentWeekGames.map(game => {
-            const liveScoreData = apiScoresData.find(s => s.id === game.id);
-            const liveOddsData = apiOddsData.find(o => o.id === game.id);
-
-            if (liveScoreData && liveScoreData.completed) {
-                const homeScore = parseInt(liveScoreData.scores.find(s => s.name === game.homeTeam)?.score || 0);
-                const awayScore = parseInt(liveScoreData.scores.find(s => s.name === game.awayTeam)?.score || 0);
-                game.score = { home: homeScore, away: awayScore };
-                game.completed = true;
-
-                if (game.id === currentWeekTieBreakerGameId && actualTieBreakerTotalPoints === null) {
-                    actualTieBreakerTotalPoints = homeScore + awayScore;
-                }
-            } else if (liveScoreData && liveScoreData.scores) {
-                const homeScore = parseInt(liveScoreData.scores.find(s => s.name === game.homeTeam)?.score || 0);
-                const awayScore = parseInt(liveScoreData.scores.find(s => s.name === game.awayTeam)?.score || 0);
-                game.score = { home: homeScore, away: awayScore };
-                game.completed = false;
-            }
-
-            if (liveOddsData) {
-                const h2hMarket = liveOddsData.bookmakers[0]?.markets.find(m => m.key === 'h2h');
-                if (h2hMarket) {
-                    game.odds.moneyline = h2hMarket.outcomes.reduce((acc, outcome) => ({ ...acc, [outcome.name]: outcome.price }), {});
-                }
-            }
-            return game;
+        // Every provider call costs quota: poll every minute only while games are live, less often around
+        // them, and back off further when the quota runs low (see shared/syncStatus.js). One call covers
+        // every week being synced.
+        const now = new Date();
+        const syncState = await getSyncState(db, appId);
+        const syncPlan = getSyncPlan({
+            games: weekSnaps.flatMap(snap => snap.data().games || []),
+            now,
+            lastSyncedAt: syncState.lastSyncedAt,
+            quota: syncState.quota,
+            budget: syncState.budget
         });
+        if (!syncPlan.due) {
+            return null;
+        }
+
+        const provider = getOddsProvider();
+        const [oddsEvents, scoreEvents] = await Promise.all([
+            syncPlan.fetchOdds ? provider.fetchOdds() : [],
+            syncPlan.fetchScores ? provider.fetchScores({ daysFrom: SCORES_DAYS_FROM }) : []
+        ]);
+        await recordSyncRun(db, { appId, plan: syncPlan, budget: syncState.budget, provider, now });
+        if (syncPlan.quotaLevel !== QUOTA_LEVELS.OK) {
+            const quota = provider.getQuota();
+            logger.warn(`Odds API quota is ${syncPlan.quotaLevel} (${quota ? quota.remaining : 'unknown'} requests left); syncing every ${syncPlan.intervalMinutes} minutes.`);
+        }
 
-        apiOddsData.forEach(apiGame => {
-            if (!updatedWeekGames.some(g => g.id === apiGame.id)) {
-                updatedWeekGames.push({
-                    id: apiGame.id,
-                    homeTeam: apiGame.home_team,
-                    awayTeam: apiGame.away_team,
-                    commenceTime: apiGame.commence_time,
-                    odds: apiGame.bookmakers[0]?.markets.find(m => m.key === 'h2h')?.outcomes.reduce(
-                        (acc, outcome) => ({ ...acc, [outcome.name]: outcome.price }), {}
-                    ) || {},
-                    score: { home: null, away: null },
-                    completed: false
+        // A week that fails is retried on the next run without holding up the others.
+        for (const weekSnap of weekSnaps) {
+            try {
+                await syncWeek(appId, weekSnap.ref, {
+                    week: weekSnap.id === week.weekId ? week : getWeekById(weekSnap.id),
+                    oddsEvents,
+                    scoreEvents,
+                    providerName: provider.name,
+                    now
+                });
+            } catch (error) {
+                logger.error(`Error syncing ${weekSnap.id}:`, error.message);
+                await recordSyncError(db, { appId, message: `${weekSnap.id}: ${error.message}` }).catch(recordError => {
+                    logger.error("Error recording sync status:", recordError.message);
                 });
             }
-        });
+        }
 
-        await weekDocRef.update({
-            ...weekInfo,
-            games: updatedWeekGames,
-            actualTieBreakerTotalPoints: actualTieBreakerTotalPoints,
-            lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+    } catch (error) {
+        logger.error("Error in syncNflDataAndSettle scheduled function:", error.message);
+        await recordSyncError(db, { appId, message: error.message }).catch(recordError => {
+            logger.error("Error recording sync status:", recordError.message);
         });
-        logger.info(`NFL Week data for ${weekInfo.weekId} updated from API.`);
-
-        const usersSnapshot = await db.collection(`artifacts/${appId}/users`).get();
-        const payoutMultiplier = { 25: 0.1, 50: 0.12, 100: 0.15 };
-        const userProfileUpdatesBatch = db.batch();
-        const userPredictionUpdatesBatch = db.batch();
-
-        for (const userDoc of usersSnapshot.docs) {
-            const userId = userDoc.id;
-            const userProfileRef = db.collection(`artifacts/${appId}/users/${userId}/profile`).doc('data');
-            const userPredictionsRef = db.collection(`artifacts/${appId}/users/${userId}/predictions`).doc(weekInfo.weekId);
-            const userPredictionsSnap = await userPredictionsRef.get();
-
-            if (userPredictionsSnap.exists && !userPredictionsSnap.data().isSettled) {
-                const predictionData = userPredictionsSnap.data();
-                let totalCorrectPicks = 0;
-                let totalWinnerBucksWonForThisEntry = 0;
-                const updatedPicks = { ...predictionData.picks };
-                let allGamesInThisSubmissionCompleted = true;
-
-                for (const gameId in updatedPicks) {
-                    const userPick = updatedPicks[gameId];
-                    const gameFromFirestore = updatedWeekGames.find(g => g.id === gameId);
-
-                    if (gameFromFirestore && gameFromFirestore.completed) {
-                        if (userPick.outcome === 'pending') {
-                            const homeScore = parseInt(gameFromFirestore.score.home);
-                            const awayScore = parseInt(gameFromFirestore.score.away);
-
-                            let winner = null;
-                            if (homeScore > awayScore) winner = gameFromFirestore.homeTeam;
-                            else if (awayScore > homeScore) winner = gameFromFirestore.awayTeam;
-
-                            updatedPicks[gameId].outcome =
-                                winner && userPick.pick === winner ? 'win' :
-                                winner ? 'loss' : 'pending';
-
-                            updatedPicks[gameId].winnings =
-                                updatedPicks[gameId].outcome === 'win' ? userPick.tier * payoutMultiplier[userPick.tier] : 0;
-
-                            if (updatedPicks[gameId].outcome === 'win') {
-                                totalCorrectPicks++;
-                                totalWinnerBucksWonForThisEntry += updatedPicks[gameId].winnings;
-                            }
-                        } else if (userPick.outcome === 'win') {
-                            totalCorrectPicks++;
-                            totalWinnerBucksWonForThisEntry += userPick.winnings;
-                        }
-                    } else {
-                        allGamesInThisSubmissionCompleted = false;
-                    }
-                }
-
-                const predictionUpdates = {
-                    picks: updatedPicks,
-                    totalCorrectPicks: totalCorrectPicks,
-                    totalWinnerBucksWon: totalWinnerBucksWonForThisEntry,
-                    isSettled: allGamesInThisSubmissionCompleted
-                };
-                userPredictionUpdatesBatch.update(userPredictionsRef, predictionUpdates);
-
-                if (allGamesInThisSubmissionCompleted && totalWinnerBucksWonForThisEntry > (predictionData.totalWinnerBucksWon || 0)) {
-                    const netWinnings = totalWinnerBucksWonForThisEntry - (predictionData.totalWinnerBucksWon || 0);
-                    userProfileUpdatesBatch.update(userProfileRef, {
-                        winnerBucks: admin.firestore.FieldValue.increment(netWinnings)
-                    });
-                }
-            }
+        if (error.response) {
+            logger.error("Provider Response Data:", error.response.data);
+            logger.error("Provider Response Status:", error.response.status);
         }
+    }
+    return null;
+});
 
-        await userPredictionUpdatesBatch.commit();
-        await userProfileUpdatesBatch.commit();
-        logger.info(`User predictions for ${weekInfo.weekId} processed and settled.`);
-
-        const updatedWeekData = (await weekDocRef.get()).data();
-        const allGamesInWeekCompleted = updatedWeekData.games.every(game => game.completed);
-
-        if (allGamesInWeekCompleted && updatedWeekData.actualTieBreakerTotalPoints !== null) {
-            const leaderboardEntries = [];
-            const allUserPicksSnap = await db.collection(`artifacts/${appId}/users`).get();
-
-            for (const userDoc of allUserPicksSnap.docs) {
-                const userId = userDoc.id;
-                const profileData = (userDoc.data().profile?.data || {});
-                const predictionsData = userDoc.data().predictions?.[weekInfo.weekId] || null;
-
-                if (predictionsData && predictionsData.isSettled) {
-                    leaderboardEntries.push({
-                        id: userId,
-                        username: profileData.username || `User_${userId.substring(0, 4)}`,
-                        totalCorrectPicks: predictionsData.totalCorrectPicks,
-                        totalWinnerBucksWon: predictionsData.totalWinnerBucksWon,
-                        tieBreakerPoints: predictionsData.tieBreakerPoints
-                    });
-                }
-            }
+// --- Firestore Trigger: recordOpeningBalances ---
+// New profiles are created by the client with the starting balances (enforced by the security rules).
+// Recording them as the first ledger entries keeps every profile reconcilable against its ledger.
+exports.recordOpeningBalances = onDocumentCreated('artifacts/{appId}/users/{userId}/profile/data', async (event) => {
+    const { appId, userId } = event.params;
+    await recordOpeningBalances(db, { appId, userId, profile: event.data.data() });
+    logger.info(`Opening balances recorded in the ledger for user ${userId}.`);
+});
 
-            leaderboardEntries.sort((a, b) => {
-                if (b.totalCorrectPicks !== a.totalCorrectPicks) return b.totalCorrectPicks - a.totalCorrectPicks;
-                if (b.totalWinnerBucksWon !== a.totalWinnerBucksWon) return b.totalWinnerBucksWon - a.totalWinnerBucksWon;
+// --- Firestore Trigger: recordWeekInLeagues ---
+// Writes a settled week's league boards and standings one page of leagues per run, outside the scheduled
+// sync. Each page moves the queue document's cursor, which triggers the next page; pages are safe to
+// repeat, so failed runs are retried.
+exports.recordWeekInLeagues = onDocumentWritten({
+    document: 'artifacts/{appId}/leagueWeekUpdates/{weekId}',
+    retry: true
+}, async (event) => {
+    const { appId, weekId } = event.params;
+    if (!event.data.after.exists || event.data.after.data().done) return;
 
-                const actualTotal = updatedWeekData.actualTieBreakerTotalPoints;
-                const diffA = Math.abs(a.tieBreakerPoints - actualTotal);
-                const diffB = Math.abs(b.tieBreakerPoints - actualTotal);
-                return diffA - diffB;
-            });
+    const result = await recordWeekInLeaguePage(db, { appId, weekId });
+    if (result) {
+        logger.info(`League boards for ${weekId} updated for ${result.leagueCount} leagues${result.done ? '; every league is done' : ''}.`);
+    }
+});
 
-            await db.collection(`artifacts/${appId}/leaderboards`).doc(weekInfo.weekId).set({
-                weekId: weekInfo.weekId,
-                entries: leaderboardEntries,
-                actualTieBreakerTotalPoints: actualTieBreakerTotalPoints,
-                lastUpdated: admin.firestore.FieldValue.serverTimestamp()
+// --- Firestore Trigger: reserveDefaultUsername ---
+// New profiles are created by the client with the default username; reserving it makes it unique and
+// findable. If another user already has it, the new user gets a longer default.
+exports.reserveDefaultUsername = onDocumentCreated('artifacts/{appId}/users/{userId}/profile/data', async (event) => {
+    const { appId, userId } = event.params;
+    const username = await reserveDefaultUsername(db, { appId, userId });
+    logger.info(`Default username ${username} reserved for user ${userId}.`);
+});
+
+// --- Firestore Trigger: awardSubmittedEntryXp ---
+// Achievement engine: every new entry is an "entry submitted" event.
+exports.awardSubmittedEntryXp = onDocumentCreated('artifacts/{appId}/users/{userId}/predictions/{weekId}/entries/{entryId}', async (event) => {
+    const { appId, userId, weekId, entryId } = event.params;
+    const result = await recordAchievementEvents(db, {
+        appId,
+        userId,
+        eventId: `${ACHIEVEMENT_EVENTS.ENTRY_SUBMITTED}-${weekId}-${entryId}`,
+        events: [{ type: ACHIEVEMENT_EVENTS.ENTRY_SUBMITTED }]
+    });
+    if (result) logger.info(`User ${userId} earned ${result.xp} XP for entering ${weekId}.`, result);
+});
+
+// --- Firestore Trigger: awardSettledEntryXp ---
+// Achievement engine: when settlement marks an entry settled, its graded picks become pick, streak,
+// underdog and perfect week events.
+exports.awardSettledEntryXp = onDocumentUpdated('artifacts/{appId}/users/{userId}/predictions/{weekId}/entries/{entryId}', async (event) => {
+    const { appId, userId, weekId, entryId } = event.params;
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.isSettled || !after.isSettled) return;
+
+    const result = await recordAchievementEvents(db, {
+        appId,
+        userId,
+        eventId: `entry_settled-${weekId}-${entryId}`,
+        events: await getEntryEvents(db, { appId, weekId, entry: after })
+    });
+    if (result) logger.info(`User ${userId} earned ${result.xp} XP for entry ${entryId} of ${weekId}.`, result);
+});
+
+// --- Firestore Trigger: awardLedgerXp ---
+// Achievement engine: daily bonus claims and lottery wins are read from the ledger, which records both.
+exports.awardLedgerXp = onDocumentCreated('artifacts/{appId}/users/{userId}/ledger/{transactionId}', async (event) => {
+    const { appId, userId, transactionId } = event.params;
+    const result = await recordAchievementEvents(db, {
+        appId,
+        userId,
+        eventId: `ledger-${transactionId}`,
+        events: getLedgerEvents(event.data.data())
+    });
+    if (result) logger.info(`User ${userId} earned ${result.xp} XP for ledger entry ${transactionId}.`, result);
+});
+
+// --- Scheduled Function: reconcileLedgers ---
+// Flags every profile whose balances don't match the sum of its ledger in ledgerReconciliation/{userId}.
+// Flags are cleared once a profile reconciles again.
+exports.reconcileLedgers = onSchedule({
+    schedule: 'every day 04:00',
+    timeoutSeconds: 540,
+    memory: '512MiB'
+}, async (event) => {
+    // IMPORTANT: Replace "default-app-id" with your actual Firebase project ID
+    const appId = "idas-72b3f"; // <-- CHANGE THIS TO YOUR PROJECT ID
+
+    const flagsRef = db.collection(`artifacts/${appId}/ledgerReconciliation`);
+    // Only the profile paths are listed here; each profile is read again with its ledger.
+    const profilesSnap = await db.collectionGroup('profile').select().get();
+    let checked = 0;
+    let mismatched = 0;
+
+    for (const profileDoc of profilesSnap.docs) {
+        // collectionGroup spans every app; only reconcile this app's users/{userId}/profile/data documents.
+        const userRef = profileDoc.ref.parent.parent;
+        if (profileDoc.id !== 'data' || userRef.parent.path !== `artifacts/${appId}/users`) continue;
+
+        const userId = userRef.id;
+        const mismatches = await reconcileUserLedger(db, { appId, userId });
+        if (mismatches === null) continue; // Deleted since it was listed
+        checked++;
+        if (mismatches.length > 0) {
+            mismatched++;
+            logger.warn(`Ledger mismatch for user ${userId}:`, mismatches);
+            await flagsRef.doc(userId).set({
+                userId,
+                mismatches,
+                checkedAt: admin.firestore.FieldValue.serverTimestamp()
             });
-            logger.info(`Leaderboard for ${weekInfo.weekId} updated and tie-breaker applied.`);
+        } else {
+            await flagsRef.doc(userId).delete();
         }
+    }
 
-    } catch (error) {
-        logger.error("Error in syncNflDataAndSettle scheduled function:", error.message);
-        if (error.response) {
-            logger.error("API Response Data:", error.response.data);
-            logger.error("API Response Status:", error.response.status);
+    logger.info(`Ledger reconciliation checked ${checked} profiles, ${mismatched} mismatched.`);
+    return null;
+});
+
+// --- HTTPS Callable Function: backfillOpeningBalances (admin only) ---
+// One-off migration for profiles created before the ledger existed: records the part of each balance the
+// ledger doesn't account for as an opening entry, so reconcileLedgers stops flagging them. Safe to run again;
+// profiles that already have opening entries are skipped.
+exports.backfillOpeningBalances = onCall({ timeoutSeconds: 540, memory: '512MiB' }, async (request) => {
+    assertAdmin(request);
+
+    const { appId = "idas-72b3f" } = request.data || {};
+
+    try {
+        const profilesSnap = await db.collectionGroup('profile').get();
+        let checked = 0;
+        let backfilled = 0;
+
+        for (const profileDoc of profilesSnap.docs) {
+            // collectionGroup spans every app; only backfill this app's users/{userId}/profile/data documents.
+            const userRef = profileDoc.ref.parent.parent;
+            if (profileDoc.id !== 'data' || userRef.parent.path !== `artifacts/${appId}/users`) continue;
+
+            const recorded = await backfillOpeningBalances(db, { appId, userId: userRef.id });
+            checked++;
+            if (recorded && Object.keys(recorded).length > 0) backfilled++;
         }
+
+        await recordAdminAction(db, {
+            appId,
+            action: ADMIN_ACTIONS.BACKFILL_OPENING_BALANCES,
+            adminId: request.auth.uid,
+            target: {},
+            details: { checked, backfilled }
+        });
+        logger.info(`Admin ${request.auth.uid} backfilled opening balances: ${backfilled} of ${checked} profiles.`);
+        return { success: true, checked, backfilled };
+    } catch (error) {
+        if (error instanceof HttpsError) throw error;
+        logger.error("Error in backfillOpeningBalances Cloud Function:", error.message);
+        throw new HttpsError('internal', 'Failed to backfill opening balances.');
+    }
+});
+
+// --- Scheduled Function: recoverStuckRedemptions ---
+// Finishes redemptions whose approval was interrupted mid-payout: they would otherwise stay processing
+// with the funds on hold. The payout is sent again (providers are idempotent on the redemption ID).
+exports.recoverStuckRedemptions = onSchedule({
+    schedule: 'every 15 minutes',
+    timeoutSeconds: 300
+}, async (event) => {
+    // IMPORTANT: Replace "default-app-id" with your actual Firebase project ID
+    const appId = "idas-72b3f"; // <-- CHANGE THIS TO YOUR PROJECT ID
+
+    try {
+        const results = await recoverStuckRedemptions(db, { appId });
+        results.forEach(result => {
+            logger.warn(`Recovered redemption ${result.redemptionId} left processing: now ${result.status}.`);
+        });
+    } catch (error) {
+        logger.error("Error in recoverStuckRedemptions scheduled function:", error.message);
+    }
+    return null;
+});
+
+// --- Scheduled Function: runLotteryDraws ---
+// Runs the daily draw right after ticket sales close, credits the winner and opens the next draw,
+// publishing its seed hash and beacon round before any ticket is sold. It runs a minute after the
+// hour so the draw's beacon round, produced seconds after sales close, is already public.
+exports.runLotteryDraws = onSchedule({
+    schedule: 'every day 21:01',
+    timeZone: 'UTC', // Must match LOTTERY_DRAW_HOUR_UTC in shared/lottery.js
+    timeoutSeconds: 120
+}, async (event) => {
+    // IMPORTANT: Replace "default-app-id" with your actual Firebase project ID
+    const appId = "idas-72b3f"; // <-- CHANGE THIS TO YOUR PROJECT ID
+
+    try {
+        const results = await runDueDraws(db, { appId });
+        results.forEach(result => {
+            logger.info(`Lottery ${result.drawId} drawn: ticket ${result.winningTicket}, winner ${result.winnerUserId || 'none'}.`);
+            if (result.prizeWithheldReason) {
+                logger.warn(`Lottery ${result.drawId} prize withheld from ${result.winnerUserId}: ${result.prizeWithheldReason}`);
+            }
+        });
+    } catch (error) {
+        logger.error("Error in runLotteryDraws scheduled function:", error.message);
     }
     return null;
 });
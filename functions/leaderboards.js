@@ -0,0 +1,401 @@
+// functions/leaderboards.js
+// Weekly leaderboards. A week's settled entries are read with one
+// collection-group query and their owners' usernames from the profiles, and
+// each entry becomes one ranked row: `{id, userId, entryId, entryNumber, tier,
+// username, totalCorrectPicks, totalWinnerBucksWon, tieBreakerPoints,
+// tieBreakerDistance, rank, tied, picks}`. `picks` is only filled in once the
+// week's picks are revealed. Each row is its own document at
+// `leaderboards/{weekId}/rows/{id}`, so a board can grow past Firestore's
+// document size limit; `leaderboards/{weekId}` keeps `provisional`, the
+// number of rows, whether picks are revealed and the actual tie-breaker total.
+//
+// While games are being played the same board is a provisional one
+// (`provisional: true`) built from every entry of the week, settled or not,
+// graded against the games decided so far. Its rows add `picksAlive` (picks
+// on games not yet decided), `picksWinning` (alive picks that win on the
+// current live score) and `maxPossibleCorrectPicks`. The final board replaces
+// it when the week settles.
+//
+// The provisional board is rebuilt on every live score change, so the sync's
+// warm instance keeps each week's entries, usernames and written rows between
+// rebuilds: a rebuild only reads the entries submitted or amended since the
+// last one (by their `updatedAt`) and only writes the rows that changed.
+// Everything is read again on a cold start and every
+// PROVISIONAL_RELOAD_MINUTES.
+
+const {isDeepStrictEqual} = require("util");
+const {FieldPath, FieldValue} = require("firebase-admin/firestore");
+const {commitInBatches} = require("./batches");
+const {getUserLedgerRefs} = require("./ledger");
+const {gradeEntry} = require("./settlement");
+const {PICK_OUTCOMES, gradePick, rankLeaderboardEntries} = require("./shared");
+
+const PAGE_SIZE = 500; // Entries read per query page
+const PROFILE_CHUNK_SIZE = 100; // Profiles read per getAll call
+const LEADERBOARD_ROWS_COLLECTION = "rows";
+const PROVISIONAL_RELOAD_MINUTES = 30;
+// Entries updated this close before the last read are read again, in case
+// their write had not landed yet.
+const ENTRY_READ_OVERLAP_MS = 60 * 1000;
+
+// Provisional board sources by `${appId}/${weekId}`, see the header.
+const provisionalSources = new Map();
+
+/**
+ * The part of an entry's picks shown on the leaderboard.
+ * @param {Object} picks Stored picks keyed by game ID.
+ * @return {Object} `{gameId: {gameId, market, pick, line, price, outcome}}`.
+ */
+function getLeaderboardPicks(picks) {
+  const result = {};
+  Object.entries(picks || {}).forEach(([gameId, pick]) => {
+    result[gameId] = {
+      gameId,
+      market: pick.market,
+      pick: pick.pick,
+      line: pick.line === undefined ? null : pick.line,
+      price: pick.price === undefined ? null : pick.price,
+      outcome: pick.outcome,
+    };
+  });
+  return result;
+}
+
+/**
+ * Reads the entries of a week for one app.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @param {string} weekId The week.
+ * @param {Object} [options] Options.
+ * @param {boolean} [options.settledOnly] Whether to only read settled entries.
+ * @param {string|null} [options.updatedSince] Only read entries submitted or
+ *     amended after this ISO time.
+ * @return {Promise<Array<Object>>} `{userId, entryId, entry}` per entry.
+ */
+async function getWeekEntries(db, appId, weekId, {
+  settledOnly = false, updatedSince = null,
+} = {}) {
+  const usersPath = `artifacts/${appId}/users/`;
+  let baseQuery = db.collectionGroup("entries").where("weekId", "==", weekId);
+  if (settledOnly) baseQuery = baseQuery.where("isSettled", "==", true);
+  if (updatedSince) {
+    baseQuery = baseQuery.where("updatedAt", ">", updatedSince)
+        .orderBy("updatedAt");
+  }
+  baseQuery = baseQuery.orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+  const entries = [];
+  let lastDoc = null;
+
+  for (;;) {
+    const pageSnap = await (lastDoc ?
+      baseQuery.startAfter(lastDoc) : baseQuery).get();
+    if (pageSnap.empty) break;
+    lastDoc = pageSnap.docs[pageSnap.docs.length - 1];
+
+    pageSnap.docs.forEach((entryDoc) => {
+      // collectionGroup spans every app; only rank this app's entries.
+      if (!entryDoc.ref.path.startsWith(usersPath)) return;
+      entries.push({
+        userId: entryDoc.ref.parent.parent.parent.parent.id,
+        entryId: entryDoc.id,
+        entry: entryDoc.data(),
+      });
+    });
+    if (pageSnap.size < PAGE_SIZE) break;
+  }
+  return entries;
+}
+
+/**
+ * Reads the usernames of a set of users from their profiles.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @param {Array<string>} userIds The users.
+ * @return {Promise<Object>} Usernames keyed by user ID; users without a
+ *     profile are left out.
+ */
+async function getUsernames(db, appId, userIds) {
+  const usernames = {};
+  for (let i = 0; i < userIds.length; i += PROFILE_CHUNK_SIZE) {
+    const refs = userIds.slice(i, i + PROFILE_CHUNK_SIZE)
+        .map((userId) => getUserLedgerRefs(db, appId, userId).profileRef);
+    const profileSnaps = await db.getAll(...refs);
+    profileSnaps.forEach((profileSnap) => {
+      const profile = profileSnap.exists ? profileSnap.data() : {};
+      if (profile.username) {
+        usernames[profileSnap.ref.parent.parent.id] = profile.username;
+      }
+    });
+  }
+  return usernames;
+}
+
+/**
+ * Turns an entry into an unranked leaderboard row.
+ * @param {Object} item `{userId, entryId, entry}`, see getWeekEntries.
+ * @param {Object} usernames Usernames keyed by user ID.
+ * @param {Function} buildScore Returns the row fields that score an entry
+ *     (`totalCorrectPicks`, `totalWinnerBucksWon`, `picks`, ...).
+ * @return {Object} The row.
+ */
+function buildEntryRow({userId, entryId, entry}, usernames, buildScore) {
+  // Every entry is ranked on its own, so a user with three entries gets three
+  // rows.
+  return {
+    id: `${userId}_${entryId}`,
+    userId,
+    entryId,
+    entryNumber: entry.entryNumber || 1,
+    tier: entry.tier || null, // League boards can require a tier
+    username: usernames[userId] || `User_${userId.substring(0, 4)}`,
+    tieBreakerPoints: entry.tieBreakerPoints,
+    ...buildScore(entry),
+  };
+}
+
+/**
+ * Reads a week's entries and turns each into an unranked leaderboard row.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.weekId The week.
+ * @param {boolean} params.settledOnly Whether to only read settled entries.
+ * @param {Function} params.buildScore See buildEntryRow.
+ * @return {Promise<Array<Object>>} One row per entry.
+ */
+async function buildEntryRows(db, {appId, weekId, settledOnly, buildScore}) {
+  const entries = await getWeekEntries(db, appId, weekId, {settledOnly});
+  const usernames = await getUsernames(db, appId,
+      [...new Set(entries.map(({userId}) => userId))]);
+  return entries.map((item) => buildEntryRow(item, usernames, buildScore));
+}
+
+/**
+ * Writes a board's rows, one document each: only rows that changed are
+ * written and rows no longer on the board are removed. The summary document
+ * is written last, once every row is in place.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {FirebaseFirestore.DocumentReference} boardRef The board's summary
+ *     document, e.g. `leaderboards/{weekId}`.
+ * @param {Array<Object>} rows Ranked rows, each with an `id`.
+ * @param {Object} fields Fields stored on the summary document.
+ * @param {Map<string, Object>|null} [storedRows] The rows already stored, by
+ *     ID, when the caller knows them; read from the board otherwise.
+ * @return {Promise<Map<string, Object>>} The rows now stored, by ID.
+ */
+async function writeLeaderboard(db, boardRef, rows, fields,
+    storedRows = null) {
+  const rowsRef = boardRef.collection(LEADERBOARD_ROWS_COLLECTION);
+  let stored = storedRows;
+  if (!stored) {
+    stored = new Map();
+    (await rowsRef.get()).forEach((rowDoc) => {
+      stored.set(rowDoc.id, rowDoc.data());
+    });
+  }
+  const rowIds = new Set(rows.map((row) => row.id));
+  const writes = rows
+      .filter((row) => !isDeepStrictEqual(stored.get(row.id), row))
+      .map((row) => ({ref: rowsRef.doc(row.id), data: row}))
+      .concat([...stored.keys()]
+          .filter((rowId) => !rowIds.has(rowId))
+          .map((rowId) => ({ref: rowsRef.doc(rowId), remove: true})));
+  await commitInBatches(db, writes);
+  await boardRef.set({
+    ...fields,
+    entryCount: rows.length,
+    lastUpdated: FieldValue.serverTimestamp(),
+  });
+  return new Map(rows.map((row) => [row.id, row]));
+}
+
+/**
+ * Builds a week's ranked leaderboard rows from its settled entries.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.weekId The week.
+ * @param {number|null} params.actualTieBreakerTotalPoints Actual total.
+ * @param {boolean} params.revealPicks Whether to include each entry's picks.
+ * @return {Promise<Array<Object>>} Sorted and ranked rows, one per entry.
+ */
+async function buildWeekLeaderboard(db, {
+  appId, weekId, actualTieBreakerTotalPoints, revealPicks,
+}) {
+  const rows = await buildEntryRows(db, {
+    appId,
+    weekId,
+    settledOnly: true,
+    buildScore: (entry) => ({
+      totalCorrectPicks: entry.totalCorrectPicks || 0,
+      totalWinnerBucksWon: entry.totalWinnerBucksWon || 0,
+      picks: revealPicks ? getLeaderboardPicks(entry.picks) : null,
+    }),
+  });
+  return rankLeaderboardEntries(rows, actualTieBreakerTotalPoints);
+}
+
+/**
+ * Rebuilds and writes a week's leaderboard.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {Object} params.week The week (`weekId`, `picksRevealTime`).
+ * @param {number|null} params.actualTieBreakerTotalPoints Actual total.
+ * @param {Date} [params.now] Current time, for the picks reveal.
+ * @return {Promise<Array<Object>>} The rows written.
+ */
+async function updateWeekLeaderboard(db, {
+  appId, week, actualTieBreakerTotalPoints, now = new Date(),
+}) {
+  const revealPicks = now.getTime() >= Date.parse(week.picksRevealTime);
+  const rows = await buildWeekLeaderboard(db, {
+    appId, weekId: week.weekId, actualTieBreakerTotalPoints, revealPicks,
+  });
+  const boardRef = db.collection(`artifacts/${appId}/leaderboards`)
+      .doc(week.weekId);
+  // The final board replaces the provisional one, rows and all.
+  provisionalSources.delete(`${appId}/${week.weekId}`);
+  await writeLeaderboard(db, boardRef, rows, {
+    weekId: week.weekId,
+    provisional: false,
+    picksRevealed: revealPicks,
+    actualTieBreakerTotalPoints,
+  });
+  return rows;
+}
+
+/**
+ * Scores an entry for the provisional board, graded against the games decided
+ * so far. Picks on games still to be decided are alive: the most an entry can
+ * finish with is its correct picks plus those.
+ * @param {Object} entry Entry data.
+ * @param {Array<Object>} games The week's games.
+ * @param {boolean} revealPicks Whether to include the entry's picks.
+ * @return {Object} The row fields that score the entry.
+ */
+function scoreProvisionalEntry(entry, games, revealPicks) {
+  const graded = gradeEntry(entry, games);
+  const alivePicks = Object.entries(graded.picks)
+      .filter(([, pick]) => pick.outcome === PICK_OUTCOMES.PENDING);
+  const picksAlive = alivePicks.length;
+  // Graded as if the game ended on its current score.
+  const picksWinning = alivePicks.filter(([gameId, pick]) => {
+    const game = games.find((g) => g.id === gameId);
+    return game && game.score &&
+      gradePick(pick, {...game, completed: true}) === PICK_OUTCOMES.WIN;
+  }).length;
+  return {
+    totalCorrectPicks: graded.totalCorrectPicks,
+    totalWinnerBucksWon: graded.totalWinnerBucksWon,
+    picksAlive,
+    picksWinning,
+    maxPossibleCorrectPicks: graded.totalCorrectPicks + picksAlive,
+    picks: revealPicks ? getLeaderboardPicks(graded.picks) : null,
+  };
+}
+
+/**
+ * Builds a week's provisional rows from every entry, read from Firestore.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {Object} params.week The week (`weekId`, `games`).
+ * @param {number|null} params.actualTieBreakerTotalPoints Actual total, null
+ *     until the tie-breaker game is final.
+ * @param {boolean} params.revealPicks Whether to include each entry's picks.
+ * @return {Promise<Array<Object>>} Sorted and ranked rows, one per entry.
+ */
+async function buildProvisionalLeaderboard(db, {
+  appId, week, actualTieBreakerTotalPoints, revealPicks,
+}) {
+  const rows = await buildEntryRows(db, {
+    appId,
+    weekId: week.weekId,
+    settledOnly: false,
+    buildScore: (entry) =>
+      scoreProvisionalEntry(entry, week.games, revealPicks),
+  });
+  return rankLeaderboardEntries(rows, actualTieBreakerTotalPoints);
+}
+
+/**
+ * The entries and usernames of a week's provisional board, brought up to date
+ * with the entries submitted or amended since the last call (see the header).
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @param {string} weekId The week.
+ * @return {Promise<Object>} `{entries, usernames, rows}`: entries by row ID,
+ *     usernames by user ID and the rows last written, null until known.
+ */
+async function getProvisionalSource(db, appId, weekId) {
+  const key = `${appId}/${weekId}`;
+  const readAt = Date.now();
+  let source = provisionalSources.get(key);
+  if (!source ||
+      readAt - source.loadedAt >= PROVISIONAL_RELOAD_MINUTES * 60 * 1000) {
+    source = {
+      entries: new Map(),
+      usernames: {},
+      rows: null,
+      loadedAt: readAt,
+      readAt: null,
+    };
+  }
+
+  const updatedSince = source.readAt === null ? null :
+    new Date(source.readAt - ENTRY_READ_OVERLAP_MS).toISOString();
+  const changed = await getWeekEntries(db, appId, weekId, {updatedSince});
+  changed.forEach((item) => {
+    source.entries.set(`${item.userId}_${item.entryId}`, item);
+  });
+  const newUserIds = [...new Set(changed.map(({userId}) => userId))]
+      .filter((userId) => !source.usernames[userId]);
+  Object.assign(source.usernames,
+      await getUsernames(db, appId, newUserIds));
+  source.readAt = readAt;
+  provisionalSources.set(key, source);
+  return source;
+}
+
+/**
+ * Rebuilds and writes a week's provisional leaderboard. It starts with the
+ * first kickoff; picks are left out until the week's reveal time (the last
+ * kickoff), as on the final board.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {Object} params.week The week (`weekId`, `games`,
+ *     `picksRevealTime`).
+ * @param {number|null} params.actualTieBreakerTotalPoints Actual total.
+ * @param {Date} [params.now] Current time, for the picks reveal.
+ * @return {Promise<Array<Object>>} The rows on the board.
+ */
+async function updateProvisionalLeaderboard(db, {
+  appId, week, actualTieBreakerTotalPoints, now = new Date(),
+}) {
+  const revealPicks = now.getTime() >= Date.parse(week.picksRevealTime);
+  const source = await getProvisionalSource(db, appId, week.weekId);
+  const unranked = [...source.entries.values()]
+      .map((item) => buildEntryRow(item, source.usernames, (entry) =>
+        scoreProvisionalEntry(entry, week.games, revealPicks)))
+      .sort((a, b) => (a.id < b.id ? -1 : 1));
+  const rows = rankLeaderboardEntries(unranked, actualTieBreakerTotalPoints);
+  const boardRef = db.collection(`artifacts/${appId}/leaderboards`)
+      .doc(week.weekId);
+  source.rows = await writeLeaderboard(db, boardRef, rows, {
+    weekId: week.weekId,
+    provisional: true,
+    picksRevealed: revealPicks,
+    actualTieBreakerTotalPoints,
+  }, source.rows);
+  return rows;
+}
+
+module.exports = {
+  writeLeaderboard,
+  buildWeekLeaderboard,
+  updateWeekLeaderboard,
+  buildProvisionalLeaderboard,
+  updateProvisionalLeaderboard,
+};
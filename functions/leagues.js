@@ -0,0 +1,344 @@
+// functions/leagues.js
+// Private leagues at `leagues/{leagueId}`. Membership is kept both as a
+// `members` map (name and join time for display) and a `memberIds` array, so
+// a user's leagues are a single array-contains query. When a week settles,
+// each league gets `leagues/{leagueId}/leaderboards/{weekId}` (rows under
+// `rows/{id}`, as on the global board) and its season standings, built from
+// the global weekly leaderboard. That work grows with the number of leagues,
+// so settlement only queues the week at `leagueWeekUpdates/{weekId}` and a
+// trigger records it a page of leagues at a time.
+
+const crypto = require("crypto");
+const {HttpsError} = require("firebase-functions/v2/https");
+const {FieldPath, FieldValue} = require("firebase-admin/firestore");
+const {writeLeaderboard} = require("./leaderboards");
+const {addWeekToStandingsDocs} = require("./standings");
+const {
+  INVITE_CODE_ALPHABET,
+  INVITE_CODE_LENGTH,
+  MAX_LEAGUE_MEMBERS,
+  STANDINGS_SCOPES,
+  filterLeagueEntries,
+  getSeasonStandingsId,
+  normalizeInviteCode,
+  rankLeaderboardEntries,
+  validateLeagueName,
+  validateLeagueSettings,
+} = require("./shared");
+
+const INVITE_CODE_ATTEMPTS = 5;
+const LEAGUES_PER_PAGE = 50; // Leagues recorded per trigger run
+
+/**
+ * The leagues collection of an app.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @return {FirebaseFirestore.CollectionReference} The collection.
+ */
+function getLeaguesRef(db, appId) {
+  return db.collection(`artifacts/${appId}/leagues`);
+}
+
+/**
+ * Generates a random invite code.
+ * @return {string} The code.
+ */
+function generateInviteCode() {
+  const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+  return Array.from(bytes, (byte) =>
+    INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join("");
+}
+
+/**
+ * The user's display name, from their profile.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @param {string} userId User ID.
+ * @return {Promise<string>} The username.
+ */
+async function getUsername(db, appId, userId) {
+  const profileSnap = await db
+      .doc(`artifacts/${appId}/users/${userId}/profile/data`).get();
+  const profile = profileSnap.exists ? profileSnap.data() : {};
+  return profile.username || `User_${userId.substring(0, 4)}`;
+}
+
+/**
+ * Creates a league with the caller as commissioner and only member.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.name League name.
+ * @param {number|null} params.entryTier Required entry tier, or null.
+ * @param {number} params.entryCap Entries per member per week that count.
+ * @param {Date} [params.now] Creation time.
+ * @return {Promise<Object>} `{leagueId, inviteCode}`.
+ */
+async function createLeague(db, {
+  appId, userId, name, entryTier, entryCap, now = new Date(),
+}) {
+  const settingsError = validateLeagueName(name) ||
+    validateLeagueSettings({entryTier, entryCap});
+  if (settingsError) throw new HttpsError("invalid-argument", settingsError);
+
+  const leaguesRef = getLeaguesRef(db, appId);
+  let inviteCode = null;
+  for (let attempt = 0; attempt < INVITE_CODE_ATTEMPTS && !inviteCode;
+    attempt++) {
+    const candidate = generateInviteCode();
+    const taken = await leaguesRef.where("inviteCode", "==", candidate)
+        .limit(1).get();
+    if (taken.empty) inviteCode = candidate;
+  }
+  if (!inviteCode) {
+    throw new HttpsError("unavailable",
+        "Couldn't generate an invite code. Try again.");
+  }
+
+  const leagueRef = leaguesRef.doc();
+  await leagueRef.create({
+    name: name.trim(),
+    inviteCode,
+    commissionerId: userId,
+    entryTier,
+    entryCap,
+    memberIds: [userId],
+    members: {
+      [userId]: {
+        username: await getUsername(db, appId, userId),
+        joinedAt: now.toISOString(),
+      },
+    },
+    createdAt: now.toISOString(),
+  });
+  return {leagueId: leagueRef.id, inviteCode};
+}
+
+/**
+ * Adds the caller to the league with the given invite code.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.inviteCode Invite code as typed.
+ * @param {Date} [params.now] Join time.
+ * @return {Promise<Object>} `{leagueId, name}`.
+ */
+async function joinLeague(db, {appId, userId, inviteCode, now = new Date()}) {
+  const code = normalizeInviteCode(inviteCode);
+  const matches = await getLeaguesRef(db, appId)
+      .where("inviteCode", "==", code).limit(1).get();
+  if (matches.empty) {
+    throw new HttpsError("not-found", "No league has that invite code.");
+  }
+  const leagueRef = matches.docs[0].ref;
+  const username = await getUsername(db, appId, userId);
+
+  return db.runTransaction(async (transaction) => {
+    const league = (await transaction.get(leagueRef)).data();
+    if (league.memberIds.includes(userId)) {
+      throw new HttpsError("already-exists",
+          `You're already in ${league.name}.`);
+    }
+    if (league.memberIds.length >= MAX_LEAGUE_MEMBERS) {
+      throw new HttpsError("resource-exhausted",
+          `${league.name} is full (${MAX_LEAGUE_MEMBERS} members).`);
+    }
+    transaction.update(leagueRef, {
+      memberIds: FieldValue.arrayUnion(userId),
+      [`members.${userId}`]: {username, joinedAt: now.toISOString()},
+    });
+    return {leagueId: leagueRef.id, name: league.name};
+  });
+}
+
+/**
+ * Removes the caller from a league. A leaving commissioner hands the league
+ * to the longest-standing member; the last member leaving deletes it.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.leagueId League to leave.
+ * @return {Promise<Object>} `{deleted, commissionerId}`.
+ */
+async function leaveLeague(db, {appId, userId, leagueId}) {
+  const leagueRef = getLeaguesRef(db, appId).doc(leagueId);
+
+  return db.runTransaction(async (transaction) => {
+    const leagueSnap = await transaction.get(leagueRef);
+    if (!leagueSnap.exists || !leagueSnap.data().memberIds.includes(userId)) {
+      throw new HttpsError("not-found", "You're not in that league.");
+    }
+    const league = leagueSnap.data();
+    const remainingIds = league.memberIds.filter((id) => id !== userId);
+    if (remainingIds.length === 0) {
+      // Boards under the league are left behind; nobody can read them.
+      transaction.delete(leagueRef);
+      return {deleted: true, commissionerId: null};
+    }
+
+    const commissionerId = league.commissionerId !== userId ?
+      league.commissionerId :
+      remainingIds.reduce((earliest, id) =>
+        league.members[id].joinedAt < league.members[earliest].joinedAt ?
+          id : earliest);
+    transaction.update(leagueRef, {
+      memberIds: FieldValue.arrayRemove(userId),
+      [`members.${userId}`]: FieldValue.delete(),
+      commissionerId,
+    });
+    return {deleted: false, commissionerId};
+  });
+}
+
+/**
+ * Changes a league's name, entry tier and entry cap. Commissioner only; the
+ * new settings apply to boards built from the next settled week on.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.leagueId League to change.
+ * @param {string} params.name League name.
+ * @param {number|null} params.entryTier Required entry tier, or null.
+ * @param {number} params.entryCap Entries per member per week that count.
+ * @return {Promise<void>}
+ */
+async function updateLeagueSettings(db, {
+  appId, userId, leagueId, name, entryTier, entryCap,
+}) {
+  const settingsError = validateLeagueName(name) ||
+    validateLeagueSettings({entryTier, entryCap});
+  if (settingsError) throw new HttpsError("invalid-argument", settingsError);
+
+  const leagueRef = getLeaguesRef(db, appId).doc(leagueId);
+  await db.runTransaction(async (transaction) => {
+    const leagueSnap = await transaction.get(leagueRef);
+    if (!leagueSnap.exists) {
+      throw new HttpsError("not-found", "League not found.");
+    }
+    if (leagueSnap.data().commissionerId !== userId) {
+      throw new HttpsError("permission-denied",
+          "Only the commissioner can change league settings.");
+    }
+    transaction.update(leagueRef, {name: name.trim(), entryTier, entryCap});
+  });
+}
+
+/**
+ * The document that queues a settled week for the leagues.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @param {string} weekId The week.
+ * @return {FirebaseFirestore.DocumentReference} The document.
+ */
+function getLeagueWeekUpdateRef(db, appId, weekId) {
+  return db.collection(`artifacts/${appId}/leagueWeekUpdates`).doc(weekId);
+}
+
+/**
+ * Queues a settled week for every league's board and season standings,
+ * starting again from the first league when the week was queued before
+ * (e.g. re-settled after a score correction). See recordWeekInLeaguePage.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {Object} params.week The settled week (`weekId`, `seasonYear`).
+ * @param {string} params.settlementId The settlement pass that queued it.
+ * @param {number|null} params.actualTieBreakerTotalPoints Actual total.
+ * @return {Promise<void>}
+ */
+async function queueWeekForLeagues(db, {
+  appId, week, settlementId, actualTieBreakerTotalPoints,
+}) {
+  await getLeagueWeekUpdateRef(db, appId, week.weekId).set({
+    weekId: week.weekId,
+    seasonYear: week.seasonYear,
+    settlementId,
+    actualTieBreakerTotalPoints,
+    cursor: null,
+    leaguesUpdated: 0,
+    done: false,
+    queuedAt: FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Records a queued week in the next page of leagues: each league's board,
+ * ranked among its own entries from the global weekly leaderboard, and its
+ * season standings. Then moves the queue's cursor past the page, which
+ * triggers the next one. A page that was overtaken by a newer settlement
+ * leaves the queue alone.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.weekId The queued week.
+ * @param {number} [params.pageSize] Leagues per page.
+ * @return {Promise<Object|null>} `{leagueCount, done}`, or null when the
+ *     week isn't queued or every league already has it.
+ */
+async function recordWeekInLeaguePage(db, {
+  appId, weekId, pageSize = LEAGUES_PER_PAGE,
+}) {
+  const updateRef = getLeagueWeekUpdateRef(db, appId, weekId);
+  const updateSnap = await updateRef.get();
+  if (!updateSnap.exists || updateSnap.data().done) return null;
+  const update = updateSnap.data();
+  const {seasonYear, actualTieBreakerTotalPoints} = update;
+
+  let leaguesQuery = getLeaguesRef(db, appId)
+      .orderBy(FieldPath.documentId())
+      .limit(pageSize);
+  if (update.cursor) leaguesQuery = leaguesQuery.startAfter(update.cursor);
+  const [leaguesSnap, rowsSnap] = await Promise.all([
+    leaguesQuery.get(),
+    db.collection(`artifacts/${appId}/leaderboards/${weekId}/rows`).get(),
+  ]);
+  const leaderboardEntries = rowsSnap.docs.map((rowDoc) => rowDoc.data());
+
+  for (const leagueDoc of leaguesSnap.docs) {
+    // Ranked again among the league's own entries.
+    const entries = rankLeaderboardEntries(
+        filterLeagueEntries(leaderboardEntries, leagueDoc.data()),
+        actualTieBreakerTotalPoints);
+    await writeLeaderboard(db,
+        leagueDoc.ref.collection("leaderboards").doc(weekId), entries, {
+          weekId,
+          actualTieBreakerTotalPoints,
+        });
+    await addWeekToStandingsDocs(db, [{
+      ref: leagueDoc.ref.collection("standings")
+          .doc(getSeasonStandingsId(seasonYear)),
+      fields: {scope: STANDINGS_SCOPES.SEASON, seasonYear},
+    }], {week: {weekId, seasonYear}, leaderboardEntries: entries,
+      actualTieBreakerTotalPoints});
+  }
+
+  const done = leaguesSnap.size < pageSize;
+  await db.runTransaction(async (transaction) => {
+    const current = (await transaction.get(updateRef)).data();
+    if (!current || current.settlementId !== update.settlementId ||
+        current.cursor !== update.cursor) {
+      return;
+    }
+    transaction.update(updateRef, {
+      cursor: done ? update.cursor :
+        leaguesSnap.docs[leaguesSnap.size - 1].id,
+      leaguesUpdated: update.leaguesUpdated + leaguesSnap.size,
+      done,
+      ...(done && {completedAt: FieldValue.serverTimestamp()}),
+    });
+  });
+  return {leagueCount: leaguesSnap.size, done};
+}
+
+module.exports = {
+  createLeague,
+  joinLeague,
+  leaveLeague,
+  updateLeagueSettings,
+  queueWeekForLeagues,
+  recordWeekInLeaguePage,
+};
@@ -0,0 +1,248 @@
+// functions/ledger.js
+// Append-only ledger of every Predictor Points and Winner Bucks change. Each
+// ledger document lives at `users/{userId}/ledger/{transactionId}` and records
+// the signed amount, the reason, what it refers to and the resulting balance.
+// Balances on the profile are only ever changed through `postLedgerEntries`,
+// inside the same transaction that writes the ledger documents.
+
+const {FieldValue, Timestamp} = require("firebase-admin/firestore");
+const {CURRENCIES, LEDGER_REASONS, roundCurrency} = require("./shared");
+
+/**
+ * Paths of a user's profile and ledger.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @param {string} userId User ID.
+ * @return {Object} `{profileRef, ledgerRef}`.
+ */
+function getUserLedgerRefs(db, appId, userId) {
+  const userPath = `artifacts/${appId}/users/${userId}`;
+  return {
+    profileRef: db.collection(`${userPath}/profile`).doc("data"),
+    ledgerRef: db.collection(`${userPath}/ledger`),
+  };
+}
+
+/**
+ * Applies balance changes to a profile and appends one ledger document per
+ * change. Must be called after every read of the transaction, with the profile
+ * data read in that same transaction.
+ * @param {FirebaseFirestore.Transaction} transaction The running transaction.
+ * @param {Object} params Ledger parameters.
+ * @param {FirebaseFirestore.DocumentReference} params.profileRef Profile doc.
+ * @param {FirebaseFirestore.CollectionReference} params.ledgerRef Ledger.
+ * @param {Object} params.profile Profile data read in the transaction.
+ * @param {Array<Object>} params.entries Changes as `{currency, amount, reason,
+ *     reference, id?}`; a given `id` makes the posting idempotent, since the
+ *     transaction fails if that ledger document already exists.
+ * @param {Object} [params.profileUpdates] Other profile fields to update.
+ * @return {Object} The resulting balances keyed by currency.
+ */
+function postLedgerEntries(transaction, {
+  profileRef, ledgerRef, profile, entries, profileUpdates = {},
+}) {
+  const balances = {};
+  Object.values(CURRENCIES).forEach((currency) => {
+    balances[currency] = profile[currency] || 0;
+  });
+
+  entries.forEach((entry) => {
+    if (!Object.values(CURRENCIES).includes(entry.currency)) {
+      throw new Error(`Unknown currency "${entry.currency}".`);
+    }
+    const amount = roundCurrency(entry.amount);
+    balances[entry.currency] = roundCurrency(balances[entry.currency] + amount);
+    const ledgerDoc = entry.id ? ledgerRef.doc(entry.id) : ledgerRef.doc();
+    transaction.create(ledgerDoc, {
+      currency: entry.currency,
+      amount: amount,
+      reason: entry.reason,
+      reference: entry.reference || null,
+      balanceAfter: balances[entry.currency],
+      createdAt: FieldValue.serverTimestamp(),
+    });
+  });
+
+  const touched = {};
+  entries.forEach((entry) => {
+    touched[entry.currency] = balances[entry.currency];
+  });
+  transaction.update(profileRef, {...profileUpdates, ...touched});
+  return balances;
+}
+
+/**
+ * Posts balance changes for a user in a transaction of their own.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Posting parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId User ID.
+ * @param {Array<Object>} params.entries Changes, see `postLedgerEntries`.
+ * @param {function(FirebaseFirestore.Transaction): void} [params.alsoWrite]
+ *     Extra writes committed atomically with the ledger.
+ * @return {Promise<Object>} The resulting balances keyed by currency.
+ */
+async function postToLedger(db, {appId, userId, entries, alsoWrite}) {
+  const {profileRef, ledgerRef} = getUserLedgerRefs(db, appId, userId);
+  return db.runTransaction(async (transaction) => {
+    const profileSnap = await transaction.get(profileRef);
+    if (!profileSnap.exists) {
+      throw new Error(`Profile not found for user ${userId}.`);
+    }
+    if (alsoWrite) alsoWrite(transaction);
+    return postLedgerEntries(transaction, {
+      profileRef, ledgerRef, profile: profileSnap.data(), entries,
+    });
+  });
+}
+
+/**
+ * Records the starting balances of a newly created profile. The balances are
+ * already on the profile, so nothing is credited; fixed document IDs keep a
+ * retried trigger from recording them twice.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId User ID.
+ * @param {Object} params.profile The new profile data.
+ * @return {Promise<void>}
+ */
+async function recordOpeningBalances(db, {appId, userId, profile}) {
+  const {ledgerRef} = getUserLedgerRefs(db, appId, userId);
+  const batch = db.batch();
+  Object.values(CURRENCIES).forEach((currency) => {
+    const amount = profile[currency] || 0;
+    if (amount === 0) return;
+    batch.set(ledgerRef.doc(`${LEDGER_REASONS.SIGNUP_BONUS}-${currency}`), {
+      currency: currency,
+      amount: amount,
+      reason: LEDGER_REASONS.SIGNUP_BONUS,
+      reference: {type: "profile", id: userId},
+      balanceAfter: amount,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+  });
+  await batch.commit();
+}
+
+/**
+ * Records the opening balances of a profile created before the ledger
+ * existed: the part of each balance its ledger doesn't account for. Profiles
+ * that already have opening entries (from signup or an earlier backfill) are
+ * left alone, so the backfill can be run any number of times. The entries are
+ * dated just before the profile's first ledger entry.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId User ID.
+ * @param {Date} [params.now] Used as the date when the ledger is empty.
+ * @return {Promise<Object|null>} The amounts recorded keyed by currency, or
+ *     null when the profile is missing or already has opening entries.
+ */
+async function backfillOpeningBalances(db, {appId, userId, now = new Date()}) {
+  const {profileRef, ledgerRef} = getUserLedgerRefs(db, appId, userId);
+  const openingIds = [];
+  Object.values(CURRENCIES).forEach((currency) => {
+    openingIds.push(`${LEDGER_REASONS.SIGNUP_BONUS}-${currency}`,
+        `${LEDGER_REASONS.OPENING_BALANCE}-${currency}`);
+  });
+
+  return db.runTransaction(async (transaction) => {
+    const [profileSnap, ledgerSnap] = await Promise.all([
+      transaction.get(profileRef),
+      transaction.get(ledgerRef),
+    ]);
+    const hasOpening = ledgerSnap.docs
+        .some((ledgerDoc) => openingIds.includes(ledgerDoc.id));
+    if (!profileSnap.exists || hasOpening) return null;
+
+    const profile = profileSnap.data();
+    const totals = {};
+    let firstMillis = now.getTime();
+    ledgerSnap.forEach((ledgerDoc) => {
+      const {currency, amount, createdAt} = ledgerDoc.data();
+      totals[currency] = roundCurrency((totals[currency] || 0) + amount);
+      if (createdAt) firstMillis = Math.min(firstMillis, createdAt.toMillis());
+    });
+
+    const recorded = {};
+    Object.values(CURRENCIES).forEach((currency) => {
+      const amount =
+        roundCurrency((profile[currency] || 0) - (totals[currency] || 0));
+      if (amount === 0) return;
+      recorded[currency] = amount;
+      transaction.create(
+          ledgerRef.doc(`${LEDGER_REASONS.OPENING_BALANCE}-${currency}`), {
+            currency: currency,
+            amount: amount,
+            reason: LEDGER_REASONS.OPENING_BALANCE,
+            reference: {type: "profile", id: userId},
+            balanceAfter: amount,
+            createdAt: Timestamp.fromMillis(firstMillis - 1),
+          });
+    });
+    return recorded;
+  });
+}
+
+/**
+ * Compares a profile's balances with the sum of its ledger entries.
+ * @param {Object} profile The profile data.
+ * @param {Array<Object>} ledgerEntries The user's ledger documents' data.
+ * @return {Array<Object>} One `{currency, balance, ledgerTotal}` per currency
+ *     that doesn't match; empty when the profile reconciles.
+ */
+function getLedgerMismatches(profile, ledgerEntries) {
+  const totals = {};
+  Object.values(CURRENCIES).forEach((currency) => {
+    totals[currency] = 0;
+  });
+  ledgerEntries.forEach(({currency, amount}) => {
+    if (currency in totals) {
+      totals[currency] = roundCurrency(totals[currency] + amount);
+    }
+  });
+
+  return Object.values(CURRENCIES)
+      .filter((currency) =>
+        roundCurrency(profile[currency] || 0) !== totals[currency])
+      .map((currency) => ({
+        currency,
+        balance: profile[currency] || 0,
+        ledgerTotal: totals[currency],
+      }));
+}
+
+/**
+ * Compares a user's balances with the sum of their ledger. The profile and
+ * the ledger are read in one read-only transaction, so a posting made while
+ * the check runs is never mistaken for a mismatch.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId User ID.
+ * @return {Promise<Array<Object>|null>} The mismatches, see
+ *     getLedgerMismatches; null when the user has no profile.
+ */
+async function reconcileUserLedger(db, {appId, userId}) {
+  const {profileRef, ledgerRef} = getUserLedgerRefs(db, appId, userId);
+  return db.runTransaction(async (transaction) => {
+    const [profileSnap, ledgerSnap] = await Promise.all([
+      transaction.get(profileRef),
+      transaction.get(ledgerRef),
+    ]);
+    if (!profileSnap.exists) return null;
+    return getLedgerMismatches(profileSnap.data(),
+        ledgerSnap.docs.map((ledgerDoc) => ledgerDoc.data()));
+  }, {readOnly: true});
+}
+
+module.exports = {
+  getUserLedgerRefs,
+  postLedgerEntries,
+  postToLedger,
+  recordOpeningBalances,
+  backfillOpeningBalances,
+  getLedgerMismatches,
+  reconcileUserLedger,
+};
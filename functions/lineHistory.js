@@ -0,0 +1,45 @@
+// functions/lineHistory.js
+// Line movement for a week's games. Every time a game's consensus odds change,
+// a point is appended to `nflWeeks/{weekId}/lineHistory`, so the picks screen
+// can chart opening vs current lines without the week document growing.
+
+/**
+ * Whether two consensus odds objects quote the same prices and lines.
+ * @param {Object} a Consensus odds `{moneyline, spread, total}`.
+ * @param {Object} b Consensus odds `{moneyline, spread, total}`.
+ * @return {boolean} True when nothing moved.
+ */
+function isSameOdds(a, b) {
+  return JSON.stringify(a || null) === JSON.stringify(b || null);
+}
+
+/**
+ * Appends a line-history point for every game whose consensus odds differ
+ * from the previously stored odds (or that has no previous odds).
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {FirebaseFirestore.DocumentReference} weekRef The week document.
+ * @param {Array<Object>} previousGames Games as stored before this sync.
+ * @param {Array<Object>} games Games as about to be stored.
+ * @param {Date} [recordedAt] Time of the observation.
+ * @return {Promise<number>} How many points were recorded.
+ */
+async function recordLineMovement(db, weekRef, previousGames, games,
+    recordedAt = new Date()) {
+  const batch = db.batch();
+  let recorded = 0;
+  games.forEach((game) => {
+    const previous = previousGames.find((g) => g.id === game.id);
+    if (previous && isSameOdds(previous.odds, game.odds)) return;
+    batch.set(weekRef.collection("lineHistory").doc(), {
+      gameId: game.id,
+      recordedAt: recordedAt.toISOString(),
+      odds: game.odds,
+      bookmakerCount: Object.keys(game.bookmakers || {}).length,
+    });
+    recorded++;
+  });
+  if (recorded > 0) await batch.commit();
+  return recorded;
+}
+
+module.exports = {recordLineMovement};
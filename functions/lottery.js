@@ -0,0 +1,299 @@
+// functions/lottery.js
+// Daily lottery: opening draws with a committed seed, selling tickets and
+// running draws. Draws live at `lottery/{drawId}` with ticket purchases under
+// `lottery/{drawId}/purchases`. The seed of an open draw is kept in
+// `lotterySecrets/{drawId}`, which clients can't read, and is copied onto the
+// draw when it is revealed. As with contest winnings, the prize of a winner
+// who isn't eligible for sweepstakes prizes is withheld rather than credited.
+// Each draw is also decided by a drand beacon round produced after its sales
+// close (see shared/lottery), which is fetched when the draw runs.
+
+const crypto = require("crypto");
+const {HttpsError} = require("firebase-functions/v2/https");
+const {FieldValue} = require("firebase-admin/firestore");
+const {getUserLedgerRefs, postLedgerEntries} = require("./ledger");
+const {getEligibilityRef} = require("./compliance");
+const {
+  CURRENCIES,
+  DRAW_STATUSES,
+  LEDGER_REASONS,
+  LOTTERY_TICKET_PRICE,
+  getBeaconRoundUrl,
+  getDrawBeaconRound,
+  getDrawDigestInput,
+  getDrawForDate,
+  getEligibilityIssue,
+  getLotteryPot,
+  pickWinningTicket,
+  validateTicketQuantity,
+} = require("./shared");
+
+/**
+ * SHA-256 of a string, in hex.
+ * @param {string} value The input.
+ * @return {string} The digest.
+ */
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Fetches the randomness of a drand beacon round.
+ * @param {number} round The beacon round.
+ * @return {Promise<string>} The round's randomness (hex).
+ */
+async function fetchBeaconRandomness(round) {
+  const response = await fetch(getBeaconRoundUrl(round));
+  if (!response.ok) {
+    throw new Error(`Beacon round ${round} unavailable: ${response.status}`);
+  }
+  const beacon = await response.json();
+  if (beacon.round !== round || !/^[0-9a-f]{64}$/.test(beacon.randomness)) {
+    throw new Error(`Beacon round ${round} returned an unexpected response.`);
+  }
+  return beacon.randomness;
+}
+
+/**
+ * References to a draw and its secret seed.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @param {string} drawId The draw ID.
+ * @return {Object} `{drawRef, secretRef}`.
+ */
+function getDrawRefs(db, appId, drawId) {
+  return {
+    drawRef: db.collection(`artifacts/${appId}/lottery`).doc(drawId),
+    secretRef: db.collection(`artifacts/${appId}/lotterySecrets`).doc(drawId),
+  };
+}
+
+/**
+ * Opens the draw that tickets bought at `now` go into, committing to a fresh
+ * random seed by publishing only its hash. Does nothing if it is already open.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {Date} [params.now] Current time.
+ * @return {Promise<string>} The draw ID.
+ */
+async function openDraw(db, {appId, now = new Date()}) {
+  const {drawId, drawAt} = getDrawForDate(now);
+  const {drawRef, secretRef} = getDrawRefs(db, appId, drawId);
+  const seed = crypto.randomBytes(32).toString("hex");
+
+  await db.runTransaction(async (transaction) => {
+    const drawSnap = await transaction.get(drawRef);
+    if (drawSnap.exists) return;
+    transaction.create(secretRef, {seed});
+    transaction.create(drawRef, {
+      drawId,
+      drawAt,
+      status: DRAW_STATUSES.OPEN,
+      seedHash: sha256(seed),
+      beaconRound: getDrawBeaconRound(drawAt),
+      ticketCount: 0,
+      pot: getLotteryPot(0),
+      openedAt: FieldValue.serverTimestamp(),
+    });
+  });
+  return drawId;
+}
+
+/**
+ * Buys lottery tickets in the current draw, debiting Predictor Points.
+ * Tickets are numbered consecutively within a draw.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Purchase parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {number} params.quantity Tickets to buy.
+ * @param {Date} [params.now] Purchase time.
+ * @return {Promise<Object>} `{drawId, firstTicket, lastTicket,
+ *     predictorPoints}`.
+ */
+async function buyTickets(db, {appId, userId, quantity, now = new Date()}) {
+  const quantityError = validateTicketQuantity(quantity);
+  if (quantityError) throw new HttpsError("invalid-argument", quantityError);
+
+  const drawId = await openDraw(db, {appId, now});
+  const {drawRef} = getDrawRefs(db, appId, drawId);
+  const {profileRef, ledgerRef} = getUserLedgerRefs(db, appId, userId);
+
+  return db.runTransaction(async (transaction) => {
+    const [drawSnap, profileSnap] = await Promise.all([
+      transaction.get(drawRef),
+      transaction.get(profileRef),
+    ]);
+    const draw = drawSnap.data();
+    if (draw.status !== DRAW_STATUSES.OPEN || now >= new Date(draw.drawAt)) {
+      throw new HttpsError("failed-precondition",
+          "Ticket sales for this draw have closed.");
+    }
+    if (!profileSnap.exists) {
+      throw new HttpsError("failed-precondition", "User profile not found.");
+    }
+    const profile = profileSnap.data();
+    const cost = quantity * LOTTERY_TICKET_PRICE;
+    if ((profile.predictorPoints || 0) < cost) {
+      throw new HttpsError("failed-precondition",
+          `Not enough Predictor Points! You need ${cost} for ${quantity} ` +
+          "ticket(s).");
+    }
+
+    const firstTicket = draw.ticketCount + 1;
+    const lastTicket = draw.ticketCount + quantity;
+    const purchaseRef = drawRef.collection("purchases").doc();
+    transaction.create(purchaseRef, {
+      userId,
+      username: profile.username || `User_${userId.substring(0, 4)}`,
+      firstTicket,
+      lastTicket,
+      quantity,
+      purchasedAt: now.toISOString(),
+    });
+    transaction.update(drawRef, {
+      ticketCount: lastTicket,
+      pot: getLotteryPot(lastTicket),
+    });
+    const balances = postLedgerEntries(transaction, {
+      profileRef,
+      ledgerRef,
+      profile,
+      entries: [{
+        currency: CURRENCIES.PREDICTOR_POINTS,
+        amount: -cost,
+        reason: LEDGER_REASONS.LOTTERY_TICKETS,
+        reference: {type: "lottery", id: drawId, purchaseId: purchaseRef.id},
+      }],
+    });
+
+    return {
+      drawId,
+      firstTicket,
+      lastTicket,
+      predictorPoints: balances[CURRENCIES.PREDICTOR_POINTS],
+    };
+  });
+}
+
+/**
+ * Runs a draw whose time has come: fetches its beacon round, then reveals the
+ * seed, picks the winning ticket and credits the pot to its holder, all in
+ * one transaction. A winner who isn't eligible (see shared/compliance) has
+ * the prize withheld. Draws that are not due or already drawn are left alone.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.drawId The draw to run.
+ * @param {Date} [params.now] Current time.
+ * @return {Promise<Object|null>} The draw result, or null if skipped.
+ */
+async function runDraw(db, {appId, drawId, now = new Date()}) {
+  const {drawRef, secretRef} = getDrawRefs(db, appId, drawId);
+  const dueSnap = await drawRef.get();
+  if (!dueSnap.exists || now < new Date(dueSnap.data().drawAt)) return null;
+  // Draws opened before beacons were added publish no round of their own
+  const beaconRound = dueSnap.data().beaconRound ||
+    getDrawBeaconRound(dueSnap.data().drawAt);
+  const beaconRandomness = await fetchBeaconRandomness(beaconRound);
+
+  return db.runTransaction(async (transaction) => {
+    const [drawSnap, secretSnap] = await Promise.all([
+      transaction.get(drawRef),
+      transaction.get(secretRef),
+    ]);
+    if (!drawSnap.exists || !secretSnap.exists) return null;
+    const draw = drawSnap.data();
+    if (draw.status !== DRAW_STATUSES.OPEN || now < new Date(draw.drawAt)) {
+      return null;
+    }
+
+    const {seed} = secretSnap.data();
+    const digest = sha256(getDrawDigestInput(seed, drawId, draw.ticketCount,
+        beaconRandomness));
+    const winningTicket = pickWinningTicket(digest, draw.ticketCount);
+
+    let winner = null;
+    if (winningTicket !== null) {
+      const purchaseSnap = await transaction.get(drawRef.collection("purchases")
+          .where("firstTicket", "<=", winningTicket)
+          .orderBy("firstTicket", "desc")
+          .limit(1));
+      winner = purchaseSnap.docs[0].data();
+    }
+    let winnerRefs = null;
+    let winnerProfileSnap = null;
+    let eligibilityIssue = null;
+    if (winner) {
+      winnerRefs = getUserLedgerRefs(db, appId, winner.userId);
+      const [profileSnap, eligibilitySnap] = await Promise.all([
+        transaction.get(winnerRefs.profileRef),
+        transaction.get(getEligibilityRef(db, appId, winner.userId)),
+      ]);
+      winnerProfileSnap = profileSnap;
+      eligibilityIssue = getEligibilityIssue(
+          eligibilitySnap.exists ? eligibilitySnap.data() : null);
+    }
+
+    const result = {
+      status: DRAW_STATUSES.DRAWN,
+      seed,
+      beaconRound,
+      beaconRandomness,
+      digest,
+      winningTicket,
+      winnerUserId: winner ? winner.userId : null,
+      winnerUsername: winner ? winner.username : null,
+      prize: winner ? draw.pot : 0,
+      prizeWithheldReason: eligibilityIssue,
+      drawnAt: now.toISOString(),
+    };
+    transaction.update(drawRef, result);
+
+    if (winner && winnerProfileSnap.exists && !eligibilityIssue) {
+      postLedgerEntries(transaction, {
+        ...winnerRefs,
+        profile: winnerProfileSnap.data(),
+        entries: [{
+          id: `${LEDGER_REASONS.LOTTERY_WIN}-${drawId}`,
+          currency: CURRENCIES.WINNER_BUCKS,
+          amount: draw.pot,
+          reason: LEDGER_REASONS.LOTTERY_WIN,
+          reference: {type: "lottery", id: drawId, ticket: winningTicket},
+        }],
+      });
+    }
+    return {drawId, ...result};
+  });
+}
+
+/**
+ * Runs every open draw that is due, then makes sure the next draw is open so
+ * its seed hash is published before any ticket is sold.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {Date} [params.now] Current time.
+ * @return {Promise<Array<Object>>} Results of the draws that ran.
+ */
+async function runDueDraws(db, {appId, now = new Date()}) {
+  const openSnap = await db.collection(`artifacts/${appId}/lottery`)
+      .where("status", "==", DRAW_STATUSES.OPEN)
+      .get();
+  const results = [];
+  for (const drawDoc of openSnap.docs) {
+    if (now < new Date(drawDoc.data().drawAt)) continue;
+    const result = await runDraw(db, {appId, drawId: drawDoc.id, now});
+    if (result) results.push(result);
+  }
+  await openDraw(db, {appId, now});
+  return results;
+}
+
+module.exports = {
+  openDraw,
+  buyTickets,
+  runDraw,
+  runDueDraws,
+};
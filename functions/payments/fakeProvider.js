@@ -0,0 +1,73 @@
+// functions/payments/fakeProvider.js
+// Local payment provider for the emulators only (see payments/index.js): its
+// default webhook secret is public. Checkout sends the user to the
+// `fakeCheckout` function instead of a hosted payment page; "paying" there
+// produces a signed webhook event exactly like a real provider would, so the
+// whole order -> webhook -> credit flow runs without a payment account.
+
+const crypto = require("crypto");
+
+const DEFAULT_WEBHOOK_SECRET = "fake-webhook-secret";
+const SIGNATURE_HEADER = "x-fake-signature";
+
+/**
+ * Creates the fake payment provider.
+ * @param {Object} options Provider options.
+ * @param {string} options.checkoutUrl URL of the `fakeCheckout` function.
+ * @param {string} [options.webhookSecret] Secret used to sign events.
+ * @return {Object} Provider implementing the payment provider interface.
+ */
+function createFakePaymentProvider({
+  checkoutUrl, webhookSecret = DEFAULT_WEBHOOK_SECRET,
+}) {
+  const sign = (body) => crypto.createHmac("sha256", webhookSecret)
+      .update(body).digest("hex");
+
+  return {
+    name: "fake",
+
+    async createCheckout({orderId, amountCents, metadata = {}}) {
+      const sessionId = `fake_cs_${orderId}`;
+      const params = new URLSearchParams({...metadata, sessionId, orderId,
+        amountCents: String(amountCents)});
+      return {sessionId, checkoutUrl: `${checkoutUrl}?${params}`};
+    },
+
+    // Builds the signed request body a real provider would POST to the
+    // webhook once the payment settles.
+    buildWebhookEvent({
+      sessionId, orderId, amountCents, succeeded, metadata = {},
+    }) {
+      const body = JSON.stringify({
+        id: `fake_evt_${crypto.randomBytes(8).toString("hex")}`,
+        type: succeeded ? "payment.succeeded" : "payment.failed",
+        sessionId,
+        orderId,
+        amountCents: Number(amountCents),
+        metadata,
+      });
+      return {body, headers: {[SIGNATURE_HEADER]: sign(body)}};
+    },
+
+    parseWebhook({rawBody, headers}) {
+      const body = rawBody.toString("utf8");
+      const expected = Buffer.from(sign(body));
+      const received = Buffer.from(String(headers[SIGNATURE_HEADER] || ""));
+      if (expected.length !== received.length ||
+          !crypto.timingSafeEqual(expected, received)) {
+        throw new Error("Invalid webhook signature.");
+      }
+      const event = JSON.parse(body);
+      return {
+        eventId: event.id,
+        succeeded: event.type === "payment.succeeded",
+        sessionId: event.sessionId,
+        orderId: event.orderId,
+        amountCents: event.amountCents,
+        metadata: event.metadata || {},
+      };
+    },
+  };
+}
+
+module.exports = {createFakePaymentProvider};
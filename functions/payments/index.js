@@ -0,0 +1,72 @@
+// functions/payments/index.js
+// Payment provider selection. Every provider implements:
+//   createCheckout({orderId, amountCents, description, metadata})
+//     -> {sessionId, checkoutUrl}   where to send the user to pay
+//   parseWebhook({rawBody, headers})
+//     -> {eventId, succeeded, sessionId, orderId, amountCents, metadata}
+//        verifies the provider's signature and throws if it doesn't match;
+//        `metadata` is echoed back unchanged from createCheckout
+// Orders are only ever credited from a parsed webhook event, so connecting a
+// real payment service means adding an adapter here and nothing else.
+//
+// A real adapter must refuse to start without its webhook secret, so
+// webhooks are never accepted unsigned.
+//
+// Configuration (functions/.env or environment):
+//   PAYMENT_PROVIDER              required in production; the `fake` provider
+//                                 is only available on the emulators, where
+//                                 it is also the default
+//   FAKE_CHECKOUT_URL             URL of the fakeCheckout function (default:
+//                                 the functions emulator on 127.0.0.1:5001)
+//   FAKE_PAYMENT_WEBHOOK_SECRET   secret the fake provider signs events with
+
+const {createFakePaymentProvider} = require("./fakeProvider");
+
+/**
+ * URL of the `fakeCheckout` function on the local functions emulator.
+ * @return {string} The URL.
+ */
+function getEmulatorCheckoutUrl() {
+  const projectId = process.env.GCLOUD_PROJECT || "idas-72b3f";
+  return `http://127.0.0.1:5001/${projectId}/us-central1/fakeCheckout`;
+}
+
+const providerFactories = {
+  fake: () => createFakePaymentProvider({
+    checkoutUrl: process.env.FAKE_CHECKOUT_URL || getEmulatorCheckoutUrl(),
+    webhookSecret: process.env.FAKE_PAYMENT_WEBHOOK_SECRET,
+  }),
+};
+
+let cachedProvider = null;
+
+/**
+ * Whether the functions run on the local emulators.
+ * @return {boolean} True on the functions emulator.
+ */
+function isEmulated() {
+  return process.env.FUNCTIONS_EMULATOR === "true";
+}
+
+/**
+ * Returns the configured payment provider.
+ * @return {Object} The payment provider.
+ * @throws {Error} When no usable provider is configured.
+ */
+function getPaymentProvider() {
+  const name = process.env.PAYMENT_PROVIDER || (isEmulated() ? "fake" : null);
+  if (!name) throw new Error("No payment provider is configured.");
+  if (cachedProvider && cachedProvider.name === name) return cachedProvider;
+
+  // Anyone can "pay" through fakeCheckout and its webhook secret is public,
+  // so outside the emulators it fails closed.
+  if (name === "fake" && !isEmulated()) {
+    throw new Error("The fake payment provider only runs on the emulators.");
+  }
+  const factory = providerFactories[name];
+  if (!factory) throw new Error(`Unknown payment provider "${name}".`);
+  cachedProvider = factory();
+  return cachedProvider;
+}
+
+module.exports = {isEmulated, getPaymentProvider};
@@ -0,0 +1,45 @@
+// functions/payouts/index.js
+// Payout provider selection. Every provider implements:
+//   sendPayout({redemptionId, userId, amount, payoutMethod})
+//     -> {reference}   resolves once the payout was accepted, throws if not;
+//                      must be idempotent on `redemptionId`, since a payout
+//                      interrupted mid-way is sent again by the recovery job
+// The redemption workflow only ever calls this interface, so connecting a
+// real payout service means adding an adapter here and nothing else.
+//
+// Configuration (functions/.env or environment):
+//   PAYOUT_PROVIDER    required in production; the `stub` provider (which
+//                      sends nothing) is only available on the emulators,
+//                      where it is also the default
+
+const {createStubPayoutProvider} = require("./stubProvider");
+
+const providerFactories = {
+  stub: () => createStubPayoutProvider(),
+};
+
+let cachedProvider = null;
+
+/**
+ * Returns the configured payout provider.
+ * @return {Object} The payout provider.
+ * @throws {Error} When no usable provider is configured.
+ */
+function getPayoutProvider() {
+  const emulated = process.env.FUNCTIONS_EMULATOR === "true";
+  const name = process.env.PAYOUT_PROVIDER || (emulated ? "stub" : null);
+  if (!name) throw new Error("No payout provider is configured.");
+  if (cachedProvider && cachedProvider.name === name) return cachedProvider;
+
+  // Approving a redemption with the stub would mark it paid without sending
+  // anything, so outside the emulators it fails closed.
+  if (name === "stub" && !emulated) {
+    throw new Error("The stub payout provider only runs on the emulators.");
+  }
+  const factory = providerFactories[name];
+  if (!factory) throw new Error(`Unknown payout provider "${name}".`);
+  cachedProvider = factory();
+  return cachedProvider;
+}
+
+module.exports = {getPayoutProvider};
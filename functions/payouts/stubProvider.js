@@ -0,0 +1,27 @@
+// functions/payouts/stubProvider.js
+// Local payout provider that sends nothing. Every payout succeeds with a
+// generated reference, except destinations containing "fail", which are
+// refused so the failure path can be exercised against the emulators.
+
+const logger = require("firebase-functions/logger");
+
+/**
+ * Creates the stub payout provider.
+ * @return {Object} Provider implementing `sendPayout`.
+ */
+function createStubPayoutProvider() {
+  return {
+    name: "stub",
+
+    async sendPayout({redemptionId, amount, payoutMethod}) {
+      if (payoutMethod.destination.includes("fail")) {
+        throw new Error(`Stub payout refused for ${payoutMethod.destination}.`);
+      }
+      logger.info(`Stub payout of ${amount} Winner Bucks to ` +
+        `${payoutMethod.destination} for ${redemptionId}.`);
+      return {reference: `stub-${redemptionId}`};
+    },
+  };
+}
+
+module.exports = {createStubPayoutProvider};
@@ -0,0 +1,149 @@
+// functions/providers/consensus.js
+// Consensus (median) odds across every bookmaker quoting an event, so the
+// official price never depends on which book a provider happens to list first.
+
+/**
+ * Median of a list of numbers.
+ * @param {Array<number>} values The values, in any order.
+ * @return {number|null} The median, or null for an empty list.
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ?
+    sorted[middle] :
+    (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Implied win probability of American odds.
+ * @param {number} price American odds.
+ * @return {number} Probability between 0 and 1.
+ */
+function toProbability(price) {
+  return price > 0 ? 100 / (price + 100) : -price / (-price + 100);
+}
+
+/**
+ * American odds for an implied win probability, rounded to a whole price.
+ * @param {number} probability Probability between 0 and 1.
+ * @return {number} American odds.
+ */
+function toAmericanOdds(probability) {
+  if (probability >= 0.5) {
+    return -Math.round((probability / (1 - probability)) * 100);
+  }
+  return Math.round(((1 - probability) / probability) * 100);
+}
+
+/**
+ * Median price, taken in implied-probability space so that averaging the two
+ * middle prices works across the +100/-100 boundary.
+ * @param {Array<number>} prices American odds.
+ * @return {number|null} The consensus price, or null for an empty list.
+ */
+function medianPrice(prices) {
+  const probability = median(prices.map(toProbability));
+  return probability === null ? null : toAmericanOdds(probability);
+}
+
+/**
+ * Median point rounded to the nearest half point, as books quote lines.
+ * @param {Array<number>} points Spread or total points.
+ * @return {number|null} The consensus point, or null for an empty list.
+ */
+function medianPoint(points) {
+  const value = median(points);
+  return value === null ? null : Math.round(value * 2) / 2;
+}
+
+/**
+ * Collects the values every bookmaker quotes for one side of a market.
+ * @param {Array<Object>} bookmakers Normalized bookmakers.
+ * @param {string} market `moneyline`, `spreads` or `totals`.
+ * @param {string} side Team name, `over` or `under`.
+ * @param {function(*): *} pickValue Reads the value off a quote.
+ * @return {Array<number>} The quoted values.
+ */
+function collectQuotes(bookmakers, market, side, pickValue) {
+  return bookmakers
+      .map((bookmaker) => bookmaker[market] && bookmaker[market][side])
+      .filter((quote) => quote !== undefined && quote !== null)
+      .map(pickValue)
+      .filter((value) => typeof value === "number");
+}
+
+/**
+ * Consensus `{point, price}` for each side of a line market.
+ * @param {Array<Object>} bookmakers Normalized bookmakers.
+ * @param {string} market `spreads` or `totals`.
+ * @param {Array<string>} sides The market's sides.
+ * @return {Object|null} Lines keyed by side, or null if nobody quotes it.
+ */
+function consensusLineMarket(bookmakers, market, sides) {
+  const result = {};
+  sides.forEach((side) => {
+    const point = medianPoint(
+        collectQuotes(bookmakers, market, side, (quote) => quote.point));
+    const price = medianPrice(
+        collectQuotes(bookmakers, market, side, (quote) => quote.price));
+    if (point !== null && price !== null) result[side] = {point, price};
+  });
+  return Object.keys(result).length === sides.length ? result : null;
+}
+
+/**
+ * Consensus odds for an event: the median moneyline, spread and total across
+ * all of its bookmakers.
+ * @param {Object} oddsEvent A normalized odds event.
+ * @return {Object} `{moneyline, spread, total}` as stored on a week game;
+ *     `spread` and `total` are null when no bookmaker offers them.
+ */
+function getConsensusOdds(oddsEvent) {
+  const bookmakers = oddsEvent.bookmakers || [];
+  const teams = [oddsEvent.homeTeam, oddsEvent.awayTeam];
+
+  const moneyline = {};
+  teams.forEach((team) => {
+    const price = medianPrice(
+        collectQuotes(bookmakers, "moneyline", team, (quote) => quote));
+    if (price !== null) moneyline[team] = price;
+  });
+
+  // The two sides of a spread mirror each other; take the home side's
+  // consensus and derive the away point from it so they always agree.
+  const spread = consensusLineMarket(bookmakers, "spreads", teams);
+  if (spread) {
+    spread[oddsEvent.awayTeam].point = -spread[oddsEvent.homeTeam].point;
+  }
+
+  // Over and under share one total.
+  const total = consensusLineMarket(bookmakers, "totals", ["over", "under"]);
+  if (total) total.under.point = total.over.point;
+
+  return {moneyline, spread, total};
+}
+
+/**
+ * Every bookmaker's odds for an event, keyed by bookmaker.
+ * @param {Object} oddsEvent A normalized odds event.
+ * @return {Object} `{[key]: {title, lastUpdate, moneyline, spread, total}}`.
+ */
+function getBookmakerOdds(oddsEvent) {
+  return (oddsEvent.bookmakers || []).reduce((acc, bookmaker) => {
+    acc[bookmaker.key] = {
+      title: bookmaker.title,
+      lastUpdate: bookmaker.lastUpdate,
+      moneyline: bookmaker.moneyline || {},
+      spread: bookmaker.spreads || null,
+      total: bookmaker.totals || null,
+    };
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  getConsensusOdds,
+  getBookmakerOdds,
+};
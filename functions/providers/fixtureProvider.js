@@ -0,0 +1,125 @@
+// functions/providers/fixtureProvider.js
+// Offline provider that replays recorded The Odds API responses from disk, so
+// the whole sync/settle pipeline can run against the emulators with no network.
+//
+// A fixture directory contains the raw JSON bodies of `/odds` and `/scores`:
+//   odds.json, scores.json              - served on every call, or
+//   scores-1.json, scores-2.json, ...   - replayed in order, one per call; the
+//                                         last frame keeps being served.
+// An optional manifest.json `{"recordedAt": "<ISO date>"}` moves every time in
+// the recording forward by whole calendar weeks so its slate lands on the
+// current NFL week.
+
+const fs = require("fs");
+const path = require("path");
+const {getWeekForDate, getCurrentWeek} = require("../shared");
+const {normalizeOddsEvent, normalizeScoreEvent} = require("./theOddsApi");
+
+/**
+ * Lists the frames recorded for a feed, in replay order.
+ * @param {string} fixtureDir The fixture directory.
+ * @param {string} feed `odds` or `scores`.
+ * @return {Array<string>} Absolute file paths.
+ */
+function listFrames(fixtureDir, feed) {
+  const framePattern = new RegExp(`^${feed}-(\\d+)\\.json$`);
+  const frames = fs.readdirSync(fixtureDir)
+      .map((file) => ({file, match: file.match(framePattern)}))
+      .filter(({match}) => match)
+      .sort((a, b) => parseInt(a.match[1], 10) - parseInt(b.match[1], 10))
+      .map(({file}) => path.join(fixtureDir, file));
+
+  if (frames.length > 0) return frames;
+  const single = path.join(fixtureDir, `${feed}.json`);
+  if (fs.existsSync(single)) return [single];
+  throw new Error(`Fixture directory ${fixtureDir} has no ${feed} recording.`);
+}
+
+/**
+ * Computes how far the recording must be shifted to land on the current week.
+ * @param {string} fixtureDir The fixture directory.
+ * @param {Date} now The current time.
+ * @return {number} Offset in milliseconds (a whole number of weeks).
+ */
+function getTimeShift(fixtureDir, now) {
+  const manifestPath = path.join(fixtureDir, "manifest.json");
+  if (!fs.existsSync(manifestPath)) return 0;
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  if (!manifest.recordedAt) return 0;
+  const recordedWeek = getWeekForDate(manifest.recordedAt);
+  const currentWeek = now ? getWeekForDate(now) : getCurrentWeek();
+  return Date.parse(currentWeek.weekStart) - Date.parse(recordedWeek.weekStart);
+}
+
+/**
+ * Shifts an ISO timestamp by an offset.
+ * @param {string|null} value ISO timestamp.
+ * @param {number} shift Offset in milliseconds.
+ * @return {string|null} The shifted timestamp.
+ */
+function shiftTime(value, shift) {
+  if (!value || shift === 0) return value;
+  return new Date(Date.parse(value) + shift).toISOString();
+}
+
+/**
+ * Shifts every timestamp of a raw Odds API event.
+ * @param {Object} event Raw event.
+ * @param {number} shift Offset in milliseconds.
+ * @return {Object} The shifted event.
+ */
+function shiftEvent(event, shift) {
+  return {
+    ...event,
+    commence_time: shiftTime(event.commence_time, shift),
+    last_update: shiftTime(event.last_update, shift),
+    bookmakers: event.bookmakers && event.bookmakers.map((bookmaker) => ({
+      ...bookmaker,
+      last_update: shiftTime(bookmaker.last_update, shift),
+    })),
+  };
+}
+
+/**
+ * Creates the fixture/replay provider.
+ * @param {Object} options Provider options.
+ * @param {string} options.fixtureDir Directory holding the recording.
+ * @param {Date} [options.now] Fixed "now" for the time shift.
+ * @return {Object} Provider implementing `fetchOdds`, `fetchScores` and
+ *     `getQuota`.
+ */
+function createFixtureProvider({fixtureDir, now}) {
+  if (!fixtureDir || !fs.existsSync(fixtureDir)) {
+    throw new Error(`Fixture directory ${fixtureDir} does not exist.`);
+  }
+
+  const cursors = {odds: 0, scores: 0};
+
+  const readFrame = (feed) => {
+    const frames = listFrames(fixtureDir, feed);
+    const frame = frames[Math.min(cursors[feed], frames.length - 1)];
+    cursors[feed]++;
+    const shift = getTimeShift(fixtureDir, now);
+    return JSON.parse(fs.readFileSync(frame, "utf8"))
+        .map((event) => shiftEvent(event, shift));
+  };
+
+  return {
+    name: "fixture",
+
+    async fetchOdds() {
+      return readFrame("odds").map(normalizeOddsEvent);
+    },
+
+    async fetchScores() {
+      return readFrame("scores").map(normalizeScoreEvent);
+    },
+
+    getQuota() {
+      return null; // Recordings cost nothing
+    },
+  };
+}
+
+module.exports = {createFixtureProvider};
@@ -0,0 +1,66 @@
+// functions/providers/index.js
+// Odds/scores provider selection. Every provider implements:
+//   fetchOdds()              -> [{id, homeTeam, awayTeam, commenceTime,
+//                                 bookmakers: [{key, title, lastUpdate,
+//                                               moneyline, spreads,
+//                                               totals}]}]
+//     moneyline: {[team]: price}
+//     spreads:   {[team]: {point, price}}
+//     totals:    {over: {point, price}, under: {point, price}}
+//   fetchScores({daysFrom})  -> [{id, homeTeam, awayTeam, commenceTime,
+//                                 completed, scores: {home, away} | null,
+//                                 lastUpdate}]
+//   getQuota()               -> {remaining, used, lastCost} | null
+//     Usage reported with the last response; null for providers without a
+//     quota. The sync paces itself on it (see shared/syncStatus).
+// Settlement and the week sync only ever see these shapes, so adding a vendor
+// means adding an adapter here and nothing else. The official price of a game
+// is the consensus across all of its bookmakers (see ./consensus).
+//
+// Configuration (functions/.env or environment):
+//   ODDS_PROVIDER      `theOddsApi` (default) or `fixture`
+//   THE_ODDS_API_KEY   required by `theOddsApi`
+//   ODDS_FIXTURE_DIR   recording served by `fixture`
+//                      (default: fixtures/sample-week)
+
+const path = require("path");
+const {createTheOddsApiProvider} = require("./theOddsApi");
+const {createFixtureProvider} = require("./fixtureProvider");
+const {getConsensusOdds, getBookmakerOdds} = require("./consensus");
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, "..", "fixtures",
+    "sample-week");
+
+const providerFactories = {
+  theOddsApi: () => createTheOddsApiProvider({
+    apiKey: process.env.THE_ODDS_API_KEY,
+  }),
+  fixture: () => createFixtureProvider({
+    fixtureDir: process.env.ODDS_FIXTURE_DIR ?
+      path.resolve(__dirname, "..", process.env.ODDS_FIXTURE_DIR) :
+      DEFAULT_FIXTURE_DIR,
+  }),
+};
+
+let cachedProvider = null;
+
+/**
+ * Returns the configured provider. The instance is reused for the lifetime of
+ * the function instance so fixture replays advance between invocations.
+ * @return {Object} The odds/scores provider.
+ */
+function getOddsProvider() {
+  const name = process.env.ODDS_PROVIDER || "theOddsApi";
+  if (cachedProvider && cachedProvider.name === name) return cachedProvider;
+
+  const factory = providerFactories[name];
+  if (!factory) throw new Error(`Unknown odds provider "${name}".`);
+  cachedProvider = factory();
+  return cachedProvider;
+}
+
+module.exports = {
+  getOddsProvider,
+  getConsensusOdds,
+  getBookmakerOdds,
+};
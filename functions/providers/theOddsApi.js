@@ -0,0 +1,162 @@
+// functions/providers/theOddsApi.js
+// Odds/scores provider backed by The Odds API (https://the-odds-api.com).
+
+const axios = require("axios");
+
+const ODDS_API_BASE_URL = "https://api.the-odds-api.com/v4";
+const NFL_SPORT_KEY = "americanfootball_nfl";
+const REGIONS = "us"; // Only US books
+const MARKETS = "h2h,spreads,totals"; // Moneyline, point spread, over/under
+
+/**
+ * Reads the usage headers The Odds API sends with every response.
+ * @param {Object} headers Response headers.
+ * @return {Object|null} `{remaining, used, lastCost}`, or null when the
+ *     response has none.
+ */
+function parseQuotaHeaders(headers) {
+  const read = (name) => {
+    const value = parseInt((headers || {})[name], 10);
+    return Number.isNaN(value) ? null : value;
+  };
+  const remaining = read("x-requests-remaining");
+  if (remaining === null) return null;
+  return {
+    remaining,
+    used: read("x-requests-used"),
+    lastCost: read("x-requests-last"),
+  };
+}
+
+/**
+ * Maps a market's outcomes to `{[teamName]: price}`.
+ * @param {Object} bookmaker A bookmaker from an odds response.
+ * @param {string} marketKey The Odds API market key, e.g. `h2h`.
+ * @return {Object|null} Prices keyed by team name, or null if not offered.
+ */
+function mapMarket(bookmaker, marketKey) {
+  const market = (bookmaker.markets || []).find((m) => m.key === marketKey);
+  if (!market) return null;
+  return market.outcomes.reduce((acc, outcome) => {
+    acc[outcome.name] = outcome.price;
+    return acc;
+  }, {});
+}
+
+/**
+ * Maps a line market's outcomes to `{[outcomeName]: {point, price}}`.
+ * @param {Object} bookmaker A bookmaker from an odds response.
+ * @param {string} marketKey The Odds API market key, e.g. `spreads`.
+ * @param {function(string): string} [keyFor] Maps an outcome name to its key.
+ * @return {Object|null} Lines keyed by outcome, or null if not offered.
+ */
+function mapLineMarket(bookmaker, marketKey, keyFor = (name) => name) {
+  const market = (bookmaker.markets || []).find((m) => m.key === marketKey);
+  if (!market) return null;
+  return market.outcomes.reduce((acc, outcome) => {
+    acc[keyFor(outcome.name)] = {point: outcome.point, price: outcome.price};
+    return acc;
+  }, {});
+}
+
+/**
+ * Converts an Odds API `/odds` event into the provider-neutral odds event.
+ * @param {Object} event Raw event from The Odds API.
+ * @return {Object} Normalized odds event.
+ */
+function normalizeOddsEvent(event) {
+  return {
+    id: event.id,
+    homeTeam: event.home_team,
+    awayTeam: event.away_team,
+    commenceTime: event.commence_time,
+    bookmakers: (event.bookmakers || []).map((bookmaker) => ({
+      key: bookmaker.key,
+      title: bookmaker.title,
+      lastUpdate: bookmaker.last_update || null,
+      moneyline: mapMarket(bookmaker, "h2h"),
+      spreads: mapLineMarket(bookmaker, "spreads"),
+      totals: mapLineMarket(bookmaker, "totals",
+          (name) => name.toLowerCase()),
+    })),
+  };
+}
+
+/**
+ * Converts an Odds API `/scores` event into the provider-neutral score event.
+ * @param {Object} event Raw event from The Odds API.
+ * @return {Object} Normalized score event.
+ */
+function normalizeScoreEvent(event) {
+  const scoreFor = (team) => {
+    const entry = (event.scores || []).find((s) => s.name === team);
+    return entry ? parseInt(entry.score, 10) : null;
+  };
+
+  return {
+    id: event.id,
+    homeTeam: event.home_team,
+    awayTeam: event.away_team,
+    commenceTime: event.commence_time,
+    completed: Boolean(event.completed),
+    scores: event.scores ? {
+      home: scoreFor(event.home_team),
+      away: scoreFor(event.away_team),
+    } : null,
+    lastUpdate: event.last_update || null,
+  };
+}
+
+/**
+ * Creates The Odds API provider.
+ * @param {Object} options Provider options.
+ * @param {string} options.apiKey The Odds API key.
+ * @param {Object} [options.http] HTTP client, defaults to axios.
+ * @return {Object} Provider implementing `fetchOdds`, `fetchScores` and
+ *     `getQuota`.
+ */
+function createTheOddsApiProvider({apiKey, http = axios}) {
+  if (!apiKey) {
+    throw new Error("The Odds API key is not configured (THE_ODDS_API_KEY).");
+  }
+
+  let quota = null; // From the last response
+
+  const get = async (path, params) => {
+    const response = await http.get(
+        `${ODDS_API_BASE_URL}/sports/${NFL_SPORT_KEY}/${path}`,
+        {params: {apiKey, ...params}},
+    );
+    quota = parseQuotaHeaders(response.headers) || quota;
+    return response.data;
+  };
+
+  return {
+    name: "theOddsApi",
+
+    async fetchOdds() {
+      const events = await get("odds", {
+        regions: REGIONS,
+        markets: MARKETS,
+        oddsFormat: "american",
+      });
+      return events.map(normalizeOddsEvent);
+    },
+
+    async fetchScores({daysFrom = 3} = {}) {
+      const events = await get("scores", {daysFrom});
+      return events.map(normalizeScoreEvent);
+    },
+
+    getQuota() {
+      return quota;
+    },
+  };
+}
+
+module.exports = {
+  createTheOddsApiProvider,
+  normalizeOddsEvent,
+  normalizeScoreEvent,
+  parseQuotaHeaders,
+};
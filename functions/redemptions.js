@@ -0,0 +1,322 @@
+// functions/redemptions.js
+// Winner Bucks redemption workflow. A request debits the amount through the
+// ledger and adds it to the profile's `winnerBucksOnHold`; an admin then
+// approves it (the payout provider sends it and the hold is released) or
+// rejects it (the hold is returned to the balance). Requests live at
+// `redemptions/{redemptionId}` so the review queue is a single query. An
+// approval interrupted while the payout is processing is finished by a
+// scheduled recovery job.
+
+const {HttpsError} = require("firebase-functions/v2/https");
+const {FieldValue} = require("firebase-admin/firestore");
+const {getUserLedgerRefs, postLedgerEntries} = require("./ledger");
+const {getPayoutProvider} = require("./payouts");
+const {
+  assertEligible,
+  getEligibilityRef,
+  getUserEligibilityIssue,
+} = require("./compliance");
+const {
+  CURRENCIES,
+  LEDGER_REASONS,
+  PROCESSING_RECOVERY_MINUTES,
+  REDEMPTION_STATUSES,
+  roundCurrency,
+  validatePayoutMethod,
+  validateRedemptionAmount,
+} = require("./shared");
+
+/**
+ * The redemptions collection of an app.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @return {FirebaseFirestore.CollectionReference} The collection.
+ */
+function getRedemptionsRef(db, appId) {
+  return db.collection(`artifacts/${appId}/redemptions`);
+}
+
+/**
+ * Requests a redemption, putting the amount on hold.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Request parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {number} params.amount Winner Bucks to redeem.
+ * @param {Object} params.payoutMethod `{type, destination}`.
+ * @param {Date} [params.now] Request time.
+ * @return {Promise<Object>} `{redemptionId, winnerBucks, winnerBucksOnHold}`.
+ */
+async function requestRedemption(db, {
+  appId, userId, amount, payoutMethod, now = new Date(),
+}) {
+  const methodError = validatePayoutMethod(payoutMethod);
+  if (methodError) throw new HttpsError("invalid-argument", methodError);
+
+  const {profileRef, ledgerRef} = getUserLedgerRefs(db, appId, userId);
+  const eligibilityRef = getEligibilityRef(db, appId, userId);
+  const redemptionRef = getRedemptionsRef(db, appId).doc();
+
+  return db.runTransaction(async (transaction) => {
+    const [profileSnap, eligibilitySnap] = await Promise.all([
+      transaction.get(profileRef),
+      transaction.get(eligibilityRef),
+    ]);
+    assertEligible(eligibilitySnap);
+    if (!profileSnap.exists) {
+      throw new HttpsError("failed-precondition", "User profile not found.");
+    }
+    const profile = profileSnap.data();
+    const amountError = validateRedemptionAmount(amount,
+        profile.winnerBucks || 0);
+    if (amountError) throw new HttpsError("invalid-argument", amountError);
+
+    const onHold = roundCurrency((profile.winnerBucksOnHold || 0) + amount);
+    transaction.create(redemptionRef, {
+      userId,
+      username: profile.username || `User_${userId.substring(0, 4)}`,
+      amount,
+      payoutMethod: {
+        type: payoutMethod.type,
+        destination: payoutMethod.destination,
+      },
+      status: REDEMPTION_STATUSES.PENDING,
+      requestedAt: now.toISOString(),
+      history: [{status: REDEMPTION_STATUSES.PENDING, at: now.toISOString()}],
+    });
+    const balances = postLedgerEntries(transaction, {
+      profileRef,
+      ledgerRef,
+      profile,
+      entries: [{
+        id: `${LEDGER_REASONS.REDEMPTION_HOLD}-${redemptionRef.id}`,
+        currency: CURRENCIES.WINNER_BUCKS,
+        amount: -amount,
+        reason: LEDGER_REASONS.REDEMPTION_HOLD,
+        reference: {type: "redemption", id: redemptionRef.id},
+      }],
+      profileUpdates: {winnerBucksOnHold: onHold},
+    });
+
+    return {
+      redemptionId: redemptionRef.id,
+      winnerBucks: balances[CURRENCIES.WINNER_BUCKS],
+      winnerBucksOnHold: onHold,
+    };
+  });
+}
+
+/**
+ * Moves a redemption from one status to another, releasing its hold when it
+ * reaches a final status. Funds go back to the balance unless it was paid.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Transition parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.redemptionId The redemption.
+ * @param {Array<string>} params.from Statuses the redemption may be in.
+ * @param {string} params.to The new status.
+ * @param {Object} [params.details] Extra fields stored on the redemption.
+ * @param {Date} [params.now] Transition time.
+ * @return {Promise<Object>} The redemption before the transition.
+ */
+async function transitionRedemption(db, {
+  appId, redemptionId, from, to, details = {}, now = new Date(),
+}) {
+  const redemptionRef = getRedemptionsRef(db, appId).doc(redemptionId);
+
+  return db.runTransaction(async (transaction) => {
+    const redemptionSnap = await transaction.get(redemptionRef);
+    if (!redemptionSnap.exists) {
+      throw new HttpsError("not-found",
+          `Redemption ${redemptionId} not found.`);
+    }
+    const redemption = redemptionSnap.data();
+    if (!from.includes(redemption.status)) {
+      throw new HttpsError("failed-precondition",
+          `Redemption ${redemptionId} is ${redemption.status}.`);
+    }
+
+    const releasesHold = [
+      REDEMPTION_STATUSES.PAID,
+      REDEMPTION_STATUSES.REJECTED,
+      REDEMPTION_STATUSES.FAILED,
+    ].includes(to);
+    let profileSnap = null;
+    const refs = getUserLedgerRefs(db, appId, redemption.userId);
+    if (releasesHold) profileSnap = await transaction.get(refs.profileRef);
+
+    transaction.update(redemptionRef, {
+      ...details,
+      status: to,
+      updatedAt: now.toISOString(),
+      history: FieldValue.arrayUnion({status: to, at: now.toISOString()}),
+    });
+
+    if (releasesHold) {
+      const profile = profileSnap.data();
+      const onHold = roundCurrency(
+          Math.max(0, (profile.winnerBucksOnHold || 0) - redemption.amount));
+      const returned = to !== REDEMPTION_STATUSES.PAID;
+      postLedgerEntries(transaction, {
+        ...refs,
+        profile,
+        entries: returned ? [{
+          id: `${LEDGER_REASONS.REDEMPTION_RETURN}-${redemptionId}`,
+          currency: CURRENCIES.WINNER_BUCKS,
+          amount: redemption.amount,
+          reason: LEDGER_REASONS.REDEMPTION_RETURN,
+          reference: {type: "redemption", id: redemptionId, status: to},
+        }] : [],
+        profileUpdates: {winnerBucksOnHold: onHold},
+      });
+    }
+    return redemption;
+  });
+}
+
+/**
+ * Approves or rejects a pending redemption. Approving claims the redemption
+ * first (so it can't be paid twice), then sends the payout and records the
+ * result; a refused payout returns the funds.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Review parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.redemptionId The redemption.
+ * @param {string} params.decision `approve` or `reject`.
+ * @param {string} params.reviewerId Admin user ID.
+ * @param {string} [params.reason] Why it was rejected, shown to the user.
+ * @return {Promise<Object>} `{status, payoutReference?}`.
+ */
+async function reviewRedemption(db, {
+  appId, redemptionId, decision, reviewerId, reason = null,
+}) {
+  const review = {reviewedBy: reviewerId, reviewedAt: new Date().toISOString()};
+
+  if (decision === "reject") {
+    await transitionRedemption(db, {
+      appId,
+      redemptionId,
+      from: [REDEMPTION_STATUSES.PENDING],
+      to: REDEMPTION_STATUSES.REJECTED,
+      details: {...review, rejectionReason: reason},
+    });
+    return {status: REDEMPTION_STATUSES.REJECTED};
+  }
+  if (decision !== "approve") {
+    throw new HttpsError("invalid-argument",
+        "Decision must be approve or reject.");
+  }
+
+  // Eligibility was checked when the redemption was requested, but the user
+  // may have moved to an excluded state or not accepted new rules since.
+  const pendingSnap = await getRedemptionsRef(db, appId).doc(redemptionId)
+      .get();
+  if (pendingSnap.exists) {
+    const issue = await getUserEligibilityIssue(db,
+        {appId, userId: pendingSnap.data().userId});
+    if (issue) {
+      throw new HttpsError("failed-precondition",
+          `The user is no longer eligible (${issue}) Reject the request.`);
+    }
+  }
+
+  // Resolved before the redemption is claimed, so a missing provider leaves
+  // it pending instead of stuck in processing.
+  let provider;
+  try {
+    provider = getPayoutProvider();
+  } catch (error) {
+    throw new HttpsError("failed-precondition", error.message);
+  }
+  const redemption = await transitionRedemption(db, {
+    appId,
+    redemptionId,
+    from: [REDEMPTION_STATUSES.PENDING],
+    to: REDEMPTION_STATUSES.PROCESSING,
+    details: review,
+  });
+  return sendRedemptionPayout(db, {appId, redemptionId, redemption, provider});
+}
+
+/**
+ * Sends the payout of a processing redemption and records the result; a
+ * refused payout returns the funds.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.redemptionId The redemption.
+ * @param {Object} params.redemption The redemption data.
+ * @param {Object} params.provider The payout provider.
+ * @return {Promise<Object>} `{status, payoutReference?}`.
+ */
+async function sendRedemptionPayout(db, {
+  appId, redemptionId, redemption, provider,
+}) {
+  let payout;
+  try {
+    payout = await provider.sendPayout({
+      redemptionId,
+      userId: redemption.userId,
+      amount: redemption.amount,
+      payoutMethod: redemption.payoutMethod,
+    });
+  } catch (error) {
+    await transitionRedemption(db, {
+      appId,
+      redemptionId,
+      from: [REDEMPTION_STATUSES.PROCESSING],
+      to: REDEMPTION_STATUSES.FAILED,
+      details: {failureReason: error.message, payoutProvider: provider.name},
+    });
+    return {status: REDEMPTION_STATUSES.FAILED};
+  }
+
+  await transitionRedemption(db, {
+    appId,
+    redemptionId,
+    from: [REDEMPTION_STATUSES.PROCESSING],
+    to: REDEMPTION_STATUSES.PAID,
+    details: {payoutReference: payout.reference, payoutProvider: provider.name},
+  });
+  return {status: REDEMPTION_STATUSES.PAID, payoutReference: payout.reference};
+}
+
+/**
+ * Finishes redemptions left processing after their approval was interrupted
+ * (e.g. the function crashed between claiming the redemption and recording
+ * the payout). The payout is sent again, which providers treat as the same
+ * payout (see payouts/index.js), and the result recorded as usual.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {Date} [params.now] The current time.
+ * @return {Promise<Array<Object>>} `{redemptionId, status}` per redemption
+ *     recovered.
+ */
+async function recoverStuckRedemptions(db, {appId, now = new Date()}) {
+  const cutoff = now.getTime() - PROCESSING_RECOVERY_MINUTES * 60 * 1000;
+  const processingSnap = await getRedemptionsRef(db, appId)
+      .where("status", "==", REDEMPTION_STATUSES.PROCESSING).get();
+  const stuck = processingSnap.docs.filter((redemptionDoc) =>
+    Date.parse(redemptionDoc.data().updatedAt) <= cutoff);
+  if (stuck.length === 0) return [];
+
+  const provider = getPayoutProvider();
+  const results = [];
+  for (const redemptionDoc of stuck) {
+    const result = await sendRedemptionPayout(db, {
+      appId,
+      redemptionId: redemptionDoc.id,
+      redemption: redemptionDoc.data(),
+      provider,
+    });
+    results.push({redemptionId: redemptionDoc.id, status: result.status});
+  }
+  return results;
+}
+
+module.exports = {
+  requestRedemption,
+  reviewRedemption,
+  recoverStuckRedemptions,
+};
@@ -0,0 +1,418 @@
+// functions/settlement.js
+// Weekly settlement. A week's unsettled entries are found with one
+// collection-group query and paged through, so a pass only reads the week's
+// open entries however many users there are. Every grading pass has a
+// settlement ID derived from the week's final scores; each entry records the
+// pass that last graded it, so a pass retried after a partial failure skips
+// the entries it already handled. Entries that move money are graded again
+// inside a transaction with their ledger entries, so winnings and refunds are
+// paid exactly once; the rest are written in chunked batches.
+//
+// When a final score is corrected, the pass also re-grades every entry of the
+// week with a pick on that game, settled or not, and posts the difference to
+// what was already paid as a balancing adjustment (a debit when the entry was
+// overpaid). Each pass that changes an entry is appended to its
+// `gradingPasses` audit trail.
+
+const crypto = require("crypto");
+const {FieldPath, FieldValue} = require("firebase-admin/firestore");
+const {getUserLedgerRefs, postLedgerEntries} = require("./ledger");
+const {getUserEligibilityIssue} = require("./compliance");
+const {
+  CURRENCIES,
+  LEDGER_REASONS,
+  PICK_OUTCOMES,
+  calculatePickPayout,
+  getPickStake,
+  gradePick,
+  isGameDecided,
+  roundCurrency,
+} = require("./shared");
+
+const PAGE_SIZE = 500; // Entries read per query page
+const BATCH_SIZE = 400; // Firestore allows at most 500 writes per batch
+
+/**
+ * The settlement ID for the current state of a week: it changes whenever a
+ * game goes final, is postponed or cancelled, or a final score changes, and
+ * only then.
+ * @param {string} weekId Week ID.
+ * @param {Array<Object>} games The week's games.
+ * @return {string|null} The ID, or null while no game is decided.
+ */
+function getSettlementId(weekId, games) {
+  const finals = games
+      .filter(isGameDecided)
+      .map((game) => {
+        const score = game.score || {};
+        return `${game.id}:${game.status}:${score.home}-${score.away}`;
+      })
+      .sort();
+  if (finals.length === 0) return null;
+  const hash = crypto.createHash("sha256").update(finals.join(","))
+      .digest("hex").substring(0, 16);
+  return `${weekId}-${hash}`;
+}
+
+/**
+ * The games whose final score changed: final before and after, with a
+ * different score.
+ * @param {Array<Object>} previousGames Games as stored before the sync.
+ * @param {Array<Object>} games Games after the sync.
+ * @return {Array<Object>} Corrections as `{gameId, from, to}`.
+ */
+function getScoreCorrections(previousGames, games) {
+  const corrections = [];
+  games.forEach((game) => {
+    const previous = previousGames.find((g) => g.id === game.id);
+    if (!previous || !previous.completed || !game.completed) return;
+    const from = previous.score || {};
+    const to = game.score || {};
+    if (from.home !== to.home || from.away !== to.away) {
+      corrections.push({gameId: game.id, from, to});
+    }
+  });
+  return corrections;
+}
+
+/**
+ * Grades an entry's pending picks, and re-grades its picks on corrected
+ * games, against the week's final games. Picks on postponed or cancelled
+ * games are void and refunded like a push, so the entry settles without them.
+ * @param {Object} entry Entry data.
+ * @param {Array<Object>} games The week's games.
+ * @param {Array<string>} [regradeGameIds] Games whose final score changed.
+ * @return {Object} `{picks, totalCorrectPicks, totalWinnerBucksWon,
+ *     isSettled}`.
+ */
+function gradeEntry(entry, games, regradeGameIds = []) {
+  const pickStake = getPickStake(entry);
+  const picks = {...entry.picks};
+  let totalCorrectPicks = 0;
+  let totalWinnerBucksWon = 0;
+  let isSettled = true;
+
+  Object.keys(picks).forEach((gameId) => {
+    const game = games.find((g) => g.id === gameId);
+    if (!game || !isGameDecided(game)) {
+      isSettled = false;
+      return;
+    }
+    const pick = picks[gameId];
+    if (pick.outcome === PICK_OUTCOMES.PENDING ||
+        regradeGameIds.includes(gameId)) {
+      // Graded against the line and paid from the price stored on the pick;
+      // the game's odds keep moving after kickoff.
+      const outcome = gradePick(pick, game);
+      const payout = typeof pick.potentialWinnings === "number" ?
+        pick.potentialWinnings : calculatePickPayout(pick.tier, pick.price);
+      picks[gameId] = {
+        ...pick,
+        outcome,
+        winnings: outcome === PICK_OUTCOMES.WIN ? payout : 0,
+        refund: outcome === PICK_OUTCOMES.PUSH ||
+          outcome === PICK_OUTCOMES.VOID ? pickStake : 0,
+      };
+    }
+    if (picks[gameId].outcome === PICK_OUTCOMES.WIN) {
+      totalCorrectPicks++;
+      totalWinnerBucksWon += picks[gameId].winnings;
+    }
+  });
+
+  return {
+    picks,
+    totalCorrectPicks,
+    totalWinnerBucksWon: roundCurrency(totalWinnerBucksWon),
+    isSettled,
+  };
+}
+
+/**
+ * The entry update and ledger entries of a graded entry, balanced against
+ * what earlier passes already paid:
+ * - a push or a void pick returns that pick's share of the fee as soon as it
+ *   is graded, and a corrected pick that gains or loses a push is adjusted by
+ *   the stake;
+ * - winnings are paid once, when the entry's last game is graded, and a
+ *   settled entry whose winnings change is adjusted by the difference. A
+ *   decrease comes out of withheld winnings first, then from the balance.
+ * @param {Object} entry Entry data before this pass.
+ * @param {Object} graded Result of `gradeEntry`.
+ * @param {Object} params Parameters.
+ * @param {string} params.entryId Entry ID.
+ * @param {string} params.settlementId Current settlement ID.
+ * @param {Array<string>} params.correctedGameIds Games whose final score
+ *     changed in this pass.
+ * @param {string|null} params.eligibilityIssue Why the user can't receive
+ *     Winner Bucks, null when eligible.
+ * @param {Date} params.now Grading time.
+ * @return {Object} `{updates, ledgerEntries}`; `updates` only carries a
+ *     `gradingPasses` audit record when something about the entry changed.
+ */
+function buildEntrySettlement(entry, graded, {
+  entryId, settlementId, correctedGameIds, eligibilityIssue, now,
+}) {
+  const weekId = entry.weekId;
+  const updates = {
+    picks: graded.picks,
+    totalCorrectPicks: graded.totalCorrectPicks,
+    totalWinnerBucksWon: graded.totalWinnerBucksWon,
+    isSettled: graded.isSettled,
+    settlementId,
+    gradedAt: now.toISOString(),
+  };
+  const ledgerEntries = [];
+  const outcomes = {};
+
+  Object.keys(graded.picks).forEach((gameId) => {
+    const before = entry.picks[gameId];
+    const after = graded.picks[gameId];
+    if (before.outcome !== after.outcome) outcomes[gameId] = after.outcome;
+
+    const refundChange = roundCurrency((after.refund || 0) -
+      (before.refund || 0));
+    if (refundChange === 0) return;
+    if (before.outcome === PICK_OUTCOMES.PENDING) {
+      const reason = after.outcome === PICK_OUTCOMES.VOID ?
+        LEDGER_REASONS.VOID_REFUND : LEDGER_REASONS.PUSH_REFUND;
+      ledgerEntries.push({
+        id: `${reason}-${weekId}-${entryId}-${gameId}`,
+        currency: CURRENCIES.PREDICTOR_POINTS,
+        amount: refundChange,
+        reason,
+        reference: {type: "pick", id: gameId, entryId, weekId},
+      });
+    } else {
+      ledgerEntries.push({
+        id: `${LEDGER_REASONS.SETTLEMENT_ADJUSTMENT}-${settlementId}-` +
+          `${entryId}-${gameId}`,
+        currency: CURRENCIES.PREDICTOR_POINTS,
+        amount: refundChange,
+        reason: LEDGER_REASONS.SETTLEMENT_ADJUSTMENT,
+        reference: {type: "pick", id: gameId, entryId, weekId, settlementId},
+      });
+    }
+  });
+
+  // Winner Bucks already accounted for: paid out, or withheld from a user who
+  // wasn't eligible.
+  const accountedWinnings = entry.isSettled ?
+    entry.totalWinnerBucksWon || 0 : 0;
+  const withheld = entry.winningsWithheld || 0;
+  const winningsChange = graded.isSettled ?
+    roundCurrency(graded.totalWinnerBucksWon - accountedWinnings) : 0;
+  let winnerBucksChange = 0;
+
+  if (graded.isSettled && !entry.isSettled) {
+    updates.settledAt = now.toISOString();
+  }
+  if (winningsChange > 0 && (eligibilityIssue || withheld > 0)) {
+    // Winner Bucks are the sweepstakes prize: users who aren't eligible have
+    // them withheld instead, and withheld winnings stay withheld.
+    updates.winningsWithheld = roundCurrency(withheld + winningsChange);
+    updates.winningsWithheldReason = entry.winningsWithheldReason ||
+      eligibilityIssue;
+  } else if (winningsChange > 0) {
+    winnerBucksChange = winningsChange;
+  } else if (winningsChange < 0) {
+    const fromWithheld = Math.min(withheld, -winningsChange);
+    if (fromWithheld > 0) {
+      updates.winningsWithheld = roundCurrency(withheld - fromWithheld);
+    }
+    winnerBucksChange = roundCurrency(winningsChange + fromWithheld);
+  }
+
+  if (winnerBucksChange !== 0 && !entry.isSettled) {
+    ledgerEntries.push({
+      id: `${LEDGER_REASONS.WINNINGS}-${weekId}-${entryId}`,
+      currency: CURRENCIES.WINNER_BUCKS,
+      amount: winnerBucksChange,
+      reason: LEDGER_REASONS.WINNINGS,
+      reference: {type: "entry", id: entryId, weekId},
+    });
+  } else if (winnerBucksChange !== 0) {
+    ledgerEntries.push({
+      id: `${LEDGER_REASONS.SETTLEMENT_ADJUSTMENT}-${settlementId}-${entryId}`,
+      currency: CURRENCIES.WINNER_BUCKS,
+      amount: winnerBucksChange,
+      reason: LEDGER_REASONS.SETTLEMENT_ADJUSTMENT,
+      reference: {type: "entry", id: entryId, weekId, settlementId},
+    });
+  }
+
+  if (Object.keys(outcomes).length > 0 || ledgerEntries.length > 0 ||
+      updates.winningsWithheld !== undefined) {
+    updates.gradingPasses = FieldValue.arrayUnion({
+      settlementId,
+      gradedAt: updates.gradedAt,
+      correctedGameIds: correctedGameIds
+          .filter((gameId) => graded.picks[gameId]),
+      outcomes,
+      totalCorrectPicks: graded.totalCorrectPicks,
+      totalWinnerBucksWon: graded.totalWinnerBucksWon,
+      isSettled: graded.isSettled,
+      adjustments: ledgerEntries.map(({currency, amount, reason}) =>
+        ({currency, amount, reason})),
+      winningsWithheld: updates.winningsWithheld !== undefined ?
+        updates.winningsWithheld : withheld,
+    });
+  }
+  return {updates, ledgerEntries};
+}
+
+/**
+ * Grades an entry that moves money in a transaction with its ledger entries.
+ * The entry is read again inside the transaction, so a concurrent or retried
+ * pass that already graded it changes nothing.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {FirebaseFirestore.DocumentReference} params.entryRef The entry.
+ * @param {Array<Object>} params.games The week's games.
+ * @param {string} params.settlementId Current settlement ID.
+ * @param {Array<string>} params.correctedGameIds Corrected games.
+ * @param {string|null} params.eligibilityIssue See `buildEntrySettlement`.
+ * @param {Date} params.now Grading time.
+ * @return {Promise<Object|null>} The entry updates, or null when the entry
+ *     was already graded by this pass.
+ */
+async function settleEntryWithLedger(db, {
+  appId, entryRef, games, settlementId, correctedGameIds, eligibilityIssue,
+  now,
+}) {
+  const userId = entryRef.parent.parent.parent.parent.id;
+  const {profileRef, ledgerRef} = getUserLedgerRefs(db, appId, userId);
+
+  return db.runTransaction(async (transaction) => {
+    const [entrySnap, profileSnap] = await Promise.all([
+      transaction.get(entryRef),
+      transaction.get(profileRef),
+    ]);
+    const entry = entrySnap.data();
+    if (!entry || entry.settlementId === settlementId) return null;
+    if (!profileSnap.exists) {
+      throw new Error(`Profile not found for user ${userId}.`);
+    }
+
+    const {updates, ledgerEntries} = buildEntrySettlement(entry,
+        gradeEntry(entry, games, correctedGameIds), {
+          entryId: entryRef.id, settlementId, correctedGameIds,
+          eligibilityIssue, now,
+        });
+    transaction.update(entryRef, updates);
+    if (ledgerEntries.length > 0) {
+      postLedgerEntries(transaction, {
+        profileRef, ledgerRef, profile: profileSnap.data(),
+        entries: ledgerEntries,
+      });
+    }
+    return updates;
+  });
+}
+
+/**
+ * Runs a grading pass over a week: every unsettled entry, plus every entry
+ * with a pick on a corrected game.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.weekId Week to settle.
+ * @param {Array<Object>} params.games The week's games.
+ * @param {string} params.settlementId ID of this pass, see `getSettlementId`.
+ * @param {Array<string>} [params.correctedGameIds] Games whose final score
+ *     was corrected since the last completed pass.
+ * @param {Date} [params.now] Grading time.
+ * @return {Promise<Object>} `{graded, settled, regraded, skipped, withheld}`
+ *     counts; `withheld` lists `{userId, entryId, amount, reason}`.
+ */
+async function settleWeekEntries(db, {
+  appId, weekId, games, settlementId, correctedGameIds = [], now = new Date(),
+}) {
+  const result = {graded: 0, settled: 0, regraded: 0, skipped: 0, withheld: []};
+  const usersPath = `artifacts/${appId}/users/`;
+  // Corrections can change settled entries too, so those passes read them all.
+  let baseQuery = db.collectionGroup("entries").where("weekId", "==", weekId);
+  if (correctedGameIds.length === 0) {
+    baseQuery = baseQuery.where("isSettled", "==", false);
+  }
+  baseQuery = baseQuery.orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+
+  let batch = db.batch();
+  let batchWrites = 0;
+  let lastDoc = null;
+
+  for (;;) {
+    const pageSnap = await (lastDoc ?
+      baseQuery.startAfter(lastDoc) : baseQuery).get();
+    if (pageSnap.empty) break;
+    lastDoc = pageSnap.docs[pageSnap.docs.length - 1];
+
+    for (const entryDoc of pageSnap.docs) {
+      // collectionGroup spans every app; only settle this app's entries.
+      const entry = entryDoc.data();
+      const isCorrected = correctedGameIds
+          .some((gameId) => (entry.picks || {})[gameId]);
+      if (!entryDoc.ref.path.startsWith(usersPath) ||
+          entry.settlementId === settlementId ||
+          (entry.isSettled && !isCorrected)) {
+        result.skipped++;
+        continue;
+      }
+
+      const graded = gradeEntry(entry, games, correctedGameIds);
+      const context = {
+        entryId: entryDoc.id, settlementId, correctedGameIds, now,
+      };
+      result.graded++;
+      if (graded.isSettled && !entry.isSettled) result.settled++;
+      if (entry.isSettled) result.regraded++;
+
+      const {updates, ledgerEntries} = buildEntrySettlement(entry, graded,
+          {...context, eligibilityIssue: null});
+      if (ledgerEntries.length === 0) {
+        batch.update(entryDoc.ref, updates);
+        batchWrites++;
+        if (batchWrites >= BATCH_SIZE) {
+          await batch.commit();
+          batch = db.batch();
+          batchWrites = 0;
+        }
+        continue;
+      }
+
+      const userId = entryDoc.ref.parent.parent.parent.parent.id;
+      const paysWinnings = ledgerEntries.some((ledgerEntry) =>
+        ledgerEntry.currency === CURRENCIES.WINNER_BUCKS &&
+        ledgerEntry.amount > 0);
+      const eligibilityIssue = paysWinnings ?
+        await getUserEligibilityIssue(db, {appId, userId}) : null;
+      const applied = await settleEntryWithLedger(db, {
+        appId, entryRef: entryDoc.ref, games, settlementId, correctedGameIds,
+        eligibilityIssue, now,
+      });
+      if (applied && eligibilityIssue &&
+          applied.winningsWithheld !== undefined) {
+        result.withheld.push({
+          userId,
+          entryId: entryDoc.id,
+          amount: applied.winningsWithheld,
+          reason: eligibilityIssue,
+        });
+      }
+    }
+
+    if (pageSnap.size < PAGE_SIZE) break;
+  }
+
+  if (batchWrites > 0) await batch.commit();
+  return result;
+}
+
+module.exports = {
+  getSettlementId,
+  getScoreCorrections,
+  gradeEntry,
+  buildEntrySettlement,
+  settleWeekEntries,
+};
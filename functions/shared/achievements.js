@@ -0,0 +1,247 @@
+// functions/shared/achievements.js
+// Achievements and XP. Activity is turned into events (an entry submitted, a
+// pick won, a daily bonus claimed, ...); each event awards a fixed amount of
+// XP and updates the user's achievement stats, and an achievement is earned
+// once its stat reaches the threshold. These definitions are the defaults; an
+// admin can override them by writing `{achievements: [...]}` to
+// `artifacts/{appId}/config/achievements`.
+
+const {MARKETS, PICK_OUTCOMES} = require("./markets");
+const {isGameVoid} = require("./gameStatuses");
+
+const ACHIEVEMENT_EVENTS = {
+  ENTRY_SUBMITTED: "entry_submitted",
+  PICK_WON: "pick_won", // `{underdog}`
+  PICK_LOST: "pick_lost",
+  PERFECT_WEEK: "perfect_week", // Every game of the week picked and won
+  DAILY_BONUS_CLAIMED: "daily_bonus_claimed", // `{streak}`
+  LOTTERY_WON: "lottery_won",
+};
+
+// XP awarded for each event, on top of the XP of any achievement it unlocks.
+const EVENT_XP = {
+  entry_submitted: 10,
+  pick_won: 5,
+  pick_lost: 0,
+  perfect_week: 100,
+  daily_bonus_claimed: 2,
+  lottery_won: 50,
+};
+
+// Counters kept in `users/{userId}/achievements/stats`.
+const EMPTY_ACHIEVEMENT_STATS = {
+  entriesSubmitted: 0,
+  picksWon: 0,
+  currentPickStreak: 0,
+  bestPickStreak: 0,
+  underdogWins: 0,
+  perfectWeeks: 0,
+  bestDailyBonusStreak: 0,
+  lotteryWins: 0,
+};
+
+// An achievement is earned once `stat` reaches `threshold`. `icon` names the
+// badge icon the header shows.
+const DEFAULT_ACHIEVEMENTS = [
+  {id: "first_entry", name: "Rookie", description: "Submit your first entry.",
+    stat: "entriesSubmitted", threshold: 1, xp: 25, icon: "target"},
+  {id: "entries_25", name: "Regular", description: "Submit 25 entries.",
+    stat: "entriesSubmitted", threshold: 25, xp: 100, icon: "calendar"},
+  {id: "picks_won_50", name: "Sharp", description: "Win 50 picks.",
+    stat: "picksWon", threshold: 50, xp: 150, icon: "star"},
+  {id: "pick_streak_5", name: "Hot Hand",
+    description: "Win 5 picks in a row.",
+    stat: "bestPickStreak", threshold: 5, xp: 50, icon: "flame"},
+  {id: "pick_streak_10", name: "On Fire",
+    description: "Win 10 picks in a row.",
+    stat: "bestPickStreak", threshold: 10, xp: 150, icon: "flame"},
+  {id: "underdog_1", name: "Giant Killer", description: "Win an underdog pick.",
+    stat: "underdogWins", threshold: 1, xp: 25, icon: "zap"},
+  {id: "underdog_10", name: "Upset Artist",
+    description: "Win 10 underdog picks.",
+    stat: "underdogWins", threshold: 10, xp: 150, icon: "zap"},
+  {id: "perfect_week", name: "Perfect Week",
+    description: "Win a pick on every game of a week.",
+    stat: "perfectWeeks", threshold: 1, xp: 250, icon: "crown"},
+  {id: "daily_streak_7", name: "Seven Straight",
+    description: "Claim the daily bonus 7 days in a row.",
+    stat: "bestDailyBonusStreak", threshold: 7, xp: 50, icon: "calendar"},
+  {id: "daily_streak_30", name: "Dedicated",
+    description: "Claim the daily bonus 30 days in a row.",
+    stat: "bestDailyBonusStreak", threshold: 30, xp: 200, icon: "calendar"},
+  {id: "lottery_win", name: "Lucky Ticket", description: "Win a lottery draw.",
+    stat: "lotteryWins", threshold: 1, xp: 100, icon: "ticket"},
+];
+
+// Total XP needed for level 1, 2, ...; past the last value each level needs
+// another LEVEL_XP_AFTER_TABLE XP.
+const LEVEL_XP = [0, 100, 250, 500, 1000, 2000, 3500, 5500, 8000, 11000];
+const LEVEL_XP_AFTER_TABLE = 4000;
+
+/**
+ * The achievement definitions, from the achievements config document when it
+ * has any.
+ * @param {Object|null} achievementsConfig Data of `config/achievements`.
+ * @return {Array<Object>} Definitions as `{id, name, description, stat,
+ *     threshold, xp, icon}`.
+ */
+function getAchievementDefinitions(achievementsConfig) {
+  const achievements = achievementsConfig && achievementsConfig.achievements;
+  return Array.isArray(achievements) && achievements.length > 0 ?
+    achievements : DEFAULT_ACHIEVEMENTS;
+}
+
+/**
+ * Whether a pick was made on the underdog: a plus-money moneyline or the team
+ * getting points on the spread. Totals have no underdog.
+ * @param {Object} pick Stored pick (`market`, `line`, `price`).
+ * @return {boolean} True for an underdog pick.
+ */
+function isUnderdogPick(pick) {
+  if (pick.market === MARKETS.SPREAD) return pick.line > 0;
+  if (pick.market === MARKETS.MONEYLINE) return pick.price > 0;
+  return false;
+}
+
+/**
+ * The events of a settled entry: one per graded pick in kickoff order (pushes
+ * neither extend nor break a streak), plus a perfect week when the entry picked
+ * every game of the week that was played and won them all.
+ * @param {Object} entry Settled entry data (`picks`).
+ * @param {Array<Object>} games The week's games, for the kickoff order.
+ * @return {Array<Object>} Events as `{type, ...payload}`.
+ */
+function getSettledEntryEvents(entry, games) {
+  const kickoffs = {};
+  games.forEach((game) => {
+    kickoffs[game.id] = Date.parse(game.commenceTime) || 0;
+  });
+  // Void picks (postponed or cancelled games) are dropped from the entry.
+  const picks = Object.entries(entry.picks || {})
+      .sort(([a], [b]) => (kickoffs[a] || 0) - (kickoffs[b] || 0))
+      .map(([, pick]) => pick)
+      .filter((pick) => pick.outcome !== PICK_OUTCOMES.VOID);
+  const gamesPlayed = games.filter((game) => !isGameVoid(game)).length;
+
+  const events = [];
+  picks.forEach((pick) => {
+    if (pick.outcome === PICK_OUTCOMES.WIN) {
+      events.push({
+        type: ACHIEVEMENT_EVENTS.PICK_WON,
+        underdog: isUnderdogPick(pick),
+      });
+    } else if (pick.outcome === PICK_OUTCOMES.LOSS) {
+      events.push({type: ACHIEVEMENT_EVENTS.PICK_LOST});
+    }
+  });
+  if (picks.length > 0 && picks.length === gamesPlayed &&
+      picks.every((pick) => pick.outcome === PICK_OUTCOMES.WIN)) {
+    events.push({type: ACHIEVEMENT_EVENTS.PERFECT_WEEK});
+  }
+  return events;
+}
+
+/**
+ * Applies one event to a user's achievement stats.
+ * @param {Object} stats Current stats.
+ * @param {Object} event Event as `{type, ...payload}`.
+ * @return {Object} The updated stats (a new object).
+ */
+function applyEventToStats(stats, event) {
+  const next = {...EMPTY_ACHIEVEMENT_STATS, ...stats};
+  switch (event.type) {
+    case ACHIEVEMENT_EVENTS.ENTRY_SUBMITTED:
+      next.entriesSubmitted++;
+      break;
+    case ACHIEVEMENT_EVENTS.PICK_WON:
+      next.picksWon++;
+      next.currentPickStreak++;
+      next.bestPickStreak = Math.max(next.bestPickStreak,
+          next.currentPickStreak);
+      if (event.underdog) next.underdogWins++;
+      break;
+    case ACHIEVEMENT_EVENTS.PICK_LOST:
+      next.currentPickStreak = 0;
+      break;
+    case ACHIEVEMENT_EVENTS.PERFECT_WEEK:
+      next.perfectWeeks++;
+      break;
+    case ACHIEVEMENT_EVENTS.DAILY_BONUS_CLAIMED:
+      next.bestDailyBonusStreak = Math.max(next.bestDailyBonusStreak,
+          event.streak || 0);
+      break;
+    case ACHIEVEMENT_EVENTS.LOTTERY_WON:
+      next.lotteryWins++;
+      break;
+    default:
+      throw new Error(`Unknown achievement event "${event.type}".`);
+  }
+  return next;
+}
+
+/**
+ * Applies a list of events: updates the stats, adds up the XP and finds the
+ * achievements that are newly earned.
+ * @param {Object} stats Current stats.
+ * @param {Array<Object>} events Events in the order they happened.
+ * @param {Array<Object>} definitions Achievement definitions.
+ * @param {Array<string>} earnedIds IDs of achievements already earned.
+ * @return {Object} `{stats, xp, earned}`; `earned` lists the definitions of
+ *     the new achievements, whose XP is included in `xp`.
+ */
+function applyAchievementEvents(stats, events, definitions, earnedIds) {
+  let nextStats = {...EMPTY_ACHIEVEMENT_STATS, ...stats};
+  let xp = 0;
+  events.forEach((event) => {
+    nextStats = applyEventToStats(nextStats, event);
+    xp += EVENT_XP[event.type] || 0;
+  });
+
+  const earned = definitions.filter((definition) =>
+    !earnedIds.includes(definition.id) &&
+    (nextStats[definition.stat] || 0) >= definition.threshold);
+  earned.forEach((definition) => {
+    xp += definition.xp || 0;
+  });
+  return {stats: nextStats, xp, earned};
+}
+
+/**
+ * Total XP needed to reach a level.
+ * @param {number} level 1-based level.
+ * @return {number} The XP.
+ */
+function getLevelXp(level) {
+  if (level <= LEVEL_XP.length) return LEVEL_XP[Math.max(level, 1) - 1];
+  return LEVEL_XP[LEVEL_XP.length - 1] +
+    (level - LEVEL_XP.length) * LEVEL_XP_AFTER_TABLE;
+}
+
+/**
+ * The level for an XP total and the progress towards the next one.
+ * @param {number} xp Total XP.
+ * @return {Object} `{level, levelXp, nextLevelXp}`: the XP the level started
+ *     at and the XP the next level starts at.
+ */
+function getLevelProgress(xp) {
+  let level = 1;
+  while (getLevelXp(level + 1) <= (xp || 0)) level++;
+  return {
+    level,
+    levelXp: getLevelXp(level),
+    nextLevelXp: getLevelXp(level + 1),
+  };
+}
+
+module.exports = {
+  ACHIEVEMENT_EVENTS,
+  EVENT_XP,
+  EMPTY_ACHIEVEMENT_STATS,
+  DEFAULT_ACHIEVEMENTS,
+  LEVEL_XP,
+  getAchievementDefinitions,
+  isUnderdogPick,
+  getSettledEntryEvents,
+  applyAchievementEvents,
+  getLevelProgress,
+};
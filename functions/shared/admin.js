@@ -0,0 +1,87 @@
+// functions/shared/admin.js
+// Admin console actions. Admins carry the `admin: true` custom claim; every
+// action goes through an admin-only callable and is recorded in
+// `adminAuditLog/{logId}` as `{action, adminId, target, details,
+// createdAt}`.
+
+const {CURRENCIES} = require("./currencies");
+const {VOID_GAME_STATUSES} = require("./gameStatuses");
+
+const ADMIN_ACTIONS = {
+  UPDATE_GAME: "update_game",
+  OVERRIDE_SCORE: "override_score",
+  VOID_GAME: "void_game",
+  SET_TIE_BREAKER: "set_tie_breaker",
+  FORCE_SETTLEMENT: "force_settlement",
+  ADJUST_BALANCE: "adjust_balance",
+  SET_ADMIN_ROLE: "set_admin_role",
+  BACKFILL_OPENING_BALANCES: "backfill_opening_balances",
+};
+
+const ADMIN_ACTION_LABELS = {
+  update_game: "Edited game",
+  override_score: "Overrode score",
+  void_game: "Voided game",
+  set_tie_breaker: "Changed tie-breaker",
+  force_settlement: "Forced settlement",
+  adjust_balance: "Adjusted balance",
+  set_admin_role: "Changed admin role",
+  backfill_opening_balances: "Backfilled opening balances",
+};
+
+const ADJUSTMENT_REASON_MAX_LENGTH = 200;
+
+/**
+ * Validates an admin score override.
+ * @param {Object} score `{home, away}`.
+ * @return {string|null} A user-facing error message, or null when valid.
+ */
+function validateScoreOverride({home, away}) {
+  const isScore = (value) => Number.isInteger(value) && value >= 0;
+  if (!isScore(home) || !isScore(away)) {
+    return "Scores must be whole numbers of at least 0.";
+  }
+  return null;
+}
+
+/**
+ * Validates the status an admin voids a game with.
+ * @param {string} status The new status.
+ * @return {string|null} A user-facing error message, or null when valid.
+ */
+function validateVoidStatus(status) {
+  if (!VOID_GAME_STATUSES.includes(status)) {
+    return `A game can only be voided as ${VOID_GAME_STATUSES.join(" or ")}.`;
+  }
+  return null;
+}
+
+/**
+ * Validates a manual balance adjustment.
+ * @param {Object} adjustment `{currency, amount, reason}`; a negative amount
+ *     is a debit.
+ * @return {string|null} A user-facing error message, or null when valid.
+ */
+function validateBalanceAdjustment({currency, amount, reason}) {
+  if (!Object.values(CURRENCIES).includes(currency)) {
+    return "Choose a currency to adjust.";
+  }
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount === 0) {
+    return "The amount must be a number other than 0.";
+  }
+  if (typeof reason !== "string" || !reason.trim() ||
+      reason.trim().length > ADJUSTMENT_REASON_MAX_LENGTH) {
+    return `Give a reason of at most ${ADJUSTMENT_REASON_MAX_LENGTH} ` +
+      "characters.";
+  }
+  return null;
+}
+
+module.exports = {
+  ADMIN_ACTIONS,
+  ADMIN_ACTION_LABELS,
+  ADJUSTMENT_REASON_MAX_LENGTH,
+  validateScoreOverride,
+  validateVoidStatus,
+  validateBalanceAdjustment,
+};
@@ -0,0 +1,105 @@
+// functions/shared/compliance.js
+// Sweepstakes compliance rules. Winner Bucks are the sweepstakes currency, so
+// before any can be won or redeemed a user needs an eligibility record (age
+// attestation and a state of residence where play is allowed) and must have
+// accepted the current Official Rules. Users who don't buy Predictor Points
+// can request a free entry (the Alternative Method of Entry) instead.
+
+const {ENTRY_TIERS} = require("./contestRules");
+
+// Bump whenever the Official Rules change; every user has to accept again.
+const OFFICIAL_RULES_VERSION = "2026-10-01";
+
+const MINIMUM_AGE = 18;
+
+const US_STATES = [
+  "AL", "AK", "AZ", "AR", "CA", "CO", "CT", "DE", "DC", "FL", "GA", "HI",
+  "ID", "IL", "IN", "IA", "KS", "KY", "LA", "ME", "MD", "MA", "MI", "MN",
+  "MS", "MO", "MT", "NE", "NV", "NH", "NJ", "NM", "NY", "NC", "ND", "OH",
+  "OK", "OR", "PA", "RI", "SC", "SD", "TN", "TX", "UT", "VT", "VA", "WA",
+  "WV", "WI", "WY",
+];
+
+// States where the sweepstakes is void.
+const EXCLUDED_STATES = ["ID", "MI", "MT", "NV", "WA"];
+
+// A free entry is worth the largest entry fee, so it covers any tier.
+const FREE_ENTRY_POINTS = Math.max(...ENTRY_TIERS);
+const FREE_ENTRY_COOLDOWN_HOURS = 24; // One free entry per user per day
+
+/**
+ * Why a user can't win or redeem Winner Bucks right now.
+ * @param {Object|null} eligibility The user's eligibility record.
+ * @return {string|null} A user-facing reason, or null when eligible.
+ */
+function getEligibilityIssue(eligibility) {
+  if (!eligibility || eligibility.ageAttested !== true) {
+    return `Confirm that you are at least ${MINIMUM_AGE} years old.`;
+  }
+  if (!eligibility.state) {
+    return "Select your state of residence.";
+  }
+  if (EXCLUDED_STATES.includes(eligibility.state)) {
+    return `Sweepstakes play is not available in ${eligibility.state}.`;
+  }
+  if (!eligibility.officialRules ||
+      eligibility.officialRules.version !== OFFICIAL_RULES_VERSION) {
+    return "Accept the current Official Rules.";
+  }
+  return null;
+}
+
+/**
+ * Validates an eligibility update from the user.
+ * @param {Object} input `{ageAttested, state}`.
+ * @return {string|null} A user-facing error message, or null when valid.
+ */
+function validateEligibilityInput({ageAttested, state}) {
+  if (ageAttested !== true) {
+    return `You must be at least ${MINIMUM_AGE} years old to play.`;
+  }
+  if (!US_STATES.includes(state)) {
+    return "Select your state of residence.";
+  }
+  return null;
+}
+
+/**
+ * Validates a free entry request.
+ * @param {Object} request `{fullName, mailingAddress}`.
+ * @return {string|null} A user-facing error message, or null when valid.
+ */
+function validateFreeEntryRequest({fullName, mailingAddress}) {
+  if (typeof fullName !== "string" || fullName.trim().length < 3) {
+    return "Enter your full name.";
+  }
+  if (typeof mailingAddress !== "string" ||
+      mailingAddress.trim().length < 10) {
+    return "Enter your full mailing address.";
+  }
+  return null;
+}
+
+/**
+ * When the user may request their next free entry.
+ * @param {string|null} lastFreeEntryAt ISO time of the last free entry.
+ * @return {Date|null} The time, or null if the user never requested one.
+ */
+function getNextFreeEntryAt(lastFreeEntryAt) {
+  if (!lastFreeEntryAt) return null;
+  return new Date(new Date(lastFreeEntryAt).getTime() +
+    FREE_ENTRY_COOLDOWN_HOURS * 60 * 60 * 1000);
+}
+
+module.exports = {
+  OFFICIAL_RULES_VERSION,
+  MINIMUM_AGE,
+  US_STATES,
+  EXCLUDED_STATES,
+  FREE_ENTRY_POINTS,
+  FREE_ENTRY_COOLDOWN_HOURS,
+  getEligibilityIssue,
+  validateEligibilityInput,
+  validateFreeEntryRequest,
+  getNextFreeEntryAt,
+};
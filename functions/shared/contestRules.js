@@ -0,0 +1,164 @@
+// functions/shared/contestRules.js
+// Weekly contest rules enforced by the submitPicks Cloud Function and mirrored
+// by the picks screen, so both sides agree on what a valid entry is.
+
+const {MARKETS, findPickOption, getProfitMultiple} = require("./markets");
+const {isGameVoid} = require("./gameStatuses");
+
+const ENTRY_TIERS = [25, 50, 100]; // Entry fee in Predictor Points
+const MAX_ENTRIES_PER_WEEK = 3;
+const TIE_BREAKER_MIN = 0;
+const TIE_BREAKER_MAX = 200; // A reasonable upper bound for an NFL total
+// Winner Bucks paid per Predictor Point of entry fee for a winning pick at
+// even money; higher tiers earn a better rate.
+const PAYOUT_RATES = {25: 0.1, 50: 0.12, 100: 0.15};
+
+/**
+ * Builds the document ID of a user's n-th entry for a week.
+ * @param {number} entryNumber 1-based entry number.
+ * @return {string} The entry ID, e.g. `entry-2`.
+ */
+function buildEntryId(entryNumber) {
+  return `entry-${entryNumber}`;
+}
+
+/**
+ * Whether two selections are the same market and side.
+ * @param {Object} a Selection `{market, pick}`.
+ * @param {Object} b Selection `{market, pick}`.
+ * @return {boolean} True when both pick the same thing.
+ */
+function isSameSelection(a, b) {
+  if (!a || !b) return false;
+  return (a.market || MARKETS.MONEYLINE) === (b.market || MARKETS.MONEYLINE) &&
+    a.pick === b.pick;
+}
+
+/**
+ * The share of an entry's fee riding on each of its picks. A pushed pick
+ * refunds this amount in Predictor Points.
+ * @param {Object} entry An entry with `tier` and `picks`.
+ * @return {number} Predictor Points per pick, rounded to cents.
+ */
+function getPickStake(entry) {
+  const pickCount = Object.keys(entry.picks || {}).length;
+  if (pickCount === 0) return 0;
+  return Math.round((entry.tier / pickCount) * 100) / 100;
+}
+
+/**
+ * Winner Bucks a winning pick pays, scaled by the American odds the pick was
+ * made at: a +400 underdog pays eight times a -200 favorite.
+ * @param {number} tier Entry fee tier.
+ * @param {number} price American odds stored on the pick.
+ * @return {number} Winner Bucks, rounded to cents.
+ */
+function calculatePickPayout(tier, price) {
+  const rate = PAYOUT_RATES[tier] || 0;
+  return Math.round(tier * rate * getProfitMultiple(price) * 100) / 100;
+}
+
+/**
+ * Whether a game no longer accepts picks. Every game locks at its kickoff.
+ * @param {Object} game A game with a `commenceTime`.
+ * @param {Date} [now] The time to check, defaults to the current time.
+ * @return {boolean} True once the game has started.
+ */
+function isGameLocked(game, now = new Date()) {
+  return now.getTime() >= Date.parse(game.commenceTime);
+}
+
+/**
+ * Validates a new or amended entry against the week's slate. Every game that
+ * has not kicked off needs a pick; games that already kicked off, were
+ * postponed or were cancelled cannot be picked or changed. The tie-breaker
+ * locks with the tie-breaker game.
+ * @param {Object} week The `nflWeeks` document data.
+ * @param {Object} entry The submitted entry.
+ * @param {Object} entry.picks Selection `{market, pick}` keyed by game ID.
+ * @param {number} entry.tier Entry fee tier.
+ * @param {number|string} entry.tieBreakerPoints Tie-breaker total guess.
+ * @param {Object} [options] Validation options.
+ * @param {Date} [options.now] Submission time, defaults to the current time.
+ * @param {Object} [options.existingEntry] The stored entry when amending,
+ *     as `{picks: {[gameId]: {market, pick}}, tieBreakerPoints}`.
+ * @return {string|null} A user-facing error message, or null when valid.
+ */
+function validateEntry(week, {picks, tier, tieBreakerPoints},
+    {now = new Date(), existingEntry = null} = {}) {
+  if (!ENTRY_TIERS.includes(tier)) {
+    return `Entry tier must be one of ${ENTRY_TIERS.join(", ")} Points.`;
+  }
+
+  const games = week.games || [];
+  if (!picks || typeof picks !== "object") {
+    return "You must make a pick for every game that hasn't kicked off.";
+  }
+  const unknownGameId = Object.keys(picks)
+      .find((gameId) => !games.some((game) => game.id === gameId));
+  if (unknownGameId) {
+    return `Game ${unknownGameId} is not part of this week's slate.`;
+  }
+
+  const existingPicks = existingEntry ? existingEntry.picks || {} : {};
+  for (const game of games) {
+    const selection = picks[game.id];
+    const matchup = `${game.homeTeam} vs ${game.awayTeam}`;
+    if (isGameVoid(game)) {
+      // Postponed and cancelled games can't be picked; stored picks on them
+      // are void.
+      if (selection && !isSameSelection(selection, existingPicks[game.id])) {
+        return `${matchup} was ${game.status} and can't be picked.`;
+      }
+      continue;
+    }
+    if (isGameLocked(game, now)) {
+      if (selection && !isSameSelection(selection, existingPicks[game.id])) {
+        return `${matchup} has already kicked off and is locked.`;
+      }
+      continue;
+    }
+    if (!selection || !selection.pick) {
+      return `Missing pick for ${matchup}.`;
+    }
+    // An unchanged pick keeps the line and price it was submitted at, even if
+    // that option is no longer on offer.
+    if (isSameSelection(selection, existingPicks[game.id])) continue;
+    if (!findPickOption(game, selection)) {
+      return `${selection.pick} (${selection.market || MARKETS.MONEYLINE}) ` +
+        `is not available for ${matchup}.`;
+    }
+  }
+
+  const tieBreakerGame = games
+      .find((game) => game.id === week.tieBreakerGameId);
+  if (!tieBreakerGame) {
+    return "Tie-breaker game not found for this week. Cannot submit picks.";
+  }
+  if (isGameLocked(tieBreakerGame, now) && (!existingEntry ||
+      Number(tieBreakerPoints) !== Number(existingEntry.tieBreakerPoints))) {
+    return "The tie-breaker game has already kicked off and is locked.";
+  }
+  const points = Number(tieBreakerPoints);
+  if (tieBreakerPoints === "" || !Number.isInteger(points) ||
+      points < TIE_BREAKER_MIN || points > TIE_BREAKER_MAX) {
+    return "Please enter a valid total score for the tie-breaker game " +
+      `(${tieBreakerGame.homeTeam} vs ${tieBreakerGame.awayTeam}).`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  ENTRY_TIERS,
+  MAX_ENTRIES_PER_WEEK,
+  TIE_BREAKER_MIN,
+  TIE_BREAKER_MAX,
+  PAYOUT_RATES,
+  buildEntryId,
+  calculatePickPayout,
+  getPickStake,
+  isGameLocked,
+  isSameSelection,
+  validateEntry,
+};
@@ -0,0 +1,67 @@
+// functions/shared/currencies.js
+// The two in-app currencies and the reasons a balance can change. Every change
+// is recorded in the user's ledger with one of these reasons.
+
+const CURRENCIES = {
+  PREDICTOR_POINTS: "predictorPoints",
+  WINNER_BUCKS: "winnerBucks",
+};
+
+const CURRENCY_LABELS = {
+  predictorPoints: "Predictor Points",
+  winnerBucks: "Winner Bucks",
+};
+
+const LEDGER_REASONS = {
+  SIGNUP_BONUS: "signup_bonus",
+  ENTRY_FEE: "entry_fee",
+  PUSH_REFUND: "push_refund",
+  VOID_REFUND: "void_refund", // Pick on a postponed or cancelled game
+  WINNINGS: "winnings",
+  DAILY_BONUS: "daily_bonus",
+  LOTTERY_TICKETS: "lottery_tickets",
+  LOTTERY_WIN: "lottery_win",
+  REDEMPTION_HOLD: "redemption_hold",
+  REDEMPTION_RETURN: "redemption_return",
+  POINTS_PURCHASE: "points_purchase",
+  FREE_ENTRY: "free_entry",
+  SETTLEMENT_ADJUSTMENT: "settlement_adjustment", // After a score correction
+  ADMIN_ADJUSTMENT: "admin_adjustment", // Made by an admin, with a reason
+  OPENING_BALANCE: "opening_balance", // Backfilled for pre-ledger profiles
+};
+
+const LEDGER_REASON_LABELS = {
+  signup_bonus: "Welcome bonus",
+  entry_fee: "Entry fee",
+  push_refund: "Push refund",
+  void_refund: "Void game refund",
+  winnings: "Contest winnings",
+  daily_bonus: "Daily bonus",
+  lottery_tickets: "Lottery tickets",
+  lottery_win: "Lottery win",
+  redemption_hold: "Redemption request",
+  redemption_return: "Redemption returned",
+  points_purchase: "Points purchase",
+  free_entry: "Free entry",
+  settlement_adjustment: "Score correction",
+  admin_adjustment: "Balance adjustment",
+  opening_balance: "Opening balance",
+};
+
+/**
+ * Rounds an amount to cents; Winner Bucks are fractional and repeated float
+ * additions would otherwise drift away from the ledger.
+ * @param {number} amount The amount.
+ * @return {number} The amount rounded to two decimals.
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+module.exports = {
+  CURRENCIES,
+  CURRENCY_LABELS,
+  LEDGER_REASONS,
+  LEDGER_REASON_LABELS,
+  roundCurrency,
+};
@@ -0,0 +1,159 @@
+// functions/shared/dailyBonus.js
+// Daily bonus rules shared by the claimDailyBonus Cloud Function and the Daily
+// Bonus panel. A claim is allowed once per calendar day in the user's time
+// zone; claiming on consecutive days grows the reward, missing a day resets it.
+//
+// The profile keeps `dailyBonus: {streak, lastClaimAt, lastClaimDate, timeZone,
+// nextClaimAt, streakExpiresAt}`. Both deadlines are fixed in the time zone of
+// the claim, so changing time zones can't unlock a second claim on one day.
+
+// Predictor Points for day 1, 2, ... of a streak; the last value repeats.
+const DAILY_BONUS_REWARDS = [100, 150, 200, 250, 300, 400, 500];
+const DEFAULT_TIME_ZONE = "UTC";
+
+/**
+ * Returns the time zone if the runtime knows it, otherwise UTC.
+ * @param {string} timeZone IANA time zone, e.g. `America/Chicago`.
+ * @return {string} A usable IANA time zone.
+ */
+function resolveTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return DEFAULT_TIME_ZONE;
+  try {
+    new Intl.DateTimeFormat("en-US", {timeZone}).format(new Date());
+    return timeZone;
+  } catch (error) {
+    return DEFAULT_TIME_ZONE;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone.
+ * @param {Date} date The instant.
+ * @param {string} timeZone IANA time zone.
+ * @return {Object} `{year, month, day, hour, minute, second}` (month 1-12).
+ */
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const result = {};
+  parts.forEach((part) => {
+    if (part.type !== "literal") result[part.type] = Number(part.value);
+  });
+  return result;
+}
+
+/**
+ * The calendar date of an instant in a time zone.
+ * @param {Date} date The instant.
+ * @param {string} timeZone IANA time zone.
+ * @return {string} The local date as `YYYY-MM-DD`.
+ */
+function getLocalDateKey(date, timeZone) {
+  const {year, month, day} = getZonedParts(date, timeZone);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * The instant local midnight begins, `days` calendar days after the local
+ * date of `date`.
+ * @param {Date} date The instant.
+ * @param {string} timeZone IANA time zone.
+ * @param {number} [days] Calendar days ahead, defaults to 1.
+ * @return {Date} The start of that local day.
+ */
+function getStartOfLocalDay(date, timeZone, days = 1) {
+  const {year, month, day} = getZonedParts(date, timeZone);
+  const wallClockMidnight = Date.UTC(year, month - 1, day + days);
+  // Shift by the zone's offset at that moment; a second pass settles the
+  // offset when midnight falls on the other side of a DST change.
+  let instant = wallClockMidnight;
+  for (let i = 0; i < 2; i++) {
+    const local = getZonedParts(new Date(instant), timeZone);
+    const localAsUtc = Date.UTC(local.year, local.month - 1, local.day,
+        local.hour, local.minute, local.second);
+    instant = wallClockMidnight - (localAsUtc - instant);
+  }
+  return new Date(instant);
+}
+
+/**
+ * Predictor Points paid for a given day of a streak.
+ * @param {number} streak 1-based streak day.
+ * @return {number} The reward.
+ */
+function getDailyBonusReward(streak) {
+  const index = Math.min(Math.max(streak, 1), DAILY_BONUS_REWARDS.length) - 1;
+  return DAILY_BONUS_REWARDS[index];
+}
+
+/**
+ * Where a user stands with the daily bonus.
+ * @param {Object|null} dailyBonus The profile's `dailyBonus` field.
+ * @param {Date} [now] The time to check, defaults to the current time.
+ * @return {Object} `{canClaim, nextClaimAt, currentStreak, nextStreak,
+ *     nextReward}`; `currentStreak` is 0 once the streak has lapsed.
+ */
+function getDailyBonusStatus(dailyBonus, now = new Date()) {
+  if (!dailyBonus || !dailyBonus.nextClaimAt) {
+    return {
+      canClaim: true,
+      nextClaimAt: null,
+      currentStreak: 0,
+      nextStreak: 1,
+      nextReward: getDailyBonusReward(1),
+    };
+  }
+  const streakAlive = now < new Date(dailyBonus.streakExpiresAt);
+  const currentStreak = streakAlive ? dailyBonus.streak || 0 : 0;
+  return {
+    canClaim: now >= new Date(dailyBonus.nextClaimAt),
+    nextClaimAt: dailyBonus.nextClaimAt,
+    currentStreak,
+    nextStreak: currentStreak + 1,
+    nextReward: getDailyBonusReward(currentStreak + 1),
+  };
+}
+
+/**
+ * Builds a claim made now, or returns an error message if one isn't allowed.
+ * @param {Object|null} dailyBonus The profile's `dailyBonus` field.
+ * @param {Object} options Claim options.
+ * @param {string} options.timeZone The user's IANA time zone.
+ * @param {Date} [options.now] Claim time, defaults to the current time.
+ * @return {Object} `{error}` or `{reward, dailyBonus}` with the new field.
+ */
+function buildDailyBonusClaim(dailyBonus, {timeZone, now = new Date()}) {
+  const status = getDailyBonusStatus(dailyBonus, now);
+  if (!status.canClaim) {
+    return {error: "You've already claimed today's bonus. Come back tomorrow!"};
+  }
+  const zone = resolveTimeZone(timeZone);
+  return {
+    reward: status.nextReward,
+    dailyBonus: {
+      streak: status.nextStreak,
+      lastClaimAt: now.toISOString(),
+      lastClaimDate: getLocalDateKey(now, zone),
+      timeZone: zone,
+      nextClaimAt: getStartOfLocalDay(now, zone, 1).toISOString(),
+      streakExpiresAt: getStartOfLocalDay(now, zone, 2).toISOString(),
+    },
+  };
+}
+
+module.exports = {
+  DAILY_BONUS_REWARDS,
+  getDailyBonusReward,
+  getDailyBonusStatus,
+  buildDailyBonusClaim,
+  getLocalDateKey,
+};
@@ -0,0 +1,73 @@
+// functions/shared/friends.js
+// Friendships between two users live at `friendships/{friendshipId}`, where
+// the ID is both user IDs sorted and joined, so a pair can only ever have one
+// friendship document whichever of them sent the request.
+//
+// Friends are found by username, so usernames are unique regardless of case:
+// each one is reserved at `usernames/{key}`, see getUsernameKey.
+
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 24; // Fits the longest default, `User_` + 16
+
+const FRIENDSHIP_STATUSES = {
+  PENDING: "pending", // Sent by `requesterId`, waiting for `addresseeId`
+  ACCEPTED: "accepted",
+};
+
+/**
+ * The friendship document ID for two users.
+ * @param {string} userIdA One user ID.
+ * @param {string} userIdB The other user ID.
+ * @return {string} The friendship ID.
+ */
+function getFriendshipId(userIdA, userIdB) {
+  return [userIdA, userIdB].sort().join("_");
+}
+
+/**
+ * The other user of a friendship.
+ * @param {Object} friendship Friendship data (`userIds`).
+ * @param {string} userId One of the two users.
+ * @return {string} The other user's ID.
+ */
+function getFriendId(friendship, userId) {
+  return friendship.userIds.find((id) => id !== userId);
+}
+
+/**
+ * Validates a username: letters, digits and underscores.
+ * @param {string} username The username, already trimmed.
+ * @return {string|null} A user-facing error message, or null when valid.
+ */
+function validateUsername(username) {
+  if (typeof username !== "string" ||
+      username.length < USERNAME_MIN_LENGTH ||
+      username.length > USERNAME_MAX_LENGTH) {
+    return `Usernames are ${USERNAME_MIN_LENGTH} to ${USERNAME_MAX_LENGTH} ` +
+      "characters long.";
+  }
+  if (!/^[A-Za-z0-9_]+$/.test(username)) {
+    return "Usernames can only use letters, digits and underscores.";
+  }
+  return null;
+}
+
+/**
+ * The ID of a username's reservation: names that differ only in case share
+ * one, so they can't belong to two users.
+ * @param {string} username The username.
+ * @return {string} The reservation ID.
+ */
+function getUsernameKey(username) {
+  return username.trim().toLowerCase();
+}
+
+module.exports = {
+  USERNAME_MIN_LENGTH,
+  USERNAME_MAX_LENGTH,
+  FRIENDSHIP_STATUSES,
+  getFriendshipId,
+  getFriendId,
+  validateUsername,
+  getUsernameKey,
+};
@@ -0,0 +1,89 @@
+// functions/shared/gameStatuses.js
+// The status of a week game and what each one means for picks. Scheduled,
+// live, final and tied games follow from the kickoff time and the score; a
+// game still not final long after kickoff is delayed, which only flags it for
+// an admin: its picks stay open and a late score from the provider still
+// grades them. The sync keeps its week open until the game is decided; once
+// the scores feed no longer returns it (see SCORES_DAYS_FROM in
+// syncStatus.js) only an admin can grade it, by setting its final score
+// (adminOverrideScore) or voiding it (adminVoidGame), and the next sync run
+// settles it. A game is postponed when the provider reschedules it out of its
+// week or an admin voids it, and cancelled only when an admin says so. Picks
+// on a postponed or cancelled game are void: the pick is dropped from its
+// entry and its share of the entry fee refunded.
+
+const GAME_STATUSES = {
+  SCHEDULED: "scheduled",
+  LIVE: "live",
+  FINAL: "final",
+  TIED: "tied", // Final with equal scores: moneyline picks push
+  DELAYED: "delayed", // Not final DELAYED_AFTER_HOURS after kickoff; reversible
+  POSTPONED: "postponed",
+  CANCELLED: "cancelled",
+};
+
+const GAME_STATUS_LABELS = {
+  scheduled: "Scheduled",
+  live: "Live",
+  final: "Final",
+  tied: "Final (Tie)",
+  delayed: "Awaiting Score",
+  postponed: "Postponed",
+  cancelled: "Cancelled",
+};
+
+const VOID_GAME_STATUSES = [GAME_STATUSES.POSTPONED, GAME_STATUSES.CANCELLED];
+
+// A game still not final this long after kickoff is shown as delayed.
+const DELAYED_AFTER_HOURS = 24;
+
+/**
+ * Whether a game was postponed or cancelled, voiding its picks.
+ * @param {Object} game A week game.
+ * @return {boolean} True for a void game.
+ */
+function isGameVoid(game) {
+  return VOID_GAME_STATUSES.includes(game.status);
+}
+
+/**
+ * Whether a game needs nothing more to grade its picks: final or void.
+ * @param {Object} game A week game.
+ * @return {boolean} True once the game is decided.
+ */
+function isGameDecided(game) {
+  return Boolean(game.completed) || isGameVoid(game);
+}
+
+/**
+ * The current status of a game. Postponed and cancelled are final states and
+ * always kept; delayed is not, and turns final once the score arrives.
+ * @param {Object} game A week game (`commenceTime`, `completed`, `score`,
+ *     `status`).
+ * @param {Date} [now] The time to check, defaults to the current time.
+ * @return {string} One of GAME_STATUSES.
+ */
+function getGameStatus(game, now = new Date()) {
+  if (isGameVoid(game)) return game.status;
+  if (game.completed) {
+    const score = game.score || {};
+    return Number(score.home) === Number(score.away) ?
+      GAME_STATUSES.TIED : GAME_STATUSES.FINAL;
+  }
+  const kickoff = Date.parse(game.commenceTime);
+  if (now.getTime() >= kickoff + DELAYED_AFTER_HOURS * 60 * 60 * 1000) {
+    return GAME_STATUSES.DELAYED;
+  }
+  return now.getTime() >= kickoff ?
+    GAME_STATUSES.LIVE : GAME_STATUSES.SCHEDULED;
+}
+
+module.exports = {
+  GAME_STATUSES,
+  GAME_STATUS_LABELS,
+  VOID_GAME_STATUSES,
+  DELAYED_AFTER_HOURS,
+  isGameVoid,
+  isGameDecided,
+  getGameStatus,
+};
@@ -0,0 +1,22 @@
+// functions/shared/index.js
+// Code shared between the Cloud Functions and the React client. The client
+// depends on this folder as the local package `@predictpro/shared`.
+
+module.exports = {
+  ...require("./nflCalendar"),
+  ...require("./contestRules"),
+  ...require("./gameStatuses"),
+  ...require("./markets"),
+  ...require("./currencies"),
+  ...require("./dailyBonus"),
+  ...require("./lottery"),
+  ...require("./redemptions"),
+  ...require("./store"),
+  ...require("./compliance"),
+  ...require("./standings"),
+  ...require("./leagues"),
+  ...require("./friends"),
+  ...require("./achievements"),
+  ...require("./syncStatus"),
+  ...require("./admin"),
+};
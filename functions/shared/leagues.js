@@ -0,0 +1,86 @@
+// functions/shared/leagues.js
+// Private leagues. A league is a named group of users who joined with its
+// invite code; its boards are the global weekly leaderboard filtered to the
+// members' entries. The commissioner can require an entry tier and cap how
+// many of each member's weekly entries count for the league.
+
+const {ENTRY_TIERS, MAX_ENTRIES_PER_WEEK} = require("./contestRules");
+
+const LEAGUE_NAME_MAX_LENGTH = 40;
+const MAX_LEAGUE_MEMBERS = 100;
+const INVITE_CODE_LENGTH = 6;
+// No 0/O or 1/I, so codes can be read out loud and typed without mistakes.
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Validates a league name.
+ * @param {string} name The proposed name.
+ * @return {string|null} A user-facing error message, or null when valid.
+ */
+function validateLeagueName(name) {
+  if (typeof name !== "string" || name.trim().length < 3 ||
+      name.trim().length > LEAGUE_NAME_MAX_LENGTH) {
+    return `League names must be 3 to ${LEAGUE_NAME_MAX_LENGTH} characters.`;
+  }
+  return null;
+}
+
+/**
+ * Validates the commissioner's settings.
+ * @param {Object} settings `{entryTier, entryCap}`; a null tier allows all.
+ * @return {string|null} A user-facing error message, or null when valid.
+ */
+function validateLeagueSettings({entryTier, entryCap}) {
+  if (entryTier !== null && !ENTRY_TIERS.includes(entryTier)) {
+    return `Entry tier must be one of ${ENTRY_TIERS.join(", ")} Points.`;
+  }
+  if (!Number.isInteger(entryCap) || entryCap < 1 ||
+      entryCap > MAX_ENTRIES_PER_WEEK) {
+    return `Entry cap must be between 1 and ${MAX_ENTRIES_PER_WEEK}.`;
+  }
+  return null;
+}
+
+/**
+ * Normalizes a typed invite code, e.g. ` ab3k9x ` -> `AB3K9X`.
+ * @param {string} inviteCode The code as typed.
+ * @return {string} The normalized code.
+ */
+function normalizeInviteCode(inviteCode) {
+  return String(inviteCode || "").trim().toUpperCase();
+}
+
+/**
+ * The entries of a weekly leaderboard that count for a league: members'
+ * entries at the league's tier, up to the cap per member (lowest entry
+ * numbers first).
+ * @param {Array<Object>} leaderboardEntries The week's leaderboard entries.
+ * @param {Object} league League data (`memberIds`, `entryTier`, `entryCap`).
+ * @return {Array<Object>} The league's entries, in leaderboard order.
+ */
+function filterLeagueEntries(leaderboardEntries, league) {
+  const counted = {};
+  const byEntryNumber = [...leaderboardEntries].sort((a, b) =>
+    (a.entryNumber || 1) - (b.entryNumber || 1));
+  byEntryNumber.forEach((entry) => {
+    if (!league.memberIds.includes(entry.userId)) return;
+    if (league.entryTier !== null && entry.tier !== league.entryTier) return;
+    const userEntries = counted[entry.userId] || new Set();
+    if (userEntries.size >= league.entryCap) return;
+    userEntries.add(entry.id);
+    counted[entry.userId] = userEntries;
+  });
+  return leaderboardEntries.filter((entry) =>
+    counted[entry.userId] && counted[entry.userId].has(entry.id));
+}
+
+module.exports = {
+  LEAGUE_NAME_MAX_LENGTH,
+  MAX_LEAGUE_MEMBERS,
+  INVITE_CODE_LENGTH,
+  INVITE_CODE_ALPHABET,
+  validateLeagueName,
+  validateLeagueSettings,
+  normalizeInviteCode,
+  filterLeagueEntries,
+};
@@ -0,0 +1,136 @@
+// functions/shared/lottery.js
+// Daily lottery rules shared by the lottery Cloud Functions and the Lottery
+// tab. Tickets cost Predictor Points; the pot is paid in Winner Bucks.
+//
+// Draws are provably fair with a commit-reveal seed: when a draw opens, only
+// `seedHash = sha256(seed)` is published. The seed alone would let whoever
+// holds it pick the winner by buying the last tickets, so each draw also mixes
+// in a public drand beacon round that is only produced after sales close. The
+// round is published when the draw opens; after the draw the seed and the
+// beacon randomness are revealed and anyone can recompute the winning ticket
+// with `getDrawDigestInput` and `pickWinningTicket`.
+
+const LOTTERY_TICKET_PRICE = 100; // Predictor Points per ticket
+const MAX_TICKETS_PER_PURCHASE = 10;
+const LOTTERY_BASE_POT = 5; // Winner Bucks guaranteed in every draw
+const LOTTERY_POT_PER_TICKET = 0.05; // Winner Bucks added per ticket sold
+const LOTTERY_DRAW_HOUR_UTC = 21; // Draws run daily at 21:00 UTC
+
+// drand "quicknet" chain: one unpredictable, publicly verifiable random value
+// every 3 seconds.
+const DRAND_BEACON = {
+  url: "https://api.drand.sh/" +
+    "52db9ba70e0cc0f6eaf7803dd07447a1f5477735fd3f661792ba94600c84e971",
+  genesisTime: 1692803367, // Seconds since the epoch
+  period: 3, // Seconds between rounds
+};
+
+const DRAW_STATUSES = {
+  OPEN: "open",
+  DRAWN: "drawn",
+};
+
+/**
+ * The draw tickets bought at a given time go into: the next daily draw at
+ * LOTTERY_DRAW_HOUR_UTC.
+ * @param {Date} [now] The time to check, defaults to the current time.
+ * @return {Object} `{drawId, drawAt}` with `drawAt` as an ISO string.
+ */
+function getDrawForDate(now = new Date()) {
+  const drawAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(),
+      now.getUTCDate(), LOTTERY_DRAW_HOUR_UTC));
+  if (now >= drawAt) drawAt.setUTCDate(drawAt.getUTCDate() + 1);
+  return {
+    drawId: `draw-${drawAt.toISOString().slice(0, 10)}`,
+    drawAt: drawAt.toISOString(),
+  };
+}
+
+/**
+ * The Winner Bucks pot of a draw with a given number of tickets sold.
+ * @param {number} ticketCount Tickets sold.
+ * @return {number} The pot, rounded to cents.
+ */
+function getLotteryPot(ticketCount) {
+  return Math.round(
+      (LOTTERY_BASE_POT + ticketCount * LOTTERY_POT_PER_TICKET) * 100) / 100;
+}
+
+/**
+ * The first drand round produced after a draw's sales close, so nobody can
+ * know its randomness while tickets can still be bought.
+ * @param {string} drawAt When the draw runs, as an ISO string.
+ * @return {number} The beacon round.
+ */
+function getDrawBeaconRound(drawAt) {
+  const seconds = Math.floor(new Date(drawAt).getTime() / 1000);
+  // Round r is produced at genesisTime + (r - 1) * period
+  return Math.floor(
+      (seconds - DRAND_BEACON.genesisTime) / DRAND_BEACON.period) + 2;
+}
+
+/**
+ * Public URL of a drand round, for fetching and independently checking it.
+ * @param {number} round The beacon round.
+ * @return {string} The URL, which returns `{round, randomness, signature}`.
+ */
+function getBeaconRoundUrl(round) {
+  return `${DRAND_BEACON.url}/public/${round}`;
+}
+
+/**
+ * The string whose SHA-256 digest decides a draw. It includes the beacon
+ * randomness and the final ticket count, which are only known once sales
+ * close. Draws run before the beacon was added have no beacon randomness.
+ * @param {string} seed The revealed seed (hex).
+ * @param {string} drawId The draw ID.
+ * @param {number} ticketCount Tickets sold in the draw.
+ * @param {string} [beaconRandomness] Randomness of the draw's beacon round.
+ * @return {string} The digest input.
+ */
+function getDrawDigestInput(seed, drawId, ticketCount, beaconRandomness) {
+  if (!beaconRandomness) return `${seed}:${drawId}:${ticketCount}`;
+  return `${seed}:${beaconRandomness}:${drawId}:${ticketCount}`;
+}
+
+/**
+ * Maps a draw digest to a winning ticket number.
+ * @param {string} digestHex SHA-256 of `getDrawDigestInput(...)`, in hex.
+ * @param {number} ticketCount Tickets sold in the draw.
+ * @return {number|null} 1-based winning ticket, or null if none were sold.
+ */
+function pickWinningTicket(digestHex, ticketCount) {
+  if (!ticketCount) return null;
+  // 52 bits fit in a double exactly; the modulo bias is negligible.
+  return parseInt(digestHex.slice(0, 13), 16) % ticketCount + 1;
+}
+
+/**
+ * Validates a ticket purchase request.
+ * @param {number} quantity Tickets requested.
+ * @return {string|null} A user-facing error message, or null when valid.
+ */
+function validateTicketQuantity(quantity) {
+  if (!Number.isInteger(quantity) || quantity < 1 ||
+      quantity > MAX_TICKETS_PER_PURCHASE) {
+    return `You can buy between 1 and ${MAX_TICKETS_PER_PURCHASE} tickets ` +
+      "at a time.";
+  }
+  return null;
+}
+
+module.exports = {
+  LOTTERY_TICKET_PRICE,
+  MAX_TICKETS_PER_PURCHASE,
+  LOTTERY_BASE_POT,
+  LOTTERY_POT_PER_TICKET,
+  DRAND_BEACON,
+  DRAW_STATUSES,
+  getDrawForDate,
+  getLotteryPot,
+  getDrawBeaconRound,
+  getBeaconRoundUrl,
+  getDrawDigestInput,
+  pickWinningTicket,
+  validateTicketQuantity,
+};
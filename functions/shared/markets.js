@@ -0,0 +1,177 @@
+// functions/shared/markets.js
+// Betting markets a pick can be made on, and how each one is graded.
+// Shared so the picks screen offers exactly what settlement knows how to grade.
+
+const {isGameVoid} = require("./gameStatuses");
+
+const MARKETS = {
+  MONEYLINE: "moneyline",
+  SPREAD: "spread",
+  TOTAL: "total",
+};
+
+const MARKET_LABELS = {
+  moneyline: "Moneyline",
+  spread: "Spread",
+  total: "Over/Under",
+};
+
+const TOTAL_SIDES = ["over", "under"];
+
+const PICK_OUTCOMES = {
+  PENDING: "pending",
+  WIN: "win",
+  LOSS: "loss",
+  PUSH: "push",
+  VOID: "void", // Game postponed or cancelled: the pick is dropped and refunded
+};
+
+/**
+ * Formats a line with an explicit sign, e.g. `+3.5` or `-7`.
+ * @param {number} line The spread line.
+ * @return {string} The formatted line.
+ */
+function formatLine(line) {
+  return line > 0 ? `+${line}` : `${line}`;
+}
+
+/**
+ * Profit per unit staked at American odds: `+150` pays 1.5, `-200` pays 0.5.
+ * @param {number} price American odds.
+ * @return {number} Profit multiple of the stake (0 for an invalid price).
+ */
+function getProfitMultiple(price) {
+  if (typeof price !== "number" || Math.abs(price) < 100) return 0;
+  return price > 0 ? price / 100 : 100 / -price;
+}
+
+/**
+ * Formats American odds with an explicit sign, e.g. `+150` or `-110`.
+ * @param {number} price American odds.
+ * @return {string} The formatted price.
+ */
+function formatPrice(price) {
+  return price > 0 ? `+${price}` : `${price}`;
+}
+
+/**
+ * Lists every pick that can currently be made on a game, with the line and
+ * price a pick would be locked in at. Sides without a price are left out.
+ * @param {Object} game A week game with `odds`.
+ * @return {Array<Object>} Options as `{market, pick, line, price, label}`.
+ */
+function getPickOptions(game) {
+  const odds = game.odds || {};
+  const teams = [game.homeTeam, game.awayTeam];
+  const options = [];
+
+  teams.forEach((team) => {
+    const price = odds.moneyline ? odds.moneyline[team] : null;
+    if (typeof price !== "number") return;
+    options.push({
+      market: MARKETS.MONEYLINE,
+      pick: team,
+      line: null,
+      price: price,
+      label: team,
+    });
+  });
+
+  teams.forEach((team) => {
+    const spread = odds.spread ? odds.spread[team] : null;
+    if (!spread || typeof spread.point !== "number" ||
+        typeof spread.price !== "number") return;
+    options.push({
+      market: MARKETS.SPREAD,
+      pick: team,
+      line: spread.point,
+      price: spread.price,
+      label: `${team} ${formatLine(spread.point)}`,
+    });
+  });
+
+  TOTAL_SIDES.forEach((side) => {
+    const total = odds.total ? odds.total[side] : null;
+    if (!total || typeof total.point !== "number" ||
+        typeof total.price !== "number") return;
+    options.push({
+      market: MARKETS.TOTAL,
+      pick: side,
+      line: total.point,
+      price: total.price,
+      label: `${side === "over" ? "Over" : "Under"} ${total.point}`,
+    });
+  });
+
+  return options;
+}
+
+/**
+ * Finds the option matching a selection, or null if it is not on offer.
+ * @param {Object} game A week game with `odds`.
+ * @param {Object} selection `{market, pick}`.
+ * @return {Object|null} The matching option.
+ */
+function findPickOption(game, selection) {
+  if (!selection) return null;
+  const market = selection.market || MARKETS.MONEYLINE;
+  return getPickOptions(game).find((option) =>
+    option.market === market && option.pick === selection.pick) || null;
+}
+
+/**
+ * Human readable description of a stored pick, e.g. "Chiefs -3.5".
+ * @param {Object} pick A stored pick `{market, pick, line}`.
+ * @return {string} The description.
+ */
+function describePick(pick) {
+  const market = pick.market || MARKETS.MONEYLINE;
+  if (market === MARKETS.SPREAD) return `${pick.pick} ${formatLine(pick.line)}`;
+  if (market === MARKETS.TOTAL) {
+    return `${pick.pick === "over" ? "Over" : "Under"} ${pick.line}`;
+  }
+  return pick.pick;
+}
+
+/**
+ * Grades a pick against the game's final score using the line stored on the
+ * pick, never the game's current line. Picks on a postponed or cancelled game
+ * are void; on a tied game a moneyline pick pushes.
+ * @param {Object} pick A stored pick `{market, pick, line}`.
+ * @param {Object} game A week game with `score`, `completed` and `status`.
+ * @return {string} One of PICK_OUTCOMES.
+ */
+function gradePick(pick, game) {
+  if (game && isGameVoid(game)) return PICK_OUTCOMES.VOID;
+  if (!game || !game.completed || !game.score) return PICK_OUTCOMES.PENDING;
+  const home = Number(game.score.home);
+  const away = Number(game.score.away);
+  const market = pick.market || MARKETS.MONEYLINE;
+
+  let margin;
+  if (market === MARKETS.TOTAL) {
+    margin = pick.pick === "over" ? home + away - pick.line :
+      pick.line - (home + away);
+  } else {
+    const pickedHome = pick.pick === game.homeTeam;
+    margin = pickedHome ? home - away : away - home;
+    if (market === MARKETS.SPREAD) margin += pick.line;
+  }
+
+  if (margin > 0) return PICK_OUTCOMES.WIN;
+  if (margin < 0) return PICK_OUTCOMES.LOSS;
+  return PICK_OUTCOMES.PUSH;
+}
+
+module.exports = {
+  MARKETS,
+  MARKET_LABELS,
+  PICK_OUTCOMES,
+  formatLine,
+  formatPrice,
+  getProfitMultiple,
+  getPickOptions,
+  findPickOption,
+  describePick,
+  gradePick,
+};
@@ -0,0 +1,238 @@
+// functions/shared/nflCalendar.js
+// NFL season calendar shared by the Cloud Functions and the React client.
+// Every date calculation is done in UTC so the browser and the server always
+// agree on which week "now" belongs to, regardless of local time zone.
+
+const {isGameVoid} = require("./gameStatuses");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// NFL weeks roll over on Tuesday morning, after Monday Night Football ends.
+// 10:00 UTC is 5-6 AM Eastern depending on daylight saving time.
+const WEEK_ROLLOVER_UTC_HOUR = 10;
+
+// Used as the betting deadline while a week has no games on its slate yet:
+// the traditional Thursday night kickoff (8:15 PM Eastern, 00:15 UTC Friday).
+const DEFAULT_FIRST_KICKOFF_OFFSET_MS = (2 * DAY_MS) + (14 * 60 + 15) * 60000;
+
+const SEASON_TYPES = {
+  PRESEASON: "preseason",
+  REGULAR: "regular",
+  POSTSEASON: "postseason",
+};
+
+const SEASON_TYPE_CODES = {
+  preseason: "PRE",
+  regular: "REG",
+  postseason: "POST",
+};
+
+const REGULAR_SEASON_WEEKS = 18;
+
+// Offsets are in weeks from the start of regular season Week 1. The gap weeks
+// (after the preseason and before the Super Bowl) are deliberately absent.
+const PRESEASON_WEEKS = [
+  {weekNumber: 0, offset: -5, label: "Hall of Fame Week"},
+  {weekNumber: 1, offset: -4, label: "Preseason Week 1"},
+  {weekNumber: 2, offset: -3, label: "Preseason Week 2"},
+  {weekNumber: 3, offset: -2, label: "Preseason Week 3"},
+];
+
+const POSTSEASON_WEEKS = [
+  {weekNumber: 1, offset: 18, label: "Wild Card Round"},
+  {weekNumber: 2, offset: 19, label: "Divisional Round"},
+  {weekNumber: 3, offset: 20, label: "Conference Championships"},
+  {weekNumber: 4, offset: 22, label: "Super Bowl"},
+];
+
+const calendarCache = {};
+
+/**
+ * Returns the start of regular season Week 1: the Tuesday rollover right
+ * after Labor Day (first Monday of September). Kickoff is that Thursday.
+ * @param {number} seasonYear The year the season starts in.
+ * @return {number} Epoch milliseconds.
+ */
+function getRegularSeasonStart(seasonYear) {
+  const septemberFirstDay = new Date(Date.UTC(seasonYear, 8, 1)).getUTCDay();
+  const laborDay = 1 + (8 - septemberFirstDay) % 7;
+  return Date.UTC(seasonYear, 8, laborDay + 1, WEEK_ROLLOVER_UTC_HOUR);
+}
+
+/**
+ * Builds the canonical week ID, e.g. `2026-REG-07` or `2026-POST-01`.
+ * @param {number} seasonYear The season year.
+ * @param {string} seasonType One of SEASON_TYPES.
+ * @param {number} weekNumber The official week number.
+ * @return {string} The week ID.
+ */
+function buildWeekId(seasonYear, seasonType, weekNumber) {
+  const paddedWeek = String(weekNumber).padStart(2, "0");
+  return `${seasonYear}-${SEASON_TYPE_CODES[seasonType]}-${paddedWeek}`;
+}
+
+/**
+ * Creates a single calendar week.
+ * @param {number} seasonYear The season year.
+ * @param {string} seasonType One of SEASON_TYPES.
+ * @param {number} weekNumber The official week number.
+ * @param {string} label Human readable label.
+ * @param {number} start Epoch milliseconds the week starts at.
+ * @return {Object} The week.
+ */
+function createWeek(seasonYear, seasonType, weekNumber, label, start) {
+  return {
+    weekId: buildWeekId(seasonYear, seasonType, weekNumber),
+    seasonYear: seasonYear,
+    seasonType: seasonType,
+    weekNumber: weekNumber,
+    label: label,
+    weekStart: new Date(start).toISOString(),
+    weekEnd: new Date(start + WEEK_MS).toISOString(),
+  };
+}
+
+/**
+ * Returns every week of a season in chronological order.
+ * @param {number} seasonYear The year the season starts in.
+ * @return {Array<Object>} The season's weeks.
+ */
+function getSeasonCalendar(seasonYear) {
+  if (calendarCache[seasonYear]) return calendarCache[seasonYear];
+
+  const week1Start = getRegularSeasonStart(seasonYear);
+  const weeks = [];
+
+  PRESEASON_WEEKS.forEach((week) => {
+    weeks.push(createWeek(seasonYear, SEASON_TYPES.PRESEASON, week.weekNumber,
+        week.label, week1Start + week.offset * WEEK_MS));
+  });
+  for (let weekNumber = 1; weekNumber <= REGULAR_SEASON_WEEKS; weekNumber++) {
+    weeks.push(createWeek(seasonYear, SEASON_TYPES.REGULAR, weekNumber,
+        `Week ${weekNumber}`, week1Start + (weekNumber - 1) * WEEK_MS));
+  }
+  POSTSEASON_WEEKS.forEach((week) => {
+    weeks.push(createWeek(seasonYear, SEASON_TYPES.POSTSEASON, week.weekNumber,
+        week.label, week1Start + week.offset * WEEK_MS));
+  });
+
+  calendarCache[seasonYear] = weeks;
+  return weeks;
+}
+
+/**
+ * Finds the week a date belongs to. Dates in a gap between weeks (the
+ * offseason, the week before Week 1, the week before the Super Bowl) resolve
+ * to the next upcoming week so there is always a slate to pick.
+ * @param {Date|string|number} date The date to look up.
+ * @return {Object} The week.
+ */
+function getWeekForDate(date) {
+  const time = new Date(date).getTime();
+  const year = new Date(time).getUTCFullYear();
+  const candidates = getSeasonCalendar(year - 1)
+      .concat(getSeasonCalendar(year));
+  return candidates.find((week) => time < Date.parse(week.weekEnd));
+}
+
+/**
+ * Returns the week the current moment belongs to.
+ * @return {Object} The week.
+ */
+function getCurrentWeek() {
+  return getWeekForDate(new Date());
+}
+
+/**
+ * Looks a week up by its ID.
+ * @param {string} weekId A week ID such as `2026-REG-07`.
+ * @return {Object|null} The week, or null for an unknown ID.
+ */
+function getWeekById(weekId) {
+  const seasonYear = parseInt(String(weekId).split("-")[0], 10);
+  if (isNaN(seasonYear)) return null;
+  return getSeasonCalendar(seasonYear).find((week) => week.weekId === weekId) ||
+    null;
+}
+
+/**
+ * Returns the week that follows the given one.
+ * @param {Object} week A calendar week.
+ * @return {Object} The following week.
+ */
+function getNextWeek(week) {
+  return getWeekForDate(week.weekEnd);
+}
+
+/**
+ * Keeps only the games that kick off inside the week, sorted by kickoff.
+ * @param {Object} week A calendar week.
+ * @param {Array<Object>} games Games with a `commenceTime`.
+ * @return {Array<Object>} The week's slate.
+ */
+function getWeekSlate(week, games) {
+  const start = Date.parse(week.weekStart);
+  const end = Date.parse(week.weekEnd);
+  return games
+      .filter((game) => {
+        const kickoff = Date.parse(game.commenceTime);
+        return kickoff >= start && kickoff < end;
+      })
+      .sort((a, b) => Date.parse(a.commenceTime) - Date.parse(b.commenceTime));
+}
+
+/**
+ * Derives the betting window, reveal time and tie-breaker game for a week
+ * from its slate. Each game locks at its own kickoff, so betting stays open
+ * until the last game of the slate starts; picks are revealed at that point,
+ * once no pick can change anymore. The last game is the tie-breaker.
+ * Postponed and cancelled games are left out: they can't be picked.
+ * @param {Object} week A calendar week.
+ * @param {Array<Object>} games The week's games.
+ * @return {Object} The week fields stored on the `nflWeeks` document.
+ */
+function buildWeekInfo(week, games) {
+  const slate = getWeekSlate(week,
+      (games || []).filter((game) => !isGameVoid(game)));
+  const defaultKickoff = new Date(
+      Date.parse(week.weekStart) + DEFAULT_FIRST_KICKOFF_OFFSET_MS,
+  ).toISOString();
+  const firstKickoff = slate.length > 0 ?
+    new Date(slate[0].commenceTime).toISOString() : defaultKickoff;
+  const lastKickoff = slate.length > 0 ?
+    new Date(slate[slate.length - 1].commenceTime).toISOString() :
+    defaultKickoff;
+
+  return {
+    ...week,
+    bettingWindowStart: week.weekStart,
+    bettingWindowEnd: lastKickoff,
+    firstKickoff: firstKickoff,
+    picksRevealTime: lastKickoff,
+    tieBreakerGameId: slate.length > 0 ? slate[slate.length - 1].id : null,
+  };
+}
+
+/**
+ * Human readable label for a week or week ID, e.g. "Week 7".
+ * @param {Object|string} week A calendar week or week ID.
+ * @return {string} The label.
+ */
+function formatWeekLabel(week) {
+  const resolved = typeof week === "string" ? getWeekById(week) : week;
+  return resolved ? resolved.label : String(week);
+}
+
+module.exports = {
+  SEASON_TYPES,
+  REGULAR_SEASON_WEEKS,
+  getSeasonCalendar,
+  getWeekForDate,
+  getCurrentWeek,
+  getWeekById,
+  getNextWeek,
+  getWeekSlate,
+  buildWeekInfo,
+  formatWeekLabel,
+};
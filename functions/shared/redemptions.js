@@ -0,0 +1,79 @@
+// functions/shared/redemptions.js
+// Winner Bucks redemption rules shared by the redemption Cloud Functions and
+// the redemption panel. Requesting a redemption moves the amount out of the
+// spendable balance into `winnerBucksOnHold` until an admin approves (and the
+// payout is sent) or rejects it (and the amount is returned).
+
+const {roundCurrency} = require("./currencies");
+
+const MIN_REDEMPTION_AMOUNT = 50; // Winner Bucks
+
+const REDEMPTION_STATUSES = {
+  PENDING: "pending", // Funds on hold, waiting for review
+  PROCESSING: "processing", // Approved, payout being sent
+  PAID: "paid",
+  REJECTED: "rejected", // Funds returned
+  FAILED: "failed", // Payout provider refused; funds returned
+};
+
+const REDEMPTION_STATUS_LABELS = {
+  pending: "Pending review",
+  processing: "Processing",
+  paid: "Paid",
+  rejected: "Rejected",
+  failed: "Failed",
+};
+
+// A redemption still processing this long after approval is assumed to have
+// been interrupted (e.g. the function crashed mid-payout) and is retried.
+const PROCESSING_RECOVERY_MINUTES = 15;
+
+const PAYOUT_METHODS = {
+  PAYPAL: "paypal",
+};
+
+/**
+ * Validates a redemption request against the user's spendable balance.
+ * @param {number} amount Winner Bucks requested.
+ * @param {number} balance Spendable Winner Bucks.
+ * @return {string|null} A user-facing error message, or null when valid.
+ */
+function validateRedemptionAmount(amount, balance) {
+  if (typeof amount !== "number" || !Number.isFinite(amount) ||
+      roundCurrency(amount) !== amount) {
+    return "Enter an amount in Winner Bucks with at most two decimals.";
+  }
+  if (amount < MIN_REDEMPTION_AMOUNT) {
+    return `The minimum redemption is ${MIN_REDEMPTION_AMOUNT} Winner Bucks.`;
+  }
+  if (amount > balance) {
+    return "You can't redeem more Winner Bucks than you have.";
+  }
+  return null;
+}
+
+/**
+ * Validates where a payout should be sent.
+ * @param {Object} payoutMethod `{type, destination}`.
+ * @return {string|null} A user-facing error message, or null when valid.
+ */
+function validatePayoutMethod(payoutMethod) {
+  if (!payoutMethod || payoutMethod.type !== PAYOUT_METHODS.PAYPAL) {
+    return "Choose a payout method.";
+  }
+  if (typeof payoutMethod.destination !== "string" ||
+      !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(payoutMethod.destination)) {
+    return "Enter the email address of your PayPal account.";
+  }
+  return null;
+}
+
+module.exports = {
+  MIN_REDEMPTION_AMOUNT,
+  REDEMPTION_STATUSES,
+  REDEMPTION_STATUS_LABELS,
+  PROCESSING_RECOVERY_MINUTES,
+  PAYOUT_METHODS,
+  validateRedemptionAmount,
+  validatePayoutMethod,
+};
@@ -0,0 +1,237 @@
+// functions/shared/standings.js
+// Cumulative standings built from the weekly leaderboards. Weekly leaderboard
+// rows are per entry; standings rows are per user and add up every settled
+// week: `{userId, username, correctPicks, winnerBucksWon, weeksWon,
+// weeksPlayed, weekIds, weeks, sortKey}`. `weeks` keeps each week's
+// contribution (`{correctPicks, winnerBucksWon, won}` by week ID), so a week
+// that is re-graded replaces its own contribution and the totals are summed
+// again. Each row is its own document at
+// `standings/{standingsId}/rows/{userId}`, so a standings table can grow past
+// Firestore's document size limit; `standings/{standingsId}` keeps the scope,
+// the weeks counted and the number of rows.
+//
+// Rows don't store a rank: one user's week would move everyone ranked below
+// them. `sortKey` orders rows the way rankStandings does, so a row's rank is
+// one more than the number of rows with a greater `sortKey`.
+
+const {roundCurrency} = require("./currencies");
+
+const ALL_TIME_STANDINGS_ID = "all-time";
+
+const STANDINGS_SCOPES = {
+  SEASON: "season",
+  ALL_TIME: "allTime",
+};
+
+/**
+ * ID of a season's standings document, e.g. `season-2026`.
+ * @param {number} seasonYear The year the season starts in.
+ * @return {string} The standings ID.
+ */
+function getSeasonStandingsId(seasonYear) {
+  return `season-${seasonYear}`;
+}
+
+/**
+ * Orders weekly leaderboard entries: most correct picks, then most Winner
+ * Bucks won, then the tie-breaker guess closest to the actual total.
+ * @param {Object} a A leaderboard entry.
+ * @param {Object} b Another leaderboard entry.
+ * @param {number|null} actualTieBreakerTotalPoints Actual tie-breaker total.
+ * @return {number} Negative when `a` ranks first.
+ */
+function compareLeaderboardEntries(a, b, actualTieBreakerTotalPoints) {
+  if (b.totalCorrectPicks !== a.totalCorrectPicks) {
+    return b.totalCorrectPicks - a.totalCorrectPicks;
+  }
+  if (b.totalWinnerBucksWon !== a.totalWinnerBucksWon) {
+    return b.totalWinnerBucksWon - a.totalWinnerBucksWon;
+  }
+  if (actualTieBreakerTotalPoints === null ||
+      actualTieBreakerTotalPoints === undefined) {
+    return 0;
+  }
+  return Math.abs(a.tieBreakerPoints - actualTieBreakerTotalPoints) -
+    Math.abs(b.tieBreakerPoints - actualTieBreakerTotalPoints);
+}
+
+/**
+ * Sorts weekly leaderboard entries and ranks them. Entries that tie on every
+ * criterion share a rank (1, 1, 3) and are marked `tied`; each also gets its
+ * `tieBreakerDistance` from the actual total, null until that is known.
+ * @param {Array<Object>} entries Leaderboard entries.
+ * @param {number|null} actualTieBreakerTotalPoints Actual tie-breaker total.
+ * @return {Array<Object>} New, sorted and ranked entries.
+ */
+function rankLeaderboardEntries(entries, actualTieBreakerTotalPoints) {
+  const hasActual = actualTieBreakerTotalPoints !== null &&
+    actualTieBreakerTotalPoints !== undefined;
+  const compare = (a, b) =>
+    compareLeaderboardEntries(a, b, actualTieBreakerTotalPoints);
+  const sorted = [...entries].sort(compare);
+  let rank = 0;
+  const ranked = sorted.map((entry, index) => {
+    if (index === 0 || compare(sorted[index - 1], entry) !== 0) {
+      rank = index + 1;
+    }
+    return {
+      ...entry,
+      rank,
+      tieBreakerDistance: hasActual ?
+        Math.abs(entry.tieBreakerPoints - actualTieBreakerTotalPoints) : null,
+    };
+  });
+  return ranked.map((entry, index) => ({
+    ...entry,
+    tied: (index > 0 && ranked[index - 1].rank === entry.rank) ||
+      (index < ranked.length - 1 && ranked[index + 1].rank === entry.rank),
+  }));
+}
+
+/**
+ * Users who won a week: everyone whose best entry ties the top entry.
+ * @param {Array<Object>} leaderboardEntries The week's leaderboard entries.
+ * @param {number|null} actualTieBreakerTotalPoints Actual tie-breaker total.
+ * @return {Array<string>} The winners' user IDs.
+ */
+function getWeekWinnerIds(leaderboardEntries, actualTieBreakerTotalPoints) {
+  if (leaderboardEntries.length === 0) return [];
+  const top = [...leaderboardEntries].sort((a, b) =>
+    compareLeaderboardEntries(a, b, actualTieBreakerTotalPoints))[0];
+  const winners = leaderboardEntries
+      .filter((entry) => compareLeaderboardEntries(entry, top,
+          actualTieBreakerTotalPoints) === 0)
+      .map((entry) => entry.userId);
+  return [...new Set(winners)];
+}
+
+/**
+ * A string that sorts standings rows like rankStandings, greatest first:
+ * correct picks, then Winner Bucks won (in cents), then weeks won, each
+ * zero-padded. Rows tied on every column have the same key.
+ * @param {Object} row `{correctPicks, winnerBucksWon, weeksWon}`.
+ * @return {string} The sort key.
+ */
+function getStandingsSortKey({correctPicks, winnerBucksWon, weeksWon}) {
+  const pad = (value, length) => String(value).padStart(length, "0");
+  return [
+    pad(correctPicks, 9),
+    pad(Math.round(winnerBucksWon * 100), 12),
+    pad(weeksWon, 6),
+  ].join(":");
+}
+
+/**
+ * Sorts standings rows and assigns ranks; rows that tie on every column share
+ * a rank (1, 1, 3).
+ * @param {Array<Object>} rows Standings rows.
+ * @return {Array<Object>} New, sorted and ranked rows.
+ */
+function rankStandings(rows) {
+  const compare = (a, b) => (b.correctPicks - a.correctPicks) ||
+    (b.winnerBucksWon - a.winnerBucksWon) || (b.weeksWon - a.weeksWon);
+  const sorted = [...rows].sort(compare);
+  let rank = 0;
+  return sorted.map((row, index) => {
+    if (index === 0 || compare(sorted[index - 1], row) !== 0) rank = index + 1;
+    return {...row, rank};
+  });
+}
+
+/**
+ * One settled week's results per user: correct picks and Winner Bucks add up
+ * across the user's entries, and the week counts as won when any of their
+ * entries ties the top entry.
+ * @param {Array<Object>} leaderboardEntries The week's leaderboard entries.
+ * @param {number|null} actualTieBreakerTotalPoints Actual tie-breaker total.
+ * @return {Array<Object>} `{userId, username, correctPicks, winnerBucksWon,
+ *     won}` per user who played the week.
+ */
+function getWeekStandingsResults(leaderboardEntries,
+    actualTieBreakerTotalPoints) {
+  const winnerIds = getWeekWinnerIds(leaderboardEntries,
+      actualTieBreakerTotalPoints);
+  const byUser = {};
+  leaderboardEntries.forEach((entry) => {
+    const result = byUser[entry.userId] || {
+      userId: entry.userId,
+      correctPicks: 0,
+      winnerBucksWon: 0,
+      won: winnerIds.includes(entry.userId),
+    };
+    result.username = entry.username; // Latest name wins
+    result.correctPicks += entry.totalCorrectPicks || 0;
+    result.winnerBucksWon = roundCurrency(
+        result.winnerBucksWon + (entry.totalWinnerBucksWon || 0));
+    byUser[entry.userId] = result;
+  });
+  return Object.values(byUser);
+}
+
+/**
+ * Whether a user's stored contribution for a week matches their result.
+ * @param {Object|undefined} contribution The stored contribution, if any.
+ * @param {Object|null} result The user's result, see getWeekStandingsResults;
+ *     null when they no longer played the week.
+ * @return {boolean} True when nothing needs rewriting.
+ */
+function isSameWeekResult(contribution, result) {
+  if (!contribution || !result) return !contribution && !result;
+  return contribution.correctPicks === result.correctPicks &&
+    contribution.winnerBucksWon === result.winnerBucksWon &&
+    contribution.won === result.won;
+}
+
+/**
+ * Sets one user's contribution for a settled week on their standings row,
+ * replacing any earlier contribution for that week, and sums the totals again.
+ * @param {Object|null} row The user's row, null when they have none yet.
+ * @param {string} userId The user.
+ * @param {string} weekId The week.
+ * @param {Object|null} result The user's result, see getWeekStandingsResults;
+ *     null removes the week from the row.
+ * @return {Object} The new row; `weeksPlayed` is 0 when no weeks are left.
+ */
+function setWeekResultOnRow(row, userId, weekId, result) {
+  const weeks = {...((row && row.weeks) || {})};
+  if (result) {
+    weeks[weekId] = {
+      correctPicks: result.correctPicks,
+      winnerBucksWon: result.winnerBucksWon,
+      won: result.won,
+    };
+  } else {
+    delete weeks[weekId];
+  }
+  const contributions = Object.values(weeks);
+  const totals = {
+    correctPicks: contributions.reduce((sum, week) =>
+      sum + week.correctPicks, 0),
+    winnerBucksWon: roundCurrency(contributions.reduce((sum, week) =>
+      sum + week.winnerBucksWon, 0)),
+    weeksWon: contributions.filter((week) => week.won).length,
+  };
+  return {
+    userId,
+    username: result ? result.username : (row && row.username),
+    ...totals,
+    weeksPlayed: contributions.length,
+    weekIds: Object.keys(weeks).sort(),
+    weeks,
+    sortKey: getStandingsSortKey(totals),
+  };
+}
+
+module.exports = {
+  ALL_TIME_STANDINGS_ID,
+  STANDINGS_SCOPES,
+  getSeasonStandingsId,
+  compareLeaderboardEntries,
+  rankLeaderboardEntries,
+  getWeekWinnerIds,
+  getStandingsSortKey,
+  rankStandings,
+  getWeekStandingsResults,
+  isSameWeekResult,
+  setWeekResultOnRow,
+};
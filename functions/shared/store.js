@@ -0,0 +1,44 @@
+// functions/shared/store.js
+// Predictor Points store. These packages are the defaults; an admin can
+// override them without a deploy by writing `{packages: [...]}` to
+// `artifacts/{appId}/config/store`, which both the store tab and the
+// createPointsOrder Cloud Function read.
+
+const DEFAULT_POINT_PACKAGES = [
+  {id: "starter", label: "Starter Pack", points: 1000, priceCents: 499},
+  {id: "pro", label: "Pro Pack", points: 2500, priceCents: 999},
+  {id: "champion", label: "Champion Pack", points: 6000, priceCents: 1999},
+];
+
+const ORDER_STATUSES = {
+  PENDING: "pending", // Checkout started, waiting for the payment provider
+  PAID: "paid", // Points credited
+  FAILED: "failed",
+};
+
+/**
+ * The packages on sale, from the store config document when it has any.
+ * @param {Object|null} storeConfig Data of `config/store`, if it exists.
+ * @return {Array<Object>} Packages as `{id, label, points, priceCents}`.
+ */
+function getPointPackages(storeConfig) {
+  const packages = storeConfig && storeConfig.packages;
+  return Array.isArray(packages) && packages.length > 0 ?
+    packages : DEFAULT_POINT_PACKAGES;
+}
+
+/**
+ * Formats a price in cents as US dollars, e.g. `$4.99`.
+ * @param {number} priceCents The price in cents.
+ * @return {string} The formatted price.
+ */
+function formatUsd(priceCents) {
+  return `$${(priceCents / 100).toFixed(2)}`;
+}
+
+module.exports = {
+  DEFAULT_POINT_PACKAGES,
+  ORDER_STATUSES,
+  getPointPackages,
+  formatUsd,
+};
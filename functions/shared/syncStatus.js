@@ -0,0 +1,247 @@
+// functions/shared/syncStatus.js
+// How often the odds/scores sync calls the provider. Every call to The Odds
+// API costs requests from a monthly quota, so the sync only polls every
+// minute while games are being played, every few minutes in the hours before
+// kickoff, every quarter hour while a delayed game is still owed its final
+// score and hourly otherwise. Final scores can still be corrected after the
+// fact, so scores keep being fetched hourly until the provider stops
+// returning the game, SCORES_DAYS_FROM days after kickoff. When the
+// remaining quota runs low it polls less often and stops refreshing odds
+// while games are live or delayed (lines are locked at kickoff anyway). Below
+// the reserve, live and delayed games still get a minimum score poll paid
+// from the reserve, since a game that never gets its score cannot be graded,
+// and final games a slower one for corrections; otherwise only the odds are
+// fetched every few hours, which is enough to notice the quota has reset.
+// Every call reports the quota, scores included. The budget can be overridden
+// by writing `{lowQuotaRequests, reserveRequests}` to
+// `artifacts/{appId}/config/sync`.
+// Each run is recorded in `syncStatus/{SYNC_STATUS_ID}` for the app to show.
+
+const {
+  GAME_STATUSES, getGameStatus, isGameDecided, isGameVoid,
+} = require("./gameStatuses");
+
+const SYNC_STATUS_ID = "nfl";
+
+const SYNC_MODES = {
+  LIVE: "live", // A game is being played
+  NEAR_KICKOFF: "nearKickoff", // A game kicks off within NEAR_KICKOFF_HOURS
+  // A delayed game has no final score yet and the scores feed returns it
+  AWAITING_SCORE: "awaitingScore",
+  CORRECTIONS: "corrections", // A final score may still be corrected
+  IDLE: "idle",
+};
+
+const SYNC_INTERVAL_MINUTES = {
+  live: 1,
+  nearKickoff: 5,
+  awaitingScore: 15,
+  corrections: 60,
+  idle: 60,
+};
+
+const NEAR_KICKOFF_HOURS = 2;
+
+// How many days of past games the scores feed is asked for; a correction to
+// an older game can't be seen, so its window closes then.
+const SCORES_DAYS_FROM = 3;
+const SCORE_CORRECTION_WINDOW_HOURS = SCORES_DAYS_FROM * 24;
+
+const QUOTA_LEVELS = {
+  OK: "ok",
+  LOW: "low", // Intervals multiplied by LOW_QUOTA_INTERVAL_MULTIPLIER
+  EXHAUSTED: "exhausted", // At or below the reserve: minimum score polls
+};
+
+const LOW_QUOTA_INTERVAL_MULTIPLIER = 5;
+
+// With the quota exhausted, live and delayed games still get their scores
+// this often, and final games within the corrections window less often; odds
+// wait until no game is in progress.
+const EXHAUSTED_SCORE_INTERVAL_MINUTES = {
+  live: 15,
+  awaitingScore: 60,
+  corrections: 360,
+};
+
+const DEFAULT_SYNC_BUDGET = {
+  lowQuotaRequests: 2000,
+  // Kept back for the callable that builds a new week and for minimum score
+  // polls while games are in progress
+  reserveRequests: 100,
+};
+
+// The scheduler fires every minute; a run this much early still counts as due.
+const SCHEDULE_SLACK_MS = 10 * 1000;
+
+/**
+ * The quota budget, with any fields set in the sync config document.
+ * @param {Object|null} syncConfig Data of `config/sync`.
+ * @return {Object} `{lowQuotaRequests, reserveRequests}`.
+ */
+function getSyncBudget(syncConfig) {
+  const budget = {...DEFAULT_SYNC_BUDGET};
+  Object.keys(budget).forEach((key) => {
+    if (syncConfig && typeof syncConfig[key] === "number") {
+      budget[key] = syncConfig[key];
+    }
+  });
+  return budget;
+}
+
+/**
+ * Whether a final score from the provider may still be corrected: the game
+ * is final, its score wasn't set by an admin and the scores feed still
+ * returns it.
+ * @param {Object} game A week game.
+ * @param {Date} now The current time.
+ * @return {boolean} True within the game's corrections window.
+ */
+function isGameInCorrectionWindow(game, now) {
+  return Boolean(game.completed) && !isGameVoid(game) && !game.scoreOverride &&
+    now.getTime() < Date.parse(game.commenceTime) +
+      SCORE_CORRECTION_WINDOW_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Whether a game still has no final score although the scores feed no longer
+ * returns it: only an admin can grade it now, by setting its score or voiding
+ * it.
+ * @param {Object} game A week game.
+ * @param {Date} now The current time.
+ * @return {boolean} True when the game waits for an admin.
+ */
+function isGamePastScoresFeed(game, now) {
+  return !isGameDecided(game) && now.getTime() >=
+    Date.parse(game.commenceTime) +
+      SCORE_CORRECTION_WINDOW_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Whether a week still needs syncing after the weekly rollover: a game is
+ * neither final nor void, or a final score may still be corrected.
+ * @param {Array<Object>} games The week's games.
+ * @param {Date} now The current time.
+ * @return {boolean} True while the week is kept in the sync.
+ */
+function isWeekSyncOpen(games, now) {
+  return games.some((game) => !isGameDecided(game) ||
+    isGameInCorrectionWindow(game, now));
+}
+
+/**
+ * The sync mode for a week's games.
+ * @param {Array<Object>} games The week's games.
+ * @param {Date} now The current time.
+ * @return {string} One of SYNC_MODES.
+ */
+function getSyncMode(games, now) {
+  const open = games.filter((game) => !isGameDecided(game));
+  if (open.some((game) => getGameStatus(game, now) === GAME_STATUSES.LIVE)) {
+    return SYNC_MODES.LIVE;
+  }
+  const soon = now.getTime() + NEAR_KICKOFF_HOURS * 60 * 60 * 1000;
+  if (open.some((game) => getGameStatus(game, now) ===
+      GAME_STATUSES.SCHEDULED && Date.parse(game.commenceTime) <= soon)) {
+    return SYNC_MODES.NEAR_KICKOFF;
+  }
+  if (open.some((game) => getGameStatus(game, now) ===
+      GAME_STATUSES.DELAYED && !isGamePastScoresFeed(game, now))) {
+    return SYNC_MODES.AWAITING_SCORE;
+  }
+  if (games.some((game) => isGameInCorrectionWindow(game, now))) {
+    return SYNC_MODES.CORRECTIONS;
+  }
+  return SYNC_MODES.IDLE;
+}
+
+/**
+ * How much of the provider quota is left, against the budget.
+ * @param {Object|null} quota Last known quota (`remaining`), null if unknown.
+ * @param {Object} budget The quota budget.
+ * @return {string} One of QUOTA_LEVELS; OK while the quota is unknown.
+ */
+function getQuotaLevel(quota, budget) {
+  if (!quota || typeof quota.remaining !== "number") return QUOTA_LEVELS.OK;
+  if (quota.remaining <= budget.reserveRequests) return QUOTA_LEVELS.EXHAUSTED;
+  if (quota.remaining <= budget.lowQuotaRequests) return QUOTA_LEVELS.LOW;
+  return QUOTA_LEVELS.OK;
+}
+
+/**
+ * Decides whether a sync run is due and which feeds it fetches. Scores are
+ * only fetched while a game is live, about to start or delayed, or a final
+ * score may still be corrected; once the quota is low, runs while a game is
+ * live or delayed fetch only scores. With the quota exhausted those runs and
+ * the corrections runs keep a minimum score poll and every other run only
+ * fetches odds, at the low-quota idle interval.
+ * @param {Object} params Parameters.
+ * @param {Array<Object>} params.games The week's stored games.
+ * @param {Date} params.now The current time.
+ * @param {Date|null} params.lastSyncedAt When the provider was last called.
+ * @param {Object|null} params.quota Last known quota.
+ * @param {Object} params.budget The quota budget.
+ * @return {Object} `{mode, quotaLevel, intervalMinutes, due, fetchOdds,
+ *     fetchScores}`.
+ */
+function getSyncPlan({games, now, lastSyncedAt, quota, budget}) {
+  const mode = getSyncMode(games, now);
+  const quotaLevel = getQuotaLevel(quota, budget);
+  const exhausted = quotaLevel === QUOTA_LEVELS.EXHAUSTED;
+  const scoresOnly = (quotaLevel !== QUOTA_LEVELS.OK &&
+    (mode === SYNC_MODES.LIVE || mode === SYNC_MODES.AWAITING_SCORE)) ||
+    (exhausted && mode === SYNC_MODES.CORRECTIONS);
+  let intervalMinutes;
+  if (exhausted) {
+    intervalMinutes = scoresOnly ? EXHAUSTED_SCORE_INTERVAL_MINUTES[mode] :
+      SYNC_INTERVAL_MINUTES.idle * LOW_QUOTA_INTERVAL_MULTIPLIER;
+  } else {
+    intervalMinutes = SYNC_INTERVAL_MINUTES[mode] *
+      (quotaLevel === QUOTA_LEVELS.OK ? 1 : LOW_QUOTA_INTERVAL_MULTIPLIER);
+  }
+  const due = !lastSyncedAt || now.getTime() - lastSyncedAt.getTime() >=
+    intervalMinutes * 60 * 1000 - SCHEDULE_SLACK_MS;
+  return {
+    mode,
+    quotaLevel,
+    intervalMinutes,
+    due,
+    fetchOdds: due && !scoresOnly,
+    fetchScores: due && mode !== SYNC_MODES.IDLE && (!exhausted || scoresOnly),
+  };
+}
+
+/**
+ * Whether synced data is older than expected: more than twice the interval
+ * it was last planned with has passed since the last sync.
+ * @param {Object} status Sync status (`lastSyncedAt` as a Date,
+ *     `intervalMinutes`).
+ * @param {Date} now The current time.
+ * @return {boolean} True when the data is stale.
+ */
+function isSyncStale(status, now) {
+  if (!status || !status.lastSyncedAt) return true;
+  return now.getTime() - status.lastSyncedAt.getTime() >
+    2 * (status.intervalMinutes || SYNC_INTERVAL_MINUTES.idle) * 60 * 1000;
+}
+
+module.exports = {
+  SYNC_STATUS_ID,
+  SYNC_MODES,
+  SYNC_INTERVAL_MINUTES,
+  NEAR_KICKOFF_HOURS,
+  SCORES_DAYS_FROM,
+  SCORE_CORRECTION_WINDOW_HOURS,
+  QUOTA_LEVELS,
+  LOW_QUOTA_INTERVAL_MULTIPLIER,
+  EXHAUSTED_SCORE_INTERVAL_MINUTES,
+  DEFAULT_SYNC_BUDGET,
+  getSyncBudget,
+  isGameInCorrectionWindow,
+  isGamePastScoresFeed,
+  isWeekSyncOpen,
+  getSyncMode,
+  getQuotaLevel,
+  getSyncPlan,
+  isSyncStale,
+};
@@ -0,0 +1,139 @@
+// functions/standings.js
+// Season and all-time standings. Every user's row is its own document under
+// `standings/{standingsId}/rows` and keeps each week's contribution, so
+// recording a week again after a re-grade (a score correction or an admin
+// void) replaces that week's numbers instead of counting it twice, and no job
+// ever has to re-read every past week.
+
+const {FieldValue} = require("firebase-admin/firestore");
+const {commitInBatches} = require("./batches");
+const {
+  ALL_TIME_STANDINGS_ID,
+  STANDINGS_SCOPES,
+  getSeasonStandingsId,
+  getWeekStandingsResults,
+  isSameWeekResult,
+  setWeekResultOnRow,
+} = require("./shared");
+
+const STANDINGS_ROWS_COLLECTION = "rows";
+
+/**
+ * Records a settled week in a standings table. Only the rows of users who
+ * played the week, or whose row still counts it, are read and rewritten;
+ * rows don't store ranks, so nobody else's row has to change. The week is
+ * recorded on the summary document last.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} target `{ref, fields}`: the summary document and the fields
+ *     stored on it.
+ * @param {string} weekId The settled week.
+ * @param {Array<Object>} results The week's results per user, see
+ *     getWeekStandingsResults.
+ * @return {Promise<boolean>} Whether the table changed.
+ */
+async function recordWeekInStandingsTable(db, target, weekId, results) {
+  const rowsRef = target.ref.collection(STANDINGS_ROWS_COLLECTION);
+  const resultsByUser = {};
+  results.forEach((result) => {
+    resultsByUser[result.userId] = result;
+  });
+  const resultRowRefs = Object.keys(resultsByUser)
+      .map((userId) => rowsRef.doc(userId));
+  const [summarySnap, resultRowSnaps, weekRowsSnap] = await Promise.all([
+    target.ref.get(),
+    resultRowRefs.length ? db.getAll(...resultRowRefs) : [],
+    // Includes users who no longer played the week after a re-grade
+    rowsRef.where("weekIds", "array-contains", weekId).get(),
+  ]);
+  const summary = summarySnap.exists ? summarySnap.data() : {};
+  const rows = {};
+  resultRowSnaps.forEach((rowSnap) => {
+    if (rowSnap.exists) rows[rowSnap.id] = rowSnap.data();
+  });
+  weekRowsSnap.forEach((rowDoc) => {
+    rows[rowDoc.id] = rowDoc.data();
+  });
+
+  const writes = [];
+  Object.keys({...resultsByUser, ...rows}).forEach((userId) => {
+    const row = rows[userId] || null;
+    const result = resultsByUser[userId] || null;
+    const contribution = row && row.weeks ? row.weeks[weekId] : undefined;
+    if (isSameWeekResult(contribution, result)) return;
+    const next = setWeekResultOnRow(row, userId, weekId, result);
+    writes.push(next.weeksPlayed === 0 ?
+      {ref: rowsRef.doc(userId), remove: true} :
+      {ref: rowsRef.doc(userId), data: next});
+  });
+  await commitInBatches(db, writes);
+
+  const isNewWeek = !(summary.weekIds || []).includes(weekId);
+  if (!isNewWeek && writes.length === 0) return false;
+  const rowCountSnap = await rowsRef.count().get();
+  await target.ref.set({
+    ...target.fields,
+    weekIds: FieldValue.arrayUnion(weekId),
+    rowCount: rowCountSnap.data().count,
+    lastUpdated: FieldValue.serverTimestamp(),
+  }, {merge: true});
+  return true;
+}
+
+/**
+ * Records a settled week in standings tables, replacing the week's earlier
+ * contribution where it was already counted.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Array<Object>} targets `{ref, fields}` per standings table; `ref`
+ *     is its summary document and `fields` are stored on it.
+ * @param {Object} params Parameters.
+ * @param {Object} params.week The settled week (`weekId`).
+ * @param {Array<Object>} params.leaderboardEntries The week's entries.
+ * @param {number|null} params.actualTieBreakerTotalPoints Actual total.
+ * @return {Promise<Array<string>>} IDs of the tables that changed; empty when
+ *     every one already had the week's current numbers.
+ */
+async function addWeekToStandingsDocs(db, targets, {
+  week, leaderboardEntries, actualTieBreakerTotalPoints,
+}) {
+  const results = getWeekStandingsResults(leaderboardEntries,
+      actualTieBreakerTotalPoints);
+  const updated = [];
+  for (const target of targets) {
+    if (await recordWeekInStandingsTable(db, target, week.weekId, results)) {
+      updated.push(target.ref.id);
+    }
+  }
+  return updated;
+}
+
+/**
+ * Records a settled week in its season's standings and the all-time standings.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {Object} params.week The settled week (`weekId`, `seasonYear`).
+ * @param {Array<Object>} params.leaderboardEntries The week's leaderboard.
+ * @param {number|null} params.actualTieBreakerTotalPoints Actual total.
+ * @return {Promise<Array<string>>} IDs of the standings that changed; empty
+ *     when they already had the week's current numbers.
+ */
+async function recordWeekInStandings(db, {
+  appId, week, leaderboardEntries, actualTieBreakerTotalPoints,
+}) {
+  const standingsRef = db.collection(`artifacts/${appId}/standings`);
+  return addWeekToStandingsDocs(db, [
+    {
+      ref: standingsRef.doc(getSeasonStandingsId(week.seasonYear)),
+      fields: {scope: STANDINGS_SCOPES.SEASON, seasonYear: week.seasonYear},
+    },
+    {
+      ref: standingsRef.doc(ALL_TIME_STANDINGS_ID),
+      fields: {scope: STANDINGS_SCOPES.ALL_TIME},
+    },
+  ], {week, leaderboardEntries, actualTieBreakerTotalPoints});
+}
+
+module.exports = {
+  addWeekToStandingsDocs,
+  recordWeekInStandings,
+};
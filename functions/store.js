@@ -0,0 +1,137 @@
+// functions/store.js
+// Predictor Points store. An order is created when checkout starts and only
+// credited when the payment provider's webhook reports the payment. Webhook
+// events are recorded at `paymentEvents/{provider}_{eventId}`, so a provider
+// retrying or replaying an event never credits an order twice.
+
+const {HttpsError} = require("firebase-functions/v2/https");
+const {FieldValue} = require("firebase-admin/firestore");
+const {getUserLedgerRefs, postLedgerEntries} = require("./ledger");
+const {getPaymentProvider} = require("./payments");
+const {
+  CURRENCIES,
+  LEDGER_REASONS,
+  ORDER_STATUSES,
+  getPointPackages,
+} = require("./shared");
+
+/**
+ * Starts checkout for a points package: stores a pending order and asks the
+ * payment provider where the user should pay.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Order parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.packageId Package being bought.
+ * @return {Promise<Object>} `{orderId, checkoutUrl}`.
+ */
+async function createPointsOrder(db, {appId, userId, packageId}) {
+  const configSnap = await db.collection(`artifacts/${appId}/config`)
+      .doc("store").get();
+  const pointPackage = getPointPackages(configSnap.data() || null)
+      .find((p) => p.id === packageId);
+  if (!pointPackage) {
+    throw new HttpsError("invalid-argument", `Unknown package ${packageId}.`);
+  }
+
+  const provider = getPaymentProvider();
+  const orderRef = db.collection(`artifacts/${appId}/orders`).doc();
+  const checkout = await provider.createCheckout({
+    orderId: orderRef.id,
+    amountCents: pointPackage.priceCents,
+    description: `${pointPackage.label}: ${pointPackage.points} Predictor ` +
+      "Points",
+    metadata: {appId},
+  });
+
+  await orderRef.create({
+    userId,
+    packageId: pointPackage.id,
+    label: pointPackage.label,
+    points: pointPackage.points,
+    priceCents: pointPackage.priceCents,
+    provider: provider.name,
+    sessionId: checkout.sessionId,
+    status: ORDER_STATUSES.PENDING,
+    createdAt: new Date().toISOString(),
+  });
+  return {orderId: orderRef.id, checkoutUrl: checkout.checkoutUrl};
+}
+
+/**
+ * Applies a verified payment event to its order. Safe to call any number of
+ * times with the same event: the event record and the order status are
+ * checked and written in one transaction.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.providerName Provider that sent the event.
+ * @param {Object} params.event A parsed event, see `parseWebhook`.
+ * @return {Promise<string>} What happened: `credited`, `failed`,
+ *     `duplicate` or `ignored`.
+ */
+async function applyPaymentEvent(db, {appId, providerName, event}) {
+  const basePath = `artifacts/${appId}`;
+  const eventRef = db.collection(`${basePath}/paymentEvents`)
+      .doc(`${providerName}_${event.eventId}`);
+  const orderRef = db.collection(`${basePath}/orders`).doc(event.orderId);
+
+  return db.runTransaction(async (transaction) => {
+    const [eventSnap, orderSnap] = await Promise.all([
+      transaction.get(eventRef),
+      transaction.get(orderRef),
+    ]);
+    if (eventSnap.exists) return "duplicate";
+
+    let outcome = "ignored";
+    const order = orderSnap.exists ? orderSnap.data() : null;
+    const matchesOrder = order && order.status === ORDER_STATUSES.PENDING &&
+      order.sessionId === event.sessionId &&
+      order.priceCents === event.amountCents;
+
+    let profileSnap = null;
+    let refs = null;
+    if (matchesOrder && event.succeeded) {
+      refs = getUserLedgerRefs(db, appId, order.userId);
+      profileSnap = await transaction.get(refs.profileRef);
+    }
+
+    if (matchesOrder && event.succeeded && profileSnap.exists) {
+      postLedgerEntries(transaction, {
+        ...refs,
+        profile: profileSnap.data(),
+        entries: [{
+          id: `${LEDGER_REASONS.POINTS_PURCHASE}-${event.orderId}`,
+          currency: CURRENCIES.PREDICTOR_POINTS,
+          amount: order.points,
+          reason: LEDGER_REASONS.POINTS_PURCHASE,
+          reference: {type: "order", id: event.orderId},
+        }],
+      });
+      transaction.update(orderRef, {
+        status: ORDER_STATUSES.PAID,
+        paidAt: new Date().toISOString(),
+      });
+      outcome = "credited";
+    } else if (matchesOrder && !event.succeeded) {
+      transaction.update(orderRef, {
+        status: ORDER_STATUSES.FAILED,
+        failedAt: new Date().toISOString(),
+      });
+      outcome = "failed";
+    }
+
+    transaction.create(eventRef, {
+      orderId: event.orderId,
+      succeeded: event.succeeded,
+      outcome,
+      receivedAt: FieldValue.serverTimestamp(),
+    });
+    return outcome;
+  });
+}
+
+module.exports = {
+  createPointsOrder,
+  applyPaymentEvent,
+};
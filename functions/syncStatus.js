@@ -0,0 +1,122 @@
+// functions/syncStatus.js
+// The sync-status document, `syncStatus/{SYNC_STATUS_ID}`. The scheduled sync
+// reads it every minute to decide whether a provider call is due (see
+// shared/syncStatus) and writes it after each call: when odds and scores were
+// last fetched, the provider's remaining quota and the plan it ran with. The
+// app reads it to show how fresh the scores are.
+
+const {FieldValue, Timestamp} = require("firebase-admin/firestore");
+const {SYNC_STATUS_ID, getSyncBudget} = require("./shared");
+
+/**
+ * The sync-status document of an app.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @return {FirebaseFirestore.DocumentReference} The document.
+ */
+function getSyncStatusRef(db, appId) {
+  return db.collection(`artifacts/${appId}/syncStatus`).doc(SYNC_STATUS_ID);
+}
+
+/**
+ * Reads the sync status and the quota budget.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @return {Promise<Object>} `{lastSyncedAt, quota, budget}`; `lastSyncedAt`
+ *     is a Date, null before the first sync.
+ */
+async function getSyncState(db, appId) {
+  const [statusSnap, configSnap] = await Promise.all([
+    getSyncStatusRef(db, appId).get(),
+    db.collection(`artifacts/${appId}/config`).doc("sync").get(),
+  ]);
+  const status = statusSnap.data() || {};
+  return {
+    lastSyncedAt: status.lastSyncedAt ? status.lastSyncedAt.toDate() : null,
+    quota: status.quota || null,
+    budget: getSyncBudget(configSnap.data() || null),
+  };
+}
+
+/**
+ * The quota fields of the status document, from the provider's last response.
+ * @param {Object} provider The odds/scores provider.
+ * @param {Date} now When the provider was called.
+ * @return {Object} `{quota}`, or nothing when the provider reports none.
+ */
+function getQuotaFields(provider, now) {
+  const quota = provider.getQuota();
+  return quota ?
+    {quota: {...quota, updatedAt: Timestamp.fromDate(now)}} : {};
+}
+
+/**
+ * Records a sync run that called the provider.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {Object} params.plan The sync plan the run followed.
+ * @param {Object} params.budget The quota budget.
+ * @param {Object} params.provider The odds/scores provider.
+ * @param {Date} params.now When the run started.
+ * @return {Promise<void>}
+ */
+async function recordSyncRun(db, {appId, plan, budget, provider, now}) {
+  const syncedAt = Timestamp.fromDate(now);
+  await getSyncStatusRef(db, appId).set({
+    provider: provider.name,
+    mode: plan.mode,
+    quotaLevel: plan.quotaLevel,
+    intervalMinutes: plan.intervalMinutes,
+    budget,
+    lastSyncedAt: syncedAt,
+    ...(plan.fetchOdds && {lastOddsAt: syncedAt}),
+    ...(plan.fetchScores && {lastScoresAt: syncedAt}),
+    nextSyncAt: Timestamp.fromMillis(
+        now.getTime() + plan.intervalMinutes * 60 * 1000),
+    ...getQuotaFields(provider, now),
+    lastError: null,
+    lastUpdated: FieldValue.serverTimestamp(),
+  }, {merge: true});
+}
+
+/**
+ * Records the quota after a provider call made outside the scheduled sync.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {Object} params.provider The odds/scores provider.
+ * @param {Date} [params.now] When the provider was called.
+ * @return {Promise<void>}
+ */
+async function recordProviderQuota(db, {appId, provider, now = new Date()}) {
+  const fields = getQuotaFields(provider, now);
+  if (!fields.quota) return;
+  await getSyncStatusRef(db, appId).set({
+    ...fields,
+    lastUpdated: FieldValue.serverTimestamp(),
+  }, {merge: true});
+}
+
+/**
+ * Records that a sync run failed, so the app can say its data may be stale.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.message What went wrong.
+ * @param {Date} [params.now] When the run failed.
+ * @return {Promise<void>}
+ */
+async function recordSyncError(db, {appId, message, now = new Date()}) {
+  await getSyncStatusRef(db, appId).set({
+    lastError: {message, at: Timestamp.fromDate(now)},
+    lastUpdated: FieldValue.serverTimestamp(),
+  }, {merge: true});
+}
+
+module.exports = {
+  getSyncState,
+  recordSyncRun,
+  recordProviderQuota,
+  recordSyncError,
+};
@@ -0,0 +1,161 @@
+// functions/test/compliance.spec.js
+
+const {requestFreeEntry} = require("../compliance");
+const {
+  CURRENCIES,
+  EXCLUDED_STATES,
+  FREE_ENTRY_POINTS,
+  OFFICIAL_RULES_VERSION,
+  getEligibilityIssue,
+  getNextFreeEntryAt,
+  validateEligibilityInput,
+  validateFreeEntryRequest,
+} = require("../shared");
+
+const APP = "app";
+const USER = "user-1";
+const USER_PATH = `artifacts/${APP}/users/${USER}`;
+const ELIGIBILITY_PATH = `${USER_PATH}/compliance/eligibility`;
+const PROFILE_PATH = `${USER_PATH}/profile/data`;
+
+const ELIGIBLE = {
+  ageAttested: true,
+  state: "OH",
+  officialRules: {version: OFFICIAL_RULES_VERSION},
+};
+
+/**
+ * An in-memory stand-in for the parts of Firestore `requestFreeEntry` uses.
+ * Writes are applied when the transaction function returns.
+ * @param {Object} docs Initial documents by path.
+ * @return {Object} The fake db; `docs` holds every document by path.
+ */
+function fakeDb(docs) {
+  let autoId = 0;
+  const docRef = (path) => ({id: path.split("/").pop(), path});
+  const db = {
+    docs,
+    doc: docRef,
+    collection: (path) => ({
+      doc: (id) => docRef(`${path}/${id || `auto-${++autoId}`}`),
+    }),
+    async runTransaction(fn) {
+      const writes = [];
+      const transaction = {
+        get: async (ref) => ({
+          exists: ref.path in docs,
+          data: () => docs[ref.path],
+        }),
+        create: (ref, data) => writes.push([ref.path, data]),
+        update: (ref, data) => writes.push([ref.path,
+          {...docs[ref.path], ...data}]),
+      };
+      const result = await fn(transaction);
+      writes.forEach(([path, data]) => {
+        docs[path] = data;
+      });
+      return result;
+    },
+  };
+  return db;
+}
+
+describe("getEligibilityIssue", () => {
+  test("is null for an eligible user", () => {
+    expect(getEligibilityIssue(ELIGIBLE)).toBeNull();
+  });
+
+  test.each([
+    [null, /at least 18/],
+    [{...ELIGIBLE, ageAttested: false}, /at least 18/],
+    [{...ELIGIBLE, state: null}, /state of residence/],
+    [{...ELIGIBLE, state: EXCLUDED_STATES[0]}, /not available/],
+    [{...ELIGIBLE, officialRules: {version: "old"}}, /Official Rules/],
+  ])("explains what is missing from %p", (eligibility, message) => {
+    expect(getEligibilityIssue(eligibility)).toMatch(message);
+  });
+});
+
+describe("validateEligibilityInput", () => {
+  test("needs an age attestation and a US state", () => {
+    expect(validateEligibilityInput({ageAttested: true, state: "OH"}))
+        .toBeNull();
+    expect(validateEligibilityInput({ageAttested: false, state: "OH"}))
+        .toMatch(/at least 18/);
+    expect(validateEligibilityInput({ageAttested: true, state: "XX"}))
+        .toMatch(/state of residence/);
+  });
+});
+
+describe("validateFreeEntryRequest", () => {
+  test("needs a full name and mailing address", () => {
+    const address = "1 Main St, Columbus, OH";
+    expect(validateFreeEntryRequest({fullName: "Pat Doe",
+      mailingAddress: address})).toBeNull();
+    expect(validateFreeEntryRequest({fullName: " P ",
+      mailingAddress: address})).toMatch(/full name/);
+    expect(validateFreeEntryRequest({fullName: "Pat Doe",
+      mailingAddress: "Ohio"})).toMatch(/mailing address/);
+  });
+});
+
+describe("getNextFreeEntryAt", () => {
+  test("is one cooldown after the last free entry", () => {
+    expect(getNextFreeEntryAt(null)).toBeNull();
+    expect(getNextFreeEntryAt("2026-10-19T12:00:00.000Z").toISOString())
+        .toBe("2026-10-20T12:00:00.000Z");
+  });
+});
+
+describe("requestFreeEntry", () => {
+  const request = {
+    appId: APP,
+    userId: USER,
+    fullName: " Pat Doe ",
+    mailingAddress: "1 Main St, Columbus, OH",
+    now: new Date("2026-10-19T12:00:00.000Z"),
+  };
+
+  test("credits a free entry and records the request", async () => {
+    const db = fakeDb({
+      [ELIGIBILITY_PATH]: ELIGIBLE,
+      [PROFILE_PATH]: {[CURRENCIES.PREDICTOR_POINTS]: 10},
+    });
+    const result = await requestFreeEntry(db, request);
+
+    expect(result).toEqual({
+      freeEntryId: "auto-1",
+      predictorPoints: 10 + FREE_ENTRY_POINTS,
+      nextFreeEntryAt: "2026-10-20T12:00:00.000Z",
+    });
+    expect(db.docs[`artifacts/${APP}/freeEntries/auto-1`]).toMatchObject({
+      userId: USER,
+      fullName: "Pat Doe",
+      points: FREE_ENTRY_POINTS,
+      rulesVersion: OFFICIAL_RULES_VERSION,
+    });
+    expect(db.docs[ELIGIBILITY_PATH].lastFreeEntryAt)
+        .toBe("2026-10-19T12:00:00.000Z");
+    expect(db.docs[`${USER_PATH}/ledger/free_entry-auto-1`])
+        .toMatchObject({amount: FREE_ENTRY_POINTS});
+  });
+
+  test("allows one free entry per cooldown", async () => {
+    const db = fakeDb({
+      [ELIGIBILITY_PATH]: {...ELIGIBLE,
+        lastFreeEntryAt: "2026-10-19T00:00:00.000Z"},
+      [PROFILE_PATH]: {},
+    });
+    await expect(requestFreeEntry(db, request)).rejects.toMatchObject({
+      code: "resource-exhausted",
+    });
+    expect(Object.keys(db.docs)).toHaveLength(2);
+  });
+
+  test("refuses users who aren't eligible", async () => {
+    const db = fakeDb({[PROFILE_PATH]: {}});
+    await expect(requestFreeEntry(db, request)).rejects.toMatchObject({
+      code: "failed-precondition",
+    });
+  });
+});
@@ -0,0 +1,266 @@
+// functions/test/leaderboards.spec.js
+// Weekly leaderboards against the Firestore emulator. `npm run test:emulators`
+// starts the emulator and runs these; without one (`FIRESTORE_EMULATOR_HOST`
+// unset) they are skipped.
+
+const {initializeApp, deleteApp} = require("firebase-admin/app");
+const {getFirestore} = require("firebase-admin/firestore");
+const {
+  updateProvisionalLeaderboard,
+  updateWeekLeaderboard,
+} = require("../leaderboards");
+const {PICK_OUTCOMES} = require("../shared");
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ?
+  describe : describe.skip;
+
+const APP_ID = "test-app";
+const WEEK_ID = "2026-W01";
+const NOW = new Date("2026-09-14T12:00:00Z");
+const BEFORE_REVEAL = "2026-09-15T00:00:00Z";
+const AFTER_REVEAL = "2026-09-14T00:00:00Z";
+
+const GAMES = [
+  {
+    id: "game-1",
+    homeTeam: "Bears",
+    awayTeam: "Packers",
+    commenceTime: "2026-09-13T17:00:00Z",
+    completed: true,
+    score: {home: 24, away: 17},
+    status: "final",
+  },
+  {
+    id: "game-2",
+    homeTeam: "Lions",
+    awayTeam: "Vikings",
+    commenceTime: "2026-09-14T11:00:00Z",
+    completed: false,
+    score: {home: 3, away: 10},
+    status: "live",
+  },
+];
+
+describeWithEmulator("weekly leaderboards (emulator)", () => {
+  let app;
+  let db;
+
+  const boardRef = (weekId = WEEK_ID) =>
+    db.collection(`artifacts/${APP_ID}/leaderboards`).doc(weekId);
+  const readRowDocs = async (weekId = WEEK_ID) =>
+    (await boardRef(weekId).collection("rows").orderBy("rank").get()).docs;
+  const readRows = async (weekId = WEEK_ID) =>
+    (await readRowDocs(weekId)).map((rowDoc) => rowDoc.data());
+  const addProfile = (userId, username) =>
+    db.doc(`artifacts/${APP_ID}/users/${userId}/profile/data`)
+        .set({username});
+  const addEntry = (userId, entryId, entry, weekId = WEEK_ID) =>
+    db.doc(`artifacts/${APP_ID}/users/${userId}/predictions/${weekId}` +
+      `/entries/${entryId}`).set({weekId, ...entry});
+  const pick = (team) => ({
+    market: "moneyline", pick: team, price: 100, tier: 50,
+    potentialWinnings: 50, outcome: PICK_OUTCOMES.PENDING,
+  });
+
+  beforeAll(() => {
+    app = initializeApp({projectId: "demo-predictpro"}, "leaderboards-test");
+    db = getFirestore(app);
+  });
+
+  afterAll(() => deleteApp(app));
+
+  beforeEach(() => db.recursiveDelete(db.collection("artifacts")));
+
+  test("ranks settled entries one row each, with ties and the tie-breaker",
+      async () => {
+        await addProfile("alice", "Alice");
+        await addProfile("bob", "Bob");
+        await addEntry("alice", "a1", {
+          entryNumber: 1, tier: 50, isSettled: true, tieBreakerPoints: 40,
+          totalCorrectPicks: 2, totalWinnerBucksWon: 90,
+        });
+        await addEntry("alice", "a2", {
+          entryNumber: 2, tier: 50, isSettled: true, tieBreakerPoints: 44,
+          totalCorrectPicks: 1, totalWinnerBucksWon: 45,
+        });
+        await addEntry("bob", "b1", {
+          entryNumber: 1, tier: 50, isSettled: true, tieBreakerPoints: 44,
+          totalCorrectPicks: 1, totalWinnerBucksWon: 45,
+        });
+        await addEntry("carol", "c1", {
+          entryNumber: 1, tier: 50, isSettled: true, tieBreakerPoints: 30,
+          totalCorrectPicks: 0, totalWinnerBucksWon: 0,
+        });
+        await addEntry("dave", "d1", {
+          entryNumber: 1, tier: 50, isSettled: false, tieBreakerPoints: 30,
+        });
+
+        const rows = await updateWeekLeaderboard(db, {
+          appId: APP_ID,
+          week: {weekId: WEEK_ID, picksRevealTime: BEFORE_REVEAL},
+          actualTieBreakerTotalPoints: 41,
+          now: NOW,
+        });
+
+        expect(rows).toHaveLength(4); // Dave's entry is not settled
+        const stored = await readRows();
+        expect(stored.map((row) => [row.id, row.rank, row.tied])).toEqual([
+          ["alice_a1", 1, false],
+          ["alice_a2", 2, true],
+          ["bob_b1", 2, true],
+          ["carol_c1", 4, false],
+        ]);
+        expect(stored[0].tieBreakerDistance).toBe(1);
+        expect(stored[1].username).toBe("Alice");
+        expect(stored[3].username).toBe("User_caro"); // No profile
+
+        const summary = (await boardRef().get()).data();
+        expect(summary).toMatchObject({
+          weekId: WEEK_ID,
+          provisional: false,
+          entryCount: 4,
+          picksRevealed: false,
+          actualTieBreakerTotalPoints: 41,
+        });
+        expect(summary.entries).toBeUndefined();
+      });
+
+  test("stores each entry's picks only once they are revealed", async () => {
+    const picks = {
+      "game-1": {
+        market: "moneyline", pick: "Bears", price: -150,
+        tier: 50, outcome: PICK_OUTCOMES.WIN, winnings: 33.33,
+      },
+    };
+    await addEntry("alice", "a1", {
+      entryNumber: 1, tier: 50, isSettled: true, tieBreakerPoints: 40,
+      totalCorrectPicks: 1, totalWinnerBucksWon: 33.33, picks,
+    });
+
+    await updateWeekLeaderboard(db, {
+      appId: APP_ID,
+      week: {weekId: WEEK_ID, picksRevealTime: BEFORE_REVEAL},
+      actualTieBreakerTotalPoints: null,
+      now: NOW,
+    });
+    expect((await readRows())[0].picks).toBeNull();
+
+    await updateWeekLeaderboard(db, {
+      appId: APP_ID,
+      week: {weekId: WEEK_ID, picksRevealTime: AFTER_REVEAL},
+      actualTieBreakerTotalPoints: null,
+      now: NOW,
+    });
+    expect((await readRows())[0].picks).toEqual({
+      "game-1": {
+        gameId: "game-1", market: "moneyline", pick: "Bears", line: null,
+        price: -150, outcome: PICK_OUTCOMES.WIN,
+      },
+    });
+  });
+
+  test("removes rows of entries no longer on the board", async () => {
+    await addEntry("alice", "a1", {
+      entryNumber: 1, tier: 50, isSettled: true, tieBreakerPoints: 40,
+      totalCorrectPicks: 1, totalWinnerBucksWon: 10,
+    });
+    await addEntry("bob", "b1", {
+      entryNumber: 1, tier: 50, isSettled: true, tieBreakerPoints: 40,
+      totalCorrectPicks: 0, totalWinnerBucksWon: 0,
+    });
+    const week = {weekId: WEEK_ID, picksRevealTime: BEFORE_REVEAL};
+    await updateWeekLeaderboard(db, {
+      appId: APP_ID, week, actualTieBreakerTotalPoints: null, now: NOW,
+    });
+
+    await db.doc(`artifacts/${APP_ID}/users/bob/predictions/${WEEK_ID}` +
+      "/entries/b1").delete();
+    await updateWeekLeaderboard(db, {
+      appId: APP_ID, week, actualTieBreakerTotalPoints: null, now: NOW,
+    });
+
+    expect((await readRows()).map((row) => row.id)).toEqual(["alice_a1"]);
+    expect((await boardRef().get()).data().entryCount).toBe(1);
+  });
+
+  // The provisional tests use weeks of their own: the sync keeps each week's
+  // provisional board between rebuilds.
+  test("builds a provisional board from every entry, settled or not",
+      async () => {
+        await addEntry("alice", "a1", {
+          entryNumber: 1, tier: 50, isSettled: false, tieBreakerPoints: 40,
+          picks: {"game-1": pick("Bears"), "game-2": pick("Vikings")},
+        }, "2026-W02");
+        await addEntry("bob", "b1", {
+          entryNumber: 1, tier: 50, isSettled: false, tieBreakerPoints: 40,
+          picks: {"game-1": pick("Packers"), "game-2": pick("Lions")},
+        }, "2026-W02");
+
+        await updateProvisionalLeaderboard(db, {
+          appId: APP_ID,
+          week: {
+            weekId: "2026-W02", games: GAMES, picksRevealTime: BEFORE_REVEAL,
+          },
+          actualTieBreakerTotalPoints: null,
+          now: NOW,
+        });
+
+        const [alice, bob] = await readRows("2026-W02");
+        expect(alice).toMatchObject({
+          id: "alice_a1", rank: 1, totalCorrectPicks: 1,
+          totalWinnerBucksWon: 50,
+          picksAlive: 1, picksWinning: 1, maxPossibleCorrectPicks: 2,
+          picks: null,
+        });
+        expect(bob).toMatchObject({
+          id: "bob_b1", rank: 2, totalCorrectPicks: 0, picksAlive: 1,
+          picksWinning: 0, maxPossibleCorrectPicks: 1,
+        });
+        expect((await boardRef("2026-W02").get()).data().provisional)
+            .toBe(true);
+      });
+
+  test("rebuilds a provisional board from the entries changed since the " +
+      "last rebuild, writing only the rows that changed", async () => {
+    const weekId = "2026-W03";
+    const week = {weekId, games: GAMES, picksRevealTime: BEFORE_REVEAL};
+    const rebuild = () => updateProvisionalLeaderboard(db, {
+      appId: APP_ID, week, actualTieBreakerTotalPoints: 41, now: NOW,
+    });
+    const updateTimes = async () => {
+      const times = {};
+      (await readRowDocs(weekId)).forEach((rowDoc) => {
+        times[rowDoc.id] = rowDoc.updateTime.toMillis();
+      });
+      return times;
+    };
+    await addEntry("alice", "a1", {
+      entryNumber: 1, tier: 50, isSettled: false, tieBreakerPoints: 40,
+      picks: {"game-1": pick("Bears")}, updatedAt: "2026-09-10T00:00:00Z",
+    }, weekId);
+    await addEntry("bob", "b1", {
+      entryNumber: 1, tier: 50, isSettled: false, tieBreakerPoints: 40,
+      picks: {"game-1": pick("Packers")}, updatedAt: "2026-09-10T00:00:00Z",
+    }, weekId);
+    await rebuild();
+    const before = await updateTimes();
+
+    await rebuild(); // Nothing changed
+    expect(await updateTimes()).toEqual(before);
+
+    await addEntry("carol", "c1", {
+      entryNumber: 1, tier: 50, isSettled: false, tieBreakerPoints: 10,
+      picks: {"game-1": pick("Packers")}, updatedAt: new Date().toISOString(),
+    }, weekId);
+    const rows = await rebuild();
+
+    expect(rows.map((row) => [row.id, row.rank])).toEqual([
+      ["alice_a1", 1], ["bob_b1", 2], ["carol_c1", 3],
+    ]);
+    const after = await updateTimes();
+    expect(after.alice_a1).toBe(before.alice_a1);
+    expect(after.bob_b1).toBe(before.bob_b1);
+    expect(after.carol_c1).toBeDefined();
+    expect((await boardRef(weekId).get()).data().entryCount).toBe(3);
+  });
+});
@@ -0,0 +1,91 @@
+// functions/test/leagues.spec.js
+// League boards against the Firestore emulator. `npm run test:emulators`
+// starts the emulator and runs these; without one (`FIRESTORE_EMULATOR_HOST`
+// unset) they are skipped.
+
+const {initializeApp, deleteApp} = require("firebase-admin/app");
+const {getFirestore} = require("firebase-admin/firestore");
+const {queueWeekForLeagues, recordWeekInLeaguePage} = require("../leagues");
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ?
+  describe : describe.skip;
+
+const APP_ID = "test-app";
+const WEEK = {weekId: "2026-W01", seasonYear: 2026};
+
+describeWithEmulator("league boards (emulator)", () => {
+  let app;
+  let db;
+
+  const leaguesRef = () => db.collection(`artifacts/${APP_ID}/leagues`);
+  const queueRef = () =>
+    db.doc(`artifacts/${APP_ID}/leagueWeekUpdates/${WEEK.weekId}`);
+  const addLeague = (leagueId, memberIds) => leaguesRef().doc(leagueId).set({
+    name: leagueId, memberIds, entryTier: null, entryCap: 1,
+  });
+  const addRow = (userId, totalCorrectPicks) =>
+    db.doc(`artifacts/${APP_ID}/leaderboards/${WEEK.weekId}/rows/` +
+      `${userId}_e1`).set({
+      id: `${userId}_e1`, userId, entryId: "e1", entryNumber: 1, tier: 50,
+      username: userId, totalCorrectPicks, totalWinnerBucksWon: 0,
+      tieBreakerPoints: 40,
+    });
+  const queue = (settlementId) => queueWeekForLeagues(db, {
+    appId: APP_ID, week: WEEK, settlementId, actualTieBreakerTotalPoints: 41,
+  });
+  const nextPage = () => recordWeekInLeaguePage(db, {
+    appId: APP_ID, weekId: WEEK.weekId, pageSize: 2,
+  });
+  const boardRows = async (leagueId) => (await leaguesRef().doc(leagueId)
+      .collection("leaderboards").doc(WEEK.weekId).collection("rows")
+      .orderBy("rank").get()).docs.map((rowDoc) => rowDoc.data().userId);
+
+  beforeAll(() => {
+    app = initializeApp({projectId: "demo-predictpro"}, "leagues-test");
+    db = getFirestore(app);
+  });
+
+  afterAll(() => deleteApp(app));
+
+  beforeEach(() => db.recursiveDelete(db.collection("artifacts")));
+
+  test("records a queued week a page of leagues at a time", async () => {
+    await addRow("alice", 3);
+    await addRow("bob", 2);
+    await addRow("carol", 1);
+    await addLeague("l1", ["alice", "bob"]);
+    await addLeague("l2", ["carol"]);
+    await addLeague("l3", ["bob", "carol"]);
+    await queue("s1");
+
+    expect(await nextPage()).toEqual({leagueCount: 2, done: false});
+    expect(await boardRows("l3")).toEqual([]);
+    expect(await nextPage()).toEqual({leagueCount: 1, done: true});
+    expect(await nextPage()).toBeNull();
+
+    expect(await boardRows("l1")).toEqual(["alice", "bob"]);
+    expect(await boardRows("l3")).toEqual(["bob", "carol"]);
+    expect((await queueRef().get()).data()).toMatchObject({
+      done: true, leaguesUpdated: 3,
+    });
+    const standingsRows = await leaguesRef().doc("l2")
+        .collection("standings").doc("season-2026").collection("rows").get();
+    expect(standingsRows.docs.map((rowDoc) => rowDoc.id)).toEqual(["carol"]);
+  });
+
+  test("starts again from the first league when re-queued", async () => {
+    await addLeague("l1", ["alice"]);
+    await addLeague("l2", ["alice"]);
+    await addLeague("l3", ["alice"]);
+    await addRow("alice", 3);
+    await queue("s1");
+    await nextPage();
+
+    await queue("s2");
+    expect((await queueRef().get()).data()).toMatchObject({
+      settlementId: "s2", cursor: null, leaguesUpdated: 0,
+    });
+    expect(await nextPage()).toEqual({leagueCount: 2, done: false});
+    expect((await queueRef().get()).data().cursor).toBe("l2");
+  });
+});
@@ -0,0 +1,92 @@
+// functions/test/ledger.spec.js
+
+const {getLedgerMismatches, postLedgerEntries} = require("../ledger");
+const {CURRENCIES, LEDGER_REASONS} = require("../shared");
+
+/**
+ * A transaction that records its writes, with refs that are plain IDs.
+ * @return {Object} `{transaction, profileRef, ledgerRef, writes}`.
+ */
+function fakeLedger() {
+  const writes = [];
+  let autoId = 0;
+  return {
+    writes,
+    profileRef: {id: "data"},
+    ledgerRef: {doc: (id) => ({id: id || `auto-${++autoId}`})},
+    transaction: {
+      create: (ref, data) => writes.push({op: "create", id: ref.id, data}),
+      update: (ref, data) => writes.push({op: "update", id: ref.id, data}),
+    },
+  };
+}
+
+describe("postLedgerEntries", () => {
+  test("appends one document per change and updates the balances",
+      () => {
+        const {transaction, profileRef, ledgerRef, writes} = fakeLedger();
+        const balances = postLedgerEntries(transaction, {
+          profileRef,
+          ledgerRef,
+          profile: {
+            [CURRENCIES.PREDICTOR_POINTS]: 100,
+            [CURRENCIES.WINNER_BUCKS]: 10.1,
+          },
+          entries: [
+            {currency: CURRENCIES.PREDICTOR_POINTS, amount: -50,
+              reason: LEDGER_REASONS.ENTRY_FEE},
+            {currency: CURRENCIES.WINNER_BUCKS, amount: 0.2,
+              reason: LEDGER_REASONS.ENTRY_FEE, id: "fixed-id"},
+          ],
+          profileUpdates: {lastEntryAt: "now"},
+        });
+
+        expect(balances).toMatchObject({
+          [CURRENCIES.PREDICTOR_POINTS]: 50,
+          [CURRENCIES.WINNER_BUCKS]: 10.3, // Rounded to cents
+        });
+        expect(writes.map(({op, id}) => [op, id])).toEqual([
+          ["create", "auto-1"], ["create", "fixed-id"], ["update", "data"],
+        ]);
+        expect(writes[0].data).toMatchObject({
+          amount: -50, balanceAfter: 50, reference: null,
+        });
+        expect(writes[2].data).toEqual({
+          lastEntryAt: "now",
+          [CURRENCIES.PREDICTOR_POINTS]: 50,
+          [CURRENCIES.WINNER_BUCKS]: 10.3,
+        });
+      });
+
+  test("rejects unknown currencies before writing anything", () => {
+    const {transaction, profileRef, ledgerRef, writes} = fakeLedger();
+    expect(() => postLedgerEntries(transaction, {
+      profileRef, ledgerRef, profile: {},
+      entries: [{currency: "gold", amount: 1, reason: "x"}],
+    })).toThrow("Unknown currency \"gold\".");
+    expect(writes).toEqual([]);
+  });
+});
+
+describe("getLedgerMismatches", () => {
+  test("reconciles balances that match the sum of the ledger", () => {
+    expect(getLedgerMismatches({
+      [CURRENCIES.PREDICTOR_POINTS]: 70,
+      [CURRENCIES.WINNER_BUCKS]: 0.3,
+    }, [
+      {currency: CURRENCIES.PREDICTOR_POINTS, amount: 100},
+      {currency: CURRENCIES.PREDICTOR_POINTS, amount: -30},
+      {currency: CURRENCIES.WINNER_BUCKS, amount: 0.1},
+      {currency: CURRENCIES.WINNER_BUCKS, amount: 0.2},
+    ])).toEqual([]);
+  });
+
+  test("reports each currency that doesn't match", () => {
+    expect(getLedgerMismatches({[CURRENCIES.PREDICTOR_POINTS]: 100}, []))
+        .toEqual([{
+          currency: CURRENCIES.PREDICTOR_POINTS,
+          balance: 100,
+          ledgerTotal: 0,
+        }]);
+  });
+});
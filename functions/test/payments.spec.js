@@ -0,0 +1,87 @@
+// functions/test/payments.spec.js
+
+const ENV_KEYS = ["PAYMENT_PROVIDER", "FUNCTIONS_EMULATOR"];
+
+describe("getPaymentProvider", () => {
+  const saved = {};
+  // The provider is cached per module instance, so each test loads a fresh one.
+  const loadPayments = () => {
+    let payments;
+    jest.isolateModules(() => {
+      payments = require("../payments");
+    });
+    return payments;
+  };
+
+  beforeEach(() => {
+    ENV_KEYS.forEach((key) => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach((key) => {
+      if (saved[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = saved[key];
+      }
+    });
+  });
+
+  test("fails closed when no provider is configured", () => {
+    expect(() => loadPayments().getPaymentProvider())
+        .toThrow("No payment provider is configured.");
+  });
+
+  test("refuses the fake provider outside the emulators", () => {
+    process.env.PAYMENT_PROVIDER = "fake";
+    expect(() => loadPayments().getPaymentProvider())
+        .toThrow("The fake payment provider only runs on the emulators.");
+  });
+
+  test("refuses unknown providers", () => {
+    process.env.PAYMENT_PROVIDER = "nope";
+    expect(() => loadPayments().getPaymentProvider())
+        .toThrow("Unknown payment provider \"nope\".");
+  });
+
+  test("defaults to the fake provider on the emulators", () => {
+    process.env.FUNCTIONS_EMULATOR = "true";
+    const payments = loadPayments();
+    expect(payments.isEmulated()).toBe(true);
+    expect(payments.getPaymentProvider().name).toBe("fake");
+  });
+});
+
+describe("fake provider webhooks", () => {
+  const {createFakePaymentProvider} = require("../payments/fakeProvider");
+  const provider = createFakePaymentProvider({checkoutUrl: "http://x"});
+  const signed = () => provider.buildWebhookEvent({
+    sessionId: "fake_cs_o1", orderId: "o1", amountCents: "499",
+    succeeded: true, metadata: {appId: "app"},
+  });
+
+  test("parses a signed event", () => {
+    const {body, headers} = signed();
+    expect(provider.parseWebhook({rawBody: Buffer.from(body), headers}))
+        .toMatchObject({
+          succeeded: true, sessionId: "fake_cs_o1", orderId: "o1",
+          amountCents: 499, metadata: {appId: "app"},
+        });
+  });
+
+  test("rejects a tampered body", () => {
+    const {body, headers} = signed();
+    const rawBody = Buffer.from(body.replace("499", "1"));
+    expect(() => provider.parseWebhook({rawBody, headers}))
+        .toThrow("Invalid webhook signature.");
+  });
+
+  test("rejects an unsigned event", () => {
+    const {body} = signed();
+    expect(() => provider.parseWebhook({rawBody: Buffer.from(body),
+      headers: {}})).toThrow("Invalid webhook signature.");
+  });
+});
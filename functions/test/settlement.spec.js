@@ -0,0 +1,293 @@
+// functions/test/settlement.spec.js
+
+const {
+  buildEntrySettlement,
+  getScoreCorrections,
+  getSettlementId,
+  gradeEntry,
+} = require("../settlement");
+const {
+  CURRENCIES,
+  LEDGER_REASONS,
+  OFFICIAL_RULES_VERSION,
+  PICK_OUTCOMES,
+} = require("../shared");
+
+// The settleWeekEntries cases need the Firestore emulator (`npm run
+// test:emulators`) and are skipped without one.
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ?
+  describe : describe.skip;
+
+const WEEK_ID = "2026-W01";
+const game = (id, fields = {}) => ({
+  id,
+  homeTeam: `${id}-home`,
+  awayTeam: `${id}-away`,
+  commenceTime: "2026-09-13T17:00:00Z",
+  completed: false,
+  score: null,
+  status: "scheduled",
+  ...fields,
+});
+const final = (id, home, away) => game(id, {
+  completed: true,
+  score: {home, away},
+  status: home === away ? "tied" : "final",
+});
+
+describe("getSettlementId", () => {
+  test("is null until a game is decided", () => {
+    expect(getSettlementId(WEEK_ID, [game("a"), game("b")])).toBeNull();
+  });
+
+  test("ignores game order and live scores", () => {
+    const id = getSettlementId(WEEK_ID, [final("a", 24, 17), game("b")]);
+    expect(id).toMatch(new RegExp(`^${WEEK_ID}-[0-9a-f]{16}$`));
+    expect(getSettlementId(WEEK_ID, [
+      game("b", {score: {home: 7, away: 0}, status: "live"}),
+      final("a", 24, 17),
+    ])).toBe(id);
+  });
+
+  test("changes when a game is decided, corrected or voided", () => {
+    const games = [final("a", 24, 17), game("b")];
+    const id = getSettlementId(WEEK_ID, games);
+    expect(getSettlementId(WEEK_ID, [games[0], final("b", 10, 3)]))
+        .not.toBe(id);
+    expect(getSettlementId(WEEK_ID, [final("a", 24, 20), games[1]]))
+        .not.toBe(id);
+    const postponed = game("b", {status: "postponed"});
+    expect(getSettlementId(WEEK_ID, [games[0], postponed])).not.toBe(id);
+    expect(getSettlementId("2026-W02", games)).not.toBe(id);
+  });
+});
+
+const pick = (team, fields = {}) => ({
+  market: "moneyline",
+  pick: team,
+  price: 100,
+  tier: 50,
+  potentialWinnings: 25,
+  outcome: PICK_OUTCOMES.PENDING,
+  ...fields,
+});
+
+describe("getScoreCorrections", () => {
+  test("lists final games whose score changed", () => {
+    const before = [final("a", 24, 17), final("b", 10, 3), game("c")];
+    expect(getScoreCorrections(before, [
+      final("a", 24, 20),
+      final("b", 10, 3),
+      final("c", 7, 0), // Newly final, not a correction
+    ])).toEqual([{
+      gameId: "a", from: {home: 24, away: 17}, to: {home: 24, away: 20},
+    }]);
+  });
+});
+
+describe("gradeEntry", () => {
+  test("pays wins from the stored payout and refunds pushes and voids",
+      () => {
+        const entry = {
+          tier: 60,
+          picks: {
+            a: pick("a-home"),
+            b: pick("b-home"),
+            c: pick("c-home"),
+          },
+        };
+        const graded = gradeEntry(entry, [
+          final("a", 24, 17),
+          final("b", 20, 20),
+          game("c", {status: "cancelled"}),
+        ]);
+
+        expect(graded.isSettled).toBe(true);
+        expect(graded.totalCorrectPicks).toBe(1);
+        expect(graded.totalWinnerBucksWon).toBe(25);
+        expect(graded.picks.a).toMatchObject({
+          outcome: PICK_OUTCOMES.WIN, winnings: 25, refund: 0,
+        });
+        // Each pick's stake is the entry fee over the number of picks.
+        expect(graded.picks.b).toMatchObject({
+          outcome: PICK_OUTCOMES.PUSH, winnings: 0, refund: 20,
+        });
+        expect(graded.picks.c).toMatchObject({
+          outcome: PICK_OUTCOMES.VOID, winnings: 0, refund: 20,
+        });
+      });
+
+  test("stays unsettled while a picked game is undecided", () => {
+    const entry = {tier: 50, picks: {a: pick("a-home"), b: pick("b-away")}};
+    const graded = gradeEntry(entry, [final("a", 3, 10), game("b")]);
+    expect(graded.isSettled).toBe(false);
+    expect(graded.picks.a.outcome).toBe(PICK_OUTCOMES.LOSS);
+    expect(graded.picks.b.outcome).toBe(PICK_OUTCOMES.PENDING);
+  });
+
+  test("re-grades picks on corrected games only", () => {
+    const entry = {
+      tier: 50,
+      picks: {
+        a: pick("a-home", {outcome: PICK_OUTCOMES.WIN, winnings: 25}),
+        b: pick("b-home", {outcome: PICK_OUTCOMES.WIN, winnings: 25}),
+      },
+    };
+    const games = [final("a", 10, 17), final("b", 10, 17)];
+    const graded = gradeEntry(entry, games, ["a"]);
+    expect(graded.picks.a.outcome).toBe(PICK_OUTCOMES.LOSS);
+    expect(graded.picks.b.outcome).toBe(PICK_OUTCOMES.WIN);
+    expect(graded.totalWinnerBucksWon).toBe(25);
+  });
+});
+
+describe("buildEntrySettlement", () => {
+  const NOW = new Date("2026-09-15T12:00:00Z");
+  const context = (fields = {}) => ({
+    entryId: "e1",
+    settlementId: "s1",
+    correctedGameIds: [],
+    eligibilityIssue: null,
+    now: NOW,
+    ...fields,
+  });
+  const entry = (fields = {}) => ({
+    weekId: WEEK_ID,
+    tier: 50,
+    picks: {a: pick("a-home"), b: pick("b-home")},
+    ...fields,
+  });
+  const ledger = (ledgerEntries) => ledgerEntries.map(
+      ({id, currency, amount, reason}) => ({id, currency, amount, reason}));
+
+  test("pays the winnings and refunds pushes once an entry settles", () => {
+    const unsettled = entry();
+    const graded = gradeEntry(unsettled,
+        [final("a", 24, 17), final("b", 20, 20)]);
+    const {updates, ledgerEntries} =
+      buildEntrySettlement(unsettled, graded, context());
+
+    expect(updates).toMatchObject({
+      isSettled: true, settlementId: "s1", settledAt: NOW.toISOString(),
+    });
+    expect(ledger(ledgerEntries)).toEqual([
+      {id: `push_refund-${WEEK_ID}-e1-b`, amount: 25,
+        currency: CURRENCIES.PREDICTOR_POINTS,
+        reason: LEDGER_REASONS.PUSH_REFUND},
+      {id: `winnings-${WEEK_ID}-e1`, amount: 25,
+        currency: CURRENCIES.WINNER_BUCKS, reason: LEDGER_REASONS.WINNINGS},
+    ]);
+  });
+
+  test("withholds winnings from users who aren't eligible", () => {
+    const unsettled = entry();
+    const graded = gradeEntry(unsettled,
+        [final("a", 24, 17), final("b", 17, 24)]);
+    const {updates, ledgerEntries} = buildEntrySettlement(unsettled, graded,
+        context({eligibilityIssue: "Select your state of residence."}));
+
+    expect(ledgerEntries).toEqual([]);
+    expect(updates).toMatchObject({
+      winningsWithheld: 25,
+      winningsWithheldReason: "Select your state of residence.",
+    });
+  });
+
+  test("takes back winnings a score correction turned into a loss", () => {
+    const settled = entry({
+      isSettled: true,
+      totalWinnerBucksWon: 50,
+      picks: {
+        a: pick("a-home", {outcome: PICK_OUTCOMES.WIN, winnings: 25}),
+        b: pick("b-home", {outcome: PICK_OUTCOMES.WIN, winnings: 25}),
+      },
+    });
+    const graded = gradeEntry(settled,
+        [final("a", 10, 17), final("b", 24, 17)], ["a"]);
+    const {updates, ledgerEntries} = buildEntrySettlement(settled, graded,
+        context({settlementId: "s2", correctedGameIds: ["a"]}));
+
+    expect(ledger(ledgerEntries)).toEqual([
+      {id: "settlement_adjustment-s2-e1", amount: -25,
+        currency: CURRENCIES.WINNER_BUCKS,
+        reason: LEDGER_REASONS.SETTLEMENT_ADJUSTMENT},
+    ]);
+    expect(updates.settledAt).toBeUndefined();
+    expect(updates.totalWinnerBucksWon).toBe(25);
+  });
+
+  test("records no grading pass when nothing changed", () => {
+    const unsettled = entry();
+    const graded = gradeEntry(unsettled, [game("a"), game("b")]);
+    const {updates, ledgerEntries} =
+      buildEntrySettlement(unsettled, graded, context());
+    expect(ledgerEntries).toEqual([]);
+    expect(updates.gradingPasses).toBeUndefined();
+    expect(updates.isSettled).toBe(false);
+  });
+});
+
+describeWithEmulator("settleWeekEntries (emulator)", () => {
+  const {initializeApp, deleteApp} = require("firebase-admin/app");
+  const {getFirestore} = require("firebase-admin/firestore");
+  const {settleWeekEntries} = require("../settlement");
+  const APP_ID = "test-app";
+  let app;
+  let db;
+
+  const userPath = `artifacts/${APP_ID}/users/alice`;
+  const entryRef = () =>
+    db.doc(`${userPath}/predictions/${WEEK_ID}/entries/e1`);
+  const settle = (games, settlementId, correctedGameIds = []) =>
+    settleWeekEntries(db, {
+      appId: APP_ID, weekId: WEEK_ID, games, settlementId, correctedGameIds,
+    });
+  const ledgerAmounts = async () => (await db.collection(`${userPath}/ledger`)
+      .orderBy("reason").get()).docs
+      .map((ledgerDoc) => [ledgerDoc.data().reason, ledgerDoc.data().amount]);
+
+  beforeAll(() => {
+    app = initializeApp({projectId: "demo-predictpro"}, "settlement-test");
+    db = getFirestore(app);
+  });
+
+  afterAll(() => deleteApp(app));
+
+  beforeEach(async () => {
+    await db.recursiveDelete(db.collection("artifacts"));
+    await db.doc(`${userPath}/profile/data`).set({
+      [CURRENCIES.PREDICTOR_POINTS]: 0, [CURRENCIES.WINNER_BUCKS]: 0,
+    });
+    await db.doc(`${userPath}/compliance/eligibility`).set({
+      ageAttested: true, state: "OH",
+      officialRules: {version: OFFICIAL_RULES_VERSION},
+    });
+    await entryRef().set({
+      weekId: WEEK_ID, tier: 50, isSettled: false,
+      picks: {a: pick("a-home"), b: pick("b-home")},
+    });
+  });
+
+  test("settles an entry once, then re-grades it after a correction",
+      async () => {
+        const games = [final("a", 24, 17), final("b", 24, 17)];
+        expect(await settle(games, "s1")).toMatchObject({
+          graded: 1, settled: 1,
+        });
+        expect(await settle(games, "s1")).toMatchObject({graded: 0});
+        expect(await ledgerAmounts()).toEqual([["winnings", 50]]);
+
+        const corrected = [final("a", 10, 17), games[1]];
+        expect(await settle(corrected, "s2", ["a"])).toMatchObject({
+          regraded: 1,
+        });
+        expect(await ledgerAmounts()).toEqual([
+          ["settlement_adjustment", -25], ["winnings", 50],
+        ]);
+        expect((await db.doc(`${userPath}/profile/data`).get()).data())
+            .toMatchObject({[CURRENCIES.WINNER_BUCKS]: 25});
+        expect((await entryRef().get()).data()).toMatchObject({
+          isSettled: true, settlementId: "s2", totalWinnerBucksWon: 25,
+        });
+      });
+});
@@ -0,0 +1,39 @@
+// functions/test/shared/friends.spec.js
+
+const {
+  getFriendId,
+  getFriendshipId,
+  getUsernameKey,
+  validateUsername,
+} = require("../../shared/friends");
+
+describe("getFriendshipId", () => {
+  test("is the same whichever user sent the request", () => {
+    expect(getFriendshipId("b", "a")).toBe("a_b");
+    expect(getFriendshipId("a", "b")).toBe("a_b");
+    expect(getFriendId({userIds: ["a", "b"]}, "a")).toBe("b");
+  });
+});
+
+describe("validateUsername", () => {
+  test.each(["Pat", "User_abcd", "pat_doe_2026", "a".repeat(24)])(
+      "accepts %p", (username) => {
+        expect(validateUsername(username)).toBeNull();
+      });
+
+  test.each(["ab", "a".repeat(25), null])("rejects the length of %p",
+      (username) => {
+        expect(validateUsername(username)).toMatch(/3 to 24 characters/);
+      });
+
+  test.each(["pat doe", "pat.doe", "pät"])("rejects the characters of %p",
+      (username) => {
+        expect(validateUsername(username)).toMatch(/letters, digits/);
+      });
+});
+
+describe("getUsernameKey", () => {
+  test("ignores case and surrounding spaces", () => {
+    expect(getUsernameKey(" Pat_Doe ")).toBe(getUsernameKey("pat_doe"));
+  });
+});
@@ -0,0 +1,72 @@
+// functions/test/shared/gameStatuses.spec.js
+
+const {
+  DELAYED_AFTER_HOURS,
+  GAME_STATUSES,
+  getGameStatus,
+  isGameDecided,
+  isGameVoid,
+} = require("../../shared");
+
+const KICKOFF = "2026-09-13T17:00:00Z";
+const hoursAfterKickoff = (hours) =>
+  new Date(Date.parse(KICKOFF) + hours * 60 * 60 * 1000);
+const game = (fields = {}) => ({
+  id: "game-1",
+  commenceTime: KICKOFF,
+  completed: false,
+  score: null,
+  status: GAME_STATUSES.SCHEDULED,
+  ...fields,
+});
+
+describe("getGameStatus", () => {
+  test("is scheduled before kickoff and live after it", () => {
+    expect(getGameStatus(game(), hoursAfterKickoff(-1)))
+        .toBe(GAME_STATUSES.SCHEDULED);
+    expect(getGameStatus(game(), hoursAfterKickoff(0)))
+        .toBe(GAME_STATUSES.LIVE);
+    expect(getGameStatus(game(), hoursAfterKickoff(3)))
+        .toBe(GAME_STATUSES.LIVE);
+  });
+
+  test("is final or tied once completed", () => {
+    const now = hoursAfterKickoff(4);
+    expect(getGameStatus(game({completed: true, score: {home: 24, away: 17}}),
+        now)).toBe(GAME_STATUSES.FINAL);
+    expect(getGameStatus(game({completed: true, score: {home: 20, away: 20}}),
+        now)).toBe(GAME_STATUSES.TIED);
+    // Scores can arrive as strings from the provider.
+    expect(getGameStatus(game({completed: true, score: {home: "20", away: 20}}),
+        now)).toBe(GAME_STATUSES.TIED);
+  });
+
+  test("marks a game still not final a day after kickoff as delayed",
+      () => {
+        const late = hoursAfterKickoff(DELAYED_AFTER_HOURS + 1);
+        expect(getGameStatus(game(), late)).toBe(GAME_STATUSES.DELAYED);
+        // Delayed is not void: its picks stay open and are not refunded.
+        expect(isGameVoid({status: GAME_STATUSES.DELAYED})).toBe(false);
+        expect(isGameDecided({status: GAME_STATUSES.DELAYED})).toBe(false);
+      });
+
+  test("turns a delayed game final when its score arrives", () => {
+    const late = hoursAfterKickoff(DELAYED_AFTER_HOURS * 3);
+    const scored = game({
+      status: GAME_STATUSES.DELAYED,
+      completed: true,
+      score: {home: 10, away: 13},
+    });
+    expect(getGameStatus(scored, late)).toBe(GAME_STATUSES.FINAL);
+  });
+
+  test("keeps postponed and cancelled games void", () => {
+    const now = hoursAfterKickoff(-10);
+    [GAME_STATUSES.POSTPONED, GAME_STATUSES.CANCELLED].forEach((status) => {
+      const voided = game({status, completed: true, score: {home: 3, away: 0}});
+      expect(getGameStatus(voided, now)).toBe(status);
+      expect(isGameVoid(voided)).toBe(true);
+      expect(isGameDecided(voided)).toBe(true);
+    });
+  });
+});
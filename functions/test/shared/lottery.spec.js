@@ -0,0 +1,99 @@
+// functions/test/shared/lottery.spec.js
+
+const crypto = require("crypto");
+const {
+  DRAND_BEACON,
+  getDrawBeaconRound,
+  getDrawDigestInput,
+  getDrawForDate,
+  getLotteryPot,
+  pickWinningTicket,
+  validateTicketQuantity,
+} = require("../../shared/lottery");
+
+/**
+ * When a drand round is produced.
+ * @param {number} round The beacon round.
+ * @return {number} Milliseconds since the epoch.
+ */
+function roundTime(round) {
+  return (DRAND_BEACON.genesisTime + (round - 1) * DRAND_BEACON.period) *
+    1000;
+}
+
+describe("getDrawForDate", () => {
+  test("tickets bought before the draw hour go into that day's draw", () => {
+    expect(getDrawForDate(new Date("2026-10-19T20:59:59Z"))).toEqual({
+      drawId: "draw-2026-10-19",
+      drawAt: "2026-10-19T21:00:00.000Z",
+    });
+  });
+
+  test("tickets bought at or after the draw hour go into the next", () => {
+    expect(getDrawForDate(new Date("2026-10-19T21:00:00Z")).drawId)
+        .toBe("draw-2026-10-20");
+  });
+});
+
+describe("getLotteryPot", () => {
+  test("adds to the base pot per ticket, rounded to cents", () => {
+    expect(getLotteryPot(0)).toBe(5);
+    expect(getLotteryPot(3)).toBe(5.15);
+  });
+});
+
+describe("getDrawBeaconRound", () => {
+  test.each([
+    "2026-10-19T21:00:00.000Z",
+    "2026-10-19T21:00:01.000Z",
+    "2026-10-19T21:00:02.500Z",
+  ])("is the first round produced after sales close at %s", (drawAt) => {
+    const round = getDrawBeaconRound(drawAt);
+    const closedAt = new Date(drawAt).getTime();
+    expect(roundTime(round)).toBeGreaterThan(closedAt);
+    expect(roundTime(round - 1)).toBeLessThanOrEqual(closedAt);
+  });
+});
+
+describe("getDrawDigestInput", () => {
+  test("mixes in the beacon randomness", () => {
+    expect(getDrawDigestInput("seed", "draw-1", 12, "beacon"))
+        .toBe("seed:beacon:draw-1:12");
+  });
+
+  test("keeps the format of draws run before beacons were added", () => {
+    expect(getDrawDigestInput("seed", "draw-1", 12)).toBe("seed:draw-1:12");
+  });
+
+  test("a different beacon changes the winner even with the same seed",
+      () => {
+        const winners = new Set(["a", "b", "c", "d", "e"].map((beacon) => {
+          const digest = crypto.createHash("sha256")
+              .update(getDrawDigestInput("seed", "draw-1", 1000, beacon))
+              .digest("hex");
+          return pickWinningTicket(digest, 1000);
+        }));
+        expect(winners.size).toBeGreaterThan(1);
+      });
+});
+
+describe("pickWinningTicket", () => {
+  test("has no winner when no tickets were sold", () => {
+    expect(pickWinningTicket("f".repeat(64), 0)).toBeNull();
+  });
+
+  test("maps the digest to a 1-based ticket", () => {
+    expect(pickWinningTicket("0".repeat(64), 7)).toBe(1);
+    expect(pickWinningTicket("0000000000009" + "0".repeat(51), 7)).toBe(3);
+  });
+});
+
+describe("validateTicketQuantity", () => {
+  test.each([1, 10])("accepts %d tickets", (quantity) => {
+    expect(validateTicketQuantity(quantity)).toBeNull();
+  });
+
+  test.each([0, 11, 1.5, "2"])("rejects %p tickets", (quantity) => {
+    expect(validateTicketQuantity(quantity)).toMatch(/between 1 and 10/);
+  });
+});
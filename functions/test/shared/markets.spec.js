@@ -0,0 +1,71 @@
+// functions/test/shared/markets.spec.js
+
+const {MARKETS, PICK_OUTCOMES, gradePick} = require("../../shared");
+
+const finalGame = (home, away, fields = {}) => ({
+  id: "game-1",
+  homeTeam: "Bears",
+  awayTeam: "Packers",
+  completed: true,
+  score: {home, away},
+  status: home === away ? "tied" : "final",
+  ...fields,
+});
+
+describe("gradePick", () => {
+  test("grades moneyline picks on the winner", () => {
+    const pick = {market: MARKETS.MONEYLINE, pick: "Bears"};
+    expect(gradePick(pick, finalGame(24, 17))).toBe(PICK_OUTCOMES.WIN);
+    expect(gradePick(pick, finalGame(17, 24))).toBe(PICK_OUTCOMES.LOSS);
+  });
+
+  test("treats a pick without a market as moneyline", () => {
+    expect(gradePick({pick: "Packers"}, finalGame(17, 24)))
+        .toBe(PICK_OUTCOMES.WIN);
+  });
+
+  test("pushes moneyline picks on a tied game", () => {
+    const pick = {market: MARKETS.MONEYLINE, pick: "Packers"};
+    expect(gradePick(pick, finalGame(20, 20))).toBe(PICK_OUTCOMES.PUSH);
+  });
+
+  test("grades spread picks against the line stored on the pick", () => {
+    const pick = {market: MARKETS.SPREAD, pick: "Bears", line: -3.5};
+    // The game's current line is ignored.
+    const odds = {spread: {home: {line: -10}}};
+    expect(gradePick(pick, finalGame(24, 20, {odds})))
+        .toBe(PICK_OUTCOMES.WIN);
+    expect(gradePick(pick, finalGame(23, 20, {odds})))
+        .toBe(PICK_OUTCOMES.LOSS);
+    expect(gradePick({...pick, line: -3}, finalGame(23, 20)))
+        .toBe(PICK_OUTCOMES.PUSH);
+    expect(gradePick({market: MARKETS.SPREAD, pick: "Packers", line: 3.5},
+        finalGame(23, 20))).toBe(PICK_OUTCOMES.WIN);
+  });
+
+  test("grades totals on the combined score", () => {
+    const over = {market: MARKETS.TOTAL, pick: "over", line: 44.5};
+    const under = {market: MARKETS.TOTAL, pick: "under", line: 44.5};
+    expect(gradePick(over, finalGame(24, 21))).toBe(PICK_OUTCOMES.WIN);
+    expect(gradePick(under, finalGame(24, 21))).toBe(PICK_OUTCOMES.LOSS);
+    expect(gradePick({...under, line: 45}, finalGame(24, 21)))
+        .toBe(PICK_OUTCOMES.PUSH);
+  });
+
+  test("keeps picks pending until the game is final", () => {
+    const pick = {market: MARKETS.MONEYLINE, pick: "Bears"};
+    expect(gradePick(pick, finalGame(24, 17, {completed: false})))
+        .toBe(PICK_OUTCOMES.PENDING);
+    expect(gradePick(pick, {...finalGame(0, 0), score: null}))
+        .toBe(PICK_OUTCOMES.PENDING);
+    expect(gradePick(pick, undefined)).toBe(PICK_OUTCOMES.PENDING);
+  });
+
+  test("voids picks on postponed and cancelled games", () => {
+    const pick = {market: MARKETS.MONEYLINE, pick: "Bears"};
+    expect(gradePick(pick, finalGame(24, 17, {status: "postponed"})))
+        .toBe(PICK_OUTCOMES.VOID);
+    expect(gradePick(pick, {id: "game-1", status: "cancelled"}))
+        .toBe(PICK_OUTCOMES.VOID);
+  });
+});
@@ -0,0 +1,56 @@
+// functions/test/shared/redemptions.spec.js
+
+const {
+  MIN_REDEMPTION_AMOUNT,
+  PAYOUT_METHODS,
+  validatePayoutMethod,
+  validateRedemptionAmount,
+} = require("../../shared/redemptions");
+
+describe("validateRedemptionAmount", () => {
+  test.each([50, 64.01, 64.29, 199.99])("accepts %p", (amount) => {
+    expect(validateRedemptionAmount(amount, 1000)).toBeNull();
+  });
+
+  test("accepts every whole-cent amount from 50.00 to 199.99", () => {
+    const rejected = [];
+    for (let cents = 5000; cents < 20000; cents++) {
+      if (validateRedemptionAmount(cents / 100, 1000)) {
+        rejected.push(cents / 100);
+      }
+    }
+    expect(rejected).toEqual([]);
+  });
+
+  test.each([64.011, NaN, Infinity, "64"])("rejects %p", (amount) => {
+    expect(validateRedemptionAmount(amount, 1000))
+        .toMatch(/at most two decimals/);
+  });
+
+  test("rejects amounts below the minimum", () => {
+    expect(validateRedemptionAmount(MIN_REDEMPTION_AMOUNT - 0.01, 1000))
+        .toMatch(/minimum redemption/);
+  });
+
+  test("rejects amounts above the spendable balance", () => {
+    expect(validateRedemptionAmount(64.02, 64.01))
+        .toMatch(/more Winner Bucks than you have/);
+    expect(validateRedemptionAmount(64.01, 64.01)).toBeNull();
+  });
+});
+
+describe("validatePayoutMethod", () => {
+  test("accepts a PayPal email address", () => {
+    expect(validatePayoutMethod({
+      type: PAYOUT_METHODS.PAYPAL, destination: "fan@example.com",
+    })).toBeNull();
+  });
+
+  test.each([
+    [null, /Choose a payout method/],
+    [{type: "wire", destination: "fan@example.com"}, /Choose a payout/],
+    [{type: PAYOUT_METHODS.PAYPAL, destination: "fan"}, /email address/],
+  ])("rejects %p", (payoutMethod, message) => {
+    expect(validatePayoutMethod(payoutMethod)).toMatch(message);
+  });
+});
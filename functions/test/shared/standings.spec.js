@@ -0,0 +1,117 @@
+// functions/test/shared/standings.spec.js
+
+const {
+  getStandingsSortKey,
+  getWeekStandingsResults,
+  rankStandings,
+  setWeekResultOnRow,
+} = require("../../shared");
+
+const entry = (userId, correct, won, tieBreakerPoints = 40) => ({
+  userId,
+  username: userId.toUpperCase(),
+  totalCorrectPicks: correct,
+  totalWinnerBucksWon: won,
+  tieBreakerPoints,
+});
+
+describe("getWeekStandingsResults", () => {
+  test("adds up a user's entries and marks the week's winners", () => {
+    const results = getWeekStandingsResults([
+      entry("alice", 3, 30.1),
+      entry("alice", 1, 10.2),
+      entry("bob", 3, 30.1),
+      entry("carol", 1, 5),
+    ], 41);
+    expect(results).toEqual([
+      {userId: "alice", username: "ALICE", correctPicks: 4,
+        winnerBucksWon: 40.3, won: true},
+      {userId: "bob", username: "BOB", correctPicks: 3,
+        winnerBucksWon: 30.1, won: true},
+      {userId: "carol", username: "CAROL", correctPicks: 1,
+        winnerBucksWon: 5, won: false},
+    ]);
+  });
+});
+
+describe("setWeekResultOnRow", () => {
+  const result = (correctPicks, winnerBucksWon, won) =>
+    ({userId: "alice", username: "Alice", correctPicks, winnerBucksWon, won});
+
+  test("adds weeks up into the row's totals", () => {
+    let row = setWeekResultOnRow(null, "alice", "2026-W01",
+        result(3, 20, true));
+    row = setWeekResultOnRow(row, "alice", "2026-W02", result(2, 5.5, false));
+    expect(row).toMatchObject({
+      userId: "alice",
+      username: "Alice",
+      correctPicks: 5,
+      winnerBucksWon: 25.5,
+      weeksWon: 1,
+      weeksPlayed: 2,
+      weekIds: ["2026-W01", "2026-W02"],
+    });
+  });
+
+  test("replaces a re-graded week instead of counting it twice", () => {
+    let row = setWeekResultOnRow(null, "alice", "2026-W01",
+        result(3, 20, true));
+    row = setWeekResultOnRow(row, "alice", "2026-W02", result(2, 5, false));
+    row = setWeekResultOnRow(row, "alice", "2026-W01", result(2, 10, false));
+    expect(row).toMatchObject({
+      correctPicks: 4,
+      winnerBucksWon: 15,
+      weeksWon: 0,
+      weeksPlayed: 2,
+    });
+  });
+
+  test("removes a week the user no longer played", () => {
+    let row = setWeekResultOnRow(null, "alice", "2026-W01",
+        result(3, 20, true));
+    row = setWeekResultOnRow(row, "alice", "2026-W01", null);
+    expect(row).toMatchObject({
+      username: "Alice",
+      correctPicks: 0,
+      weeksPlayed: 0,
+      weekIds: [],
+    });
+  });
+});
+
+describe("rankStandings", () => {
+  test("shares ranks between rows tied on every column", () => {
+    const ranked = rankStandings([
+      {userId: "a", correctPicks: 5, winnerBucksWon: 10, weeksWon: 1},
+      {userId: "b", correctPicks: 7, winnerBucksWon: 0, weeksWon: 0},
+      {userId: "c", correctPicks: 5, winnerBucksWon: 10, weeksWon: 1},
+      {userId: "d", correctPicks: 5, winnerBucksWon: 10, weeksWon: 0},
+    ]);
+    expect(ranked.map((row) => [row.userId, row.rank]))
+        .toEqual([["b", 1], ["a", 2], ["c", 2], ["d", 4]]);
+  });
+});
+
+describe("getStandingsSortKey", () => {
+  test("orders rows like rankStandings, greatest first", () => {
+    const rows = [
+      {userId: "a", correctPicks: 5, winnerBucksWon: 10.05, weeksWon: 1},
+      {userId: "b", correctPicks: 12, winnerBucksWon: 0, weeksWon: 0},
+      {userId: "c", correctPicks: 5, winnerBucksWon: 10.05, weeksWon: 1},
+      {userId: "d", correctPicks: 5, winnerBucksWon: 9.99, weeksWon: 3},
+      {userId: "e", correctPicks: 5, winnerBucksWon: 10.05, weeksWon: 0},
+    ];
+    const byKey = [...rows].sort((a, b) =>
+      getStandingsSortKey(b).localeCompare(getStandingsSortKey(a)));
+    expect(byKey.map((row) => row.userId))
+        .toEqual(rankStandings(rows).map((row) => row.userId));
+    expect(getStandingsSortKey(rows[0])).toBe(getStandingsSortKey(rows[2]));
+  });
+
+  test("is kept on the row by setWeekResultOnRow", () => {
+    const row = setWeekResultOnRow(null, "alice", "2026-W01", {
+      username: "Alice", correctPicks: 3, winnerBucksWon: 20.5, won: true,
+    });
+    expect(row.sortKey).toBe("000000003:000000002050:000001");
+  });
+});
@@ -0,0 +1,214 @@
+// functions/test/shared/syncStatus.spec.js
+
+const {
+  DEFAULT_SYNC_BUDGET,
+  QUOTA_LEVELS,
+  SYNC_MODES,
+  getSyncPlan,
+  isGamePastScoresFeed,
+  isWeekSyncOpen,
+} = require("../../shared");
+
+const NOW = new Date("2026-09-13T18:00:00Z");
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * 60 * 1000);
+const game = (kickoff, fields = {}) => ({
+  id: `game-${kickoff}`,
+  commenceTime: kickoff,
+  completed: false,
+  status: "scheduled",
+  ...fields,
+});
+const LIVE_GAME = game("2026-09-13T17:00:00Z");
+const SOON_GAME = game("2026-09-13T19:00:00Z");
+const LATER_GAME = game("2026-09-14T00:20:00Z");
+const FINAL_GAME = game("2026-09-13T13:00:00Z", {completed: true});
+// Past the scores feed: its score can no longer be corrected
+const OLD_FINAL_GAME = game("2026-09-10T00:20:00Z", {completed: true});
+const DELAYED_GAME = game("2026-09-12T13:00:00Z");
+// Delayed past the scores feed: only an admin can grade it
+const STUCK_GAME = game("2026-09-10T00:20:00Z");
+
+const plan = (games, {lastSyncedAt = null, remaining = null} = {}) =>
+  getSyncPlan({
+    games,
+    now: NOW,
+    lastSyncedAt,
+    quota: remaining === null ? null : {remaining},
+    budget: DEFAULT_SYNC_BUDGET,
+  });
+
+describe("getSyncPlan", () => {
+  test("polls odds and scores every minute while a game is live", () => {
+    expect(plan([LIVE_GAME, LATER_GAME], {lastSyncedAt: minutesAgo(1)}))
+        .toEqual({
+          mode: SYNC_MODES.LIVE,
+          quotaLevel: QUOTA_LEVELS.OK,
+          intervalMinutes: 1,
+          due: true,
+          fetchOdds: true,
+          fetchScores: true,
+        });
+  });
+
+  test("polls every few minutes before kickoff and hourly otherwise", () => {
+    expect(plan([SOON_GAME]))
+        .toMatchObject({mode: SYNC_MODES.NEAR_KICKOFF, intervalMinutes: 5});
+    const idle = plan([OLD_FINAL_GAME, LATER_GAME]);
+    expect(idle).toMatchObject({
+      mode: SYNC_MODES.IDLE,
+      intervalMinutes: 60,
+      fetchOdds: true,
+      fetchScores: false,
+    });
+  });
+
+  test("keeps polling scores for a delayed game", () => {
+    expect(plan([FINAL_GAME, DELAYED_GAME])).toMatchObject({
+      mode: SYNC_MODES.AWAITING_SCORE,
+      intervalMinutes: 15,
+      fetchScores: true,
+    });
+  });
+
+  test("keeps polling scores hourly for score corrections once every " +
+      "game is decided", () => {
+    const postponed = game("2026-09-13T17:00:00Z", {status: "postponed"});
+    expect(plan([FINAL_GAME, postponed])).toEqual({
+      mode: SYNC_MODES.CORRECTIONS,
+      quotaLevel: QUOTA_LEVELS.OK,
+      intervalMinutes: 60,
+      due: true,
+      fetchOdds: true,
+      fetchScores: true,
+    });
+    // The window closes SCORES_DAYS_FROM days after kickoff
+    const lastDay = game("2026-09-10T18:01:00Z", {completed: true});
+    expect(plan([lastDay]).mode).toBe(SYNC_MODES.CORRECTIONS);
+    expect(plan([OLD_FINAL_GAME, postponed])).toMatchObject({
+      mode: SYNC_MODES.IDLE,
+      fetchScores: false,
+    });
+    // A score set by an admin is not taken from the provider
+    const overridden = {...FINAL_GAME, scoreOverride: {home: 1, away: 0}};
+    expect(plan([overridden]).mode).toBe(SYNC_MODES.IDLE);
+  });
+
+  test("keeps a slow score poll for corrections when the quota is low or " +
+      "exhausted", () => {
+    expect(plan([FINAL_GAME],
+        {remaining: DEFAULT_SYNC_BUDGET.lowQuotaRequests})).toMatchObject({
+      intervalMinutes: 300,
+      fetchOdds: true,
+      fetchScores: true,
+    });
+    expect(plan([FINAL_GAME],
+        {remaining: DEFAULT_SYNC_BUDGET.reserveRequests})).toMatchObject({
+      intervalMinutes: 360,
+      fetchOdds: false,
+      fetchScores: true,
+    });
+  });
+
+  test("stops polling scores for a delayed game the scores feed no longer " +
+      "returns", () => {
+    expect(plan([STUCK_GAME])).toMatchObject({
+      mode: SYNC_MODES.IDLE,
+      fetchScores: false,
+    });
+  });
+
+  test("is not due until the interval has passed", () => {
+    expect(plan([LATER_GAME], {lastSyncedAt: minutesAgo(30)}))
+        .toMatchObject({due: false, fetchOdds: false, fetchScores: false});
+    expect(plan([LATER_GAME], {lastSyncedAt: minutesAgo(60)}).due).toBe(true);
+    expect(plan([LATER_GAME]).due).toBe(true); // Never synced
+  });
+
+  test("polls less often and skips live odds when the quota is low", () => {
+    const remaining = DEFAULT_SYNC_BUDGET.lowQuotaRequests;
+    expect(plan([LIVE_GAME], {remaining})).toMatchObject({
+      quotaLevel: QUOTA_LEVELS.LOW,
+      intervalMinutes: 5,
+      fetchOdds: false,
+      fetchScores: true,
+    });
+    expect(plan([LIVE_GAME], {remaining, lastSyncedAt: minutesAgo(2)}).due)
+        .toBe(false);
+  });
+
+  test("only fetches scores for a delayed game when the quota is low", () => {
+    const remaining = DEFAULT_SYNC_BUDGET.lowQuotaRequests;
+    expect(plan([DELAYED_GAME], {remaining})).toMatchObject({
+      intervalMinutes: 75,
+      fetchOdds: false,
+      fetchScores: true,
+    });
+  });
+
+  test("keeps a minimum score poll for live and delayed games when the " +
+      "quota is exhausted", () => {
+    const remaining = DEFAULT_SYNC_BUDGET.reserveRequests;
+    expect(plan([LIVE_GAME, LATER_GAME], {remaining})).toMatchObject({
+      mode: SYNC_MODES.LIVE,
+      quotaLevel: QUOTA_LEVELS.EXHAUSTED,
+      intervalMinutes: 15,
+      fetchOdds: false,
+      fetchScores: true,
+    });
+    expect(plan([DELAYED_GAME], {remaining})).toMatchObject({
+      intervalMinutes: 60,
+      fetchOdds: false,
+      fetchScores: true,
+    });
+    expect(plan([LIVE_GAME], {remaining, lastSyncedAt: minutesAgo(10)}).due)
+        .toBe(false);
+  });
+
+  test("only fetches odds every few hours when the quota is exhausted and " +
+      "no game is in progress", () => {
+    const remaining = DEFAULT_SYNC_BUDGET.reserveRequests;
+    expect(plan([OLD_FINAL_GAME, LATER_GAME], {remaining})).toMatchObject({
+      quotaLevel: QUOTA_LEVELS.EXHAUSTED,
+      intervalMinutes: 300,
+      fetchOdds: true,
+      fetchScores: false,
+    });
+    expect(plan([SOON_GAME], {remaining})).toMatchObject({
+      intervalMinutes: 300,
+      fetchOdds: true,
+      fetchScores: false,
+    });
+  });
+});
+
+describe("isWeekSyncOpen", () => {
+  test("keeps a week in the sync while a final score may be corrected",
+      () => {
+        expect(isWeekSyncOpen([OLD_FINAL_GAME, FINAL_GAME], NOW)).toBe(true);
+        expect(isWeekSyncOpen([LATER_GAME], NOW)).toBe(true);
+        expect(isWeekSyncOpen([OLD_FINAL_GAME], NOW)).toBe(false);
+      });
+
+  test("keeps a week with an undecided game in the sync", () => {
+    expect(isWeekSyncOpen([OLD_FINAL_GAME, STUCK_GAME], NOW)).toBe(true);
+    expect(isWeekSyncOpen([OLD_FINAL_GAME, DELAYED_GAME], NOW)).toBe(true);
+  });
+
+  test("ignores void games and scores set by an admin", () => {
+    expect(isWeekSyncOpen([
+      OLD_FINAL_GAME,
+      {...FINAL_GAME, scoreOverride: {home: 1, away: 0}},
+      {...LIVE_GAME, status: "postponed"},
+    ], NOW)).toBe(false);
+  });
+});
+
+describe("isGamePastScoresFeed", () => {
+  test("flags an undecided game the scores feed no longer returns", () => {
+    expect(isGamePastScoresFeed(STUCK_GAME, NOW)).toBe(true);
+    expect(isGamePastScoresFeed(DELAYED_GAME, NOW)).toBe(false);
+    expect(isGamePastScoresFeed(OLD_FINAL_GAME, NOW)).toBe(false);
+    expect(isGamePastScoresFeed({...STUCK_GAME, status: "cancelled"}, NOW))
+        .toBe(false);
+  });
+});
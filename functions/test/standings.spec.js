@@ -0,0 +1,84 @@
+// functions/test/standings.spec.js
+// Standings tables against the Firestore emulator. `npm run test:emulators`
+// starts the emulator and runs these; without one (`FIRESTORE_EMULATOR_HOST`
+// unset) they are skipped.
+
+const {initializeApp, deleteApp} = require("firebase-admin/app");
+const {getFirestore} = require("firebase-admin/firestore");
+const {addWeekToStandingsDocs} = require("../standings");
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ?
+  describe : describe.skip;
+
+const APP_ID = "test-app";
+
+describeWithEmulator("standings tables (emulator)", () => {
+  let app;
+  let db;
+
+  const tableRef = () =>
+    db.collection(`artifacts/${APP_ID}/standings`).doc("season-2026");
+  const record = (weekId, leaderboardEntries) =>
+    addWeekToStandingsDocs(db, [{ref: tableRef(), fields: {scope: "season"}}],
+        {week: {weekId}, leaderboardEntries, actualTieBreakerTotalPoints: 40});
+  const entry = (userId, totalCorrectPicks, totalWinnerBucksWon = 0) => ({
+    userId, username: userId, totalCorrectPicks, totalWinnerBucksWon,
+    tieBreakerPoints: 40,
+  });
+  const updateTimes = async () => {
+    const times = {};
+    (await tableRef().collection("rows").get()).forEach((rowDoc) => {
+      times[rowDoc.id] = rowDoc.updateTime.toMillis();
+    });
+    return times;
+  };
+
+  beforeAll(() => {
+    app = initializeApp({projectId: "demo-predictpro"}, "standings-test");
+    db = getFirestore(app);
+  });
+
+  afterAll(() => deleteApp(app));
+
+  beforeEach(() => db.recursiveDelete(db.collection("artifacts")));
+
+  test("rewrites only the rows of the week's users", async () => {
+    await record("2026-W01", [entry("alice", 3), entry("bob", 2),
+      entry("carol", 1)]);
+    const before = await updateTimes();
+
+    await record("2026-W02", [entry("carol", 4), entry("dave", 1)]);
+
+    const after = await updateTimes();
+    expect(after.alice).toBe(before.alice);
+    expect(after.bob).toBe(before.bob);
+    expect(after.carol).not.toBe(before.carol);
+    expect(after.dave).toBeDefined();
+
+    const rows = (await tableRef().collection("rows")
+        .orderBy("sortKey", "desc").get()).docs.map((rowDoc) => rowDoc.id);
+    expect(rows).toEqual(["carol", "alice", "bob", "dave"]);
+    expect((await tableRef().get()).data()).toMatchObject({
+      weekIds: ["2026-W01", "2026-W02"],
+      rowCount: 4,
+    });
+  });
+
+  test("re-grading a week replaces it and drops users who left it",
+      async () => {
+        await record("2026-W01", [entry("alice", 3), entry("bob", 2)]);
+        await record("2026-W01", [entry("alice", 1)]);
+
+        const rowsSnap = await tableRef().collection("rows").get();
+        expect(rowsSnap.docs.map((rowDoc) => rowDoc.id)).toEqual(["alice"]);
+        expect(rowsSnap.docs[0].data()).toMatchObject({
+          correctPicks: 1, weeksPlayed: 1,
+        });
+        expect((await tableRef().get()).data().rowCount).toBe(1);
+      });
+
+  test("reports no change when the week is already recorded", async () => {
+    await record("2026-W01", [entry("alice", 3)]);
+    expect(await record("2026-W01", [entry("alice", 3)])).toEqual([]);
+  });
+});
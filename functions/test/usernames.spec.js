@@ -0,0 +1,88 @@
+// functions/test/usernames.spec.js
+// Username reservations against the Firestore emulator. `npm run
+// test:emulators` starts the emulator and runs these; without one
+// (`FIRESTORE_EMULATOR_HOST` unset) they are skipped.
+
+const {initializeApp, deleteApp} = require("firebase-admin/app");
+const {getFirestore} = require("firebase-admin/firestore");
+const {
+  findUserByUsername,
+  reserveDefaultUsername,
+  reserveUsername,
+} = require("../usernames");
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ?
+  describe : describe.skip;
+
+const APP_ID = "test-app";
+
+describeWithEmulator("usernames (emulator)", () => {
+  let app;
+  let db;
+
+  const profileRef = (userId) =>
+    db.doc(`artifacts/${APP_ID}/users/${userId}/profile/data`);
+  const addProfile = (userId, username) =>
+    profileRef(userId).set({username});
+  const reserve = (userId, username) =>
+    reserveUsername(db, {appId: APP_ID, userId, username});
+  const reservation = async (key) =>
+    (await db.doc(`artifacts/${APP_ID}/usernames/${key}`).get()).data();
+
+  beforeAll(() => {
+    app = initializeApp({projectId: "demo-predictpro"}, "usernames-test");
+    db = getFirestore(app);
+  });
+
+  afterAll(() => deleteApp(app));
+
+  beforeEach(() => db.recursiveDelete(db.collection("artifacts")));
+
+  test("reserves a name and releases the previous one", async () => {
+    await addProfile("alice1", "User_alic");
+    await reserveDefaultUsername(db, {appId: APP_ID, userId: "alice1"});
+    expect(await reservation("user_alic")).toMatchObject({userId: "alice1"});
+
+    await reserve("alice1", "Alice");
+    expect((await profileRef("alice1").get()).data().username).toBe("Alice");
+    expect(await reservation("alice")).toMatchObject({userId: "alice1"});
+    expect(await reservation("user_alic")).toBeUndefined();
+    expect(await findUserByUsername(db, APP_ID, "ALICE")).toEqual({
+      userId: "alice1", username: "Alice",
+    });
+  });
+
+  test("refuses a name another user holds, whatever its case", async () => {
+    await addProfile("alice1", "User_alic");
+    await addProfile("bob1", "User_bob1");
+    await reserve("alice1", "Alice");
+
+    await expect(reserve("bob1", "aLiCe"))
+        .rejects.toMatchObject({code: "already-exists"});
+    expect((await profileRef("bob1").get()).data().username)
+        .toBe("User_bob1");
+  });
+
+  test("refuses a name taken before reservations existed", async () => {
+    await addProfile("alice1", "Alice");
+    await addProfile("bob1", "User_bob1");
+
+    await expect(reserve("bob1", "Alice"))
+        .rejects.toMatchObject({code: "already-exists"});
+    expect(await findUserByUsername(db, APP_ID, "Alice")).toEqual({
+      userId: "alice1", username: "Alice",
+    });
+  });
+
+  test("gives a longer default when the short one is taken", async () => {
+    await addProfile("abcd1111", "User_abcd");
+    await reserveDefaultUsername(db, {appId: APP_ID, userId: "abcd1111"});
+    await addProfile("abcd2222", "User_abcd");
+
+    expect(await reserveDefaultUsername(db, {
+      appId: APP_ID, userId: "abcd2222",
+    })).toBe("User_abcd2222");
+    expect((await profileRef("abcd2222").get()).data().username)
+        .toBe("User_abcd2222");
+  });
+});
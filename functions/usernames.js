@@ -0,0 +1,157 @@
+// functions/usernames.js
+// Unique usernames. Every username in use is reserved at `usernames/{key}`
+// (see getUsernameKey) with its owner's user ID, and the profile's `username`
+// is only changed here: the security rules lock it once the profile exists.
+// New profiles start with a default name, which is reserved when the profile
+// is created. Names taken before reservations existed are only on the
+// profiles, so they are checked too.
+
+const {HttpsError} = require("firebase-functions/v2/https");
+const {getUsernameKey, validateUsername} = require("./shared");
+
+// Default names take more of the user ID until one is free.
+const DEFAULT_USERNAME_ID_LENGTHS = [4, 8, 12, 16];
+
+/**
+ * A username's reservation document.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @param {string} username The username.
+ * @return {FirebaseFirestore.DocumentReference} The document.
+ */
+function getUsernameRef(db, appId, username) {
+  return db.collection(`artifacts/${appId}/usernames`)
+      .doc(getUsernameKey(username));
+}
+
+/**
+ * IDs of this app's users whose profile holds a username, reserved or not.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @param {string} username The exact username.
+ * @return {Promise<Array<string>>} The user IDs.
+ */
+async function getProfileUserIds(db, appId, username) {
+  const profilesSnap = await db.collectionGroup("profile")
+      .where("username", "==", username).get();
+  // collectionGroup spans every app; keep this app's profile/data documents.
+  return profilesSnap.docs
+      .filter((profileDoc) => profileDoc.id === "data" &&
+        profileDoc.ref.parent.parent.parent.path ===
+          `artifacts/${appId}/users`)
+      .map((profileDoc) => profileDoc.ref.parent.parent.id);
+}
+
+/**
+ * Reserves a username for a user and sets it on their profile, releasing
+ * the name they had. Changing only the case of one's own name is allowed.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId Authenticated user ID.
+ * @param {string} params.username The username wanted.
+ * @param {Date} [params.now] Reservation time.
+ * @return {Promise<Object>} `{username}`.
+ */
+async function reserveUsername(db, {
+  appId, userId, username, now = new Date(),
+}) {
+  const name = typeof username === "string" ? username.trim() : "";
+  const usernameError = validateUsername(name);
+  if (usernameError) throw new HttpsError("invalid-argument", usernameError);
+
+  const takenError = new HttpsError("already-exists",
+      `${name} is taken. Pick another username.`);
+  const holders = await getProfileUserIds(db, appId, name);
+  if (holders.some((holderId) => holderId !== userId)) throw takenError;
+
+  const reservationRef = getUsernameRef(db, appId, name);
+  const profileRef = db.doc(`artifacts/${appId}/users/${userId}/profile/data`);
+  return db.runTransaction(async (transaction) => {
+    const [reservationSnap, profileSnap] = await Promise.all([
+      transaction.get(reservationRef),
+      transaction.get(profileRef),
+    ]);
+    if (reservationSnap.exists && reservationSnap.data().userId !== userId) {
+      throw takenError;
+    }
+    if (!profileSnap.exists) {
+      throw new HttpsError("failed-precondition", "User profile not found.");
+    }
+    const previous = profileSnap.data().username;
+    let previousSnap = null;
+    if (previous && getUsernameKey(previous) !== reservationRef.id) {
+      previousSnap = await transaction.get(
+          getUsernameRef(db, appId, previous));
+    }
+
+    if (previousSnap && previousSnap.exists &&
+        previousSnap.data().userId === userId) {
+      transaction.delete(previousSnap.ref);
+    }
+    transaction.set(reservationRef, {
+      userId,
+      username: name,
+      reservedAt: now.toISOString(),
+    });
+    if (previous !== name) transaction.update(profileRef, {username: name});
+    return {username: name};
+  });
+}
+
+/**
+ * Reserves a new profile's default username, `User_` and the start of the
+ * user ID, taking more of the ID while the name is taken.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {Object} params Parameters.
+ * @param {string} params.appId App ID the data lives under.
+ * @param {string} params.userId The new user.
+ * @return {Promise<string>} The username reserved.
+ */
+async function reserveDefaultUsername(db, {appId, userId}) {
+  const candidates = [...new Set(DEFAULT_USERNAME_ID_LENGTHS.map((length) =>
+    `User_${userId.substring(0, length)}`))];
+  for (const candidate of candidates) {
+    try {
+      return (await reserveUsername(db, {appId, userId, username: candidate}))
+          .username;
+    } catch (error) {
+      if (error.code !== "already-exists") throw error;
+    }
+  }
+  throw new Error(`No default username is free for user ${userId}.`);
+}
+
+/**
+ * Finds this app's user with a username, whatever its case.
+ * @param {FirebaseFirestore.Firestore} db Firestore instance.
+ * @param {string} appId App ID the data lives under.
+ * @param {string} username Username to look up.
+ * @return {Promise<Object>} `{userId, username}`.
+ */
+async function findUserByUsername(db, appId, username) {
+  const reservationSnap = await getUsernameRef(db, appId, username).get();
+  if (reservationSnap.exists) {
+    const {userId, username: reserved} = reservationSnap.data();
+    return {userId, username: reserved};
+  }
+
+  // A name taken before reservations existed; it may still be shared.
+  const userIds = await getProfileUserIds(db, appId, username);
+  if (userIds.length === 0) {
+    throw new HttpsError("not-found", `No player is called ${username}.`);
+  }
+  if (userIds.length > 1) {
+    throw new HttpsError("failed-precondition",
+        `Several players are called ${username}. Ask your friend to pick a ` +
+        "unique username.");
+  }
+  return {userId: userIds[0], username};
+}
+
+module.exports = {
+  getUsernameRef,
+  reserveUsername,
+  reserveDefaultUsername,
+  findUserByUsername,
+};
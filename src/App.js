@@ -4,7 +4,7 @@ import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged,
 import { getFirestore, doc, getDoc, setDoc, updateDoc, onSnapshot } from 'firebase/firestore';
 
 // Lucide-react icons used throughout the app - FIX: Changed Square to Target
-import { Rocket, Crown, User, LogOut, Loader2, Trophy, Target, Ticket, Calendar, Banknote, Users } from 'lucide-react'; 
+import { Rocket, Crown, User, LogOut, Loader2, Trophy, Target, Ticket, Calendar, Banknote, Users, ShoppingCart, Shield, Settings } from 'lucide-react'; 
 
 // For toast notifications
 import { ToastContainer } from 'react-toastify';
@@ -17,7 +17,7 @@ import { FirebaseContext, UserContext, useFirebase, useUser } from './contexts';
 import NFLGamePicks from './components/NFLGamePicks';
 import LeaderboardDashboard from './components/LeaderboardDashboard';
 // Assuming DailyBonus and LotterySweepstakes are re-exported from src/components/index.js
-import { DailyBonus, LotterySweepstakes } from './components';
+import { DailyBonus, LotterySweepstakes, Transactions, Redemptions, RedemptionQueue, Store, SweepstakesEligibility, Leagues, Friends, PlayerLevel, AdminConsole } from './components';
 
 const App = () => {
   const [firebaseApp, setFirebaseApp] = useState(null);
@@ -92,6 +92,8 @@ const App = () => {
             predictorPoints: 5000, // Initial balance of Predictor Points
             winnerBucks: 1,       // Initial balance of Winner Bucks
             xp: 0,
+            level: 1,
+            badges: [], // Achievements earned, added by the achievement triggers
             lastDailyBonusClaim: null, // Track last daily bonus claim time
             created_at: new Date().toISOString(), // Timestamp of profile creation
             weeklyEntries: { // Track weekly entries for prediction games
@@ -148,6 +150,8 @@ const App = () => {
 const Header = () => {
   const { auth } = useFirebase(); // Access Firebase Auth from context
   const { userId, userData } = useUser(); // Access user data from context
+  const [showRedemptions, setShowRedemptions] = useState(false); // Toggles the redemption panel under the balances
+  const [showFriends, setShowFriends] = useState(false); // Toggles the friends panel under the user ID
 
   // Handle user sign out
   const handleSignOut = async () => {
@@ -171,6 +175,16 @@ const Header = () => {
             User ID: <span className="font-mono text-blue-300 text-xs break-all">{userId}</span>
           </p>
         )}
+        {userData && (
+          <button
+            onClick={() => setShowFriends(!showFriends)}
+            className="text-sm text-blue-300 hover:text-blue-200 mb-2 flex items-center"
+          >
+            <User className="h-4 w-4 mr-1" /> {userData.username} · {showFriends ? 'Hide friends' : 'Friends'}
+          </button>
+        )}
+        {showFriends && <Friends />}
+        <PlayerLevel />
         {userData && (
           <div className="flex items-center space-x-4 mb-2">
             {/* Predictor Points display */}
@@ -186,9 +200,22 @@ const Header = () => {
                 {userData.winnerBucks !== undefined ? parseFloat(userData.winnerBucks).toFixed(2) : '0.00'}
               </span>
               <span className="text-xs text-gray-400 ml-1">Bucks</span>
+              {/* Winner Bucks held by pending redemptions are no longer spendable */}
+              {userData.winnerBucksOnHold > 0 && (
+                <span className="text-xs text-yellow-300 ml-2">
+                  ({parseFloat(userData.winnerBucksOnHold).toFixed(2)} on hold)
+                </span>
+              )}
             </div>
+            <button
+              onClick={() => setShowRedemptions(!showRedemptions)}
+              className="px-3 py-1 bg-yellow-500 hover:bg-yellow-600 text-gray-900 rounded-full text-sm font-semibold transition-colors"
+            >
+              {showRedemptions ? 'Close' : 'Redeem'}
+            </button>
           </div>
         )}
+        {showRedemptions && <Redemptions />}
         {auth && auth.currentUser && (
           <button
             onClick={handleSignOut}
@@ -204,7 +231,17 @@ const Header = () => {
 
 // --- Main Content Component (Handles Tab Navigation) ---
 const MainContent = () => {
+  const { user } = useUser();
   const [activeTab, setActiveTab] = useState('games'); // Default active tab
+  const [isAdmin, setIsAdmin] = useState(false); // Admin tabs are shown to users with the `admin` custom claim
+
+  // --- Effect: Read the admin custom claim from the user's ID token ---
+  useEffect(() => {
+    if (!user) return;
+    user.getIdTokenResult()
+      .then(tokenResult => setIsAdmin(tokenResult.claims.admin === true))
+      .catch(error => console.error('Firebase: Error reading custom claims:', error));
+  }, [user]);
 
   return (
     <main className="w-full max-w-4xl bg-gray-800 p-6 rounded-xl shadow-lg flex flex-col items-center">
@@ -232,6 +269,14 @@ const MainContent = () => {
         >
           <Users className="inline-block mr-2" size={20} /> Leaderboard & My Picks
         </button>
+        <button
+          onClick={() => setActiveTab('leagues')}
+          className={`px-5 py-2 rounded-full font-semibold transition-colors ${
+            activeTab === 'leagues' ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-700 text-gray-300 hover:bg-blue-500 hover:text-white'
+          }`}
+        >
+          <Trophy className="inline-block mr-2" size={20} /> Leagues
+        </button>
         <button
           onClick={() => setActiveTab('lottery')}
           className={`px-5 py-2 rounded-full font-semibold transition-colors ${
@@ -240,6 +285,50 @@ const MainContent = () => {
         >
           <Ticket className="inline-block mr-2" size={20} /> Lottery
         </button>
+        <button
+          onClick={() => setActiveTab('transactions')}
+          className={`px-5 py-2 rounded-full font-semibold transition-colors ${
+            activeTab === 'transactions' ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-700 text-gray-300 hover:bg-blue-500 hover:text-white'
+          }`}
+        >
+          <Banknote className="inline-block mr-2" size={20} /> Transactions
+        </button>
+        <button
+          onClick={() => setActiveTab('store')}
+          className={`px-5 py-2 rounded-full font-semibold transition-colors ${
+            activeTab === 'store' ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-700 text-gray-300 hover:bg-blue-500 hover:text-white'
+          }`}
+        >
+          <ShoppingCart className="inline-block mr-2" size={20} /> Store
+        </button>
+        <button
+          onClick={() => setActiveTab('eligibility')}
+          className={`px-5 py-2 rounded-full font-semibold transition-colors ${
+            activeTab === 'eligibility' ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-700 text-gray-300 hover:bg-blue-500 hover:text-white'
+          }`}
+        >
+          <Shield className="inline-block mr-2" size={20} /> Free Entry & Rules
+        </button>
+        {isAdmin && (
+          <button
+            onClick={() => setActiveTab('redemptionQueue')}
+            className={`px-5 py-2 rounded-full font-semibold transition-colors ${
+              activeTab === 'redemptionQueue' ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-700 text-gray-300 hover:bg-blue-500 hover:text-white'
+            }`}
+          >
+            <Crown className="inline-block mr-2" size={20} /> Redemption Queue
+          </button>
+        )}
+        {isAdmin && (
+          <button
+            onClick={() => setActiveTab('admin')}
+            className={`px-5 py-2 rounded-full font-semibold transition-colors ${
+              activeTab === 'admin' ? 'bg-blue-600 text-white shadow-md' : 'bg-gray-700 text-gray-300 hover:bg-blue-500 hover:text-white'
+            }`}
+          >
+            <Settings className="inline-block mr-2" size={20} /> Admin
+          </button>
+        )}
       </div>
 
       {/* Conditional Content Rendering based on activeTab */}
@@ -250,7 +339,13 @@ const MainContent = () => {
         </>
       )}
       {activeTab === 'dashboard' && <LeaderboardDashboard />}
+      {activeTab === 'leagues' && <Leagues />}
       {activeTab === 'lottery' && <LotterySweepstakes />}
+      {activeTab === 'transactions' && <Transactions />}
+      {activeTab === 'store' && <Store />}
+      {activeTab === 'eligibility' && <SweepstakesEligibility />}
+      {activeTab === 'redemptionQueue' && isAdmin && <RedemptionQueue />}
+      {activeTab === 'admin' && isAdmin && <AdminConsole />}
 
       {/* "What's Next" section */}
       <section className="w-full text-center mt-8">
@@ -259,9 +354,6 @@ const MainContent = () => {
         <ul className="list-disc list-inside text-left text-gray-400 mt-4 space-y-2">
           <li>Full implementation of prediction settlement based on game outcomes.</li>
           <li>Real-time score updates for NFL games (requires actual API integration).</li>
-          <li>User achievements and friend system.</li>
-          <li>Store for purchasing Predictor Points.</li>
-          <li>Robust redemption for Winner Bucks.</li>
         </ul>
       </section>
     </main>
@@ -274,6 +366,7 @@ const Footer = () => {
     <footer className="w-full max-w-4xl text-center text-gray-500 text-sm mt-8 p-4 border-t border-gray-700">
       <p>© {new Date().getFullYear()} PredictPro. All rights reserved.</p>
       <p className="mt-2">Inspired by Fliff's sweepstakes model.</p>
+      <p className="mt-2">No purchase necessary. Void where prohibited. See Free Entry & Rules for the Official Rules.</p>
     </footer>
   );
 };
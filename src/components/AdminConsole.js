@@ -0,0 +1,385 @@
+// src/components/AdminConsole.js
+import React, { useState, useEffect } from 'react';
+import { Settings, Loader2, Calendar, Banknote, Crown, ClipboardList, Target } from 'lucide-react';
+import { useFirebase } from '../contexts';
+import { collection, doc, limit, onSnapshot, orderBy, query } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import {
+  getCurrentWeek, getSeasonCalendar, GAME_STATUS_LABELS, VOID_GAME_STATUSES, getGameStatus,
+  CURRENCIES, CURRENCY_LABELS, ADMIN_ACTION_LABELS, ADJUSTMENT_REASON_MAX_LENGTH
+} from '@predictpro/shared';
+
+const AUDIT_LOG_LIMIT = 50;
+
+// --- Helper: ISO time -> value of a datetime-local input (local time, minutes) ---
+const toDateTimeInput = (isoTime) => {
+  const date = new Date(isoTime);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// --- Helper: One line summary of an audit log entry's target and details ---
+const formatAuditFields = (fields) => Object.entries(fields || {})
+  .filter(([, value]) => value !== null && value !== undefined)
+  .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+  .join(' · ');
+
+// --- Admin Game Row Component (One game of the selected week with its admin actions) ---
+const AdminGameRow = ({ game, isTieBreaker, busy, onAction }) => {
+  const [kickoff, setKickoff] = useState(toDateTimeInput(game.commenceTime));
+  const [homeScore, setHomeScore] = useState(game.score?.home ?? '');
+  const [awayScore, setAwayScore] = useState(game.score?.away ?? '');
+  const status = getGameStatus(game);
+
+  // Keep the inputs in step with the week document (the sync and other admins update it)
+  useEffect(() => setKickoff(toDateTimeInput(game.commenceTime)), [game.commenceTime]);
+  useEffect(() => {
+    setHomeScore(game.score?.home ?? '');
+    setAwayScore(game.score?.away ?? '');
+  }, [game.score?.home, game.score?.away]);
+
+  const handleVoid = () => {
+    const voidStatus = window.prompt(`Void ${game.awayTeam} @ ${game.homeTeam} as (${VOID_GAME_STATUSES.join(' or ')}):`, VOID_GAME_STATUSES[0]);
+    if (voidStatus === null) return; // Cancelled
+    const reason = window.prompt('Reason (kept in the audit log):');
+    if (reason === null) return;
+    onAction('adminVoidGame', { gameId: game.id, status: voidStatus.trim().toLowerCase(), reason: reason }, `${game.awayTeam} @ ${game.homeTeam} is now ${voidStatus}.`);
+  };
+
+  return (
+    <div className="px-4 py-3 border-b border-gray-700 last:border-b-0 text-sm">
+      <div className="flex flex-col md:flex-row md:items-center justify-between">
+        <p className="text-white font-semibold">
+          {game.awayTeam} @ {game.homeTeam}
+          {isTieBreaker && <span className="ml-2 px-2 py-0.5 rounded-full bg-yellow-600 text-white text-xs">Tie-breaker</span>}
+          {game.scoreOverride && <span className="ml-2 px-2 py-0.5 rounded-full bg-purple-600 text-white text-xs">Score overridden</span>}
+        </p>
+        <p className="text-xs text-gray-400">{GAME_STATUS_LABELS[status] || status}</p>
+      </div>
+      <div className="flex flex-col md:flex-row md:items-center md:space-x-4 mt-2 space-y-2 md:space-y-0">
+        <div className="flex items-center space-x-2">
+          <input
+            type="datetime-local"
+            value={kickoff}
+            onChange={(e) => setKickoff(e.target.value)}
+            className="p-1 rounded-md bg-gray-600 text-white border border-gray-500"
+          />
+          <button
+            onClick={() => onAction('adminUpdateGame', { gameId: game.id, commenceTime: new Date(kickoff).toISOString() }, 'Kickoff updated.')}
+            disabled={busy || !kickoff}
+            className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-full font-semibold disabled:opacity-50"
+          >
+            Save kickoff
+          </button>
+        </div>
+        <div className="flex items-center space-x-2">
+          <input
+            type="number"
+            min="0"
+            value={awayScore}
+            onChange={(e) => setAwayScore(e.target.value)}
+            className="w-16 p-1 rounded-md bg-gray-600 text-white border border-gray-500"
+            aria-label={`${game.awayTeam} score`}
+          />
+          <span className="text-gray-400">-</span>
+          <input
+            type="number"
+            min="0"
+            value={homeScore}
+            onChange={(e) => setHomeScore(e.target.value)}
+            className="w-16 p-1 rounded-md bg-gray-600 text-white border border-gray-500"
+            aria-label={`${game.homeTeam} score`}
+          />
+          <button
+            onClick={() => onAction('adminOverrideScore', { gameId: game.id, home: Number(homeScore), away: Number(awayScore) }, 'Final score saved.')}
+            disabled={busy || homeScore === '' || awayScore === ''}
+            className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded-full font-semibold disabled:opacity-50"
+          >
+            Set final
+          </button>
+        </div>
+        <div className="flex items-center space-x-2">
+          {!isTieBreaker && (
+            <button
+              onClick={() => onAction('adminSetTieBreaker', { gameId: game.id }, `${game.awayTeam} @ ${game.homeTeam} is now the tie-breaker.`)}
+              disabled={busy}
+              className="px-3 py-1 bg-yellow-600 hover:bg-yellow-700 text-white rounded-full font-semibold disabled:opacity-50"
+            >
+              Make tie-breaker
+            </button>
+          )}
+          <button
+            onClick={handleVoid}
+            disabled={busy || VOID_GAME_STATUSES.includes(game.status)}
+            className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded-full font-semibold disabled:opacity-50"
+          >
+            Void
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Admin Console Component (Week games, score overrides, settlement, balances, roles and the audit log) ---
+// Only rendered for users with the `admin` custom claim; every callable checks the claim and logs the action.
+const AdminConsole = () => {
+  const { db, firebaseApp } = useFirebase();
+  const currentWeek = getCurrentWeek();
+  const [weekId, setWeekId] = useState(currentWeek.weekId);
+  const [week, setWeek] = useState(null);
+  const [weekLoading, setWeekLoading] = useState(true);
+  const [auditLog, setAuditLog] = useState([]);
+  const [busyAction, setBusyAction] = useState(null); // Callable currently running
+  const [adjustment, setAdjustment] = useState({ user: '', currency: CURRENCIES.WINNER_BUCKS, amount: '', reason: '' });
+  const [roleUser, setRoleUser] = useState('');
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+
+  const functions = firebaseApp ? getFunctions(firebaseApp) : null;
+  const seasonWeeks = getSeasonCalendar(currentWeek.seasonYear);
+
+  // --- Effect: Listen to the selected week's games ---
+  useEffect(() => {
+    if (!db || !weekId) return;
+
+    setWeekLoading(true);
+    const unsubscribe = onSnapshot(doc(db, `artifacts/${appId}/nflWeeks`, weekId), (docSnap) => {
+      setWeek(docSnap.exists() ? docSnap.data() : null);
+      setWeekLoading(false);
+    }, (error) => {
+      console.error('Firestore: Error listening to the admin week:', error);
+      setWeekLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [db, appId, weekId]);
+
+  // --- Effect: Listen to the latest admin actions ---
+  useEffect(() => {
+    if (!db) return;
+
+    const auditQuery = query(collection(db, `artifacts/${appId}/adminAuditLog`), orderBy('createdAt', 'desc'), limit(AUDIT_LOG_LIMIT));
+    const unsubscribe = onSnapshot(auditQuery, (snapshot) => {
+      setAuditLog(snapshot.docs.map(logDoc => ({ id: logDoc.id, ...logDoc.data() })));
+    }, (error) => {
+      console.error('Firestore: Error listening to the admin audit log:', error);
+    });
+
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  // --- Runs an admin callable with toast feedback; returns the result data, or null on failure ---
+  const runAction = async (name, data, successMessage) => {
+    if (!functions || busyAction) return null;
+    setBusyAction(name);
+    try {
+      const result = await httpsCallable(functions, name)({ appId: appId, ...data });
+      toast.success(successMessage);
+      return result.data;
+    } catch (error) {
+      console.error(`Error calling ${name} Cloud Function:`, error);
+      toast.error(error.message || 'The admin action failed.');
+      return null;
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  // --- Game actions always target the selected week ---
+  const handleGameAction = (name, data, successMessage) => runAction(name, { weekId: weekId, ...data }, successMessage);
+
+  // --- Accepts "@username" or a user ID in the same field ---
+  const toUserTarget = (value) => {
+    const trimmed = value.trim();
+    return trimmed.startsWith('@') ? { username: trimmed.slice(1) } : { userId: trimmed };
+  };
+
+  const handleForceSettlement = async () => {
+    if (!window.confirm(`Run a settlement pass for ${weekId} now?`)) return;
+    await runAction('adminForceSettlement', { weekId: weekId }, `Settlement pass for ${weekId} finished.`);
+  };
+
+  const handleAdjustBalance = async (e) => {
+    e.preventDefault();
+    const amount = parseFloat(adjustment.amount);
+    const result = await runAction('adminAdjustBalance', {
+      ...toUserTarget(adjustment.user),
+      currency: adjustment.currency,
+      amount: amount,
+      reason: adjustment.reason
+    }, `${amount > 0 ? 'Credited' : 'Debited'} ${Math.abs(amount)} ${CURRENCY_LABELS[adjustment.currency]}.`);
+    if (result) setAdjustment(prev => ({ ...prev, user: '', amount: '', reason: '' }));
+  };
+
+  // --- One-off migration: opening ledger entries for profiles created before the ledger ---
+  const handleBackfillOpeningBalances = async () => {
+    if (!window.confirm('Record opening ledger entries for every profile that has none?')) return;
+    await runAction('backfillOpeningBalances', {}, 'Opening balances backfilled.');
+  };
+
+  const handleSetRole = async (isAdmin) => {
+    const result = await runAction('setAdminRole', { ...toUserTarget(roleUser), isAdmin: isAdmin }, isAdmin ? 'Admin role granted.' : 'Admin role revoked.');
+    if (result) setRoleUser('');
+  };
+
+  return (
+    <section className="w-full bg-gray-700 p-6 rounded-xl shadow-md mb-8 flex flex-col items-center">
+      <h3 className="text-xl font-semibold text-white mb-4 flex items-center">
+        <Settings className="mr-2" /> Admin Console
+      </h3>
+
+      {/* Week games */}
+      <div className="w-full mb-6">
+        <div className="flex flex-col md:flex-row md:items-center justify-between mb-3">
+          <h4 className="text-lg font-semibold text-white flex items-center"><Calendar className="mr-2" size={18} /> Week Games</h4>
+          <div className="flex items-center space-x-2 mt-2 md:mt-0">
+            <select
+              value={weekId}
+              onChange={(e) => setWeekId(e.target.value)}
+              className="p-2 rounded-md bg-gray-600 text-white border border-gray-500"
+            >
+              {seasonWeeks.map(seasonWeek => (
+                <option key={seasonWeek.weekId} value={seasonWeek.weekId}>{seasonWeek.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleForceSettlement}
+              disabled={!week || busyAction !== null}
+              className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-full font-semibold disabled:opacity-50 flex items-center"
+            >
+              {busyAction === 'adminForceSettlement' ? <Loader2 className="animate-spin mr-2" size={16} /> : <Target className="mr-2" size={16} />}
+              Force settlement
+            </button>
+          </div>
+        </div>
+
+        {weekLoading ? (
+          <Loader2 className="animate-spin h-6 w-6 text-blue-500 mx-auto" />
+        ) : !week ? (
+          <p className="text-gray-400 text-center">No games have been loaded for this week yet.</p>
+        ) : (
+          <div className="w-full bg-gray-900 rounded-lg shadow-inner">
+            {week.settledAt && (
+              <p className="px-4 pt-3 text-xs text-gray-400">Last settled {week.settledAt.toDate().toLocaleString()} ({week.settlementId})</p>
+            )}
+            {(week.games || []).map(game => (
+              <AdminGameRow
+                key={game.id}
+                game={game}
+                isTieBreaker={game.id === week.tieBreakerGameId}
+                busy={busyAction !== null}
+                onAction={handleGameAction}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Balance adjustment */}
+      <form onSubmit={handleAdjustBalance} className="w-full mb-6">
+        <h4 className="text-lg font-semibold text-white mb-3 flex items-center"><Banknote className="mr-2" size={18} /> Adjust Balance</h4>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+          <input
+            type="text"
+            value={adjustment.user}
+            onChange={(e) => setAdjustment(prev => ({ ...prev, user: e.target.value }))}
+            placeholder="@username or user ID"
+            className="p-2 rounded-md bg-gray-600 text-white border border-gray-500"
+          />
+          <select
+            value={adjustment.currency}
+            onChange={(e) => setAdjustment(prev => ({ ...prev, currency: e.target.value }))}
+            className="p-2 rounded-md bg-gray-600 text-white border border-gray-500"
+          >
+            {Object.values(CURRENCIES).map(currency => (
+              <option key={currency} value={currency}>{CURRENCY_LABELS[currency]}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="0.01"
+            value={adjustment.amount}
+            onChange={(e) => setAdjustment(prev => ({ ...prev, amount: e.target.value }))}
+            placeholder="Amount (negative to debit)"
+            className="p-2 rounded-md bg-gray-600 text-white border border-gray-500"
+          />
+          <input
+            type="text"
+            value={adjustment.reason}
+            maxLength={ADJUSTMENT_REASON_MAX_LENGTH}
+            onChange={(e) => setAdjustment(prev => ({ ...prev, reason: e.target.value }))}
+            placeholder="Reason"
+            className="p-2 rounded-md bg-gray-600 text-white border border-gray-500"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={busyAction !== null || !adjustment.user.trim() || !adjustment.amount || !adjustment.reason.trim()}
+          className="mt-2 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-full font-semibold disabled:opacity-50"
+        >
+          {busyAction === 'adminAdjustBalance' ? 'Adjusting...' : 'Adjust balance'}
+        </button>
+        <button
+          type="button"
+          onClick={handleBackfillOpeningBalances}
+          disabled={busyAction !== null}
+          className="mt-2 ml-2 px-4 py-2 bg-gray-600 hover:bg-gray-500 text-white rounded-full font-semibold disabled:opacity-50"
+        >
+          {busyAction === 'backfillOpeningBalances' ? 'Backfilling...' : 'Backfill opening balances'}
+        </button>
+      </form>
+
+      {/* Admin roles */}
+      <div className="w-full mb-6">
+        <h4 className="text-lg font-semibold text-white mb-3 flex items-center"><Crown className="mr-2" size={18} /> Admin Roles</h4>
+        <div className="flex flex-col md:flex-row md:items-center md:space-x-2 space-y-2 md:space-y-0">
+          <input
+            type="text"
+            value={roleUser}
+            onChange={(e) => setRoleUser(e.target.value)}
+            placeholder="@username or user ID"
+            className="flex-grow p-2 rounded-md bg-gray-600 text-white border border-gray-500"
+          />
+          <button
+            onClick={() => handleSetRole(true)}
+            disabled={busyAction !== null || !roleUser.trim()}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-full font-semibold disabled:opacity-50"
+          >
+            Grant admin
+          </button>
+          <button
+            onClick={() => handleSetRole(false)}
+            disabled={busyAction !== null || !roleUser.trim()}
+            className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-full font-semibold disabled:opacity-50"
+          >
+            Revoke admin
+          </button>
+        </div>
+        <p className="text-xs text-gray-400 mt-1">A changed role applies the next time that user signs in or their session refreshes.</p>
+      </div>
+
+      {/* Audit log */}
+      <div className="w-full">
+        <h4 className="text-lg font-semibold text-white mb-3 flex items-center"><ClipboardList className="mr-2" size={18} /> Audit Log</h4>
+        {auditLog.length === 0 ? (
+          <p className="text-gray-400">No admin actions yet.</p>
+        ) : (
+          <div className="w-full bg-gray-900 rounded-lg shadow-inner">
+            {auditLog.map(entry => (
+              <div key={entry.id} className="px-4 py-2 border-b border-gray-700 last:border-b-0 text-sm">
+                <p className="text-white">
+                  <span className="font-semibold">{ADMIN_ACTION_LABELS[entry.action] || entry.action}</span>
+                  <span className="text-gray-400"> by {entry.adminId} · {entry.createdAt ? entry.createdAt.toDate().toLocaleString() : 'just now'}</span>
+                </p>
+                <p className="text-xs text-gray-400 break-all">{formatAuditFields(entry.target)}</p>
+                <p className="text-xs text-gray-500 break-all">{formatAuditFields(entry.details)}</p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,109 @@
+// src/components/BoardRows.js
+import { useState, useEffect } from 'react';
+import { collection, getCountFromServer, limit, onSnapshot, orderBy, query, where } from 'firebase/firestore';
+
+const IN_QUERY_LIMIT = 30; // Most values Firestore allows in one `in` filter
+
+// Ranks a prefix of a board sorted by `sortKeyField`, greatest first; rows with the same key share a rank.
+const rankTopRows = (rows, sortKeyField) => rows.map((row, index) => {
+  let first = index;
+  while (first > 0 && rows[first - 1][sortKeyField] === row[sortKeyField]) first--;
+  return { ...row, rank: first + 1 };
+});
+
+// Ranks any rows of a board sorted by `sortKeyField`: one more than the number of rows with a greater key.
+const countRanks = (db, rowsPath, sortKeyField, rows) => Promise.all(rows.map(async (row) => {
+  const ahead = await getCountFromServer(
+    query(collection(db, rowsPath), where(sortKeyField, '>', row[sortKeyField])));
+  return { ...row, rank: ahead.data().count + 1 };
+}));
+
+// --- Hook: useBoardRows (Ranked rows of a leaderboard or standings board) ---
+// Boards keep one document per row under `rowsPath`, so only the rows shown are read: the top `shown`
+// rows, or only the rows of `visibleUserIds` (the Friends filter; ranks stay overall ranks).
+// `myRows` are the user's own rows wherever they rank (one per entry on a weekly board).
+// Leaderboard rows store their rank. Standings rows don't (see functions/standings.js); pass their
+// `sortKeyField` and the ranks are worked out here.
+export const useBoardRows = (db, rowsPath, { userId, visibleUserIds = null, shown, sortKeyField = null }) => {
+  const [rows, setRows] = useState([]);
+  const [myRows, setMyRows] = useState([]);
+  const visibleKey = visibleUserIds ? visibleUserIds.join(',') : null; // Stable dependency for the filter
+
+  // --- Effect: Listen to the user's own rows ---
+  useEffect(() => {
+    if (!db || !rowsPath || !userId) return;
+
+    let active = true;
+    const unsubscribe = onSnapshot(query(collection(db, rowsPath), where('userId', '==', userId)), async (snapshot) => {
+      let ownRows = snapshot.docs.map(rowDoc => rowDoc.data());
+      try {
+        if (sortKeyField) ownRows = await countRanks(db, rowsPath, sortKeyField, ownRows);
+      } catch (error) {
+        console.error('Firestore: Error ranking own board rows:', error);
+        return;
+      }
+      if (active) setMyRows(ownRows.sort((a, b) => a.rank - b.rank));
+    }, (error) => {
+      console.error('Firestore: Error listening to own board rows:', error);
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [db, rowsPath, userId, sortKeyField]);
+
+  // --- Effect: Listen to the listed rows (the top rows, or the visible users' rows) ---
+  useEffect(() => {
+    if (!db || !rowsPath) return;
+
+    if (!visibleKey) {
+      const order = sortKeyField ? orderBy(sortKeyField, 'desc') : orderBy('rank');
+      const topQuery = query(collection(db, rowsPath), order, limit(shown));
+      const unsubscribe = onSnapshot(topQuery, (snapshot) => {
+        const topRows = snapshot.docs.map(rowDoc => rowDoc.data());
+        setRows(sortKeyField ? rankTopRows(topRows, sortKeyField) : topRows);
+      }, (error) => {
+        console.error('Firestore: Error listening to board rows:', error);
+      });
+      return () => unsubscribe();
+    }
+
+    // `in` filters take at most IN_QUERY_LIMIT values, so the visible users are read in chunks.
+    const userIds = [...new Set([...visibleKey.split(','), userId].filter(Boolean))];
+    const chunks = [];
+    for (let i = 0; i < userIds.length; i += IN_QUERY_LIMIT) chunks.push(userIds.slice(i, i + IN_QUERY_LIMIT));
+    const rowsByChunk = chunks.map(() => []);
+    let active = true;
+    const showRows = async () => {
+      if (!sortKeyField) {
+        setRows(rowsByChunk.flat().sort((a, b) => a.rank - b.rank).slice(0, shown));
+        return;
+      }
+      // Only the rows shown are ranked, each with one count query
+      const listed = rowsByChunk.flat()
+        .sort((a, b) => b[sortKeyField].localeCompare(a[sortKeyField])) // Keys are fixed-width digits
+        .slice(0, shown);
+      try {
+        const ranked = await countRanks(db, rowsPath, sortKeyField, listed);
+        if (active) setRows(ranked);
+      } catch (error) {
+        console.error('Firestore: Error ranking board rows:', error);
+      }
+    };
+    const unsubscribes = chunks.map((chunk, index) => onSnapshot(
+      query(collection(db, rowsPath), where('userId', 'in', chunk)),
+      (snapshot) => {
+        rowsByChunk[index] = snapshot.docs.map(rowDoc => rowDoc.data());
+        showRows();
+      },
+      (error) => console.error('Firestore: Error listening to board rows:', error)
+    ));
+    return () => {
+      active = false;
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+    };
+  }, [db, rowsPath, visibleKey, userId, shown, sortKeyField]);
+
+  return { rows, myRows };
+};
@@ -1,12 +1,108 @@
-import React from 'react';
-import { Rocket } from 'lucide-react';
+// src/components/DailyBonus.js
+import React, { useState, useEffect } from 'react';
+import { Rocket, Loader2 } from 'lucide-react';
+import { useFirebase, useUser } from '../contexts';
+import { toast } from 'react-toastify';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+// Same streak and reward rules the claimDailyBonus Cloud Function applies
+import { getDailyBonusStatus, DAILY_BONUS_REWARDS } from '@predictpro/shared';
 
+// Formats milliseconds as HH:MM:SS for the countdown
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor((totalSeconds % 3600) / 60))}:${pad(totalSeconds % 60)}`;
+};
+
+// --- Daily Bonus Component (Claim once per calendar day, rewards grow with the streak) ---
 const DailyBonus = () => {
+  const { firebaseApp } = useFirebase();
+  const { userData } = useUser();
+  const [now, setNow] = useState(new Date()); // Ticks every second to drive the countdown
+  const [isClaiming, setIsClaiming] = useState(false);
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+
+  const functions = firebaseApp ? getFunctions(firebaseApp) : null;
+  const claimDailyBonusCallable = functions ? httpsCallable(functions, 'claimDailyBonus') : null;
+
+  // --- Effect: Tick the clock for the countdown ---
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const status = getDailyBonusStatus(userData?.dailyBonus || null, now);
+
+  // --- Handles claiming today's bonus ---
+  const handleClaim = async () => {
+    if (!claimDailyBonusCallable || !status.canClaim || isClaiming) return;
+    setIsClaiming(true);
+    try {
+      // The user's time zone decides where their calendar day starts; the profile listener picks up the new balance
+      const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const result = await claimDailyBonusCallable({ appId: appId, timeZone: timeZone });
+      toast.success(`+${result.data.reward} Predictor Points! Day ${result.data.streak} streak.`);
+    } catch (error) {
+      console.error('Error calling claimDailyBonus Cloud Function:', error);
+      toast.error(error.message || 'Failed to claim the daily bonus.');
+    } finally {
+      setIsClaiming(false);
+    }
+  };
+
   return (
     <section className="w-full bg-gray-700 p-6 rounded-xl shadow-md mb-8 flex flex-col items-center">
-      <h3 className="text-xl font-semibold text-white mb-4">Daily Bonus</h3>
-      <p className="text-gray-300">Daily bonus component loading...</p>
+      <h3 className="text-xl font-semibold text-white mb-4 flex items-center">
+        <Rocket className="mr-2 text-purple-400" /> Daily Bonus
+      </h3>
+
+      {/* Streak track: one step per reward level, the current streak highlighted */}
+      <div className="flex space-x-2 mb-4">
+        {DAILY_BONUS_REWARDS.map((reward, index) => {
+          const day = index + 1;
+          const reached = day <= status.currentStreak;
+          const isNext = day === Math.min(status.nextStreak, DAILY_BONUS_REWARDS.length);
+          return (
+            <div
+              key={day}
+              className={`flex flex-col items-center px-2 py-1 rounded-md text-xs ${
+                reached ? 'bg-purple-600 text-white' : isNext ? 'bg-gray-600 text-white border border-purple-400' : 'bg-gray-800 text-gray-400'
+              }`}
+            >
+              <span>Day {day}{day === DAILY_BONUS_REWARDS.length ? '+' : ''}</span>
+              <span className="font-semibold">{reward}</span>
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="text-gray-300 mb-1">
+        Current streak: <span className="font-semibold text-white">{status.currentStreak} day{status.currentStreak === 1 ? '' : 's'}</span>
+      </p>
+      <p className="text-gray-300 mb-4">
+        {status.canClaim ? 'Today\'s reward' : 'Tomorrow\'s reward'}:{' '}
+        <span className="font-semibold text-purple-300">{status.nextReward} Predictor Points</span>
+      </p>
+
+      {status.canClaim ? (
+        <button
+          onClick={handleClaim}
+          disabled={isClaiming || !claimDailyBonusCallable}
+          className={`px-6 py-2 bg-purple-600 hover:bg-purple-700 text-white font-bold rounded-full transition-all duration-300 transform hover:scale-105 shadow-md flex items-center ${
+            isClaiming ? 'opacity-50 cursor-not-allowed' : ''
+          }`}
+        >
+          {isClaiming && <Loader2 className="animate-spin h-4 w-4 mr-2" />}
+          Claim {status.nextReward} Points
+        </button>
+      ) : (
+        <p className="text-sm text-gray-400">
+          Next claim in <span className="font-mono text-white">{formatCountdown(new Date(status.nextClaimAt) - now)}</span>
+          {' '}(miss a day and the streak resets)
+        </p>
+      )}
     </section>
   );
 };
-export default DailyBonus;
\ No newline at end of file
+
+export default DailyBonus;
@@ -0,0 +1,190 @@
+// src/components/Friends.js
+import React, { useState, useEffect, useMemo } from 'react';
+import { UserPlus, UserX, Check, Loader2 } from 'lucide-react';
+import { useFirebase, useUser } from '../contexts';
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { FRIENDSHIP_STATUSES, getFriendId, validateUsername } from '@predictpro/shared';
+
+// --- Hook: The user's friendships, split into friends and pending requests ---
+// Each item is `{ id, friendId, username, ...friendship }`. Also used by the leaderboard's Friends filter.
+export const useFriendships = () => {
+  const { db } = useFirebase();
+  const { userId } = useUser();
+  const [friendships, setFriendships] = useState([]);
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    const friendshipsQuery = query(collection(db, `artifacts/${appId}/friendships`), where('userIds', 'array-contains', userId));
+    const unsubscribe = onSnapshot(friendshipsQuery, (snapshot) => {
+      setFriendships(snapshot.docs.map(friendshipDoc => {
+        const friendship = friendshipDoc.data();
+        const friendId = getFriendId(friendship, userId);
+        return { id: friendshipDoc.id, friendId, username: friendship.usernames[friendId], ...friendship };
+      }).sort((a, b) => a.username.localeCompare(b.username)));
+    }, (error) => {
+      console.error('Firestore: Error listening to friendships:', error);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId, appId]);
+
+  // Memoized so consumers can use the lists as effect dependencies; they only change with a new snapshot
+  return useMemo(() => ({
+    friends: friendships.filter(f => f.status === FRIENDSHIP_STATUSES.ACCEPTED),
+    incomingRequests: friendships.filter(f => f.status === FRIENDSHIP_STATUSES.PENDING && f.addresseeId === userId),
+    outgoingRequests: friendships.filter(f => f.status === FRIENDSHIP_STATUSES.PENDING && f.requesterId === userId),
+  }), [friendships, userId]);
+};
+
+// --- Friends Component (Username, friend requests and friends list; shown from the header profile area) ---
+const Friends = () => {
+  const { firebaseApp } = useFirebase();
+  const { userData } = useUser();
+  const { friends, incomingRequests, outgoingRequests } = useFriendships();
+  const [username, setUsername] = useState('');
+  const [newUsername, setNewUsername] = useState('');
+  const [pendingId, setPendingId] = useState(null); // Friendship (or 'send') whose call is running
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+
+  const functions = firebaseApp ? getFunctions(firebaseApp) : null;
+  const sendFriendRequestCallable = functions ? httpsCallable(functions, 'sendFriendRequest') : null;
+  const acceptFriendRequestCallable = functions ? httpsCallable(functions, 'acceptFriendRequest') : null;
+  const removeFriendCallable = functions ? httpsCallable(functions, 'removeFriend') : null;
+  const reserveUsernameCallable = functions ? httpsCallable(functions, 'reserveUsername') : null;
+
+  // --- Runs a friends callable with shared loading and error handling ---
+  const runAction = async (id, callable, payload, successMessage) => {
+    if (!callable || pendingId) return;
+    setPendingId(id);
+    try {
+      const result = await callable({ appId: appId, ...payload });
+      toast.success(typeof successMessage === 'function' ? successMessage(result.data) : successMessage);
+      return true;
+    } catch (error) {
+      console.error('Error calling friends Cloud Function:', error);
+      toast.error(error.message || 'Something went wrong. Please try again.');
+      return false;
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleSend = async () => {
+    const name = username.trim();
+    if (!name) return;
+    const sent = await runAction('send', sendFriendRequestCallable, { username: name }, (data) =>
+      data.status === FRIENDSHIP_STATUSES.ACCEPTED ? `You and ${name} are now friends!` : `Friend request sent to ${name}.`);
+    if (sent) setUsername('');
+  };
+
+  // Usernames are unique, so the change goes through the reserveUsername function
+  const handleRename = async () => {
+    const name = newUsername.trim();
+    const usernameError = validateUsername(name);
+    if (usernameError) {
+      toast.error(usernameError);
+      return;
+    }
+    const saved = await runAction('rename', reserveUsernameCallable, { username: name }, (data) =>
+      `You're now ${data.username}.`);
+    if (saved) setNewUsername('');
+  };
+
+  const renderRow = (friendship, actions) => (
+    <div key={friendship.id} className="flex items-center justify-between py-1 border-b border-gray-700 last:border-b-0 text-sm">
+      <span className="text-gray-200">{friendship.username}</span>
+      <span className="flex space-x-2">
+        {pendingId === friendship.id ? <Loader2 className="animate-spin h-4 w-4 text-blue-500" /> : actions}
+      </span>
+    </div>
+  );
+
+  const removeButton = (friendship, title, message) => (
+    <button
+      onClick={() => runAction(friendship.id, removeFriendCallable, { friendshipId: friendship.id }, message)}
+      title={title}
+      className="text-red-400 hover:text-red-300"
+    >
+      <UserX size={16} />
+    </button>
+  );
+
+  return (
+    <div className="w-full sm:w-80 bg-gray-900 p-4 rounded-lg shadow-inner text-left mb-2">
+      <p className="text-xs text-gray-400 mb-1">Your username: <span className="text-gray-200">{userData?.username}</span></p>
+      <div className="flex mb-3">
+        <input
+          type="text"
+          value={newUsername}
+          onChange={(e) => setNewUsername(e.target.value)}
+          placeholder="New username"
+          className="flex-grow bg-gray-700 text-white rounded-l px-3 py-1 text-sm"
+        />
+        <button
+          onClick={handleRename}
+          disabled={!!pendingId || !newUsername.trim()}
+          className="px-3 bg-blue-600 hover:bg-blue-700 text-white rounded-r text-sm disabled:opacity-50"
+        >
+          {pendingId === 'rename' ? <Loader2 className="animate-spin h-4 w-4" /> : 'Save'}
+        </button>
+      </div>
+
+      <h4 className="text-md font-semibold text-blue-300 mb-2">Friends</h4>
+      <div className="flex mb-3">
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          className="flex-grow bg-gray-700 text-white rounded-l px-3 py-1 text-sm"
+        />
+        <button
+          onClick={handleSend}
+          disabled={!!pendingId || !username.trim()}
+          className="px-3 bg-blue-600 hover:bg-blue-700 text-white rounded-r disabled:opacity-50"
+          title="Send friend request"
+        >
+          {pendingId === 'send' ? <Loader2 className="animate-spin h-4 w-4" /> : <UserPlus size={16} />}
+        </button>
+      </div>
+
+      {incomingRequests.length > 0 && (
+        <div className="mb-3">
+          <p className="text-xs text-gray-400 mb-1">Requests</p>
+          {incomingRequests.map(friendship => renderRow(friendship, (
+            <>
+              <button
+                onClick={() => runAction(friendship.id, acceptFriendRequestCallable, { friendshipId: friendship.id }, `You and ${friendship.username} are now friends!`)}
+                title="Accept"
+                className="text-green-400 hover:text-green-300"
+              >
+                <Check size={16} />
+              </button>
+              {removeButton(friendship, 'Decline', 'Request declined.')}
+            </>
+          )))}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-400 mb-1">Friends ({friends.length})</p>
+      {friends.length === 0 ? (
+        <p className="text-sm text-gray-500">No friends yet. Add someone by username.</p>
+      ) : (
+        friends.map(friendship => renderRow(friendship, removeButton(friendship, 'Remove friend', `${friendship.username} removed.`)))
+      )}
+
+      {outgoingRequests.length > 0 && (
+        <div className="mt-3">
+          <p className="text-xs text-gray-400 mb-1">Sent</p>
+          {outgoingRequests.map(friendship => renderRow(friendship, removeButton(friendship, 'Cancel request', 'Request cancelled.')))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Friends;
@@ -0,0 +1,99 @@
+// src/components/FriendsPicks.js
+import React, { useState, useEffect } from 'react';
+import { Loader2 } from 'lucide-react';
+import { useFirebase } from '../contexts';
+import { collection, getDocs } from 'firebase/firestore';
+import { gradePick, describePick, PICK_OUTCOMES } from '@predictpro/shared';
+
+const OUTCOME_COLORS = {
+  [PICK_OUTCOMES.WIN]: 'text-green-400',
+  [PICK_OUTCOMES.LOSS]: 'text-red-400',
+  [PICK_OUTCOMES.PUSH]: 'text-gray-300',
+  [PICK_OUTCOMES.PENDING]: 'text-yellow-300',
+  [PICK_OUTCOMES.VOID]: 'text-gray-500',
+};
+
+// --- Friends' Picks Component (My entries and my friends' entries side by side, one row per game) ---
+// Only rendered after picksRevealTime: the rules refuse other users' predictions before then.
+const FriendsPicks = ({ weekData, myEntries, friends }) => {
+  const { db } = useFirebase();
+  const [friendEntries, setFriendEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+
+  // --- Effect: Load every friend's entries for the week ---
+  useEffect(() => {
+    if (!db) return;
+    let cancelled = false;
+
+    const loadFriendEntries = async () => {
+      setIsLoading(true);
+      try {
+        const perFriend = await Promise.all(friends.map(async (friend) => {
+          const entriesSnap = await getDocs(collection(db, `artifacts/${appId}/users/${friend.friendId}/predictions/${weekData.weekId}/entries`));
+          return entriesSnap.docs.map(entryDoc => ({ id: `${friend.friendId}_${entryDoc.id}`, username: friend.username, ...entryDoc.data() }));
+        }));
+        if (!cancelled) setFriendEntries(perFriend.flat());
+      } catch (error) {
+        console.error("Firestore: Error loading friends' picks:", error);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+    loadFriendEntries();
+
+    return () => { cancelled = true; };
+  }, [db, appId, weekData.weekId, friends]);
+
+  if (isLoading) {
+    return <Loader2 className="animate-spin h-6 w-6 text-blue-500 mx-auto" />;
+  }
+
+  const columns = [
+    ...myEntries.map(entry => ({ ...entry, label: `You #${entry.entryNumber}`, isSelf: true })),
+    ...[...friendEntries]
+      .sort((a, b) => a.username.localeCompare(b.username) || a.entryNumber - b.entryNumber)
+      .map(entry => ({ ...entry, label: `${entry.username} #${entry.entryNumber}` })),
+  ];
+
+  if (friendEntries.length === 0) {
+    return <p className="text-gray-400 text-center py-4">None of your friends entered this week.</p>;
+  }
+
+  return (
+    <div className="w-full overflow-x-auto bg-gray-900 p-4 rounded-lg shadow-inner">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-blue-400 border-b border-gray-600">
+            <th className="text-left py-2 pr-4">Game</th>
+            {columns.map(column => (
+              <th key={column.id} className={`text-left py-2 pr-4 ${column.isSelf ? 'text-blue-300' : ''}`}>{column.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {weekData.games.map(game => (
+            <tr key={game.id} className="border-b border-gray-700 last:border-b-0">
+              <td className="py-2 pr-4 text-gray-200 whitespace-nowrap">{game.awayTeam} @ {game.homeTeam}</td>
+              {columns.map(column => {
+                const pick = column.picks?.[game.id];
+                if (!pick) return <td key={column.id} className="py-2 pr-4 text-gray-500">—</td>;
+                return (
+                  <td key={column.id} className={`py-2 pr-4 ${OUTCOME_COLORS[gradePick(pick, game)]}`}>
+                    {describePick(pick)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+          <tr>
+            <td className="py-2 pr-4 text-gray-400">Tie-breaker</td>
+            {columns.map(column => <td key={column.id} className="py-2 pr-4 text-gray-300">{column.tieBreakerPoints}</td>)}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default FriendsPicks;
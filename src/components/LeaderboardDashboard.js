@@ -3,34 +3,61 @@ import React, { useState, useEffect } from 'react';
 import { Users, Loader2 } from 'lucide-react';
 import { useFirebase, useUser } from '../contexts';
 import { doc, onSnapshot, collection, query } from 'firebase/firestore'; // Removed updateDoc as settlement is in functions
+import {
+  getCurrentWeek, formatWeekLabel, gradePick, describePick, MARKETS, MARKET_LABELS, PICK_OUTCOMES, formatPrice,
+  ALL_TIME_STANDINGS_ID, getSeasonStandingsId, CURRENCY_LABELS, GAME_STATUSES, GAME_STATUS_LABELS, getGameStatus,
+} from '@predictpro/shared';
+import StandingsBoard from './StandingsBoard';
+import FriendsPicks from './FriendsPicks';
+import SyncStatus from './SyncStatus';
+import { useFriendships } from './Friends';
+import { useBoardRows } from './BoardRows';
+
+const LEADERBOARD_SHOWN = 100; // Rows listed; my own entries are always listed too
+
+// Leaderboard tabs: the current week's entries, then the cumulative standings
+const BOARD_VIEWS = [
+  { id: 'week', label: 'This Week' },
+  { id: 'season', label: 'Season' },
+  { id: 'allTime', label: 'All-Time' },
+];
+
+// Colors for the graded picks shown on leaderboard rows
+const OUTCOME_COLORS = {
+  [PICK_OUTCOMES.WIN]: 'text-green-400',
+  [PICK_OUTCOMES.LOSS]: 'text-red-400',
+  [PICK_OUTCOMES.PUSH]: 'text-gray-300',
+  [PICK_OUTCOMES.PENDING]: 'text-yellow-300',
+  [PICK_OUTCOMES.VOID]: 'text-gray-500',
+};
 
 const LeaderboardDashboard = () => {
-  const { db, userId } = useFirebase();
-  const [leaderboard, setLeaderboard] = useState([]);
-  const [myPicks, setMyPicks] = useState(null);
+  const { db } = useFirebase();
+  const { userId } = useUser();
+  const [isProvisional, setIsProvisional] = useState(false); // Live board while games are in progress
+  const [myEntries, setMyEntries] = useState([]); // All of my entries for the current week
   const [currentWeekData, setCurrentWeekData] = useState(null); // Fetched from Firestore
   const [showOtherPicks, setShowOtherPicks] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [boardView, setBoardView] = useState('week'); // One of BOARD_VIEWS
+  const [friendsOnly, setFriendsOnly] = useState(false); // Friends filter: only my friends' rows (and mine)
+  const [historyEntryId, setHistoryEntryId] = useState(null); // Entry whose grading history is expanded
+  const { friends } = useFriendships();
   const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-
-  // --- Helper to get current NFL Week ID consistently ---
-  const getCurrentNFLWeekInfo = () => {
-    const now = new Date();
-    const currentDay = now.getDay();
-    let tuesday = new Date(now);
-    tuesday.setDate(now.getDate() + (2 + 7 - currentDay) % 7);
-    tuesday.setHours(0, 1, 0, 0);
-    return {
-        weekId: `week-${tuesday.getFullYear()}-${tuesday.getMonth() + 1}-${tuesday.getDate()}`
-    };
-  };
+  const friendIds = friends.map(friend => friend.friendId);
+  // Leaderboard rows are per entry, one document each; the Friends filter keeps my friends' rows and mine
+  const { rows: listedRows, myRows } = useBoardRows(
+    db,
+    currentWeekData ? `artifacts/${appId}/leaderboards/${currentWeekData.weekId}/rows` : null,
+    { userId, visibleUserIds: friendsOnly ? friendIds : null, shown: LEADERBOARD_SHOWN }
+  );
 
   // --- Fetch NFL Week Data from Firestore ---
   useEffect(() => {
     if (!db) return;
 
-    const currentWeekInfo = getCurrentNFLWeekInfo();
-    const weekDocRef = doc(db, `artifacts/${appId}/nflWeeks`, currentWeekInfo.weekId);
+    const currentWeek = getCurrentWeek();
+    const weekDocRef = doc(db, `artifacts/${appId}/nflWeeks`, currentWeek.weekId);
 
     const unsubscribe = onSnapshot(weekDocRef, (docSnap) => {
       if (docSnap.exists()) {
@@ -53,63 +80,34 @@ const LeaderboardDashboard = () => {
     return () => unsubscribe();
   }, [db, appId]);
 
-  // --- Fetch My Picks for the current week from Firestore ---
+  // --- Fetch My Entries for the current week from Firestore ---
   useEffect(() => {
     if (!db || !userId || !currentWeekData) return; // Wait for currentWeekData to load
-    const myPicksDocRef = doc(db, `artifacts/${appId}/users/${userId}/predictions`, currentWeekData.weekId);
-    const unsubscribeMyPicks = onSnapshot(myPicksDocRef, (docSnap) => {
-      if (docSnap.exists()) {
-        setMyPicks(docSnap.data());
-      } else {
-        setMyPicks(null);
-      }
+    const myEntriesRef = collection(db, `artifacts/${appId}/users/${userId}/predictions/${currentWeekData.weekId}/entries`);
+    const unsubscribeMyEntries = onSnapshot(query(myEntriesRef), (snapshot) => {
+      setMyEntries(
+        snapshot.docs
+          .map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() }))
+          .sort((a, b) => (a.entryNumber || 0) - (b.entryNumber || 0))
+      );
     });
-    return () => unsubscribeMyPicks();
+    return () => unsubscribeMyEntries();
   }, [db, userId, appId, currentWeekData]);
 
 
-  // --- Fetch Leaderboard Data from Firestore ---
+  // --- Fetch the Leaderboard Summary from Firestore (its rows are read by useBoardRows) ---
   useEffect(() => {
     if (!db || !currentWeekData) return; // Wait for currentWeekData to ensure weekId is ready
 
     const leaderboardDocRef = doc(db, `artifacts/${appId}/leaderboards`, currentWeekData.weekId);
     const unsubscribeLeaderboard = onSnapshot(leaderboardDocRef, (docSnap) => {
-      if (docSnap.exists()) {
-        const data = docSnap.data();
-        // Leaderboard data entries are already sorted by the Cloud Function, but ensure consistent structure
-        setLeaderboard(data.entries || []);
-      } else {
-        setLeaderboard([]); // No leaderboard data yet for this week
-      }
+      // Rows are sorted and ranked by the Cloud Function, ties included; provisional until the week settles
+      setIsProvisional(docSnap.exists() && !!docSnap.data().provisional);
     });
     return () => unsubscribeLeaderboard();
   }, [db, appId, currentWeekData]);
 
 
-  // --- Helper to calculate user wins based on actual game outcomes (from currentWeekData) ---
-  const calculateUserWins = (userPicks, weekGames) => {
-    if (!userPicks || !weekGames) return 'N/A';
-    let correctPicks = 0;
-    for (const gameId in userPicks) {
-      const pick = userPicks[gameId].pick;
-      const gameActual = weekGames.find(g => g.id === gameId); // Get game data from weekGames
-
-      if (gameActual && gameActual.completed && gameActual.score.home !== null && gameActual.score.away !== null) {
-        const homeScore = gameActual.score.home;
-        const awayScore = gameActual.score.away;
-        let winner = null;
-        if (homeScore > awayScore) winner = gameActual.homeTeam;
-        else if (awayScore > homeScore) winner = gameActual.awayTeam;
-
-        if (winner && pick === winner) {
-          correctPicks++;
-        }
-      }
-    }
-    return correctPicks;
-  };
-
-
   // --- Loading State and UI ---
   if (isLoading || !currentWeekData) {
     return (
@@ -120,10 +118,9 @@ const LeaderboardDashboard = () => {
     );
   }
 
-  // Filter out current user from main leaderboard for dedicated "My Picks" section display
-  const filteredLeaderboard = leaderboard.filter(entry => entry.id !== userId);
-  // Find current user's entry in leaderboard for consistent data, or use myPicks
-  const currentUserLeaderboardEntry = leaderboard.find(entry => entry.id === userId);
+  // My entries are listed wherever they rank, with their global ranks
+  const filteredLeaderboard = [...listedRows, ...myRows.filter(row => !listedRows.some(listed => listed.id === row.id))]
+    .sort((a, b) => a.rank - b.rank);
 
 
   return (
@@ -135,66 +132,108 @@ const LeaderboardDashboard = () => {
       {/* My Picks Dashboard */}
       <div className="w-full mb-8">
         <h4 className="text-xl font-semibold text-blue-300 mb-4">
-          My Picks - Week {currentWeekData.weekId.split('-').pop()}
+          My Picks - {currentWeekData.label || formatWeekLabel(currentWeekData.weekId)}
         </h4>
-        {myPicks ? (
-          <div className="bg-gray-900 p-4 rounded-lg shadow-inner">
-            {Object.values(myPicks.picks).map((pickData) => {
-              const game = currentWeekData.games.find(g => g.id === pickData.gameId);
-              if (!game) return null;
-
-              // Determine outcome display based on actual game status from currentWeekData.games
-              let outcomeDisplay = 'Pending';
-              let outcomeColor = 'text-yellow-400';
-              if (game.completed) {
-                const homeScore = game.score.home;
-                const awayScore = game.score.away;
-                let actualWinner = null;
-                if (homeScore > awayScore) actualWinner = game.homeTeam;
-                else if (awayScore > homeScore) actualWinner = game.awayTeam;
+        {myEntries.length > 0 ? (
+          myEntries.map(entry => (
+            <div key={entry.id} className="bg-gray-900 p-4 rounded-lg shadow-inner mb-4">
+              <p className="text-lg font-semibold text-white mb-2">
+                Entry #{entry.entryNumber} ({entry.tier} Pts)
+              </p>
+              {Object.values(entry.picks).map((pickData) => {
+                const game = currentWeekData.games.find(g => g.id === pickData.gameId);
+                if (!game) return null;
 
-                if (actualWinner && pickData.pick === actualWinner) {
+                // Determine outcome display based on actual game status from currentWeekData.games
+                const outcome = gradePick(pickData, game);
+                let outcomeDisplay = 'Pending';
+                let outcomeColor = 'text-yellow-400';
+                if (outcome === PICK_OUTCOMES.WIN) {
                   outcomeDisplay = 'WIN';
                   outcomeColor = 'text-green-400';
-                } else if (actualWinner) {
+                } else if (outcome === PICK_OUTCOMES.LOSS) {
                   outcomeDisplay = 'LOSS';
                   outcomeColor = 'text-red-400';
+                } else if (outcome === PICK_OUTCOMES.PUSH) {
+                  outcomeDisplay = 'PUSH'; // Stake refunded
+                  outcomeColor = 'text-gray-300';
+                } else if (outcome === PICK_OUTCOMES.VOID) {
+                  outcomeDisplay = 'VOID'; // Game postponed or cancelled: dropped from the entry and refunded
+                  outcomeColor = 'text-gray-300';
                 }
-              }
+                // Ties, delays, postponements and cancellations are called out next to the matchup
+                const gameStatus = getGameStatus(game);
+                const showStatus = [GAME_STATUSES.TIED, GAME_STATUSES.DELAYED, GAME_STATUSES.POSTPONED, GAME_STATUSES.CANCELLED].includes(gameStatus);
 
-              return (
-                <div key={game.id} className="flex justify-between items-center py-2 border-b border-gray-700 last:border-b-0">
-                  <span className="text-gray-200">
-                    {game.homeTeam} vs {game.awayTeam}
-                  </span>
-                  <span className="text-blue-300 font-semibold">
-                    {pickData.pick} ({pickData.tier} Pts)
-                  </span>
-                  <span className={`font-bold ${outcomeColor}`}>
-                    {outcomeDisplay}
-                  </span>
-                </div>
-              );
-            })}
-            <p className="text-sm text-gray-300 mt-4">
-              My Tie-breaker guess: {myPicks.tieBreakerPoints}
-            </p>
-            {currentWeekData.actualTieBreakerTotalPoints && (
-              <p className="text-sm text-gray-300">
-                Actual Tie-breaker total: {currentWeekData.actualTieBreakerTotalPoints}
+                return (
+                  <div key={game.id} className="flex justify-between items-center py-2 border-b border-gray-700 last:border-b-0">
+                    <span className="text-gray-200">
+                      {game.homeTeam} vs {game.awayTeam}
+                      {showStatus && <span className="text-xs text-yellow-300 ml-2">{GAME_STATUS_LABELS[gameStatus]}</span>}
+                    </span>
+                    <span className="text-blue-300 font-semibold">
+                      {MARKET_LABELS[pickData.market || MARKETS.MONEYLINE]}: {describePick(pickData)}
+                      {pickData.price !== undefined && ` (${formatPrice(pickData.price)})`}
+                      {outcome === PICK_OUTCOMES.WIN ? ` +${pickData.winnings || pickData.potentialWinnings || 0} WB` : ` (${pickData.tier} Pts)`}
+                    </span>
+                    <span className={`font-bold ${outcomeColor}`}>
+                      {outcomeDisplay}
+                    </span>
+                  </div>
+                );
+              })}
+              <p className="text-sm text-gray-300 mt-4">
+                My Tie-breaker guess: {entry.tieBreakerPoints}
               </p>
-            )}
-            {myPicks.totalCorrectPicks > 0 && (
-                <p className="text-sm text-green-400 font-semibold mt-2">
-                    Total Correct Picks: {myPicks.totalCorrectPicks}
-                </p>
-            )}
-             {myPicks.totalWinnerBucksWon > 0 && (
-                <p className="text-sm text-green-400 font-semibold">
-                    Total Winner Bucks Won (this entry): ${myPicks.totalWinnerBucksWon.toFixed(2)}
+              {currentWeekData.actualTieBreakerTotalPoints && (
+                <p className="text-sm text-gray-300">
+                  Actual Tie-breaker total: {currentWeekData.actualTieBreakerTotalPoints}
                 </p>
-            )}
-          </div>
+              )}
+              {entry.totalCorrectPicks > 0 && (
+                  <p className="text-sm text-green-400 font-semibold mt-2">
+                      Total Correct Picks: {entry.totalCorrectPicks}
+                  </p>
+              )}
+               {entry.totalWinnerBucksWon > 0 && (
+                  <p className="text-sm text-green-400 font-semibold">
+                      Total Winner Bucks Won (this entry): ${entry.totalWinnerBucksWon.toFixed(2)}
+                  </p>
+              )}
+              {entry.winningsWithheld > 0 && (
+                  <p className="text-sm text-yellow-300">
+                      Winnings withheld: {entry.winningsWithheldReason}
+                  </p>
+              )}
+              {/* Audit trail: every settlement pass that changed this entry, including score corrections */}
+              {entry.gradingPasses?.length > 0 && (
+                <div className="mt-2">
+                  <button
+                    onClick={() => setHistoryEntryId(historyEntryId === entry.id ? null : entry.id)}
+                    className="text-xs text-blue-300 hover:text-blue-200"
+                  >
+                    {historyEntryId === entry.id ? 'Hide' : 'Show'} grading history ({entry.gradingPasses.length})
+                  </button>
+                  {historyEntryId === entry.id && (
+                    <ul className="mt-2 text-xs text-gray-400 space-y-1">
+                      {entry.gradingPasses.map(pass => (
+                        <li key={pass.settlementId}>
+                          {new Date(pass.gradedAt).toLocaleString()}: {pass.totalCorrectPicks} correct, {pass.totalWinnerBucksWon.toFixed(2)} WB
+                          {pass.isSettled ? ' (settled)' : ''}
+                          {pass.correctedGameIds.length > 0 && <span className="text-yellow-300"> · score correction</span>}
+                          {pass.adjustments.map((adjustment, index) => (
+                            <span key={index} className={adjustment.amount < 0 ? 'text-red-400' : 'text-green-400'}>
+                              {' '}{adjustment.amount > 0 ? '+' : ''}{adjustment.amount} {CURRENCY_LABELS[adjustment.currency]}
+                            </span>
+                          ))}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+          ))
         ) : (
           <p className="text-gray-300 text-center">
             You haven't submitted picks for this week yet.
@@ -202,81 +241,133 @@ const LeaderboardDashboard = () => {
         )}
       </div>
 
+      {/* Leaderboard Tabs and Friends filter */}
+      <div className="w-full flex justify-between mb-4">
+        <div className="flex space-x-2">
+          {BOARD_VIEWS.map(view => (
+            <button
+              key={view.id}
+              onClick={() => setBoardView(view.id)}
+              className={`px-4 py-1 rounded-full text-sm font-semibold transition-colors ${
+                boardView === view.id ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-blue-500 hover:text-white'
+              }`}
+            >
+              {view.label}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={() => setFriendsOnly(!friendsOnly)}
+          className={`px-4 py-1 rounded-full text-sm font-semibold transition-colors ${
+            friendsOnly ? 'bg-green-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-green-500 hover:text-white'
+          }`}
+        >
+          Friends
+        </button>
+      </div>
+
+      {boardView === 'season' && (
+        <StandingsBoard
+          standingsId={getSeasonStandingsId(currentWeekData.seasonYear)}
+          title={`${currentWeekData.seasonYear} Season Standings`}
+          visibleUserIds={friendsOnly ? friendIds : null}
+        />
+      )}
+      {boardView === 'allTime' && (
+        <StandingsBoard standingsId={ALL_TIME_STANDINGS_ID} title="All-Time Standings" visibleUserIds={friendsOnly ? friendIds : null} />
+      )}
+
       {/* Global Leaderboard Section */}
-      <div className="w-full">
-        <h4 className="text-xl font-semibold text-blue-300 mb-4">Global Leaderboard</h4>
-        {!showOtherPicks && (
-          <p className="text-yellow-400 text-center mb-4">
-            Other users' picks will be revealed after the betting deadline:{' '}
-            {new Date(currentWeekData.picksRevealTime).toLocaleString()}
-          </p>
-        )}
-        <div className="bg-gray-900 p-4 rounded-lg shadow-inner">
-          <div className="grid grid-cols-3 md:grid-cols-4 font-bold text-blue-400 pb-2 border-b border-gray-600">
-            <span>Rank</span>
-            <span>User</span>
-            <span className="text-center">Wins (Current)</span>
-            <span className="text-right">Total $ Won</span>
+      {boardView === 'week' && (
+        <div className="w-full">
+          <h4 className="text-xl font-semibold text-blue-300 mb-4 flex items-center">
+            {friendsOnly ? 'Friends Leaderboard' : 'Global Leaderboard'}
+            {isProvisional && <span className="ml-2 text-xs font-bold uppercase bg-yellow-500 text-gray-900 px-2 py-0.5 rounded">Provisional</span>}
+          </h4>
+          {isProvisional && (
+            <p className="text-yellow-300 text-sm text-center mb-4">
+              Live standings while games are in progress, counting only games already decided.
+              The final leaderboard replaces them when the week settles.
+            </p>
+          )}
+          {isProvisional && <SyncStatus />}
+          {!showOtherPicks && (
+            <p className="text-yellow-400 text-center mb-4">
+              Other users' picks will be revealed after the betting deadline:{' '}
+              {new Date(currentWeekData.picksRevealTime).toLocaleString()}
+            </p>
+          )}
+          <div className="bg-gray-900 p-4 rounded-lg shadow-inner">
+            <div className="grid grid-cols-3 md:grid-cols-4 font-bold text-blue-400 pb-2 border-b border-gray-600">
+              <span>Rank</span>
+              <span>User</span>
+              <span className="text-center">Wins (Current)</span>
+              <span className="text-right">Total $ Won</span>
+            </div>
+            {filteredLeaderboard.length === 0 ? (
+               <p className="text-gray-400 text-center py-4">No leaderboard data yet or you are the only user.</p>
+            ) : (
+              filteredLeaderboard.map(userEntry => {
+                const isCurrentUser = userEntry.userId === userId;
+                // For other users before picks reveal, display N/A for sensitive data
+                const currentWeekWins = showOtherPicks || isCurrentUser ? userEntry.totalCorrectPicks : 'N/A';
+                const totalDollarsWonDisplay = showOtherPicks || isCurrentUser ? `$${userEntry.totalWinnerBucksWon.toFixed(2)}` : 'N/A';
+
+                return (
+                  <div
+                    key={userEntry.id}
+                    className={`grid grid-cols-3 md:grid-cols-4 items-center py-2 border-b border-gray-700 last:border-b-0 ${isCurrentUser ? 'bg-blue-800 bg-opacity-30 rounded-md' : ''}`}
+                  >
+                    <span title={userEntry.tied ? 'Tied on picks, Winner Bucks and tie-breaker' : undefined}>
+                      {userEntry.tied ? `T${userEntry.rank}` : userEntry.rank}
+                    </span>
+                    <span className={`${isCurrentUser ? 'text-blue-300 font-bold' : 'text-gray-200'}`}>
+                      {userEntry.username} {userEntry.entryNumber ? `(Entry #${userEntry.entryNumber})` : ''} {isCurrentUser ? '(You)' : ''}
+                    </span>
+                    <span className="text-center">
+                      {currentWeekWins}
+                      {isProvisional && (showOtherPicks || isCurrentUser) && (
+                        <span className="block text-xs text-gray-400">
+                          {userEntry.picksWinning} winning · {userEntry.picksAlive} alive · max {userEntry.maxPossibleCorrectPicks}
+                        </span>
+                      )}
+                    </span>
+                    <span className="text-right text-green-400 font-semibold">
+                      {totalDollarsWonDisplay}
+                    </span>
+                    {showOtherPicks && userEntry.picks && (
+                      <div className="col-span-3 md:col-span-4 mt-2 p-2 bg-gray-800 rounded-md text-sm text-gray-300">
+                        <p className="font-semibold mb-1">Picks:</p>
+                        {Object.values(userEntry.picks).map(pickData => {
+                          const game = currentWeekData.games.find(g => g.id === pickData.gameId);
+                          if (!game) return null;
+                          return (
+                            <p key={`${userEntry.id}-${game.id}`} className={OUTCOME_COLORS[pickData.outcome]}>
+                              {game.homeTeam} vs {game.awayTeam}: {describePick(pickData)}
+                            </p>
+                          );
+                        })}
+                        <p className="font-semibold mt-1">
+                          Tie-breaker: {userEntry.tieBreakerPoints}
+                          {userEntry.tieBreakerDistance !== null && userEntry.tieBreakerDistance !== undefined && ` (${userEntry.tieBreakerDistance} off)`}
+                        </p>
+                      </div>
+                    )}
+                  </div>
+                );
+              })
+            )}
           </div>
-          {filteredLeaderboard.length === 0 && !currentUserLeaderboardEntry ? (
-             <p className="text-gray-400 text-center py-4">No leaderboard data yet or you are the only user.</p>
-          ) : (
-            // Display current user at top if present, then the rest of the leaderboard
-            [...(currentUserLeaderboardEntry ? [{ ...currentUserLeaderboardEntry, isSelf: true }] : []), ...filteredLeaderboard]
-            .sort((a, b) => {
-              // Primary sort: total correct picks
-              if (b.totalCorrectPicks !== a.totalCorrectPicks) return b.totalCorrectPicks - a.totalCorrectPicks;
-              // Secondary sort: total Winner Bucks won for the week
-              if (b.totalWinnerBucksWon !== a.totalWinnerBucksWon) return b.totalWinnerBucksWon - a.totalWinnerBucksWon;
-              // Tertiary sort: tie-breaker (only if picks are revealed and actual score is available)
-              if (showOtherPicks && currentWeekData.actualTieBreakerTotalPoints !== null) {
-                const actualTotal = currentWeekData.actualTieBreakerTotalPoints;
-                const diffA = Math.abs(a.tieBreakerPoints - actualTotal);
-                const diffB = Math.abs(b.tieBreakerPoints - actualTotal);
-                return diffA - diffB;
-              }
-              return 0; // Maintain original order if no tie-breaker criteria apply
-            })
-            .map((userEntry, index) => {
-              const isCurrentUser = userEntry.id === userId;
-              // For other users before picks reveal, display N/A for sensitive data
-              const currentWeekWins = showOtherPicks ? calculateUserWins(userEntry.currentWeekPicks, currentWeekData.games) : 'N/A';
-              const totalDollarsWonDisplay = showOtherPicks ? `$${userEntry.totalWinnerBucksWon.toFixed(2)}` : 'N/A';
 
-              return (
-                <div
-                  key={userEntry.id}
-                  className={`grid grid-cols-3 md:grid-cols-4 items-center py-2 border-b border-gray-700 last:border-b-0 ${isCurrentUser ? 'bg-blue-800 bg-opacity-30 rounded-md' : ''}`}
-                >
-                  <span>{index + 1}</span>
-                  <span className={`${isCurrentUser ? 'text-blue-300 font-bold' : 'text-gray-200'}`}>
-                    {userEntry.username} {isCurrentUser ? '(You)' : ''}
-                  </span>
-                  <span className="text-center">{currentWeekWins}</span>
-                  <span className="text-right text-green-400 font-semibold">
-                    {totalDollarsWonDisplay}
-                  </span>
-                  {showOtherPicks && userEntry.currentWeekPicks && (
-                    <div className="col-span-3 md:col-span-4 mt-2 p-2 bg-gray-800 rounded-md text-sm text-gray-300">
-                      <p className="font-semibold mb-1">Picks:</p>
-                      {Object.values(userEntry.currentWeekPicks).map(pickData => {
-                        const game = currentWeekData.games.find(g => g.id === pickData.gameId);
-                        if (!game) return null;
-                        return (
-                          <p key={`${userEntry.id}-${game.id}`}>
-                            {game.homeTeam} vs {game.awayTeam}: {pickData.pick}
-                          </p>
-                        );
-                      })}
-                      <p className="font-semibold mt-1">Tie-breaker: {userEntry.tieBreakerPoints}</p>
-                    </div>
-                  )}
-                </div>
-              );
-            })
+          {/* Friends' picks side by side with mine, once every game is locked */}
+          {showOtherPicks && friends.length > 0 && (
+            <div className="w-full mt-8">
+              <h4 className="text-xl font-semibold text-blue-300 mb-4">Friends' Picks</h4>
+              <FriendsPicks weekData={currentWeekData} myEntries={myEntries} friends={friends} />
+            </div>
           )}
         </div>
-      </div>
+      )}
     </section>
   );
 };
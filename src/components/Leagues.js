@@ -0,0 +1,360 @@
+// src/components/Leagues.js
+import React, { useState, useEffect } from 'react';
+import { Trophy, Loader2, Copy, LogOut } from 'lucide-react';
+import { useFirebase, useUser } from '../contexts';
+import { doc, collection, onSnapshot, query, where } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+// Same limits the league Cloud Functions enforce
+import {
+  ENTRY_TIERS, MAX_ENTRIES_PER_WEEK, MAX_LEAGUE_MEMBERS, LEAGUE_NAME_MAX_LENGTH, getCurrentWeek, formatWeekLabel, getSeasonStandingsId,
+  validateLeagueName, validateLeagueSettings,
+} from '@predictpro/shared';
+import StandingsBoard from './StandingsBoard';
+import { useBoardRows } from './BoardRows';
+
+const LEAGUE_BOARD_SHOWN = MAX_LEAGUE_MEMBERS * MAX_ENTRIES_PER_WEEK; // Every entry a full league can count
+
+// Describes which entries count for a league, e.g. "First 2 entries at 50 Pts"
+const describeLeagueRules = (league) =>
+  `${league.entryCap === 1 ? 'First entry' : `First ${league.entryCap} entries`}` +
+  `${league.entryTier === null ? ' at any tier' : ` at ${league.entryTier} Pts`} each week count.`;
+
+// --- Form fields shared by creating a league and editing its settings ---
+const LeagueSettingsFields = ({ settings, onChange }) => (
+  <>
+    <input
+      type="text"
+      value={settings.name}
+      maxLength={LEAGUE_NAME_MAX_LENGTH}
+      onChange={(e) => onChange({ ...settings, name: e.target.value })}
+      placeholder="League name"
+      className="w-full bg-gray-700 text-white rounded px-3 py-2 mb-2"
+    />
+    <div className="flex space-x-4 mb-2 text-sm text-gray-300">
+      <label>
+        Entry tier
+        <select
+          value={settings.entryTier === null ? '' : settings.entryTier}
+          onChange={(e) => onChange({ ...settings, entryTier: e.target.value === '' ? null : Number(e.target.value) })}
+          className="ml-2 bg-gray-700 text-white rounded px-2 py-1"
+        >
+          <option value="">Any</option>
+          {ENTRY_TIERS.map(tier => <option key={tier} value={tier}>{tier} Pts</option>)}
+        </select>
+      </label>
+      <label>
+        Entries per week
+        <select
+          value={settings.entryCap}
+          onChange={(e) => onChange({ ...settings, entryCap: Number(e.target.value) })}
+          className="ml-2 bg-gray-700 text-white rounded px-2 py-1"
+        >
+          {Array.from({ length: MAX_ENTRIES_PER_WEEK }, (_, i) => i + 1).map(cap => <option key={cap} value={cap}>{cap}</option>)}
+        </select>
+      </label>
+    </div>
+  </>
+);
+
+// --- League Week Board (League-only weekly leaderboard, written by settlement) ---
+const LeagueWeekBoard = ({ leagueId, weekId }) => {
+  const { db } = useFirebase();
+  const { userId } = useUser();
+  const [board, setBoard] = useState(null);
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+  const boardsPath = `artifacts/${appId}/leagues/${leagueId}/leaderboards`;
+  const { rows } = useBoardRows(db, `${boardsPath}/${weekId}/rows`, { userId, shown: LEAGUE_BOARD_SHOWN });
+
+  useEffect(() => {
+    if (!db) return;
+
+    const unsubscribe = onSnapshot(doc(db, boardsPath, weekId), (docSnap) => {
+      setBoard(docSnap.exists() ? docSnap.data() : null);
+    }, (error) => {
+      console.error('Firestore: Error listening to league leaderboard:', error);
+    });
+
+    return () => unsubscribe();
+  }, [db, boardsPath, weekId]);
+
+  if (!board) {
+    return <p className="text-gray-400 text-center py-4">The {formatWeekLabel(weekId)} league board appears once the week settles.</p>;
+  }
+
+  return (
+    <div className="bg-gray-900 p-4 rounded-lg shadow-inner">
+      <div className="grid grid-cols-4 font-bold text-blue-400 pb-2 border-b border-gray-600">
+        <span>Rank</span>
+        <span>User</span>
+        <span className="text-center">Correct Picks</span>
+        <span className="text-right">WB Won</span>
+      </div>
+      {rows.length === 0 ? (
+        <p className="text-gray-400 text-center py-4">No league entries counted this week.</p>
+      ) : rows.map((entry, index) => (
+        <div
+          key={entry.id}
+          className={`grid grid-cols-4 items-center py-2 border-b border-gray-700 last:border-b-0 ${entry.userId === userId ? 'bg-blue-800 bg-opacity-30 rounded-md' : ''}`}
+        >
+          <span>{entry.tied ? `T${entry.rank}` : entry.rank || index + 1}</span>
+          <span className={entry.userId === userId ? 'text-blue-300 font-bold' : 'text-gray-200'}>
+            {entry.username} (Entry #{entry.entryNumber})
+          </span>
+          <span className="text-center">{entry.totalCorrectPicks}</span>
+          <span className="text-right text-green-400 font-semibold">${entry.totalWinnerBucksWon.toFixed(2)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// --- Leagues Component (Create, join and leave private leagues; league-only boards) ---
+const Leagues = () => {
+  const { db, firebaseApp } = useFirebase();
+  const { userId } = useUser();
+  const [leagues, setLeagues] = useState([]);
+  const [selectedLeagueId, setSelectedLeagueId] = useState(null);
+  const [boardView, setBoardView] = useState('week'); // 'week' | 'season'
+  const [newLeague, setNewLeague] = useState({ name: '', entryTier: null, entryCap: 1 });
+  const [inviteCode, setInviteCode] = useState('');
+  const [editedSettings, setEditedSettings] = useState(null); // Commissioner's unsaved settings
+  const [pendingAction, setPendingAction] = useState(null); // Callable currently running
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+  const currentWeek = getCurrentWeek();
+
+  const functions = firebaseApp ? getFunctions(firebaseApp) : null;
+  const callables = functions ? {
+    createLeague: httpsCallable(functions, 'createLeague'),
+    joinLeague: httpsCallable(functions, 'joinLeague'),
+    leaveLeague: httpsCallable(functions, 'leaveLeague'),
+    updateLeagueSettings: httpsCallable(functions, 'updateLeagueSettings'),
+  } : null;
+
+  // --- Effect: Listen to the User's Leagues ---
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    const leaguesQuery = query(collection(db, `artifacts/${appId}/leagues`), where('memberIds', 'array-contains', userId));
+    const unsubscribe = onSnapshot(leaguesQuery, (snapshot) => {
+      setLeagues(snapshot.docs
+        .map(leagueDoc => ({ id: leagueDoc.id, ...leagueDoc.data() }))
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    }, (error) => {
+      console.error('Firestore: Error listening to leagues:', error);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId, appId]);
+
+  const selectedLeague = leagues.find(league => league.id === selectedLeagueId) || leagues[0] || null;
+
+  // --- Runs a league callable with shared loading and error handling ---
+  const runAction = async (action, payload, onSuccess) => {
+    if (!callables || pendingAction) return;
+    setPendingAction(action);
+    try {
+      const result = await callables[action]({ appId: appId, ...payload });
+      onSuccess(result.data);
+    } catch (error) {
+      console.error(`Error calling ${action} Cloud Function:`, error);
+      toast.error(error.message || 'Something went wrong. Please try again.');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleCreate = () => {
+    const validationError = validateLeagueName(newLeague.name) || validateLeagueSettings(newLeague);
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+    runAction('createLeague', newLeague, (data) => {
+      toast.success(`League created! Share invite code ${data.inviteCode}.`);
+      setNewLeague({ name: '', entryTier: null, entryCap: 1 });
+      setSelectedLeagueId(data.leagueId);
+    });
+  };
+
+  const handleJoin = () => {
+    if (!inviteCode.trim()) return;
+    runAction('joinLeague', { inviteCode }, (data) => {
+      toast.success(`You joined ${data.name}!`);
+      setInviteCode('');
+      setSelectedLeagueId(data.leagueId);
+    });
+  };
+
+  const handleLeave = (league) => {
+    if (!window.confirm(`Leave ${league.name}?`)) return;
+    runAction('leaveLeague', { leagueId: league.id }, () => {
+      toast.info(`You left ${league.name}.`);
+      setSelectedLeagueId(null);
+    });
+  };
+
+  const handleSaveSettings = (league) => {
+    const validationError = validateLeagueName(editedSettings.name) || validateLeagueSettings(editedSettings);
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+    runAction('updateLeagueSettings', { leagueId: league.id, ...editedSettings }, () => {
+      toast.success('League settings saved.');
+      setEditedSettings(null);
+    });
+  };
+
+  const copyInviteCode = async (code) => {
+    try {
+      await navigator.clipboard.writeText(code);
+      toast.info('Invite code copied.');
+    } catch (error) {
+      toast.error('Could not copy the invite code.');
+    }
+  };
+
+  return (
+    <section className="w-full bg-gray-700 p-6 rounded-xl shadow-md mb-8 flex flex-col items-center">
+      <h3 className="text-xl font-semibold text-white mb-4 flex items-center">
+        <Trophy className="mr-2" /> Private Leagues
+      </h3>
+
+      {/* Create or join */}
+      <div className="w-full grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div className="bg-gray-900 rounded-lg p-4 shadow-inner">
+          <h4 className="text-md font-semibold text-white mb-2">Create a League</h4>
+          <LeagueSettingsFields settings={newLeague} onChange={setNewLeague} />
+          <button
+            onClick={handleCreate}
+            disabled={!!pendingAction}
+            className="px-4 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-full font-semibold disabled:opacity-50"
+          >
+            {pendingAction === 'createLeague' ? <Loader2 className="animate-spin h-4 w-4" /> : 'Create'}
+          </button>
+        </div>
+        <div className="bg-gray-900 rounded-lg p-4 shadow-inner">
+          <h4 className="text-md font-semibold text-white mb-2">Join with an Invite Code</h4>
+          <input
+            type="text"
+            value={inviteCode}
+            onChange={(e) => setInviteCode(e.target.value)}
+            placeholder="e.g. K7MQ2X"
+            className="w-full bg-gray-700 text-white rounded px-3 py-2 mb-2 uppercase"
+          />
+          <button
+            onClick={handleJoin}
+            disabled={!!pendingAction || !inviteCode.trim()}
+            className="px-4 py-1 bg-green-600 hover:bg-green-700 text-white rounded-full font-semibold disabled:opacity-50"
+          >
+            {pendingAction === 'joinLeague' ? <Loader2 className="animate-spin h-4 w-4" /> : 'Join'}
+          </button>
+        </div>
+      </div>
+
+      {leagues.length === 0 ? (
+        <p className="text-gray-400">You're not in any leagues yet.</p>
+      ) : (
+        <div className="w-full">
+          {/* League picker */}
+          <div className="flex flex-wrap gap-2 mb-4">
+            {leagues.map(league => (
+              <button
+                key={league.id}
+                onClick={() => { setSelectedLeagueId(league.id); setEditedSettings(null); }}
+                className={`px-4 py-1 rounded-full text-sm font-semibold ${
+                  selectedLeague?.id === league.id ? 'bg-blue-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-blue-500 hover:text-white'
+                }`}
+              >
+                {league.name}
+              </button>
+            ))}
+          </div>
+
+          {selectedLeague && (
+            <div className="bg-gray-800 rounded-lg p-4">
+              <div className="flex flex-col md:flex-row md:items-center justify-between mb-3">
+                <div>
+                  <p className="text-lg font-bold text-white">{selectedLeague.name}</p>
+                  <p className="text-xs text-gray-400">
+                    {selectedLeague.memberIds.length} member(s) · Commissioner: {selectedLeague.members[selectedLeague.commissionerId]?.username}
+                  </p>
+                  <p className="text-xs text-gray-400">{describeLeagueRules(selectedLeague)}</p>
+                </div>
+                <div className="flex items-center space-x-2 mt-2 md:mt-0">
+                  <button
+                    onClick={() => copyInviteCode(selectedLeague.inviteCode)}
+                    className="px-3 py-1 bg-gray-700 hover:bg-gray-600 text-yellow-300 rounded-full font-mono text-sm flex items-center"
+                  >
+                    <Copy className="mr-1" size={14} /> {selectedLeague.inviteCode}
+                  </button>
+                  <button
+                    onClick={() => handleLeave(selectedLeague)}
+                    disabled={!!pendingAction}
+                    className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded-full text-sm flex items-center disabled:opacity-50"
+                  >
+                    <LogOut className="mr-1" size={14} /> Leave
+                  </button>
+                </div>
+              </div>
+
+              {/* Commissioner settings */}
+              {selectedLeague.commissionerId === userId && (
+                editedSettings ? (
+                  <div className="bg-gray-900 rounded-lg p-3 mb-3">
+                    <LeagueSettingsFields settings={editedSettings} onChange={setEditedSettings} />
+                    <p className="text-xs text-gray-400 mb-2">Changes apply from the next settled week.</p>
+                    <button
+                      onClick={() => handleSaveSettings(selectedLeague)}
+                      disabled={!!pendingAction}
+                      className="px-4 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-full font-semibold mr-2 disabled:opacity-50"
+                    >
+                      Save
+                    </button>
+                    <button onClick={() => setEditedSettings(null)} className="px-4 py-1 text-gray-300">Cancel</button>
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => setEditedSettings({
+                      name: selectedLeague.name, entryTier: selectedLeague.entryTier, entryCap: selectedLeague.entryCap,
+                    })}
+                    className="text-sm text-blue-300 hover:text-blue-200 mb-3"
+                  >
+                    Edit league settings
+                  </button>
+                )
+              )}
+
+              {/* League boards */}
+              <div className="flex space-x-2 mb-3">
+                {[{ id: 'week', label: formatWeekLabel(currentWeek.weekId) }, { id: 'season', label: 'Season' }].map(view => (
+                  <button
+                    key={view.id}
+                    onClick={() => setBoardView(view.id)}
+                    className={`px-4 py-1 rounded-full text-sm font-semibold ${
+                      boardView === view.id ? 'bg-blue-600 text-white' : 'bg-gray-900 text-gray-300 hover:bg-blue-500 hover:text-white'
+                    }`}
+                  >
+                    {view.label}
+                  </button>
+                ))}
+              </div>
+              {boardView === 'week' ? (
+                <LeagueWeekBoard leagueId={selectedLeague.id} weekId={currentWeek.weekId} />
+              ) : (
+                <StandingsBoard
+                  standingsId={getSeasonStandingsId(currentWeek.seasonYear)}
+                  standingsPath={`artifacts/${appId}/leagues/${selectedLeague.id}/standings`}
+                  title={`${selectedLeague.name} · ${currentWeek.seasonYear} Season`}
+                />
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default Leagues;
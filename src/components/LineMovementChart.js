@@ -0,0 +1,58 @@
+// src/components/LineMovementChart.js
+import React from 'react';
+import { formatLine, formatPrice } from '@predictpro/shared';
+
+// Reads the value charted for a game from a consensus odds object:
+// the home spread when there is one, otherwise the home moneyline.
+const getChartValue = (odds, homeTeam, useSpread) => {
+  if (!odds) return null;
+  if (useSpread) return odds.spread?.[homeTeam]?.point ?? null;
+  return odds.moneyline?.[homeTeam] ?? null;
+};
+
+// Small opening vs current line summary with a sparkline of every recorded movement.
+// `history` is this game's lineHistory points, oldest first.
+const LineMovementChart = ({ game, history }) => {
+  const openingOdds = game.openingOdds || game.odds;
+  const useSpread = Boolean(game.odds?.spread?.[game.homeTeam]);
+  const formatValue = useSpread ? formatLine : formatPrice;
+
+  const opening = getChartValue(openingOdds, game.homeTeam, useSpread);
+  const current = getChartValue(game.odds, game.homeTeam, useSpread);
+  if (opening === null || current === null) return null;
+
+  const points = history
+    .map(point => getChartValue(point.odds, game.homeTeam, useSpread))
+    .filter(value => value !== null);
+  if (points.length === 0 || points[points.length - 1] !== current) points.push(current);
+  if (points.length === 1) points.unshift(opening);
+
+  // Scale the points into a 100x24 viewBox with a little vertical padding
+  const width = 100;
+  const height = 24;
+  const min = Math.min(...points);
+  const max = Math.max(...points);
+  const range = max - min || 1;
+  const path = points.map((value, index) => {
+    const x = (index / (points.length - 1)) * width;
+    const y = height - 2 - ((value - min) / range) * (height - 4);
+    return `${index === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+  const moved = opening !== current;
+
+  return (
+    <div className="flex items-center justify-between bg-gray-800 rounded-md px-2 py-1 mb-3 text-xs">
+      <div className="text-gray-400">
+        <span className="mr-1">{game.homeTeam} {useSpread ? 'spread' : 'moneyline'}:</span>
+        <span className="text-gray-300">Open {formatValue(opening)}</span>
+        <span className="mx-1">→</span>
+        <span className={moved ? 'text-yellow-300 font-semibold' : 'text-gray-300'}>Now {formatValue(current)}</span>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-24 h-6 ml-2" preserveAspectRatio="none">
+        <path d={path} fill="none" stroke={moved ? '#fcd34d' : '#9ca3af'} strokeWidth="1.5" />
+      </svg>
+    </div>
+  );
+};
+
+export default LineMovementChart;
@@ -1,12 +1,242 @@
-import React from 'react';
-import { Ticket } from 'lucide-react';
+// src/components/LotterySweepstakes.js
+import React, { useState, useEffect } from 'react';
+import { Ticket, Loader2, ShieldCheck } from 'lucide-react';
+import { useFirebase, useUser } from '../contexts';
+import { doc, collection, onSnapshot, query, where, orderBy, limit } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+// Same ticket price, pot and draw math the lottery Cloud Functions use
+import {
+  LOTTERY_TICKET_PRICE, MAX_TICKETS_PER_PURCHASE, DRAW_STATUSES,
+  getDrawForDate, getLotteryPot, getDrawDigestInput, pickWinningTicket, getBeaconRoundUrl,
+} from '@predictpro/shared';
 
+const PAST_DRAWS_SHOWN = 5;
+
+// SHA-256 of a string in hex, using the browser's Web Crypto API
+const sha256Hex = async (value) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Recomputes a revealed draw: the seed must match the hash published when the draw opened, the
+// beacon randomness must match the public drand round, and the winning ticket must follow from
+// both and the final ticket count.
+const verifyDraw = async (draw) => {
+  const seedMatches = (await sha256Hex(draw.seed)) === draw.seedHash;
+  let beaconMatches = !draw.beaconRound; // Draws run before beacons were added have none
+  if (draw.beaconRound) {
+    const response = await fetch(getBeaconRoundUrl(draw.beaconRound));
+    beaconMatches = response.ok && (await response.json()).randomness === draw.beaconRandomness;
+  }
+  const digest = await sha256Hex(
+    getDrawDigestInput(draw.seed, draw.drawId, draw.ticketCount, draw.beaconRandomness));
+  return seedMatches && beaconMatches && pickWinningTicket(digest, draw.ticketCount) === draw.winningTicket;
+};
+
+// --- Lottery Sweepstakes Component (Daily draw: pot, my tickets, past draws) ---
 const LotterySweepstakes = () => {
+  const { db, firebaseApp } = useFirebase();
+  const { userId, userData } = useUser();
+  const [currentDraw, setCurrentDraw] = useState(null); // Open draw document, null until the first ticket opens it
+  const [myPurchases, setMyPurchases] = useState([]); // User's ticket purchases in the open draw
+  const [pastDraws, setPastDraws] = useState([]);
+  const [verifications, setVerifications] = useState({}); // drawId -> true/false once checked
+  const [quantity, setQuantity] = useState(1);
+  const [isBuying, setIsBuying] = useState(false);
+  const [now, setNow] = useState(new Date());
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+
+  const functions = firebaseApp ? getFunctions(firebaseApp) : null;
+  const buyLotteryTicketsCallable = functions ? httpsCallable(functions, 'buyLotteryTickets') : null;
+
+  // The draw tickets bought now go into; rolls over to the next day once a draw closes
+  const { drawId, drawAt } = getDrawForDate(now);
+
+  // --- Effect: Tick the clock so the open draw rolls over at draw time ---
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // --- Effect: Listen to the Open Draw and the User's Tickets in it ---
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    const drawRef = doc(db, `artifacts/${appId}/lottery`, drawId);
+    const unsubscribeDraw = onSnapshot(drawRef, (docSnap) => {
+      setCurrentDraw(docSnap.exists() ? docSnap.data() : null);
+    }, (error) => {
+      console.error('Firestore: Error listening to the lottery draw:', error);
+    });
+
+    const purchasesQuery = query(collection(db, `artifacts/${appId}/lottery/${drawId}/purchases`), where('userId', '==', userId));
+    const unsubscribePurchases = onSnapshot(purchasesQuery, (snapshot) => {
+      setMyPurchases(snapshot.docs
+        .map(purchaseDoc => ({ id: purchaseDoc.id, ...purchaseDoc.data() }))
+        .sort((a, b) => a.firstTicket - b.firstTicket));
+    }, (error) => {
+      console.error('Firestore: Error listening to lottery tickets:', error);
+    });
+
+    return () => {
+      unsubscribeDraw();
+      unsubscribePurchases();
+    };
+  }, [db, userId, appId, drawId]);
+
+  // --- Effect: Listen to Past Draws ---
+  useEffect(() => {
+    if (!db) return;
+
+    // Ordered by draw time only (no composite index needed); the open draw is filtered out below
+    const drawsQuery = query(collection(db, `artifacts/${appId}/lottery`), orderBy('drawAt', 'desc'), limit(PAST_DRAWS_SHOWN + 1));
+    const unsubscribe = onSnapshot(drawsQuery, (snapshot) => {
+      setPastDraws(snapshot.docs
+        .map(drawDoc => drawDoc.data())
+        .filter(draw => draw.status === DRAW_STATUSES.DRAWN)
+        .slice(0, PAST_DRAWS_SHOWN));
+    }, (error) => {
+      console.error('Firestore: Error listening to past draws:', error);
+    });
+
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  // --- Handles buying tickets through the buyLotteryTickets Cloud Function ---
+  const handleBuyTickets = async () => {
+    if (!buyLotteryTicketsCallable || isBuying) return;
+    const cost = quantity * LOTTERY_TICKET_PRICE;
+    if ((userData?.predictorPoints || 0) < cost) {
+      toast.error(`Not enough Predictor Points! You need ${cost} for ${quantity} ticket(s).`);
+      return;
+    }
+
+    setIsBuying(true);
+    try {
+      const result = await buyLotteryTicketsCallable({ appId: appId, quantity: quantity });
+      const { firstTicket, lastTicket } = result.data;
+      toast.success(firstTicket === lastTicket ? `You got ticket #${firstTicket}!` : `You got tickets #${firstTicket}-#${lastTicket}!`);
+    } catch (error) {
+      console.error('Error calling buyLotteryTickets Cloud Function:', error);
+      toast.error(error.message || 'Failed to buy lottery tickets.');
+    } finally {
+      setIsBuying(false);
+    }
+  };
+
+  const handleVerify = async (draw) => {
+    try {
+      const verified = await verifyDraw(draw);
+      setVerifications(prev => ({ ...prev, [draw.drawId]: verified }));
+    } catch (error) {
+      console.error('Error verifying lottery draw:', error);
+      toast.error("Couldn't reach the public beacon to verify this draw. Try again later.");
+    }
+  };
+
+  const ticketCount = currentDraw?.ticketCount || 0;
+  const pot = currentDraw ? currentDraw.pot : getLotteryPot(0);
+  const myTicketCount = myPurchases.reduce((sum, purchase) => sum + purchase.quantity, 0);
+
   return (
     <section className="w-full bg-gray-700 p-6 rounded-xl shadow-md mb-8 flex flex-col items-center">
-      <h3 className="text-xl font-semibold text-white mb-4">Lottery Sweepstakes</h3>
-      <p className="text-gray-300">Lottery Sweepstakes component loading...</p>
+      <h3 className="text-xl font-semibold text-white mb-4 flex items-center">
+        <Ticket className="mr-2" /> Lottery Sweepstakes
+      </h3>
+
+      {/* Current Draw */}
+      <div className="w-full bg-gray-900 p-4 rounded-lg shadow-inner mb-6 text-center">
+        <p className="text-gray-400 text-sm">Current pot</p>
+        <p className="text-4xl font-bold text-yellow-400 mb-1">{Number(pot).toFixed(2)} Winner Bucks</p>
+        <p className="text-gray-400 text-sm mb-4">
+          {ticketCount} ticket{ticketCount === 1 ? '' : 's'} sold · Draw at {new Date(drawAt).toLocaleString()}
+        </p>
+
+        <div className="flex justify-center items-center space-x-2 mb-2">
+          <input
+            type="number"
+            min={1}
+            max={MAX_TICKETS_PER_PURCHASE}
+            value={quantity}
+            onChange={(e) => setQuantity(Math.min(MAX_TICKETS_PER_PURCHASE, Math.max(1, parseInt(e.target.value) || 1)))}
+            className="w-20 px-2 py-1 bg-gray-800 text-white text-center rounded-md border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={handleBuyTickets}
+            disabled={isBuying || !buyLotteryTicketsCallable}
+            className={`px-5 py-2 bg-yellow-500 hover:bg-yellow-600 text-gray-900 font-bold rounded-full transition-all duration-300 shadow-md flex items-center ${
+              isBuying ? 'opacity-50 cursor-not-allowed' : ''
+            }`}
+          >
+            {isBuying && <Loader2 className="animate-spin h-4 w-4 mr-2" />}
+            Buy for {quantity * LOTTERY_TICKET_PRICE} Points
+          </button>
+        </div>
+        <p className="text-xs text-gray-500">{LOTTERY_TICKET_PRICE} Predictor Points per ticket, up to {MAX_TICKETS_PER_PURCHASE} at a time.</p>
+        {currentDraw?.seedHash && (
+          <p className="text-xs text-gray-500 mt-2 break-all">
+            Seed commitment (SHA-256): <span className="font-mono">{currentDraw.seedHash}</span>
+            {currentDraw.beaconRound && <> · Decided with drand beacon round {currentDraw.beaconRound}</>}
+          </p>
+        )}
+      </div>
+
+      {/* My Tickets */}
+      <div className="w-full mb-6">
+        <h4 className="text-lg font-semibold text-blue-300 mb-2">My Tickets ({myTicketCount})</h4>
+        {myPurchases.length > 0 ? (
+          <div className="flex flex-wrap gap-2">
+            {myPurchases.map(purchase => (
+              <span key={purchase.id} className="bg-gray-800 text-white text-sm rounded-full px-3 py-1">
+                {purchase.firstTicket === purchase.lastTicket ? `#${purchase.firstTicket}` : `#${purchase.firstTicket}-#${purchase.lastTicket}`}
+              </span>
+            ))}
+          </div>
+        ) : (
+          <p className="text-gray-400 text-sm">You have no tickets in this draw yet.</p>
+        )}
+      </div>
+
+      {/* Past Draws */}
+      <div className="w-full">
+        <h4 className="text-lg font-semibold text-blue-300 mb-2">Past Draws</h4>
+        {pastDraws.length > 0 ? (
+          pastDraws.map(draw => (
+            <div key={draw.drawId} className="bg-gray-900 p-3 rounded-lg shadow-inner mb-2 text-sm">
+              <div className="flex justify-between items-center">
+                <span className="text-white font-semibold">{new Date(draw.drawAt).toLocaleDateString()}</span>
+                <span className="text-gray-300">
+                  {draw.winningTicket
+                    ? <>Ticket #{draw.winningTicket} · {draw.winnerUserId === userId ? 'You' : draw.winnerUsername} won {Number(draw.prize).toFixed(2)} WB</>
+                    : 'No tickets sold'}
+                  {draw.prizeWithheldReason && (
+                    <span className="block text-xs text-yellow-400">
+                      Prize withheld{draw.winnerUserId === userId ? `: ${draw.prizeWithheldReason}` : ''}
+                    </span>
+                  )}
+                </span>
+              </div>
+              <div className="flex justify-between items-center mt-1">
+                <span className="text-xs text-gray-500 font-mono break-all mr-2">Seed: {draw.seed}</span>
+                {verifications[draw.drawId] === undefined ? (
+                  <button onClick={() => handleVerify(draw)} className="text-xs text-blue-400 hover:text-blue-300 whitespace-nowrap">
+                    Verify
+                  </button>
+                ) : (
+                  <span className={`text-xs flex items-center whitespace-nowrap ${verifications[draw.drawId] ? 'text-green-400' : 'text-red-400'}`}>
+                    <ShieldCheck className="h-4 w-4 mr-1" /> {verifications[draw.drawId] ? 'Verified' : 'Does not verify'}
+                  </span>
+                )}
+              </div>
+            </div>
+          ))
+        ) : (
+          <p className="text-gray-400 text-sm">No draws yet.</p>
+        )}
+      </div>
     </section>
   );
 };
-export default LotterySweepstakes;
\ No newline at end of file
+
+export default LotterySweepstakes;
@@ -2,44 +2,54 @@
 import React, { useState, useEffect } from 'react';
 import { Target, Calendar, Loader2 } from 'lucide-react'; // Target is used for the icon
 import { useFirebase, useUser } from '../contexts'; // Contexts are imported from parent directory
-import { doc, onSnapshot, setDoc, updateDoc } from 'firebase/firestore';
+import { doc, collection, onSnapshot, query, orderBy } from 'firebase/firestore';
 import { toast } from 'react-toastify';
+import LineMovementChart from './LineMovementChart';
+import SyncStatus from './SyncStatus';
+// Season calendar shared with Cloud Functions, so week IDs always match the server
+import {
+  getCurrentWeek, formatWeekLabel, ENTRY_TIERS, MAX_ENTRIES_PER_WEEK, isGameLocked, validateEntry,
+  MARKETS, MARKET_LABELS, getPickOptions, findPickOption, describePick, isSameSelection,
+  formatPrice, calculatePickPayout, GAME_STATUSES, GAME_STATUS_LABELS, getGameStatus, isGameVoid,
+} from '@predictpro/shared';
 
 // Import Firebase Functions client SDK for callable functions
 import { getFunctions, httpsCallable } from 'firebase/functions';
 
+// Colors of the status shown on each game card
+const GAME_STATUS_COLORS = {
+  [GAME_STATUSES.SCHEDULED]: 'text-gray-400',
+  [GAME_STATUSES.LIVE]: 'text-red-500',
+  [GAME_STATUSES.FINAL]: 'text-green-500',
+  [GAME_STATUSES.TIED]: 'text-green-500',
+  [GAME_STATUSES.DELAYED]: 'text-orange-400',
+  [GAME_STATUSES.POSTPONED]: 'text-yellow-400',
+  [GAME_STATUSES.CANCELLED]: 'text-yellow-400',
+};
+
 const NFLGamePicks = () => {
-  const { userData, setUserData, userId } = useUser();
+  const { userData, userId } = useUser();
   const { db, firebaseApp } = useFirebase(); // Get firebaseApp from context to initialize functions
   const [weeklyGames, setWeeklyGames] = useState(null); // Weekly games data fetched from Firestore
-  const [userPicks, setUserPicks] = useState({}); // Stores user's selected picks for the current week
+  const [userPicks, setUserPicks] = useState({}); // Picks of the entry currently being built
   const [selectedTier, setSelectedTier] = useState(25); // Default betting tier
-  const [tieBreakerPoints, setTieBreakerPoints] = useState(''); // User's tie-breaker guess
+  const [tieBreakerPoints, setTieBreakerPoints] = useState(''); // Tie-breaker guess of the entry being built
   const [message, setMessage] = useState(''); // Message for modal notifications
   const [showModal, setShowModal] = useState(false); // Controls visibility of notification modal
-  const [userWeeklyEntriesCount, setUserWeeklyEntriesCount] = useState(0); // Count of user's entries this week
+  const [entries, setEntries] = useState([]); // User's submitted entries for the current week
+  const [activeEntryId, setActiveEntryId] = useState('new'); // 'new' builds an entry, otherwise edits a submitted one
   const [isLoading, setIsLoading] = useState(true); // Loading state for component
+  const [now, setNow] = useState(new Date()); // Re-evaluated periodically so games lock at kickoff without a reload
+  const [lineHistory, setLineHistory] = useState({}); // Consensus line movement per game, oldest first
 
-  const bettingTiers = [25, 50, 100]; // Available betting tiers
-  const maxEntriesPerWeek = 3; // Maximum number of entries per user per week
+  const bettingTiers = ENTRY_TIERS; // Available betting tiers (shared with the submitPicks function)
+  const maxEntriesPerWeek = MAX_ENTRIES_PER_WEEK; // Maximum number of entries per user per week
   const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
 
-  // Initialize Firebase Functions client and callable function for getNFLOdds
+  // Initialize Firebase Functions client and callable functions for getNFLOdds and submitPicks
   const functions = firebaseApp ? getFunctions(firebaseApp) : null;
   const getNFLOddsCallable = functions ? httpsCallable(functions, 'getNFLOdds') : null;
-
-  // --- Helper to get current NFL Week ID consistently ---
-  // This ensures the week ID matches how it's calculated in Cloud Functions
-  const getCurrentNFLWeekInfo = () => {
-    const now = new Date();
-    const currentDay = now.getDay();
-    let tuesday = new Date(now);
-    tuesday.setDate(now.getDate() + (2 + 7 - currentDay) % 7);
-    tuesday.setHours(0, 1, 0, 0);
-    return {
-        weekId: `week-${tuesday.getFullYear()}-${tuesday.getMonth() + 1}-${tuesday.getDate()}`
-    };
-  };
+  const submitPicksCallable = functions ? httpsCallable(functions, 'submitPicks') : null;
 
   // --- Effect: Fetch NFL Week Data from Firestore (updated by Cloud Function) ---
   // This listens for updates to the current week's NFL data in Firestore.
@@ -50,8 +60,8 @@ const NFLGamePicks = () => {
       return;
     }
 
-    const currentWeekInfo = getCurrentNFLWeekInfo(); // Get consistent week info
-    const weekDocRef = doc(db, `artifacts/${appId}/nflWeeks`, currentWeekInfo.weekId); // Reference to the week's document
+    const currentWeek = getCurrentWeek(); // Same calendar week the Cloud Functions use
+    const weekDocRef = doc(db, `artifacts/${appId}/nflWeeks`, currentWeek.weekId); // Reference to the week's document
 
     const unsubscribe = onSnapshot(weekDocRef, async (docSnap) => {
       if (docSnap.exists()) {
@@ -90,68 +100,99 @@ const NFLGamePicks = () => {
     return () => unsubscribe(); // Clean up the Firestore listener
   }, [db, appId, firebaseApp, getNFLOddsCallable]); // Dependencies: db, appId, firebaseApp, callable function
 
-  // --- Effect: Listen to User Picks and Entries from Firestore ---
+  // --- Effect: Tick the clock so per-game locks take effect at each kickoff ---
   useEffect(() => {
-    if (!db || !userId || !weeklyGames) return; // Wait for db, userId, and weeklyGames to be loaded
+    const interval = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(interval);
+  }, []);
 
-    const userPicksDocRef = doc(db, `artifacts/${appId}/users/${userId}/predictions`, weeklyGames.weekId);
-    const userProfileRef = doc(db, `artifacts/${appId}/users/${userId}/profile`, 'data');
-
-    // Listen to user's current week predictions
-    const unsubscribePicks = onSnapshot(userPicksDocRef, (docSnap) => {
-      if (docSnap.exists()) {
-        const data = docSnap.data();
-        setUserPicks(data.picks || {}); // Set user's picks
-        setTieBreakerPoints(data.tieBreakerPoints || ''); // Set tie-breaker guess
-      } else {
-        setUserPicks({}); // Reset if no picks found
-        setTieBreakerPoints('');
-      }
+  // --- Effect: Listen to the User's Entries for the Week from Firestore ---
+  // Each entry is its own document under predictions/{weekId}/entries, so entries never overwrite each other.
+  const weekId = weeklyGames?.weekId;
+  useEffect(() => {
+    if (!db || !userId || !weekId) return; // Wait for db, userId, and the week to be loaded
+
+    const entriesRef = collection(db, `artifacts/${appId}/users/${userId}/predictions/${weekId}/entries`);
+    const unsubscribeEntries = onSnapshot(entriesRef, (snapshot) => {
+      const weekEntries = snapshot.docs
+        .map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() }))
+        .sort((a, b) => (a.entryNumber || 0) - (b.entryNumber || 0));
+      setEntries(weekEntries);
+    }, (error) => {
+      console.error('Firestore: Error listening to weekly entries:', error);
     });
 
-    // Listen to user's profile to get weekly entries count
-    const unsubscribeProfile = onSnapshot(userProfileRef, (docSnap) => {
-      if (docSnap.exists()) {
-        const data = docSnap.data();
-        setUserData(data); // Keep user data in context updated
-        setUserWeeklyEntriesCount(data.weeklyEntries?.[weeklyGames.weekId] || 0); // Update entries count
-      }
+    return () => unsubscribeEntries(); // Clean up entries listener
+  }, [db, userId, weekId, appId]); // Dependencies: db, userId, weekId, appId
+
+  // --- Effect: Listen to the Week's Line Movement ---
+  // The sync function appends a point to nflWeeks/{weekId}/lineHistory whenever a game's consensus line moves.
+  useEffect(() => {
+    if (!db || !weekId) return;
+
+    const historyQuery = query(collection(db, `artifacts/${appId}/nflWeeks/${weekId}/lineHistory`), orderBy('recordedAt'));
+    const unsubscribeHistory = onSnapshot(historyQuery, (snapshot) => {
+      const historyByGame = {};
+      snapshot.docs.forEach(pointDoc => {
+        const point = pointDoc.data();
+        (historyByGame[point.gameId] = historyByGame[point.gameId] || []).push(point);
+      });
+      setLineHistory(historyByGame);
+    }, (error) => {
+      console.error('Firestore: Error listening to line history:', error);
     });
 
-    return () => {
-      unsubscribePicks(); // Clean up pick listener
-      unsubscribeProfile(); // Clean up profile listener
-    };
-  }, [db, userId, weeklyGames, appId, setUserData]); // Dependencies: db, userId, weeklyGames, appId, setUserData
+    return () => unsubscribeHistory(); // Clean up line history listener
+  }, [db, weekId, appId]);
 
-  // --- Betting Window & Picks Locked Status ---
-  // Determine if betting is open based on current time and week's deadlines
-  const bettingOpen = weeklyGames && new Date() >= new Date(weeklyGames.bettingWindowStart) && new Date() <= new Date(weeklyGames.bettingWindowEnd);
-  // Determine if picks are locked (after betting deadline)
-  const picksLocked = weeklyGames && new Date() > new Date(weeklyGames.bettingWindowEnd);
+  const userWeeklyEntriesCount = entries.length; // Count of user's entries this week
+  const activeEntry = entries.find(entry => entry.id === activeEntryId) || null; // Submitted entry being edited, if any
+  const isEditingEntry = activeEntry !== null;
+
+  // --- Betting Window & Per-Game Locks ---
+  // Every game locks at its own kickoff; the window stays open until the last game of the week starts.
+  const bettingOpen = weeklyGames && now >= new Date(weeklyGames.bettingWindowStart) && now <= new Date(weeklyGames.bettingWindowEnd);
+  // A new entry can be built while under the cap; a submitted entry can be amended while any of its games is open
+  const canEditPicks = bettingOpen && (isEditingEntry || userWeeklyEntriesCount < maxEntriesPerWeek);
+  // Postponed and cancelled games can't be picked
+  const openGames = weeklyGames ? weeklyGames.games.filter(game => !isGameLocked(game, now) && !isGameVoid(game)) : [];
+  const tieBreakerGame = weeklyGames ? weeklyGames.games.find(game => game.id === weeklyGames.tieBreakerGameId) : null;
+  const tieBreakerLocked = !tieBreakerGame || isGameLocked(tieBreakerGame, now);
+  const allOpenGamesPicked = openGames.length > 0 && openGames.every(game => userPicks[game.id]?.pick);
 
   // --- Handlers for User Interactions ---
-  // Handles selecting a team for a game
-  const handlePickChange = (gameId, teamName) => {
-    // Prevent changes if betting is closed, picks are locked, or entry cap is reached
-    if (!bettingOpen || picksLocked || userWeeklyEntriesCount >= maxEntriesPerWeek) return; 
+  // Switches between building a new entry and editing a submitted one
+  const handleSelectEntry = (entryId) => {
+    const entry = entries.find(e => e.id === entryId);
+    setActiveEntryId(entry ? entry.id : 'new');
+    setUserPicks(entry ? { ...entry.picks } : {});
+    setTieBreakerPoints(entry ? String(entry.tieBreakerPoints) : '');
+    if (entry) setSelectedTier(entry.tier);
+  };
+
+  // Handles selecting a side of a market (moneyline, spread or over/under) for a game; one pick per game
+  const handlePickChange = (gameId, option) => {
+    const game = weeklyGames.games.find(g => g.id === gameId);
+    // Prevent changes if betting is closed, the entry can't be edited, or this game has kicked off
+    if (!canEditPicks || !game || isGameLocked(game, now) || isGameVoid(game)) return;
 
     setUserPicks(prevPicks => ({
       ...prevPicks,
       [gameId]: {
-        ...prevPicks[gameId],
-        pick: teamName,
+        market: option.market,
+        pick: option.pick,
+        line: option.line, // Line shown when picked; the server stores the line current at submission
+        price: option.price,
         tier: selectedTier, // Assign current selected tier to this pick
         gameId: gameId,
-        // 'locked' status is handled by backend submission and settlement logic
       },
     }));
   };
 
   // Handles changing the betting tier (25/50/100 Points)
   const handleTierChange = (tier) => {
-    // Prevent changes if betting is closed or entry cap is reached
-    if (!bettingOpen || userWeeklyEntriesCount >= maxEntriesPerWeek) return; 
+    // Prevent changes if the entry can't be edited; a submitted entry keeps the tier it was paid for
+    if (!canEditPicks || isEditingEntry) return;
 
     setSelectedTier(tier); // Update selected tier
     // Apply the new tier to all existing picks in the current form state
@@ -169,8 +210,8 @@ const NFLGamePicks = () => {
 
   // Handles input for tie-breaker points
   const handleTieBreakerChange = (e) => {
-    // Prevent changes if betting is closed, picks are locked, or entry cap is reached
-    if (!bettingOpen || picksLocked || userWeeklyEntriesCount >= maxEntriesPerWeek) return; 
+    // Prevent changes if the entry can't be edited or the tie-breaker game has kicked off
+    if (!canEditPicks || tieBreakerLocked) return;
 
     const value = e.target.value;
     // Allow empty string (initial state) or valid numbers between 0 and 200 (a reasonable NFL score range)
@@ -181,8 +222,8 @@ const NFLGamePicks = () => {
 
   // --- Handles Submission of Weekly Picks ---
   const handleSubmitPicks = async () => {
-    // Basic validation: ensure user and database are ready
-    if (!userId || !db || !userData) { 
+    // Basic validation: ensure user, database and functions are ready
+    if (!userId || !db || !userData || !submitPicksCallable) {
       setMessage('User not authenticated or data not loaded. Please try again.');
       setShowModal(true);
       return;
@@ -195,98 +236,61 @@ const NFLGamePicks = () => {
       return;
     }
 
-    // Validation: Check against weekly entry cap
-    if (userWeeklyEntriesCount >= maxEntriesPerWeek) {
+    // Validation: Check against weekly entry cap (amending an entry doesn't use one)
+    if (!isEditingEntry && userWeeklyEntriesCount >= maxEntriesPerWeek) {
       setMessage(`You have reached the maximum of ${maxEntriesPerWeek} entries for this week.`);
       setShowModal(true);
       return;
     }
 
-    // Validation: Ensure picks have been made for ALL games
-    if (!weeklyGames || Object.keys(userPicks).length !== weeklyGames.games.length) {
-      setMessage('You must make a pick for ALL games this week.');
-      setShowModal(true);
-      return;
+    // Validation: Same entry rules the submitPicks Cloud Function enforces.
+    // Only games that haven't kicked off are sent; locked games keep whatever the entry already has.
+    const picksToSubmit = {};
+    for (const game of openGames) {
+      const draftPick = userPicks[game.id];
+      if (draftPick?.pick) picksToSubmit[game.id] = { market: draftPick.market || MARKETS.MONEYLINE, pick: draftPick.pick };
     }
-
-    // Validation: Check for tie-breaker game existence and valid input
-    const tieBreakerGame = weeklyGames.games.find(game => game.id === weeklyGames.tieBreakerGameId);
-    if (!tieBreakerGame) {
-      setMessage('Tie-breaker game not found for this week. Cannot submit picks.');
+    const existingEntry = isEditingEntry ? activeEntry : null;
+    const validationError = validateEntry(weeklyGames, {
+      picks: picksToSubmit,
+      tier: isEditingEntry ? activeEntry.tier : selectedTier,
+      tieBreakerPoints: tieBreakerPoints === '' ? '' : parseInt(tieBreakerPoints),
+    }, { now: new Date(), existingEntry });
+    if (validationError) {
+      setMessage(validationError);
       setShowModal(true);
       return;
     }
-    if (tieBreakerPoints === '' || isNaN(parseInt(tieBreakerPoints))) {
-      setMessage(`Please enter a valid total score for the tie-breaker game (${tieBreakerGame.homeTeam} vs ${tieBreakerGame.awayTeam}).`);
+
+    // Validation: Check if user has enough Predictor Points (amendments are free)
+    if (!isEditingEntry && (userData.predictorPoints || 0) < selectedTier) {
+      setMessage(`Not enough Predictor Points! You need ${selectedTier} to submit this entry.`);
       setShowModal(true);
       return;
     }
 
-    // Prepare picks data structure for Firestore
-    const picksToSubmit = {};
-    for (const game of weeklyGames.games) {
-      if (!userPicks[game.id] || !userPicks[game.id].pick) {
-        setMessage(`Missing pick for ${game.homeTeam} vs ${game.awayTeam}.`);
-        setShowModal(true);
-        return;
-      }
-      picksToSubmit[game.id] = {
-        pick: userPicks[game.id].pick,
-        tier: selectedTier, // All picks in this submission use the selected tier
-        gameId: game.id,
-        outcome: 'pending', // Initial outcome status
-        winnings: 0, // Initial winnings
-      };
-    }
-
-    // Firestore references for user's prediction and profile documents
-    const userPicksDocRef = doc(db, `artifacts/${appId}/users/${userId}/predictions`, weeklyGames.weekId);
-    const userProfileRef = doc(db, `artifacts/${appId}/users/${userId}/profile`, 'data');
-
     try {
-      const costPerEntry = selectedTier;
-      // Validation: Check if user has enough Predictor Points
-      if ((userData.predictorPoints || 0) < costPerEntry) {
-        setMessage(`Not enough Predictor Points! You need ${costPerEntry} to submit this entry.`);
-        setShowModal(true);
-        return;
-      }
-
-      // Atomic update for user profile and setting the new predictions document
-      await updateDoc(userProfileRef, {
-        predictorPoints: (userData.predictorPoints || 0) - costPerEntry, // Deduct points
-        // Increment weekly entries count
-        [`weeklyEntries.${weeklyGames.weekId}`]: (userData.weeklyEntries?.[weeklyGames.weekId] || 0) + 1,
-      });
-
-      // Submit user's picks to Firestore
-      await setDoc(userPicksDocRef, {
-        userId: userId,
+      // The Cloud Function re-validates everything, debits the entry fee and writes the entry in one transaction.
+      // The profile listener in App picks up the new balance.
+      const result = await submitPicksCallable({
+        appId: appId,
         weekId: weeklyGames.weekId,
+        entryId: isEditingEntry ? activeEntry.id : null,
         picks: picksToSubmit,
-        tieBreakerPoints: parseInt(tieBreakerPoints), // Store as number
-        submittedAt: new Date().toISOString(), // Timestamp of submission
-        tier: selectedTier, // Store the tier of this overall entry
-        isSettled: false, // Initial state, to be updated by backend settlement function
-        totalCorrectPicks: 0, // Initial, to be updated by backend
-        totalWinnerBucksWon: 0, // Initial, to be updated by backend
+        tier: selectedTier,
+        tieBreakerPoints: parseInt(tieBreakerPoints),
       });
+      const { entryId, entryNumber } = result.data;
 
-      // Optimistically update local user data state (for immediate UI feedback)
-      setUserData(prevData => ({
-        ...prevData,
-        predictorPoints: (prevData.predictorPoints || 0) - costPerEntry,
-        weeklyEntries: {
-          ...prevData.weeklyEntries,
-          [weeklyGames.weekId]: (prevData.weeklyEntries?.[weeklyGames.weekId] || 0) + 1,
-        },
-      }));
-
-      toast.success('Your NFL picks have been submitted successfully!'); // Show success toast
-      setShowModal(true); // Show notification modal
+      // Keep the submitted entry selected so it can be reviewed or amended
+      setActiveEntryId(entryId);
+
+      toast.success(isEditingEntry
+        ? `Entry #${entryNumber} has been updated.`
+        : `Entry #${entryNumber} has been submitted successfully!`); // Show success toast
     } catch (error) {
       console.error('Error submitting picks:', error);
-      setMessage('Failed to submit picks. Please try again. ' + error.message);
+      setMessage('Failed to submit picks. ' + error.message);
       setShowModal(true); // Show error modal
     }
   };
@@ -305,12 +309,15 @@ const NFLGamePicks = () => {
   return (
     <section className="w-full bg-gray-700 p-6 rounded-xl shadow-md mb-8 flex flex-col items-center">
       <h3 className="text-xl font-semibold text-white mb-4 flex items-center">
-        <Goal className="mr-2" /> NFL Week {weeklyGames.weekId.split('-').pop()} Picks
+        <Target className="mr-2" /> NFL {weeklyGames.label || formatWeekLabel(weeklyGames.weekId)} Picks
       </h3>
+      <SyncStatus />
       {/* Display Betting Window Information */}
       <p className="text-gray-400 text-center mb-4">
         Betting Window: {new Date(weeklyGames.bettingWindowStart).toLocaleString()} -{' '}
         {new Date(weeklyGames.bettingWindowEnd).toLocaleString()}
+        <br />
+        <span className="text-sm">Each game locks at its own kickoff.</span>
       </p>
       {/* Display messages if betting is closed or cap reached */}
       {!bettingOpen && (
@@ -322,6 +329,37 @@ const NFLGamePicks = () => {
         </p>
       )}
 
+      {/* Entry Selection: review or amend each submitted entry, or build a new one */}
+      <div className="flex flex-wrap justify-center gap-2 mb-6">
+        {entries.map(entry => (
+          <button
+            key={entry.id}
+            onClick={() => handleSelectEntry(entry.id)}
+            className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors ${
+              activeEntryId === entry.id ? 'bg-blue-600 text-white shadow-lg' : 'bg-gray-600 text-gray-300 hover:bg-blue-500'
+            }`}
+          >
+            Entry #{entry.entryNumber} ({entry.tier} Pts)
+          </button>
+        ))}
+        {userWeeklyEntriesCount < maxEntriesPerWeek && (
+          <button
+            onClick={() => handleSelectEntry('new')}
+            className={`px-4 py-2 rounded-full text-sm font-semibold transition-colors ${
+              !isEditingEntry ? 'bg-green-600 text-white shadow-lg' : 'bg-gray-600 text-gray-300 hover:bg-green-500'
+            }`}
+          >
+            + New Entry ({userWeeklyEntriesCount + 1} of {maxEntriesPerWeek})
+          </button>
+        )}
+      </div>
+      {isEditingEntry && (
+        <p className="text-blue-300 mb-4 text-center">
+          Entry #{activeEntry.entryNumber}, submitted {new Date(activeEntry.submittedAt).toLocaleString()}.
+          {bettingOpen && ' Picks for games that haven\'t kicked off can still be changed.'}
+        </p>
+      )}
+
       {/* Betting Tiers Selection */}
       <div className="flex justify-center space-x-4 mb-6">
         <span className="text-gray-300 font-medium">Select Entry Tier:</span>
@@ -330,9 +368,9 @@ const NFLGamePicks = () => {
             key={tier}
             onClick={() => handleTierChange(tier)}
             className={`px-4 py-2 rounded-full font-semibold transition-colors ${
-              selectedTier === tier ? 'bg-purple-600 text-white shadow-lg' : 'bg-gray-600 text-gray-300 hover:bg-purple-500'
-            } ${!bettingOpen || userWeeklyEntriesCount >= maxEntriesPerWeek ? 'opacity-50 cursor-not-allowed' : ''}`}
-            disabled={!bettingOpen || userWeeklyEntriesCount >= maxEntriesPerWeek}
+              (isEditingEntry ? activeEntry.tier : selectedTier) === tier ? 'bg-purple-600 text-white shadow-lg' : 'bg-gray-600 text-gray-300 hover:bg-purple-500'
+            } ${!canEditPicks || isEditingEntry ? 'opacity-50 cursor-not-allowed' : ''}`}
+            disabled={!canEditPicks || isEditingEntry}
           >
             {tier} Predictor Points
           </button>
@@ -351,22 +389,34 @@ const NFLGamePicks = () => {
           });
           const isTieBreakerGame = game.id === weeklyGames.tieBreakerGameId;
           const isLive = game.score && (game.score.home !== null || game.score.away !== null); // Check if scores exist
+          const gameStatus = getGameStatus(game, now);
+          const gameVoid = isGameVoid(game); // Postponed or cancelled: picks are void and refunded
+          const gameLocked = isGameLocked(game, now) || gameVoid; // Each game locks at its own kickoff
+          const pickDisabled = !canEditPicks || gameLocked;
+          const pickOptions = getPickOptions(game);
+          const currentPick = userPicks[game.id];
+          // A submitted pick keeps its line; resubmitting an open game takes the current line
+          const currentOption = currentPick?.pick ? findPickOption(game, currentPick) : null;
+          const pickLineChanged = Boolean(currentOption && currentPick.line !== undefined &&
+            (currentOption.line !== currentPick.line || currentOption.price !== currentPick.price));
 
           return (
             <div
               key={game.id}
-              className={`bg-gray-900 p-4 rounded-lg shadow-lg flex flex-col ${picksLocked ? 'opacity-70' : ''}`}
+              className={`bg-gray-900 p-4 rounded-lg shadow-lg flex flex-col ${gameLocked ? 'opacity-70' : ''}`}
             >
               <div className="flex justify-between items-center mb-1">
                 <p className="text-sm text-gray-400">
                   NFL - {game.homeTeam} vs {game.awayTeam}
                 </p>
-                {/* Display Live/Final status if game has commenced */}
-                {new Date(game.commenceTime) < new Date() && !game.completed && (
-                  <span className="text-red-500 text-xs font-bold">LIVE</span>
-                )}
-                 {game.completed && (
-                  <span className="text-green-500 text-xs font-bold">FINAL</span>
+                {/* Game status; scheduled games show when they lock instead */}
+                {gameStatus === GAME_STATUSES.SCHEDULED ? (
+                  <span className="text-gray-400 text-xs">Locks at kickoff</span>
+                ) : (
+                  <span className={`text-xs font-bold ${GAME_STATUS_COLORS[gameStatus]}`}>
+                    {GAME_STATUS_LABELS[gameStatus].toUpperCase()}
+                    {game.scoreCorrections?.length > 0 && <span className="text-yellow-400"> (CORRECTED)</span>}
+                  </span>
                 )}
               </div>
               <p className="text-sm text-blue-300 flex items-center mb-3">
@@ -400,41 +450,72 @@ const NFLGamePicks = () => {
                 </div>
               </div>
 
-              {/* Pick Buttons */}
-              <div className="flex justify-center space-x-2 mt-2">
-                <button
-                  onClick={() => handlePickChange(game.id, game.homeTeam)}
-                  className={`px-3 py-1 rounded-full text-sm font-semibold transition-colors ${
-                    userPicks[game.id]?.pick === game.homeTeam ? 'bg-blue-500 text-white' : 'bg-gray-600 text-gray-300 hover:bg-blue-400'
-                  } ${!bettingOpen || picksLocked || userWeeklyEntriesCount >= maxEntriesPerWeek ? 'opacity-50 cursor-not-allowed' : ''}`}
-                  disabled={!bettingOpen || picksLocked || userWeeklyEntriesCount >= maxEntriesPerWeek}
-                >
-                  Pick {game.homeTeam}
-                </button>
-                <button
-                  onClick={() => handlePickChange(game.id, game.awayTeam)}
-                  className={`px-3 py-1 rounded-full text-sm font-semibold transition-colors ${
-                    userPicks[game.id]?.pick === game.awayTeam ? 'bg-blue-500 text-white' : 'bg-gray-600 text-gray-300 hover:bg-blue-400'
-                  } ${!bettingOpen || picksLocked || userWeeklyEntriesCount >= maxEntriesPerWeek ? 'opacity-50 cursor-not-allowed' : ''}`}
-                  disabled={!bettingOpen || picksLocked || userWeeklyEntriesCount >= maxEntriesPerWeek}
-                >
-                  Pick {game.awayTeam}
-                </button>
-              </div>
+              {/* Opening vs current consensus line */}
+              <LineMovementChart game={game} history={lineHistory[game.id] || []} />
+
+              {/* Pick Buttons, grouped by market */}
+              {Object.values(MARKETS).map((market) => {
+                const options = pickOptions.filter(option => option.market === market);
+                if (options.length === 0) return null;
+                return (
+                  <div key={market} className="mt-2">
+                    <p className="text-xs text-gray-400 text-center mb-1">{MARKET_LABELS[market]}</p>
+                    <div className="flex justify-center space-x-2">
+                      {options.map((option) => (
+                        <button
+                          key={option.pick}
+                          onClick={() => handlePickChange(game.id, option)}
+                          className={`px-3 py-1 rounded-full text-sm font-semibold transition-colors ${
+                            isSameSelection(currentPick, option) ? 'bg-blue-500 text-white' : 'bg-gray-600 text-gray-300 hover:bg-blue-400'
+                          } ${pickDisabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+                          disabled={pickDisabled}
+                        >
+                          {option.label}
+                          <span className="ml-1 text-xs opacity-75">({formatPrice(option.price)})</span>
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+
+              {/* Which market this game's pick is on; submitted picks show the line they were locked in at */}
+              {currentPick?.pick && (
+                <p className="text-xs text-blue-300 text-center mt-3">
+                  Your pick: {MARKET_LABELS[currentPick.market || MARKETS.MONEYLINE]} - {describePick(currentPick)}
+                  {currentPick.price !== undefined && ` (${formatPrice(currentPick.price)})`}
+                  {pickLineChanged && ' (odds have moved since you picked)'}
+                  <br />
+                  {/* Submitted picks pay what was locked in; draft picks pay at the price shown now */}
+                  Pays {currentPick.potentialWinnings ?? calculatePickPayout(currentPick.tier, currentOption ? currentOption.price : currentPick.price)} Winner Bucks if it wins
+                </p>
+              )}
+              {gameVoid ? (
+                <p className="text-xs text-yellow-300 text-center mt-2">
+                  {GAME_STATUS_LABELS[gameStatus]}: picks on this game are void and their share of the entry fee is refunded.
+                </p>
+              ) : pickOptions.length === 0 && (
+                <p className="text-xs text-gray-400 text-center mt-2">Odds not available yet</p>
+              )}
 
               {/* Tie-breaker Input */}
               {isTieBreakerGame && (
                 <div className="mt-4 text-center">
                   <p className="text-sm text-yellow-300 mb-2">Tie-breaker: Guess total points for this game</p>
+                  {weeklyGames.tieBreakerReassignedFrom && (
+                    <p className="text-xs text-yellow-300 mb-2">
+                      The original tie-breaker game was postponed or cancelled, so every guess now counts for this game.
+                    </p>
+                  )}
                   <input
                     type="number"
                     value={tieBreakerPoints}
                     onChange={handleTieBreakerChange}
                     placeholder="Total Points"
                     className={`w-24 px-2 py-1 bg-gray-800 text-white text-center rounded-md border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500 ${
-                      !bettingOpen || picksLocked || userWeeklyEntriesCount >= maxEntriesPerWeek ? 'opacity-50 cursor-not-allowed' : ''
+                      pickDisabled ? 'opacity-50 cursor-not-allowed' : ''
                     }`}
-                    disabled={!bettingOpen || picksLocked || userWeeklyEntriesCount >= maxEntriesPerWeek}
+                    disabled={pickDisabled}
                   />
                   <p className="text-xs text-gray-400 mt-1">
                     (Closest guess wins in case of a tie in total correct picks)
@@ -446,14 +527,16 @@ const NFLGamePicks = () => {
         })}
       </div>
 
-      {/* Submit Picks Button */}
+      {/* Submit Picks Button: submits a new entry or saves changes to the selected one */}
       <button
         onClick={handleSubmitPicks}
         className={`mt-8 px-8 py-3 bg-green-600 hover:bg-green-700 text-white font-bold rounded-full text-xl transition-all duration-300 transform hover:scale-105 shadow-lg
-          ${!bettingOpen || Object.keys(userPicks).length !== weeklyGames.games.length || tieBreakerPoints === '' || userWeeklyEntriesCount >= maxEntriesPerWeek ? 'opacity-50 cursor-not-allowed' : ''}`}
-        disabled={!bettingOpen || Object.keys(userPicks).length !== weeklyGames.games.length || tieBreakerPoints === '' || userWeeklyEntriesCount >= maxEntriesPerWeek}
+          ${!canEditPicks || !allOpenGamesPicked || tieBreakerPoints === '' ? 'opacity-50 cursor-not-allowed' : ''}`}
+        disabled={!canEditPicks || !allOpenGamesPicked || tieBreakerPoints === ''}
       >
-        Submit Weekly Picks ({selectedTier} Points)
+        {isEditingEntry
+          ? `Save Changes to Entry #${activeEntry.entryNumber}`
+          : `Submit Entry #${userWeeklyEntriesCount + 1} (${selectedTier} Points)`}
       </button>
 
       {/* Notification Modal */}
@@ -0,0 +1,54 @@
+// src/components/PlayerLevel.js
+import React from 'react';
+import { Award, Calendar, Crown, Flame, Star, Target, Ticket, Zap } from 'lucide-react';
+import { useUser } from '../contexts';
+import { getLevelProgress } from '@predictpro/shared';
+
+// Badge icon names used by the achievement definitions; unknown names fall back to Award.
+const BADGE_ICONS = {
+  target: Target,
+  calendar: Calendar,
+  star: Star,
+  flame: Flame,
+  zap: Zap,
+  crown: Crown,
+  ticket: Ticket,
+};
+
+// --- Player Level Component (Level, XP progress and earned badges; shown in the Header) ---
+// XP, level and badges are awarded by the achievement triggers and read from the user's profile.
+const PlayerLevel = () => {
+  const { userData } = useUser();
+  if (!userData) return null;
+
+  const xp = userData.xp || 0;
+  const { level, levelXp, nextLevelXp } = getLevelProgress(xp);
+  const progress = Math.min(100, ((xp - levelXp) / (nextLevelXp - levelXp)) * 100);
+  const badges = userData.badges || [];
+
+  return (
+    <div className="flex items-center space-x-3 mb-2">
+      <div className="flex items-center bg-gray-700 rounded-full px-3 py-1 shadow-inner" title={`${xp} XP`}>
+        <span className="text-sm font-bold text-green-400 mr-2">Lv {level}</span>
+        <div className="w-20 h-2 bg-gray-600 rounded-full overflow-hidden">
+          <div className="h-full bg-green-500" style={{ width: `${progress}%` }} />
+        </div>
+        <span className="text-xs text-gray-400 ml-2">{xp - levelXp}/{nextLevelXp - levelXp} XP</span>
+      </div>
+      {badges.length > 0 && (
+        <div className="flex items-center space-x-1">
+          {badges.map(badge => {
+            const BadgeIcon = BADGE_ICONS[badge.icon] || Award;
+            return (
+              <span key={badge.id} title={`${badge.name}: ${badge.description}`}>
+                <BadgeIcon className="h-5 w-5 text-yellow-400" />
+              </span>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlayerLevel;
@@ -0,0 +1,104 @@
+// src/components/RedemptionQueue.js
+import React, { useState, useEffect } from 'react';
+import { Banknote, Loader2 } from 'lucide-react';
+import { useFirebase } from '../contexts';
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { REDEMPTION_STATUSES } from '@predictpro/shared';
+
+// --- Redemption Queue Component (Admin review of pending Winner Bucks redemptions) ---
+// Only rendered for users with the `admin` custom claim; the rules and reviewRedemption enforce it too.
+const RedemptionQueue = () => {
+  const { db, firebaseApp } = useFirebase();
+  const [pendingRedemptions, setPendingRedemptions] = useState([]);
+  const [reviewingId, setReviewingId] = useState(null); // Redemption currently being approved/rejected
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+
+  const functions = firebaseApp ? getFunctions(firebaseApp) : null;
+  const reviewRedemptionCallable = functions ? httpsCallable(functions, 'reviewRedemption') : null;
+
+  // --- Effect: Listen to Pending Redemptions ---
+  useEffect(() => {
+    if (!db) return;
+
+    const queueQuery = query(collection(db, `artifacts/${appId}/redemptions`), where('status', '==', REDEMPTION_STATUSES.PENDING));
+    const unsubscribe = onSnapshot(queueQuery, (snapshot) => {
+      setPendingRedemptions(snapshot.docs
+        .map(redemptionDoc => ({ id: redemptionDoc.id, ...redemptionDoc.data() }))
+        .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt))); // Oldest first
+    }, (error) => {
+      console.error('Firestore: Error listening to the redemption queue:', error);
+    });
+
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  // --- Handles approving or rejecting a redemption ---
+  const handleReview = async (redemption, decision) => {
+    if (!reviewRedemptionCallable || reviewingId) return;
+    let reason = null;
+    if (decision === 'reject') {
+      reason = window.prompt('Reason for rejecting (shown to the user):');
+      if (reason === null) return; // Cancelled
+    }
+
+    setReviewingId(redemption.id);
+    try {
+      const result = await reviewRedemptionCallable({ appId: appId, redemptionId: redemption.id, decision: decision, reason: reason });
+      toast.success(`Redemption for ${redemption.username} is now ${result.data.status}.`);
+    } catch (error) {
+      console.error('Error calling reviewRedemption Cloud Function:', error);
+      toast.error(error.message || 'Failed to review the redemption.');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  return (
+    <section className="w-full bg-gray-700 p-6 rounded-xl shadow-md mb-8 flex flex-col items-center">
+      <h3 className="text-xl font-semibold text-white mb-4 flex items-center">
+        <Banknote className="mr-2" /> Redemption Queue
+      </h3>
+
+      {pendingRedemptions.length === 0 ? (
+        <p className="text-gray-400">No redemptions waiting for review.</p>
+      ) : (
+        <div className="w-full bg-gray-900 rounded-lg shadow-inner">
+          {pendingRedemptions.map(redemption => (
+            <div key={redemption.id} className="flex flex-col md:flex-row md:items-center justify-between px-4 py-3 border-b border-gray-700 last:border-b-0 text-sm">
+              <div>
+                <p className="text-white font-semibold">{redemption.username} · {Number(redemption.amount).toFixed(2)} WB</p>
+                <p className="text-xs text-gray-400">
+                  {redemption.payoutMethod.type}: {redemption.payoutMethod.destination} · {new Date(redemption.requestedAt).toLocaleString()}
+                </p>
+              </div>
+              <div className="flex space-x-2 mt-2 md:mt-0">
+                {reviewingId === redemption.id ? (
+                  <Loader2 className="animate-spin h-5 w-5 text-blue-500" />
+                ) : (
+                  <>
+                    <button
+                      onClick={() => handleReview(redemption, 'approve')}
+                      className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white rounded-full font-semibold"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReview(redemption, 'reject')}
+                      className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded-full font-semibold"
+                    >
+                      Reject
+                    </button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default RedemptionQueue;
@@ -0,0 +1,127 @@
+// src/components/Redemptions.js
+import React, { useState, useEffect } from 'react';
+import { Loader2 } from 'lucide-react';
+import { useFirebase, useUser } from '../contexts';
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+// Same minimum and validation the requestRedemption Cloud Function enforces
+import {
+  MIN_REDEMPTION_AMOUNT, PAYOUT_METHODS, REDEMPTION_STATUS_LABELS, REDEMPTION_STATUSES,
+  validateRedemptionAmount, validatePayoutMethod,
+} from '@predictpro/shared';
+
+// Colors for each redemption status in the history list
+const statusColors = {
+  [REDEMPTION_STATUSES.PENDING]: 'text-yellow-400',
+  [REDEMPTION_STATUSES.PROCESSING]: 'text-blue-400',
+  [REDEMPTION_STATUSES.PAID]: 'text-green-400',
+  [REDEMPTION_STATUSES.REJECTED]: 'text-red-400',
+  [REDEMPTION_STATUSES.FAILED]: 'text-red-400',
+};
+
+// --- Redemptions Component (Redeem Winner Bucks and see past requests; shown from the header) ---
+const Redemptions = () => {
+  const { db, firebaseApp } = useFirebase();
+  const { userId, userData } = useUser();
+  const [redemptions, setRedemptions] = useState([]);
+  const [amount, setAmount] = useState('');
+  const [paypalEmail, setPaypalEmail] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+
+  const functions = firebaseApp ? getFunctions(firebaseApp) : null;
+  const requestRedemptionCallable = functions ? httpsCallable(functions, 'requestRedemption') : null;
+
+  // --- Effect: Listen to the User's Redemptions ---
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    // Equality filter only (no composite index needed); sorted newest first below
+    const redemptionsQuery = query(collection(db, `artifacts/${appId}/redemptions`), where('userId', '==', userId));
+    const unsubscribe = onSnapshot(redemptionsQuery, (snapshot) => {
+      setRedemptions(snapshot.docs
+        .map(redemptionDoc => ({ id: redemptionDoc.id, ...redemptionDoc.data() }))
+        .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt)));
+    }, (error) => {
+      console.error('Firestore: Error listening to redemptions:', error);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId, appId]);
+
+  // --- Handles submitting a redemption request ---
+  const handleRequestRedemption = async () => {
+    const requestedAmount = Number(amount);
+    const payoutMethod = { type: PAYOUT_METHODS.PAYPAL, destination: paypalEmail.trim() };
+    const validationError = validateRedemptionAmount(requestedAmount, userData?.winnerBucks || 0) ||
+      validatePayoutMethod(payoutMethod);
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await requestRedemptionCallable({ appId: appId, amount: requestedAmount, payoutMethod: payoutMethod });
+      toast.success(`${requestedAmount.toFixed(2)} Winner Bucks are on hold for review.`);
+      setAmount('');
+    } catch (error) {
+      console.error('Error calling requestRedemption Cloud Function:', error);
+      toast.error(error.message || 'Failed to request the redemption.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="w-full sm:w-80 bg-gray-900 p-4 rounded-lg shadow-inner text-left">
+      <h4 className="text-md font-semibold text-yellow-300 mb-2">Redeem Winner Bucks</h4>
+      <p className="text-xs text-gray-400 mb-2">Minimum {MIN_REDEMPTION_AMOUNT} Winner Bucks. Funds are held until reviewed.</p>
+      <input
+        type="number"
+        min={MIN_REDEMPTION_AMOUNT}
+        step="0.01"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        placeholder="Amount"
+        className="w-full mb-2 px-2 py-1 bg-gray-800 text-white rounded-md border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <input
+        type="email"
+        value={paypalEmail}
+        onChange={(e) => setPaypalEmail(e.target.value)}
+        placeholder="PayPal email"
+        className="w-full mb-2 px-2 py-1 bg-gray-800 text-white rounded-md border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <button
+        onClick={handleRequestRedemption}
+        disabled={isSubmitting || !requestRedemptionCallable}
+        className={`w-full px-4 py-1 bg-yellow-500 hover:bg-yellow-600 text-gray-900 font-semibold rounded-full flex items-center justify-center ${
+          isSubmitting ? 'opacity-50 cursor-not-allowed' : ''
+        }`}
+      >
+        {isSubmitting && <Loader2 className="animate-spin h-4 w-4 mr-2" />}
+        Request Redemption
+      </button>
+
+      {/* Redemption History */}
+      <h5 className="text-sm font-semibold text-gray-300 mt-4 mb-1">History</h5>
+      {redemptions.length > 0 ? (
+        redemptions.map(redemption => (
+          <div key={redemption.id} className="flex justify-between text-xs py-1 border-b border-gray-700 last:border-b-0">
+            <span className="text-gray-400">{new Date(redemption.requestedAt).toLocaleDateString()}</span>
+            <span className="text-white">{Number(redemption.amount).toFixed(2)} WB</span>
+            <span className={statusColors[redemption.status]} title={redemption.rejectionReason || ''}>
+              {REDEMPTION_STATUS_LABELS[redemption.status]}
+            </span>
+          </div>
+        ))
+      ) : (
+        <p className="text-xs text-gray-400">No redemptions yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default Redemptions;
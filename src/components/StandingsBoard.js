@@ -0,0 +1,90 @@
+// src/components/StandingsBoard.js
+import React, { useState, useEffect } from 'react';
+import { Loader2 } from 'lucide-react';
+import { useFirebase, useUser } from '../contexts';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { useBoardRows } from './BoardRows';
+
+const STANDINGS_SHOWN = 100; // Rows listed below the pinned row
+
+// --- Standings Board Component (Season or all-time standings, with the user's own rank pinned) ---
+// `standingsId` is `season-<year>` or `all-time`; settlement keeps each row's totals and sort key.
+// `standingsPath` points at another standings collection, e.g. a league's.
+// `visibleUserIds` limits the list to those users (the Friends filter); ranks stay overall ranks.
+// Each user's row is its own document under `<standingsId>/rows`, so only the rows shown are read.
+const StandingsBoard = ({ standingsId, title, standingsPath = null, visibleUserIds = null }) => {
+  const { db } = useFirebase();
+  const { userId } = useUser();
+  const [standings, setStandings] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+  const standingsRef = standingsPath || `artifacts/${appId}/standings`;
+  const { rows, myRows } = useBoardRows(db, `${standingsRef}/${standingsId}/rows`, {
+    userId, visibleUserIds, shown: STANDINGS_SHOWN, sortKeyField: 'sortKey',
+  });
+  const myRow = myRows[0] || null;
+
+  // --- Effect: Listen to the Standings Summary (weeks counted) ---
+  useEffect(() => {
+    if (!db) return;
+
+    setIsLoading(true);
+    const unsubscribe = onSnapshot(doc(db, standingsRef, standingsId), (docSnap) => {
+      setStandings(docSnap.exists() ? docSnap.data() : null);
+      setIsLoading(false);
+    }, (error) => {
+      console.error('Firestore: Error listening to standings:', error);
+      setIsLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [db, standingsRef, standingsId]);
+
+  if (isLoading) {
+    return <Loader2 className="animate-spin h-8 w-8 text-blue-500 mx-auto" />;
+  }
+
+  const renderRow = (row, pinned = false) => (
+    <div
+      key={pinned ? 'pinned' : row.userId}
+      className={`grid grid-cols-5 items-center py-2 border-b border-gray-700 last:border-b-0 ${row.userId === userId ? 'bg-blue-800 bg-opacity-30 rounded-md' : ''}`}
+    >
+      <span>{row.rank}</span>
+      <span className={row.userId === userId ? 'text-blue-300 font-bold' : 'text-gray-200'}>
+        {row.username} {row.userId === userId ? '(You)' : ''}
+      </span>
+      <span className="text-center">{row.correctPicks}</span>
+      <span className="text-center">{row.weeksWon}</span>
+      <span className="text-right text-green-400 font-semibold">${row.winnerBucksWon.toFixed(2)}</span>
+    </div>
+  );
+
+  return (
+    <div className="w-full">
+      <h4 className="text-xl font-semibold text-blue-300 mb-1">{title}</h4>
+      <p className="text-xs text-gray-400 mb-4">
+        {standings ? `${standings.weekIds.length} settled week(s) counted.` : 'No weeks have settled yet.'}
+      </p>
+      <div className="bg-gray-900 p-4 rounded-lg shadow-inner">
+        <div className="grid grid-cols-5 font-bold text-blue-400 pb-2 border-b border-gray-600">
+          <span>Rank</span>
+          <span>User</span>
+          <span className="text-center">Correct Picks</span>
+          <span className="text-center">Weeks Won</span>
+          <span className="text-right">WB Won</span>
+        </div>
+        {/* The user's own row stays on top, wherever they rank */}
+        {myRow ? renderRow(myRow, true) : (
+          <p className="text-gray-400 text-sm py-2 border-b border-gray-700">You aren't ranked yet. Settled entries count here.</p>
+        )}
+        {rows.length === 0 ? (
+          <p className="text-gray-400 text-center py-4">No standings yet.</p>
+        ) : (
+          rows.map(row => renderRow(row))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StandingsBoard;
@@ -0,0 +1,123 @@
+// src/components/Store.js
+import React, { useState, useEffect } from 'react';
+import { ShoppingCart, Loader2 } from 'lucide-react';
+import { useFirebase, useUser } from '../contexts';
+import { doc, collection, onSnapshot, query, where } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { ORDER_STATUSES, getPointPackages, formatUsd } from '@predictpro/shared';
+
+const ORDERS_SHOWN = 10; // Most recent orders listed under the packages
+
+const ORDER_STATUS_STYLES = {
+  [ORDER_STATUSES.PENDING]: 'text-yellow-300',
+  [ORDER_STATUSES.PAID]: 'text-green-400',
+  [ORDER_STATUSES.FAILED]: 'text-red-400',
+};
+
+// --- Store Component (Buy Predictor Points packages) ---
+// Buying opens the payment provider's checkout in a new tab. Points are credited by the payment
+// webhook, so the order list below updates on its own once the payment goes through.
+const Store = () => {
+  const { db, firebaseApp } = useFirebase();
+  const { userId } = useUser();
+  const [storeConfig, setStoreConfig] = useState(null); // Packages override from config/store, if any
+  const [orders, setOrders] = useState([]);
+  const [buyingPackageId, setBuyingPackageId] = useState(null); // Package whose checkout is being created
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+
+  const functions = firebaseApp ? getFunctions(firebaseApp) : null;
+  const createPointsOrderCallable = functions ? httpsCallable(functions, 'createPointsOrder') : null;
+
+  // --- Effect: Listen to the Store Configuration ---
+  useEffect(() => {
+    if (!db) return;
+
+    const unsubscribe = onSnapshot(doc(db, `artifacts/${appId}/config`, 'store'), (docSnap) => {
+      setStoreConfig(docSnap.exists() ? docSnap.data() : null);
+    }, (error) => {
+      console.error('Firestore: Error listening to store config:', error);
+    });
+
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  // --- Effect: Listen to the User's Orders ---
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    const ordersQuery = query(collection(db, `artifacts/${appId}/orders`), where('userId', '==', userId));
+    const unsubscribe = onSnapshot(ordersQuery, (snapshot) => {
+      setOrders(snapshot.docs
+        .map(orderDoc => ({ id: orderDoc.id, ...orderDoc.data() }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt)) // Newest first
+        .slice(0, ORDERS_SHOWN));
+    }, (error) => {
+      console.error('Firestore: Error listening to orders:', error);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId, appId]);
+
+  // --- Starts checkout for a package ---
+  const handleBuy = async (pointPackage) => {
+    if (!createPointsOrderCallable || buyingPackageId) return;
+
+    setBuyingPackageId(pointPackage.id);
+    try {
+      const result = await createPointsOrderCallable({ appId: appId, packageId: pointPackage.id });
+      window.open(result.data.checkoutUrl, '_blank', 'noopener');
+      toast.info('Checkout opened in a new tab. Your points arrive as soon as the payment goes through.');
+    } catch (error) {
+      console.error('Error calling createPointsOrder Cloud Function:', error);
+      toast.error(error.message || 'Failed to start checkout.');
+    } finally {
+      setBuyingPackageId(null);
+    }
+  };
+
+  return (
+    <section className="w-full bg-gray-700 p-6 rounded-xl shadow-md mb-8 flex flex-col items-center">
+      <h3 className="text-xl font-semibold text-white mb-4 flex items-center">
+        <ShoppingCart className="mr-2" /> Predictor Points Store
+      </h3>
+
+      <div className="w-full grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        {getPointPackages(storeConfig).map(pointPackage => (
+          <div key={pointPackage.id} className="bg-gray-900 rounded-lg p-4 flex flex-col items-center shadow-inner">
+            <p className="text-lg font-bold text-white">{pointPackage.label}</p>
+            <p className="text-2xl font-extrabold text-yellow-300 my-2">{pointPackage.points.toLocaleString()} PP</p>
+            <button
+              onClick={() => handleBuy(pointPackage)}
+              disabled={!!buyingPackageId}
+              className="px-5 py-2 bg-green-600 hover:bg-green-700 text-white rounded-full font-semibold disabled:opacity-50 flex items-center"
+            >
+              {buyingPackageId === pointPackage.id && <Loader2 className="animate-spin h-4 w-4 mr-2" />}
+              Buy for {formatUsd(pointPackage.priceCents)}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <h4 className="text-lg font-semibold text-white mb-2 self-start">My Orders</h4>
+      {orders.length === 0 ? (
+        <p className="text-gray-400">No orders yet.</p>
+      ) : (
+        <div className="w-full bg-gray-900 rounded-lg shadow-inner">
+          {orders.map(order => (
+            <div key={order.id} className="flex justify-between px-4 py-2 border-b border-gray-700 last:border-b-0 text-sm">
+              <span className="text-gray-300">
+                {order.label} · {order.points.toLocaleString()} PP · {formatUsd(order.priceCents)}
+              </span>
+              <span className={`font-semibold capitalize ${ORDER_STATUS_STYLES[order.status] || 'text-gray-300'}`}>
+                {order.status}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default Store;
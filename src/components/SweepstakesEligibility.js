@@ -0,0 +1,200 @@
+// src/components/SweepstakesEligibility.js
+import React, { useState, useEffect } from 'react';
+import { Shield, CheckCircle, Loader2 } from 'lucide-react';
+import { useFirebase, useUser } from '../contexts';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { toast } from 'react-toastify';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+// Same checks the updateEligibility, acceptOfficialRules and requestFreeEntry Cloud Functions enforce
+import {
+  OFFICIAL_RULES_VERSION, MINIMUM_AGE, US_STATES, EXCLUDED_STATES, FREE_ENTRY_POINTS, FREE_ENTRY_COOLDOWN_HOURS,
+  getEligibilityIssue, validateEligibilityInput, validateFreeEntryRequest, getNextFreeEntryAt,
+} from '@predictpro/shared';
+
+// Plain-language summary of the Official Rules the user accepts
+const OFFICIAL_RULES_SUMMARY = [
+  'NO PURCHASE NECESSARY. A purchase does not increase your chances of winning.',
+  `Open to legal residents of the United States who are at least ${MINIMUM_AGE} years old.`,
+  `Void in ${EXCLUDED_STATES.join(', ')} and wherever else prohibited by law.`,
+  'Predictor Points have no cash value and are used to enter contests only.',
+  'Winner Bucks are sweepstakes prizes and can be redeemed once eligibility is confirmed.',
+  `Free entry: request ${FREE_ENTRY_POINTS} Predictor Points below, once every ${FREE_ENTRY_COOLDOWN_HOURS} hours.`,
+];
+
+// --- Sweepstakes Eligibility Component (Eligibility record, Official Rules and free entry) ---
+const SweepstakesEligibility = () => {
+  const { db, firebaseApp } = useFirebase();
+  const { userId } = useUser();
+  const [eligibility, setEligibility] = useState(null); // users/{userId}/compliance/eligibility
+  const [ageAttested, setAgeAttested] = useState(false);
+  const [state, setState] = useState('');
+  const [fullName, setFullName] = useState('');
+  const [mailingAddress, setMailingAddress] = useState('');
+  const [pendingAction, setPendingAction] = useState(null); // 'eligibility' | 'rules' | 'freeEntry' while a call runs
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+
+  const functions = firebaseApp ? getFunctions(firebaseApp) : null;
+  const updateEligibilityCallable = functions ? httpsCallable(functions, 'updateEligibility') : null;
+  const acceptOfficialRulesCallable = functions ? httpsCallable(functions, 'acceptOfficialRules') : null;
+  const requestFreeEntryCallable = functions ? httpsCallable(functions, 'requestFreeEntry') : null;
+
+  // --- Effect: Listen to the User's Eligibility Record ---
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    const eligibilityRef = doc(db, `artifacts/${appId}/users/${userId}/compliance`, 'eligibility');
+    const unsubscribe = onSnapshot(eligibilityRef, (docSnap) => {
+      const data = docSnap.exists() ? docSnap.data() : null;
+      setEligibility(data);
+      if (data) {
+        setAgeAttested(data.ageAttested === true);
+        setState(data.state || '');
+      }
+    }, (error) => {
+      console.error('Firestore: Error listening to eligibility:', error);
+    });
+
+    return () => unsubscribe();
+  }, [db, userId, appId]);
+
+  // --- Runs a compliance callable with shared loading and error handling ---
+  const runAction = async (action, callable, payload, successMessage) => {
+    if (!callable || pendingAction) return;
+    setPendingAction(action);
+    try {
+      await callable({ appId: appId, ...payload });
+      toast.success(successMessage);
+    } catch (error) {
+      console.error(`Error calling the ${action} Cloud Function:`, error);
+      toast.error(error.message || 'Something went wrong. Please try again.');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleSaveEligibility = () => {
+    const validationError = validateEligibilityInput({ ageAttested, state });
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+    runAction('eligibility', updateEligibilityCallable, { ageAttested, state }, 'Eligibility saved.');
+  };
+
+  const handleAcceptRules = () => {
+    runAction('rules', acceptOfficialRulesCallable, { version: OFFICIAL_RULES_VERSION }, 'Official Rules accepted.');
+  };
+
+  const handleRequestFreeEntry = async () => {
+    const validationError = validateFreeEntryRequest({ fullName, mailingAddress });
+    if (validationError) {
+      toast.error(validationError);
+      return;
+    }
+    await runAction('freeEntry', requestFreeEntryCallable, { fullName, mailingAddress },
+      `${FREE_ENTRY_POINTS} Predictor Points added to your balance.`);
+  };
+
+  const eligibilityIssue = getEligibilityIssue(eligibility);
+  const hasAcceptedRules = eligibility?.officialRules?.version === OFFICIAL_RULES_VERSION;
+  const nextFreeEntryAt = getNextFreeEntryAt(eligibility?.lastFreeEntryAt || null);
+  const freeEntryAvailable = !nextFreeEntryAt || new Date() >= nextFreeEntryAt;
+
+  return (
+    <section className="w-full bg-gray-700 p-6 rounded-xl shadow-md mb-8 flex flex-col items-center">
+      <h3 className="text-xl font-semibold text-white mb-2 flex items-center">
+        <Shield className="mr-2" /> Sweepstakes Eligibility
+      </h3>
+      <p className={`text-sm mb-6 ${eligibilityIssue ? 'text-yellow-300' : 'text-green-400'}`}>
+        {eligibilityIssue || 'You are eligible to win and redeem Winner Bucks.'}
+      </p>
+
+      {/* Eligibility record */}
+      <div className="w-full bg-gray-900 rounded-lg p-4 mb-4 shadow-inner text-left">
+        <h4 className="text-md font-semibold text-white mb-3">Eligibility</h4>
+        <label className="flex items-center text-sm text-gray-300 mb-3">
+          <input type="checkbox" checked={ageAttested} onChange={(e) => setAgeAttested(e.target.checked)} className="mr-2" />
+          I confirm that I am at least {MINIMUM_AGE} years old.
+        </label>
+        <label className="block text-sm text-gray-300 mb-3">
+          State of residence
+          <select
+            value={state}
+            onChange={(e) => setState(e.target.value)}
+            className="ml-2 bg-gray-700 text-white rounded px-2 py-1"
+          >
+            <option value="">Select…</option>
+            {US_STATES.map(code => (
+              <option key={code} value={code}>{code}{EXCLUDED_STATES.includes(code) ? ' (not eligible)' : ''}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={handleSaveEligibility}
+          disabled={!!pendingAction}
+          className="px-4 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-full font-semibold disabled:opacity-50"
+        >
+          {pendingAction === 'eligibility' ? <Loader2 className="animate-spin h-4 w-4" /> : 'Save'}
+        </button>
+      </div>
+
+      {/* Official Rules */}
+      <div className="w-full bg-gray-900 rounded-lg p-4 mb-4 shadow-inner text-left">
+        <h4 className="text-md font-semibold text-white mb-2">Official Rules <span className="text-xs text-gray-400">(version {OFFICIAL_RULES_VERSION})</span></h4>
+        <ul className="list-disc list-inside text-sm text-gray-300 space-y-1 mb-3">
+          {OFFICIAL_RULES_SUMMARY.map(rule => <li key={rule}>{rule}</li>)}
+        </ul>
+        {hasAcceptedRules ? (
+          <p className="text-sm text-green-400 flex items-center">
+            <CheckCircle className="mr-1" size={16} /> Accepted on {new Date(eligibility.officialRules.acceptedAt).toLocaleDateString()}
+          </p>
+        ) : (
+          <button
+            onClick={handleAcceptRules}
+            disabled={!!pendingAction}
+            className="px-4 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-full font-semibold disabled:opacity-50"
+          >
+            {pendingAction === 'rules' ? <Loader2 className="animate-spin h-4 w-4" /> : 'I accept the Official Rules'}
+          </button>
+        )}
+      </div>
+
+      {/* Free entry (Alternative Method of Entry) */}
+      <div className="w-full bg-gray-900 rounded-lg p-4 shadow-inner text-left">
+        <h4 className="text-md font-semibold text-white mb-2">Free Entry</h4>
+        <p className="text-sm text-gray-400 mb-3">
+          No purchase necessary. Request {FREE_ENTRY_POINTS} free Predictor Points, enough for any contest entry.
+        </p>
+        {freeEntryAvailable ? (
+          <>
+            <input
+              type="text"
+              value={fullName}
+              onChange={(e) => setFullName(e.target.value)}
+              placeholder="Full name"
+              className="w-full bg-gray-700 text-white rounded px-3 py-2 mb-2"
+            />
+            <textarea
+              value={mailingAddress}
+              onChange={(e) => setMailingAddress(e.target.value)}
+              placeholder="Mailing address"
+              rows={2}
+              className="w-full bg-gray-700 text-white rounded px-3 py-2 mb-2"
+            />
+            <button
+              onClick={handleRequestFreeEntry}
+              disabled={!!pendingAction || !!eligibilityIssue}
+              className="px-4 py-1 bg-green-600 hover:bg-green-700 text-white rounded-full font-semibold disabled:opacity-50"
+            >
+              {pendingAction === 'freeEntry' ? <Loader2 className="animate-spin h-4 w-4" /> : 'Request free entry'}
+            </button>
+          </>
+        ) : (
+          <p className="text-sm text-gray-300">Your next free entry is available {nextFreeEntryAt.toLocaleString()}.</p>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default SweepstakesEligibility;
@@ -0,0 +1,70 @@
+// src/components/SyncStatus.js
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, AlertTriangle } from 'lucide-react';
+import { useFirebase } from '../contexts';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { SYNC_STATUS_ID, QUOTA_LEVELS, isSyncStale } from '@predictpro/shared';
+
+// --- Helper: "just now", "5 min ago", "2 h ago", "3 days ago" ---
+const formatTimeAgo = (date, now) => {
+  const minutes = Math.floor((now.getTime() - date.getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
+// --- Sync Status Component (When scores and odds were last synced; written by the scheduled sync) ---
+// The sync polls less often when nothing is live or the provider quota runs low, so the age is shown as is
+// and flagged once it is older than the sync planned for.
+const SyncStatus = () => {
+  const { db } = useFirebase();
+  const [status, setStatus] = useState(null);
+  const [now, setNow] = useState(new Date());
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+
+  useEffect(() => {
+    if (!db) return;
+
+    const unsubscribe = onSnapshot(doc(db, `artifacts/${appId}/syncStatus`, SYNC_STATUS_ID), (docSnap) => {
+      setStatus(docSnap.exists() ? docSnap.data() : null);
+    }, (error) => {
+      console.error('Firestore: Error listening to sync status:', error);
+    });
+
+    return () => unsubscribe();
+  }, [db, appId]);
+
+  // --- Effect: Tick the clock so the age stays current ---
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (!status || !status.lastSyncedAt) return null;
+
+  const lastSyncedAt = status.lastSyncedAt.toDate();
+  const lastScoresAt = status.lastScoresAt ? status.lastScoresAt.toDate() : null;
+  const isStale = isSyncStale({ lastSyncedAt, intervalMinutes: status.intervalMinutes }, now);
+  const quotaLow = status.quotaLevel && status.quotaLevel !== QUOTA_LEVELS.OK;
+
+  return (
+    <div className="text-xs text-center mb-4">
+      <p className={`flex items-center justify-center ${isStale ? 'text-yellow-400' : 'text-gray-400'}`}>
+        <RefreshCw size={12} className="mr-1" />
+        {lastScoresAt ? `Scores last updated ${formatTimeAgo(lastScoresAt, now)}` : `Odds last updated ${formatTimeAgo(lastSyncedAt, now)}`}
+        {isStale && ' · updates are delayed'}
+      </p>
+      {quotaLow && (
+        <p className="flex items-center justify-center text-yellow-400 mt-1">
+          <AlertTriangle size={12} className="mr-1" />
+          Live data is refreshing less often than usual (every {status.intervalMinutes} min).
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SyncStatus;
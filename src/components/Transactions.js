@@ -0,0 +1,97 @@
+// src/components/Transactions.js
+import React, { useState, useEffect } from 'react';
+import { Banknote, Loader2 } from 'lucide-react';
+import { useFirebase, useUser } from '../contexts';
+import { collection, onSnapshot, query, orderBy, limit } from 'firebase/firestore';
+import { CURRENCIES, CURRENCY_LABELS, LEDGER_REASON_LABELS } from '@predictpro/shared';
+
+const TRANSACTIONS_SHOWN = 50; // Most recent ledger entries listed
+
+// Formats a ledger amount in its currency: Points are whole, Winner Bucks have cents
+const formatAmount = (currency, amount) =>
+  currency === CURRENCIES.WINNER_BUCKS ? Number(amount).toFixed(2) : String(amount);
+
+// Describes what a ledger entry refers to, e.g. "entry-2 · 2026-REG-06"
+const describeReference = (reference) => {
+  if (!reference) return '';
+  return [reference.entryId || reference.id, reference.weekId].filter(Boolean).join(' · ');
+};
+
+// --- Transactions Component (Read-only history of every balance change) ---
+const Transactions = () => {
+  const { db } = useFirebase();
+  const { userId } = useUser();
+  const [transactions, setTransactions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'; // Firebase App ID
+
+  // --- Effect: Listen to the User's Ledger ---
+  // Ledger entries are written by Cloud Functions only, in the same transaction as the balance change.
+  useEffect(() => {
+    if (!db || !userId) return;
+
+    const ledgerQuery = query(
+      collection(db, `artifacts/${appId}/users/${userId}/ledger`),
+      orderBy('createdAt', 'desc'),
+      limit(TRANSACTIONS_SHOWN)
+    );
+    const unsubscribe = onSnapshot(ledgerQuery, (snapshot) => {
+      setTransactions(snapshot.docs.map(ledgerDoc => ({ id: ledgerDoc.id, ...ledgerDoc.data() })));
+      setIsLoading(false);
+    }, (error) => {
+      console.error('Firestore: Error listening to ledger:', error);
+      setIsLoading(false);
+    });
+
+    return () => unsubscribe(); // Clean up the ledger listener
+  }, [db, userId, appId]);
+
+  if (isLoading) {
+    return (
+      <section className="w-full bg-gray-700 p-6 rounded-xl shadow-md mb-8 flex flex-col items-center">
+        <Loader2 className="animate-spin h-8 w-8 text-blue-500" />
+        <p className="text-gray-300 mt-2">Loading transactions...</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="w-full bg-gray-700 p-6 rounded-xl shadow-md mb-8 flex flex-col items-center">
+      <h3 className="text-xl font-semibold text-white mb-4 flex items-center">
+        <Banknote className="mr-2" /> Transactions
+      </h3>
+
+      {transactions.length === 0 ? (
+        <p className="text-gray-400">No transactions yet.</p>
+      ) : (
+        <div className="w-full bg-gray-900 rounded-lg shadow-inner">
+          {transactions.map(transaction => {
+            const isCredit = transaction.amount > 0;
+            const createdAt = transaction.createdAt ? transaction.createdAt.toDate().toLocaleString() : 'Pending';
+            return (
+              <div
+                key={transaction.id}
+                className="grid grid-cols-3 md:grid-cols-4 gap-2 items-center px-4 py-2 border-b border-gray-700 last:border-b-0 text-sm"
+              >
+                <div>
+                  <p className="text-white font-semibold">{LEDGER_REASON_LABELS[transaction.reason] || transaction.reason}</p>
+                  <p className="text-xs text-gray-400">{describeReference(transaction.reference)}</p>
+                </div>
+                <span className="hidden md:block text-gray-400 text-xs">{createdAt}</span>
+                <span className={`text-right font-bold ${isCredit ? 'text-green-400' : 'text-red-400'}`}>
+                  {isCredit ? '+' : ''}{formatAmount(transaction.currency, transaction.amount)}{' '}
+                  <span className="text-xs font-normal text-gray-400">{CURRENCY_LABELS[transaction.currency]}</span>
+                </span>
+                <span className="text-right text-gray-300">
+                  Balance: {formatAmount(transaction.currency, transaction.balanceAfter)}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default Transactions;
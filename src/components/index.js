@@ -3,4 +3,12 @@
 
     export { default as DailyBonus } from './DailyBonus';
     export { default as LotterySweepstakes } from './LotterySweepstakes';
-    
\ No newline at end of file
+    export { default as Transactions } from './Transactions';
+    export { default as Redemptions } from './Redemptions';
+    export { default as RedemptionQueue } from './RedemptionQueue';
+    export { default as Store } from './Store';
+    export { default as SweepstakesEligibility } from './SweepstakesEligibility';
+    export { default as Leagues } from './Leagues';
+    export { default as Friends } from './Friends';
+    export { default as PlayerLevel } from './PlayerLevel';
+    export { default as AdminConsole } from './AdminConsole';